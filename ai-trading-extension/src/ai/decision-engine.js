@@ -4,10 +4,46 @@
 import { TechnicalAnalysis } from './technical-analysis.js';
 import { SentimentAnalysis } from './sentiment-analysis.js';
 import { MachineLearning } from './machine-learning.js';
+import { StrategyRegistry } from './strategies/strategy-registry.js';
+import { RuleEngine } from './strategies/rule-engine.js';
 import { Logger } from '../utils/logger.js';
+import { TIMEFRAME_MINUTES } from '../utils/timeframes.js';
+
+// Indicators performTechnicalAnalysis provides to strategies
+const AVAILABLE_INDICATORS = [
+  'sma20', 'sma50', 'ema12', 'ema26', 'macd', 'rsi', 'stochastic', 'atr', 'williamsR', 'cci',
+  'adx', 'ichimoku', 'vwap', 'sessionVwap', 'obv', 'mfi', 'keltnerChannels', 'donchianChannels',
+  'parabolicSar', 'superTrend',
+  'bollingerBands', 'supportResistance', 'volumeAnalysis', 'fibonacci', 'patterns'
+];
+
+// Runs when aiSettings.strategies is not configured
+const DEFAULT_STRATEGIES = [
+  { id: 'balanced_ensemble', strategy: 'balanced_ensemble', enabled: true, symbols: [] }
+];
+
+// Multi-timeframe analysis: the lowest timeframe triggers entries, the higher ones filter by trend
+const DEFAULT_CONFLUENCE = {
+  minScore: 0.6, // Share of timeframes that must agree with the trade
+  cooldownMinutes: 15 // No new decision for a symbol this long after a trade
+};
+
+// EMA periods for the trend filter on higher timeframes and the trigger on the entry timeframe
+const TREND_EMAS = { fast: 20, slow: 50 };
+const TRIGGER_EMAS = { fast: 9, slow: 21 };
+
+const HOLD_DECISION = {
+  signal: 'HOLD',
+  confidence: 0,
+  orderType: 'MARKET',
+  stopLoss: null,
+  takeProfit: null,
+  strategy: null,
+  reasoning: {}
+};
 
 export class AIDecisionEngine {
-  constructor() {
+  constructor(options = {}) {
     this.technicalAnalysis = new TechnicalAnalysis();
     this.sentimentAnalysis = new SentimentAnalysis();
     this.machineLearning = new MachineLearning();
@@ -15,6 +51,17 @@ export class AIDecisionEngine {
     
     this.models = new Map();
     this.isInitialized = false;
+
+    this.strategyRegistry = new StrategyRegistry({ technicalAnalysis: this.technicalAnalysis });
+    this.ruleEngine = new RuleEngine(this.technicalAnalysis);
+    this.strategies = []; // { id, strategy, symbols, paramsKey }
+    this.aiSettings = {};
+    this.lastBars = new Map(); // strategy id:symbol:timeframe -> last bar time seen
+    this.lastTrades = new Map(); // symbol -> bar time of the last executed trade
+    // Live cooldowns survive service worker restarts; replays pass null to keep theirs in memory
+    this.cooldownStorageKey = options.cooldownStorageKey === undefined ? 'tradeCooldowns' : options.cooldownStorageKey;
+    this.cooldownsLoading = null;
+    this.configureStrategies();
     
     this.init();
   }
@@ -29,60 +76,426 @@ export class AIDecisionEngine {
     }
   }
 
-  async analyzeMarket(marketData, timeframe) {
+  // Strategies
+  // Builds the strategy instances from aiSettings.strategies; instances whose parameters are unchanged
+  // are kept so their bar state survives config updates
+  configureStrategies(aiSettings = {}) {
+    this.aiSettings = aiSettings;
+    const previous = new Map(this.strategies.map(instance => [instance.id, instance]));
+    const entries = aiSettings.strategies || DEFAULT_STRATEGIES;
+    this.strategies = [];
+
+    for (const entry of entries) {
+      if (entry.enabled === false) continue;
+
+      if (!this.strategyRegistry.has(entry.strategy)) {
+        this.logger.warn(`Strategy ${entry.id} uses unknown strategy ${entry.strategy} - skipped`);
+        continue;
+      }
+
+      const strategy = this.strategyRegistry.create(entry.strategy);
+      const missing = strategy.requirements.indicators.filter(indicator => !AVAILABLE_INDICATORS.includes(indicator));
+      if (missing.length > 0) {
+        this.logger.warn(`Strategy ${entry.id} needs unavailable indicators: ${missing.join(', ')} - skipped`);
+        continue;
+      }
+
+      const params = { ...strategy.getSettingsParams(aiSettings), ...entry.params };
+      const paramsKey = JSON.stringify(params);
+      const existing = previous.get(entry.id);
+
+      if (existing && existing.strategy.strategyName === entry.strategy && existing.paramsKey === paramsKey) {
+        this.strategies.push({ ...existing, symbols: entry.symbols || [] });
+        continue;
+      }
+
+      strategy.configure(params);
+      this.strategies.push({ id: entry.id, strategy, symbols: entry.symbols || [], paramsKey });
+    }
+
+    this.logger.info(`Strategies active: ${this.strategies.map(instance => instance.id).join(', ') || 'none'}`);
+    return this.getStrategies();
+  }
+
+  // An empty symbol list means every watched symbol
+  getStrategiesFor(symbol, timeframe) {
+    const normalized = symbol?.toUpperCase();
+    return this.strategies.filter(({ strategy, symbols }) =>
+      strategy.runsOn(timeframe) &&
+      (symbols.length === 0 || symbols.some(listed => listed.toUpperCase() === normalized))
+    );
+  }
+
+  // Per-rule compile results for the popup's rule editor
+  validateRules(rules) {
+    return this.ruleEngine.validate(rules);
+  }
+
+  getStrategies() {
+    return this.strategies.map(({ id, strategy, symbols }) => ({
+      id,
+      strategy: strategy.strategyName,
+      label: strategy.label,
+      symbols,
+      params: strategy.params,
+      requirements: strategy.requirements
+    }));
+  }
+
+  // Analyzes one timeframe, or a set of timeframes as one confluence decision; marketData belongs to the
+  // timeframe given, or to the lowest of the set. options.loadMarketData(timeframe) supplies the others
+  async analyzeMarket(marketData, timeframes, options = {}) {
     if (!this.isInitialized) {
       await this.init();
     }
 
-    try {
-      const analysis = {
-        symbol: marketData.symbol,
-        timeframe,
-        timestamp: Date.now(),
-        signal: 'HOLD',
-        confidence: 0,
-        orderType: 'MARKET',
-        stopLoss: null,
-        takeProfit: null,
-        analysis: {}
+    const ordered = Array.isArray(timeframes) ? this.orderTimeframes(timeframes) : [timeframes];
+    // Cooldowns count in bar time, so replays and late alarms measure them the same way
+    const barTime = this.getLatestBar(marketData).time;
+    const cooldown = await this.getCooldown(marketData.symbol, barTime);
+    if (cooldown) {
+      return {
+        ...this.createAnalysis(marketData.symbol, ordered[0]),
+        barTime,
+        reasoning: { cooldown }
       };
+    }
+
+    try {
+      const analysis = Array.isArray(timeframes) ?
+        await this.analyzeConfluence(marketData, ordered, options) :
+        await this.analyzeTimeframe(marketData, timeframes, options);
+      return { ...analysis, barTime };
+    } catch (error) {
+      this.logger.error('Error in market analysis:', error);
+      throw error;
+    }
+  }
+
+  createAnalysis(symbol, timeframe) {
+    return {
+      symbol,
+      timeframe,
+      timestamp: Date.now(),
+      signal: 'HOLD',
+      confidence: 0,
+      orderType: 'MARKET',
+      stopLoss: null,
+      takeProfit: null,
+      strategy: null,
+      strategies: [],
+      analysis: {},
+      reasoning: {}
+    };
+  }
 
-      // Perform technical analysis
-      const technicalSignals = await this.performTechnicalAnalysis(marketData);
-      analysis.analysis.technical = technicalSignals;
+  async analyzeTimeframe(marketData, timeframe, options = {}) {
+    const analysis = this.createAnalysis(marketData.symbol, timeframe);
 
-      // Perform sentiment analysis
-      const sentimentSignals = await this.performSentimentAnalysis(marketData.symbol);
-      analysis.analysis.sentiment = sentimentSignals;
+    const instances = this.getStrategiesFor(marketData.symbol, timeframe);
+    if (instances.length === 0) {
+      this.logger.debug(`No strategy runs on ${marketData.symbol} ${timeframe}`);
+      return analysis;
+    }
 
-      // Run ML predictions
-      const mlPredictions = await this.performMLAnalysis(marketData, timeframe);
-      analysis.analysis.machineLearning = mlPredictions;
+    // Sentiment and ML only run when a strategy asks for them and aiSettings allows it
+    const needs = requirement => instances.some(({ strategy }) => strategy.requirements[requirement]);
+    const technicalSignals = await this.performTechnicalAnalysis(marketData);
+    analysis.analysis.technical = technicalSignals;
 
-      // Combine all signals to make final decision
-      const finalDecision = this.combineSignals(technicalSignals, sentimentSignals, mlPredictions);
-      
-      analysis.signal = finalDecision.signal;
-      analysis.confidence = finalDecision.confidence;
-      analysis.orderType = finalDecision.orderType;
-      analysis.stopLoss = finalDecision.stopLoss;
-      analysis.takeProfit = finalDecision.takeProfit;
-      analysis.reasoning = finalDecision.reasoning;
-
-      this.logger.info(`Analysis complete for ${marketData.symbol}:`, {
-        signal: analysis.signal,
-        confidence: analysis.confidence
+    const sentimentSignals = needs('sentiment') && this.aiSettings.enableSentimentAnalysis !== false ?
+      await this.performSentimentAnalysis(marketData.symbol) : null;
+    analysis.analysis.sentiment = sentimentSignals;
+
+    const mlPredictions = needs('machineLearning') && this.aiSettings.enableMachineLearning !== false ?
+      await this.performMLAnalysis(marketData, timeframe) : null;
+    analysis.analysis.machineLearning = mlPredictions;
+
+    const context = {
+      symbol: marketData.symbol,
+      timeframe,
+      bar: this.getLatestBar(marketData),
+      marketData,
+      technical: technicalSignals,
+      sentiment: sentimentSignals,
+      machineLearning: mlPredictions,
+      getCandles: this.createCandleLoader(this.createMarketDataLoader(marketData, timeframe, options.loadMarketData))
+    };
+
+    for (const instance of instances) {
+      const decision = await this.runStrategy(instance, context);
+      if (decision) analysis.strategies.push(decision);
+    }
+
+    const finalDecision = this.selectDecision(analysis.strategies);
+    
+    analysis.signal = finalDecision.signal;
+    analysis.confidence = finalDecision.confidence;
+    analysis.orderType = finalDecision.orderType;
+    analysis.stopLoss = finalDecision.stopLoss;
+    analysis.takeProfit = finalDecision.takeProfit;
+    analysis.strategy = finalDecision.strategy;
+    analysis.reasoning = finalDecision.reasoning;
+
+    this.logger.info(`Analysis complete for ${marketData.symbol}:`, {
+      signal: analysis.signal,
+      confidence: analysis.confidence,
+      strategy: analysis.strategy
+    });
+
+    return analysis;
+  }
+
+  // Confluence
+  // Strategies run on every timeframe of the set. A trade needs a trigger on the entry (lowest) timeframe,
+  // no higher timeframe trending against it, and enough agreement across the set overall
+  async analyzeConfluence(marketData, timeframes, options = {}) {
+    const [entryTimeframe] = timeframes;
+    const settings = { ...DEFAULT_CONFLUENCE, ...this.aiSettings.confluence };
+    const loadMarketData = this.createMarketDataLoader(marketData, entryTimeframe, options.loadMarketData);
+    const analysis = { ...this.createAnalysis(marketData.symbol, entryTimeframe), timeframes };
+    const frames = [];
+
+    for (const timeframe of timeframes) {
+      const data = await loadMarketData(timeframe);
+      if (!data) continue;
+
+      const isEntry = timeframe === entryTimeframe;
+      const frameAnalysis = await this.analyzeTimeframe(data, timeframe, { loadMarketData });
+      frames.push({
+        timeframe,
+        isEntry,
+        trend: this.getTrend(data.prices, isEntry ? TRIGGER_EMAS : TREND_EMAS),
+        analysis: frameAnalysis
       });
+      analysis.strategies.push(...frameAnalysis.strategies.map(decision => ({ ...decision, timeframe })));
+    }
+
+    // Opposite signals on different timeframes cancel out like opposite strategies do
+    const candidate = this.selectDecision(frames.map(({ timeframe, analysis: frameAnalysis }) => ({
+      ...HOLD_DECISION,
+      ...frameAnalysis,
+      timeframe
+    })));
+
+    analysis.confluence = {
+      entryTimeframe,
+      trends: Object.fromEntries(frames.map(frame => [frame.timeframe, frame.trend])),
+      score: 0,
+      trigger: false
+    };
+
+    if (candidate.signal !== 'BUY' && candidate.signal !== 'SELL') {
+      analysis.reasoning = candidate.reasoning;
+      return analysis;
+    }
+
+    const direction = candidate.signal === 'BUY' ? 'UP' : 'DOWN';
+    const entry = frames.find(frame => frame.isEntry);
+    const opposing = frames.find(frame => !frame.isEntry && frame.trend !== direction && frame.trend !== 'NEUTRAL');
+    analysis.confluence.trigger = Boolean(entry && (entry.analysis.signal === candidate.signal || entry.trend === direction));
+    analysis.confluence.score = this.scoreConfluence(frames, candidate.signal, direction);
+
+    let blocked = null;
+    if (opposing) {
+      blocked = `${opposing.timeframe} trend is ${opposing.trend}`;
+    } else if (!analysis.confluence.trigger) {
+      blocked = `No ${candidate.signal} trigger on ${entryTimeframe}`;
+    } else if (analysis.confluence.score < settings.minScore) {
+      blocked = `Confluence ${analysis.confluence.score.toFixed(2)} below ${settings.minScore}`;
+    }
 
+    if (blocked) {
+      analysis.reasoning = { blocked, candidate: { signal: candidate.signal, strategy: candidate.strategy, timeframe: candidate.timeframe } };
+      this.logger.info(`${marketData.symbol} ${candidate.signal} held back: ${blocked}`);
       return analysis;
+    }
+
+    // The timeframe the winning strategy fired on is the one the trade is journaled under
+    const winner = frames.find(frame => frame.timeframe === candidate.timeframe);
+    return {
+      ...analysis,
+      timeframe: candidate.timeframe,
+      signal: candidate.signal,
+      confidence: candidate.confidence,
+      orderType: candidate.orderType,
+      stopLoss: candidate.stopLoss,
+      takeProfit: candidate.takeProfit,
+      strategy: candidate.strategy,
+      reasoning: candidate.reasoning,
+      analysis: winner.analysis.analysis
+    };
+  }
+
+  // Each timeframe scores half for its signal and half for its trend: agreeing 1, neutral 0.5, opposing 0
+  scoreConfluence(frames, signal, direction) {
+    if (frames.length === 0) return 0;
+
+    const total = frames.reduce((sum, { analysis, trend }) => {
+      const signalScore = analysis.signal === signal ? 1 : (analysis.signal === 'HOLD' ? 0.5 : 0);
+      const trendScore = trend === direction ? 1 : (trend === 'NEUTRAL' ? 0.5 : 0);
+      return sum + (signalScore + trendScore) / 2;
+    }, 0);
+
+    return total / frames.length;
+  }
+
+  // UP when the fast EMA and the price are both above the slow EMA, DOWN when both are below
+  getTrend(prices = [], { fast, slow }) {
+    if (prices.length < slow) return 'NEUTRAL';
+
+    const price = prices[prices.length - 1];
+    const fastEma = this.technicalAnalysis.calculateEMA(prices, fast);
+    const slowEma = this.technicalAnalysis.calculateEMA(prices, slow);
+    const fastValue = fastEma[fastEma.length - 1];
+    const slowValue = slowEma[slowEma.length - 1];
+
+    if (fastValue > slowValue && price > slowValue) return 'UP';
+    if (fastValue < slowValue && price < slowValue) return 'DOWN';
+    return 'NEUTRAL';
+  }
+
+  // Drops bar history, cooldowns and strategy state so a replay starts from a clean slate
+  resetState() {
+    this.lastBars.clear();
+    this.lastTrades.clear();
+    this.strategies = [];
+    this.configureStrategies(this.aiSettings);
+  }
+
+  // Lowest timeframe first; duplicates dropped
+  orderTimeframes(timeframes) {
+    const unknown = timeframes.find(timeframe => !TIMEFRAME_MINUTES[timeframe]);
+    if (unknown) {
+      throw new Error(`Unsupported analysis timeframe: ${unknown}`);
+    }
+    return [...new Set(timeframes)].sort((a, b) => TIMEFRAME_MINUTES[a] - TIMEFRAME_MINUTES[b]);
+  }
+
+  // Cooldown
+  async loadCooldowns() {
+    if (!this.cooldownStorageKey) return;
+
+    if (!this.cooldownsLoading) {
+      this.cooldownsLoading = chrome.storage.local.get(this.cooldownStorageKey).then(result => {
+        for (const [symbol, time] of Object.entries(result[this.cooldownStorageKey] || {})) {
+          if (!this.lastTrades.has(symbol)) this.lastTrades.set(symbol, time);
+        }
+      });
+    }
+    return this.cooldownsLoading;
+  }
+
+  // time is the analyzed bar's time (analysis.barTime)
+  async recordTrade(symbol, time = Date.now()) {
+    await this.loadCooldowns();
+    this.lastTrades.set(symbol.toUpperCase(), time);
+
+    if (this.cooldownStorageKey) {
+      await chrome.storage.local.set({ [this.cooldownStorageKey]: Object.fromEntries(this.lastTrades) });
+    }
+  }
+
+  async getCooldown(symbol, time = Date.now()) {
+    await this.loadCooldowns();
+
+    const lastTrade = this.lastTrades.get(symbol?.toUpperCase());
+    const minutes = this.aiSettings.confluence?.cooldownMinutes ?? DEFAULT_CONFLUENCE.cooldownMinutes;
+    if (!lastTrade || !(minutes > 0)) return null;
+
+    const until = lastTrade + minutes * 60 * 1000;
+    return until > time ? { lastTrade, until } : null;
+  }
+
+  // Market data per timeframe, loaded at most once per analysis; failures resolve to null
+  createMarketDataLoader(marketData, timeframe, loadMarketData) {
+    const loaded = new Map([[timeframe, Promise.resolve(marketData)]]);
+
+    return requested => {
+      if (!loaded.has(requested)) {
+        loaded.set(requested, loadMarketData ?
+          Promise.resolve(loadMarketData(requested))
+            .then(data => data || null)
+            .catch(error => {
+              this.logger.warn(`No ${requested} data for ${marketData.symbol}: ${error.message}`);
+              return null;
+            }) :
+          Promise.resolve(null));
+      }
+      return loaded.get(requested);
+    };
+  }
+
+  createCandleLoader(loadMarketData) {
+    return timeframe => loadMarketData(timeframe).then(data => data ? this.toCandles(data) : null);
+  }
+
+  // Adapters return candles; market data built by hand with only prices gets flat close-only bars
+  toCandles(marketData) {
+    if (marketData.candles?.length > 0) return marketData.candles;
+
+    return (marketData.prices || []).map((close, i) => ({
+      time: null,
+      open: close,
+      high: close,
+      low: close,
+      close,
+      volume: marketData.volumes?.[i] ?? 0
+    }));
+  }
+
+  getLatestBar(marketData) {
+    const candle = marketData.candles?.[marketData.candles.length - 1];
+    if (candle) return candle;
+
+    const close = marketData.currentPrice ?? marketData.prices?.[marketData.prices.length - 1];
+    return { time: marketData.timestamp || Date.now(), close };
+  }
+
+  // onBar fires once per bar; a failing strategy is logged and sits this round out
+  async runStrategy({ id, strategy }, context) {
+    try {
+      const barKey = `${id}:${context.symbol}:${context.timeframe}`;
+      if (this.lastBars.get(barKey) !== context.bar.time) {
+        this.lastBars.set(barKey, context.bar.time);
+        await strategy.onBar(context);
+      }
+
+      const decision = await strategy.onSignal(context);
+      return {
+        ...HOLD_DECISION,
+        ...decision,
+        strategy: id,
+        strategyName: strategy.strategyName
+      };
     } catch (error) {
-      this.logger.error('Error in market analysis:', error);
-      throw error;
+      this.logger.error(`Strategy ${id} failed on ${context.symbol}:`, error);
+      return null;
+    }
+  }
+
+  // The most confident actionable decision wins; strategies calling opposite sides cancel out
+  selectDecision(decisions) {
+    const actionable = decisions.filter(decision => decision.signal === 'BUY' || decision.signal === 'SELL');
+    const sides = new Set(actionable.map(decision => decision.signal));
+
+    if (sides.size > 1) {
+      return {
+        ...HOLD_DECISION,
+        confidence: 0.5,
+        reasoning: {
+          conflict: actionable.map(({ strategy, signal, confidence }) => ({ strategy, signal, confidence }))
+        }
+      };
     }
+
+    const pool = actionable.length > 0 ? actionable : decisions;
+    return pool.reduce((best, decision) => decision.confidence > best.confidence ? decision : best, pool[0]) || HOLD_DECISION;
   }
 
   async performTechnicalAnalysis(marketData) {
-    const { prices, volumes, indicators } = marketData;
+    const candles = this.toCandles(marketData);
+    const { highs, lows, closes: prices, volumes, times } = this.technicalAnalysis.toSeries(candles);
     
     // Moving Averages
     const sma20 = this.technicalAnalysis.calculateSMA(prices, 20);
@@ -95,27 +508,53 @@ export class AIDecisionEngine {
     
     // RSI
     const rsi = this.technicalAnalysis.calculateRSI(prices, 14);
+
+    // Range-based oscillators and volatility
+    const stochastic = this.technicalAnalysis.calculateStochastic(highs, lows, prices, 14, 3);
+    const atr = this.technicalAnalysis.calculateATR(highs, lows, prices, 14);
+    const williamsR = this.technicalAnalysis.calculateWilliamsR(highs, lows, prices, 14);
+    const cci = this.technicalAnalysis.calculateCCI(highs, lows, prices, 20);
+
+    // Trend strength and trend-following stops
+    const adx = this.technicalAnalysis.calculateADX(highs, lows, prices, 14);
+    const ichimoku = this.technicalAnalysis.calculateIchimoku(highs, lows, prices);
+    const parabolicSar = this.technicalAnalysis.calculateParabolicSAR(highs, lows);
+    const superTrend = this.technicalAnalysis.calculateSuperTrend(highs, lows, prices, 10, 3);
+
+    // Channels
+    const keltnerChannels = this.technicalAnalysis.calculateKeltnerChannels(highs, lows, prices, 20, 10, 2);
+    const donchianChannels = this.technicalAnalysis.calculateDonchianChannels(highs, lows, 20);
+
+    // Volume-weighted (the session VWAP needs candle times)
+    const vwap = this.technicalAnalysis.calculateVWAP(highs, lows, prices, volumes);
+    const sessionVwap = times.every(time => Number.isFinite(time)) ?
+      this.technicalAnalysis.calculateSessionVWAP(times, highs, lows, prices, volumes) : [];
+    const obv = this.technicalAnalysis.calculateOBV(prices, volumes);
+    const mfi = this.technicalAnalysis.calculateMFI(highs, lows, prices, volumes, 14);
     
     // Bollinger Bands
     const bollingerBands = this.technicalAnalysis.calculateBollingerBands(prices, 20, 2);
     
     // Support and Resistance
-    const supportResistance = this.technicalAnalysis.findSupportResistance(prices);
+    const supportResistance = this.technicalAnalysis.findSupportResistance(candles);
     
     // Volume analysis
     const volumeAnalysis = this.technicalAnalysis.analyzeVolume(prices, volumes);
 
     // Fibonacci retracements
-    const fibonacci = this.technicalAnalysis.calculateFibonacci(prices);
+    const fibonacci = this.technicalAnalysis.calculateFibonacci(candles);
 
     // Chart patterns
-    const patterns = this.technicalAnalysis.detectPatterns(prices);
+    const patterns = this.technicalAnalysis.detectPatterns(candles);
 
     // Generate signals from technical indicators
     const signals = this.generateTechnicalSignals({
-      sma20, sma50, ema12, ema26, macd, rsi, 
+      sma20, sma50, ema12, ema26, macd, rsi,
+      stochastic, atr, williamsR, cci,
+      adx, ichimoku, parabolicSar, superTrend, keltnerChannels, donchianChannels,
+      vwap, sessionVwap, obv, mfi,
       bollingerBands, supportResistance, volumeAnalysis,
-      fibonacci, patterns, currentPrice: prices[prices.length - 1]
+      fibonacci, patterns, candles, currentPrice: prices[prices.length - 1]
     });
 
     return {
@@ -126,6 +565,20 @@ export class AIDecisionEngine {
         ema26: ema26[ema26.length - 1],
         macd: macd[macd.length - 1],
         rsi: rsi[rsi.length - 1],
+        stochastic: stochastic[stochastic.length - 1],
+        atr: atr[atr.length - 1],
+        williamsR: williamsR[williamsR.length - 1],
+        cci: cci[cci.length - 1],
+        adx: adx[adx.length - 1],
+        ichimoku: ichimoku[ichimoku.length - 1],
+        parabolicSar: parabolicSar[parabolicSar.length - 1],
+        superTrend: superTrend[superTrend.length - 1],
+        keltnerChannels: keltnerChannels[keltnerChannels.length - 1],
+        donchianChannels: donchianChannels[donchianChannels.length - 1],
+        vwap: vwap[vwap.length - 1],
+        sessionVwap: sessionVwap[sessionVwap.length - 1],
+        obv: obv[obv.length - 1],
+        mfi: mfi[mfi.length - 1],
         bollingerBands: bollingerBands[bollingerBands.length - 1],
         supportResistance,
         volumeAnalysis,
@@ -151,6 +604,29 @@ export class AIDecisionEngine {
     // RSI signals
     signals.rsiSignal = this.getRSISignal(indicators.rsi);
 
+    // Oscillators on the high-low range
+    signals.stochasticSignal = this.getStochasticSignal(indicators.stochastic);
+    signals.williamsRSignal = this.getWilliamsRSignal(indicators.williamsR);
+    signals.cciSignal = this.getCCISignal(indicators.cci);
+
+    // ATR range expansion
+    signals.atrSignal = this.getATRSignal(indicators.candles, indicators.atr);
+
+    // Trend strength and trend-following stops
+    signals.adxSignal = this.getADXSignal(indicators.adx);
+    signals.ichimokuSignal = this.getIchimokuSignal(currentPrice, indicators.ichimoku);
+    signals.parabolicSarSignal = this.getTrendFlipSignal(indicators.parabolicSar, 0.7);
+    signals.superTrendSignal = this.getTrendFlipSignal(indicators.superTrend, 0.8);
+
+    // Channel breakouts
+    signals.keltnerSignal = this.getKeltnerSignal(currentPrice, indicators.keltnerChannels);
+    signals.donchianSignal = this.getDonchianSignal(currentPrice, indicators.donchianChannels);
+
+    // Volume-weighted
+    signals.vwapSignal = this.getVWAPSignal(currentPrice, indicators.sessionVwap.length > 0 ? indicators.sessionVwap : indicators.vwap);
+    signals.obvSignal = this.getOBVSignal(indicators.obv);
+    signals.mfiSignal = this.getMFISignal(indicators.mfi);
+
     // Bollinger Bands signals
     signals.bbSignal = this.getBollingerSignal(currentPrice, indicators.bollingerBands);
 
@@ -197,6 +673,142 @@ export class AIDecisionEngine {
     return { signal: 'HOLD', strength: 0.4 };
   }
 
+  // %k crossing %d inside the oversold or overbought zone
+  getStochasticSignal(stochastic) {
+    const current = stochastic[stochastic.length - 1];
+    const previous = stochastic[stochastic.length - 2];
+    if (!current || !previous || current['%d'] === null || previous['%d'] === null) {
+      return { signal: 'HOLD', strength: 0.3 };
+    }
+
+    const k = current['%k'];
+    const crossedUp = previous['%k'] <= previous['%d'] && k > current['%d'];
+    const crossedDown = previous['%k'] >= previous['%d'] && k < current['%d'];
+
+    if (k < 20 && crossedUp) return { signal: 'BUY', strength: 0.75 };
+    if (k > 80 && crossedDown) return { signal: 'SELL', strength: 0.75 };
+    if (k < 20) return { signal: 'WEAK_BUY', strength: 0.5 }; // Oversold
+    if (k > 80) return { signal: 'WEAK_SELL', strength: 0.5 }; // Overbought
+    return { signal: 'HOLD', strength: 0.3 };
+  }
+
+  getWilliamsRSignal(williamsR) {
+    const current = williamsR[williamsR.length - 1];
+    if (current === undefined) return { signal: 'HOLD', strength: 0.3 };
+
+    if (current < -80) return { signal: 'BUY', strength: 0.65 }; // Oversold
+    if (current > -20) return { signal: 'SELL', strength: 0.65 }; // Overbought
+    return { signal: 'HOLD', strength: 0.3 };
+  }
+
+  getCCISignal(cci) {
+    const current = cci[cci.length - 1];
+    if (current === undefined) return { signal: 'HOLD', strength: 0.3 };
+
+    if (current < -100) return { signal: 'BUY', strength: 0.65 }; // Oversold
+    if (current > 100) return { signal: 'SELL', strength: 0.65 }; // Overbought
+    return { signal: 'HOLD', strength: 0.3 };
+  }
+
+  // A bar whose close moves more than 1.5 ATR past the prior close breaks out in that direction
+  getATRSignal(candles, atr) {
+    const previousAtr = atr[atr.length - 2];
+    const last = candles[candles.length - 1];
+    const previous = candles[candles.length - 2];
+    if (!previousAtr || !last || !previous) return { signal: 'HOLD', strength: 0.3 };
+
+    const move = last.close - previous.close;
+    if (move > previousAtr * 1.5) return { signal: 'BUY', strength: 0.7 };
+    if (move < -previousAtr * 1.5) return { signal: 'SELL', strength: 0.7 };
+    return { signal: 'HOLD', strength: 0.3 };
+  }
+
+  // ADX above 25 is a trend worth following in the direction of the stronger DI; below 20 there is none
+  getADXSignal(adx) {
+    const current = adx[adx.length - 1];
+    if (!current || current.adx < 20) return { signal: 'HOLD', strength: 0.4 };
+
+    const direction = current.plusDI > current.minusDI ? 'BUY' : 'SELL';
+    if (current.adx >= 25) return { signal: direction, strength: Math.min(0.5 + current.adx / 100, 0.85) };
+    return { signal: `WEAK_${direction}`, strength: 0.4 };
+  }
+
+  // Price above the cloud with the conversion line over the base line is bullish, the mirror image bearish
+  getIchimokuSignal(currentPrice, ichimoku) {
+    const current = ichimoku[ichimoku.length - 1];
+    if (!current || current.spanA === null || current.spanB === null) return { signal: 'HOLD', strength: 0.3 };
+
+    const cloudTop = Math.max(current.spanA, current.spanB);
+    const cloudBottom = Math.min(current.spanA, current.spanB);
+
+    if (currentPrice > cloudTop && current.conversion > current.base) return { signal: 'BUY', strength: 0.75 };
+    if (currentPrice < cloudBottom && current.conversion < current.base) return { signal: 'SELL', strength: 0.75 };
+    if (currentPrice > cloudTop) return { signal: 'WEAK_BUY', strength: 0.45 };
+    if (currentPrice < cloudBottom) return { signal: 'WEAK_SELL', strength: 0.45 };
+    return { signal: 'HOLD', strength: 0.4 }; // Inside the cloud
+  }
+
+  // Parabolic SAR and SuperTrend: a flip on the last bar is a signal, an established trend a weak one
+  getTrendFlipSignal(points, strength) {
+    const current = points[points.length - 1];
+    const previous = points[points.length - 2];
+    if (!current || !previous) return { signal: 'HOLD', strength: 0.3 };
+
+    const direction = current.trend === 1 ? 'BUY' : 'SELL';
+    if (current.trend !== previous.trend) return { signal: direction, strength };
+    return { signal: `WEAK_${direction}`, strength: 0.4 };
+  }
+
+  getKeltnerSignal(currentPrice, keltner) {
+    const current = keltner[keltner.length - 1];
+    if (!current) return { signal: 'HOLD', strength: 0.3 };
+
+    if (currentPrice > current.upper) return { signal: 'BUY', strength: 0.65 }; // Breakout above the channel
+    if (currentPrice < current.lower) return { signal: 'SELL', strength: 0.65 };
+    return { signal: 'HOLD', strength: 0.3 };
+  }
+
+  // A close beyond the previous bar's channel is a new period high or low
+  getDonchianSignal(currentPrice, donchian) {
+    const previous = donchian[donchian.length - 2];
+    if (!previous) return { signal: 'HOLD', strength: 0.3 };
+
+    if (currentPrice > previous.upper) return { signal: 'BUY', strength: 0.7 };
+    if (currentPrice < previous.lower) return { signal: 'SELL', strength: 0.7 };
+    return { signal: 'HOLD', strength: 0.3 };
+  }
+
+  getVWAPSignal(currentPrice, vwap) {
+    const current = vwap[vwap.length - 1];
+    if (!current) return { signal: 'HOLD', strength: 0.3 };
+
+    if (currentPrice > current * 1.002) return { signal: 'WEAK_BUY', strength: 0.45 };
+    if (currentPrice < current * 0.998) return { signal: 'WEAK_SELL', strength: 0.45 };
+    return { signal: 'HOLD', strength: 0.3 };
+  }
+
+  // OBV against its own 20-bar average: volume flowing in or out
+  getOBVSignal(obv) {
+    if (obv.length < 20) return { signal: 'HOLD', strength: 0.3 };
+
+    const average = this.technicalAnalysis.calculateSMA(obv, 20);
+    const current = obv[obv.length - 1];
+    const baseline = average[average.length - 1];
+
+    if (current > baseline) return { signal: 'WEAK_BUY', strength: 0.4 };
+    if (current < baseline) return { signal: 'WEAK_SELL', strength: 0.4 };
+    return { signal: 'HOLD', strength: 0.3 };
+  }
+
+  getMFISignal(mfi) {
+    const current = mfi[mfi.length - 1];
+    if (current === undefined) return { signal: 'HOLD', strength: 0.3 };
+
+    if (current < 20) return { signal: 'BUY', strength: 0.7 }; // Oversold on volume
+    if (current > 80) return { signal: 'SELL', strength: 0.7 }; // Overbought on volume
+    return { signal: 'HOLD', strength: 0.3 };
+  }
+
   getBollingerSignal(currentPrice, bb) {
     const { upper, middle, lower } = bb;
     
@@ -380,16 +992,35 @@ export class AIDecisionEngine {
 
   extractFeatures(marketData, timeframe) {
     // Extract features for ML model
-    const { prices, volumes, indicators } = marketData;
-    
+    const candles = this.toCandles(marketData);
+    const { closes: prices, volumes } = this.technicalAnalysis.toSeries(candles);
+    // Time of the bar being analyzed, so replays see the hour and weekday they are replaying
+    const barTime = new Date(this.getLatestBar(marketData).time);
+
     return {
       priceChanges: this.calculateReturns(prices),
       volumeProfile: this.analyzeVolumeProfile(volumes),
       volatility: this.calculateVolatility(prices),
       momentum: this.calculateMomentum(prices),
+      candleShape: this.analyzeCandleShape(candles),
       timeframe,
-      hourOfDay: new Date().getHours(),
-      dayOfWeek: new Date().getDay()
+      hourOfDay: barTime.getHours(),
+      dayOfWeek: barTime.getDay()
+    };
+  }
+
+  // Averages over the last 14 bars: high-low range and body as fractions of the close,
+  // and where the close sits in the range (0 at the low, 1 at the high)
+  analyzeCandleShape(candles) {
+    const recent = candles.slice(-14);
+    if (recent.length === 0) return { range: 0, body: 0, closeLocation: 0.5 };
+
+    const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    return {
+      range: average(recent.map(candle => (candle.high - candle.low) / candle.close)),
+      body: average(recent.map(candle => Math.abs(candle.close - candle.open) / candle.close)),
+      closeLocation: average(recent.map(candle => candle.high > candle.low ?
+        (candle.close - candle.low) / (candle.high - candle.low) : 0.5))
     };
   }
 
@@ -444,68 +1075,4 @@ export class AIDecisionEngine {
       return { signal: 'HOLD', strength: confidence * 0.5 };
     }
   }
-
-  combineSignals(technical, sentiment, ml) {
-    const signals = [
-      { ...technical.overall, weight: 0.5 },
-      { ...sentiment.overall.signal, weight: 0.3 },
-      { ...ml.signal, weight: 0.2 }
-    ];
-
-    const buyScore = signals
-      .filter(s => s.signal === 'BUY')
-      .reduce((sum, s) => sum + (s.strength * s.weight), 0);
-
-    const sellScore = signals
-      .filter(s => s.signal === 'SELL')
-      .reduce((sum, s) => sum + (s.strength * s.weight), 0);
-
-    const holdScore = signals
-      .filter(s => s.signal === 'HOLD')
-      .reduce((sum, s) => sum + (s.strength * s.weight), 0);
-
-    // Add neutral weight for missing signals
-    const totalWeight = signals.reduce((sum, s) => sum + s.weight, 0);
-    const neutralWeight = 1 - totalWeight;
-    const adjustedHoldScore = holdScore + (neutralWeight * 0.5);
-
-    let finalSignal = 'HOLD';
-    let confidence = 0.5;
-    let orderType = 'MARKET';
-    let stopLoss = null;
-    let takeProfit = null;
-
-    if (buyScore > sellScore && buyScore > adjustedHoldScore && buyScore > 0.6) {
-      finalSignal = 'BUY';
-      confidence = Math.min(buyScore, 0.95);
-      orderType = confidence > 0.8 ? 'MARKET' : 'LIMIT';
-    } else if (sellScore > buyScore && sellScore > adjustedHoldScore && sellScore > 0.6) {
-      finalSignal = 'SELL';
-      confidence = Math.min(sellScore, 0.95);
-      orderType = confidence > 0.8 ? 'MARKET' : 'LIMIT';
-    } else {
-      confidence = Math.max(adjustedHoldScore, 0.3);
-    }
-
-    // Calculate stop loss and take profit based on volatility and confidence
-    if (finalSignal !== 'HOLD' && ml.volatility) {
-      const volatilityMultiplier = ml.volatility === 'HIGH' ? 1.5 : ml.volatility === 'LOW' ? 0.7 : 1.0;
-      stopLoss = confidence > 0.8 ? 0.02 * volatilityMultiplier : 0.015 * volatilityMultiplier;
-      takeProfit = confidence > 0.8 ? 0.04 * volatilityMultiplier : 0.03 * volatilityMultiplier;
-    }
-
-    return {
-      signal: finalSignal,
-      confidence,
-      orderType,
-      stopLoss,
-      takeProfit,
-      reasoning: {
-        technicalScore: technical.overall.confidence,
-        sentimentScore: sentiment.overall.confidence,
-        mlScore: ml.confidence,
-        finalScores: { buy: buyScore, sell: sellScore, hold: adjustedHoldScore }
-      }
-    };
-  }
-}
\ No newline at end of file
+}
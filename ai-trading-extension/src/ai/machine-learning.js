@@ -164,9 +164,9 @@ export class MachineLearning {
     const volumeChanges = features.volume_changes || 0;
     const priceChanges = features.price_changes || 0;
     
-    // Time-based factors
-    const hour = new Date().getHours();
-    const dayOfWeek = new Date().getDay();
+    // Time-based factors, from the analyzed bar when the features carry it
+    const hour = features.hourOfDay ?? new Date().getHours();
+    const dayOfWeek = features.dayOfWeek ?? new Date().getDay();
     
     // Market hours volatility multiplier
     const marketHoursMultiplier = this.getMarketHoursMultiplier(hour, dayOfWeek);
@@ -0,0 +1,115 @@
+// Balanced Ensemble Strategy
+// Weighted vote of the technical, volume, sentiment and machine learning signals
+// The default strategy; its weights and profile come from aiSettings unless an instance overrides them
+
+import { BaseStrategy } from './base-strategy.js';
+
+// How much agreement each aiSettings.strategy profile needs before acting
+const PROFILES = {
+  conservative: { minScore: 0.7, marketOrderConfidence: 0.85 },
+  balanced: { minScore: 0.6, marketOrderConfidence: 0.8 },
+  aggressive: { minScore: 0.5, marketOrderConfidence: 0.7 }
+};
+
+export class BalancedEnsembleStrategy extends BaseStrategy {
+  constructor() {
+    super('balanced_ensemble', {
+      label: 'Balanced ensemble',
+      requirements: {
+        indicators: [
+          'sma20', 'sma50', 'ema12', 'ema26', 'macd', 'rsi',
+          'bollingerBands', 'supportResistance', 'volumeAnalysis', 'patterns'
+        ],
+        sentiment: true,
+        machineLearning: true
+      },
+      defaultParams: {
+        profile: 'balanced',
+        weights: { technical: 0.5, sentiment: 0.3, volume: 0, machineLearning: 0.2 }
+      }
+    });
+  }
+
+  getSettingsParams(aiSettings = {}) {
+    const weights = { ...this.defaultParams.weights };
+    if (aiSettings.technicalWeight !== undefined) weights.technical = aiSettings.technicalWeight;
+    if (aiSettings.sentimentWeight !== undefined) weights.sentiment = aiSettings.sentimentWeight;
+    if (aiSettings.volumeWeight !== undefined) weights.volume = aiSettings.volumeWeight;
+    if (aiSettings.machineLearningWeight !== undefined) weights.machineLearning = aiSettings.machineLearningWeight;
+
+    return {
+      profile: aiSettings.strategy || this.defaultParams.profile,
+      weights
+    };
+  }
+
+  onSignal({ technical, sentiment, machineLearning }) {
+    const profile = PROFILES[this.params.profile] || PROFILES.balanced;
+    const weights = { ...this.defaultParams.weights, ...this.params.weights };
+
+    // Volume has no direction of its own; strong volume backs whatever the indicators say
+    const volumeSignal = technical.signals.volumeSignal;
+    const volumeConfirms = ['STRONG_SIGNAL', 'CONFIRMATION'].includes(volumeSignal?.signal);
+
+    const inputs = [
+      { signal: technical.overall.signal, strength: technical.overall.confidence, weight: weights.technical },
+      {
+        signal: volumeConfirms ? technical.overall.signal : 'HOLD',
+        strength: volumeSignal?.strength || 0,
+        weight: weights.volume
+      },
+      // Disabled analyses drop out and their weight is shared among the rest
+      sentiment && { ...sentiment.overall.signal, weight: weights.sentiment },
+      machineLearning && { ...machineLearning.signal, weight: weights.machineLearning }
+    ].filter(input => input && input.weight > 0);
+
+    const totalWeight = inputs.reduce((sum, input) => sum + input.weight, 0) || 1;
+    const score = signal => inputs
+      .filter(input => input.signal === signal)
+      .reduce((sum, input) => sum + (input.strength * input.weight / totalWeight), 0);
+
+    const buyScore = score('BUY');
+    const sellScore = score('SELL');
+    const holdScore = score('HOLD');
+
+    let finalSignal = 'HOLD';
+    let confidence = 0.5;
+    let orderType = 'MARKET';
+    let stopLoss = null;
+    let takeProfit = null;
+
+    if (buyScore > sellScore && buyScore > holdScore && buyScore > profile.minScore) {
+      finalSignal = 'BUY';
+      confidence = Math.min(buyScore, 0.95);
+      orderType = confidence > profile.marketOrderConfidence ? 'MARKET' : 'LIMIT';
+    } else if (sellScore > buyScore && sellScore > holdScore && sellScore > profile.minScore) {
+      finalSignal = 'SELL';
+      confidence = Math.min(sellScore, 0.95);
+      orderType = confidence > profile.marketOrderConfidence ? 'MARKET' : 'LIMIT';
+    } else {
+      confidence = Math.max(holdScore, 0.3);
+    }
+
+    // Calculate stop loss and take profit based on volatility and confidence
+    if (finalSignal !== 'HOLD' && machineLearning?.volatility) {
+      const volatilityMultiplier = machineLearning.volatility === 'HIGH' ? 1.5 : machineLearning.volatility === 'LOW' ? 0.7 : 1.0;
+      stopLoss = confidence > 0.8 ? 0.02 * volatilityMultiplier : 0.015 * volatilityMultiplier;
+      takeProfit = confidence > 0.8 ? 0.04 * volatilityMultiplier : 0.03 * volatilityMultiplier;
+    }
+
+    return {
+      signal: finalSignal,
+      confidence,
+      orderType,
+      stopLoss,
+      takeProfit,
+      reasoning: {
+        technicalScore: technical.overall.confidence,
+        sentimentScore: sentiment?.overall.confidence ?? null,
+        mlScore: machineLearning?.confidence ?? null,
+        profile: this.params.profile,
+        finalScores: { buy: buyScore, sell: sellScore, hold: holdScore }
+      }
+    };
+  }
+}
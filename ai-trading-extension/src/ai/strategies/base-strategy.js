@@ -0,0 +1,48 @@
+// Base Strategy
+// Common interface for the trading strategy plugins run by the AI decision engine
+// A strategy declares the inputs it needs, sees every new bar through onBar and answers onSignal with a decision
+
+export class BaseStrategy {
+  // requirements.timeframes: analysis timeframes the strategy runs on (null = any)
+  // requirements.indicators: technical indicators it reads from context.technical.indicators
+  // requirements.sentiment / machineLearning: whether those analyses have to run for it
+  constructor(strategyName, { label = strategyName, requirements = {}, defaultParams = {} } = {}) {
+    this.strategyName = strategyName;
+    this.label = label;
+    this.requirements = {
+      timeframes: null,
+      indicators: [],
+      sentiment: false,
+      machineLearning: false,
+      ...requirements
+    };
+    this.defaultParams = defaultParams;
+    this.params = { ...defaultParams };
+  }
+
+  configure(params = {}) {
+    this.params = { ...this.defaultParams, ...params };
+  }
+
+  // Parameters taken from the global aiSettings; an instance's own params override them
+  getSettingsParams(aiSettings) {
+    return {};
+  }
+
+  runsOn(timeframe) {
+    return !this.requirements.timeframes || this.requirements.timeframes.includes(timeframe);
+  }
+
+  // Called once per new bar of a symbol and timeframe, before onSignal
+  // context: { symbol, timeframe, bar, marketData, technical, sentiment, machineLearning, getCandles }
+  // getCandles(timeframe) resolves to that timeframe's candles, or null where the caller can't provide them
+  onBar(context) {
+    // Stateless strategies have nothing to update
+  }
+
+  // Returns { signal: 'BUY' | 'SELL' | 'HOLD', confidence, orderType?, stopLoss?, takeProfit?, reasoning? },
+  // or null to stay out
+  onSignal(context) {
+    throw new Error('onSignal() method must be implemented');
+  }
+}
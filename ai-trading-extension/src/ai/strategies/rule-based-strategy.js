@@ -0,0 +1,58 @@
+// Rule-Based Strategy
+// Runs trader-written rules from the rule language (see rule-engine.js) instead of JavaScript
+// params.rules holds rule text or rule objects; the first rule whose condition holds decides
+
+import { BaseStrategy } from './base-strategy.js';
+import { RuleEngine } from './rule-engine.js';
+import { Logger } from '../../utils/logger.js';
+
+export class RuleBasedStrategy extends BaseStrategy {
+  constructor(options = {}) {
+    super('rule_based', {
+      label: 'Rules',
+      defaultParams: {
+        rules: []
+      }
+    });
+
+    this.logger = new Logger('RuleBasedStrategy');
+    // Shares the decision engine's indicators when the registry passes them in
+    this.ruleEngine = new RuleEngine(options.technicalAnalysis);
+    this.compiled = [];
+  }
+
+  // Rules that don't compile are logged and left out rather than disabling the whole strategy
+  configure(params = {}) {
+    super.configure(params);
+
+    this.compiled = [];
+    for (const rule of this.params.rules || []) {
+      try {
+        this.compiled.push(this.ruleEngine.compile(rule));
+      } catch (error) {
+        this.logger.warn(`Skipping rule "${typeof rule === 'string' ? rule : rule?.name}": ${error.message}`);
+      }
+    }
+  }
+
+  async onSignal({ timeframe, getCandles }) {
+    for (const rule of this.compiled) {
+      const result = await this.ruleEngine.evaluate(rule, { timeframe, getCandles });
+      if (!result) continue;
+
+      return {
+        signal: result.action,
+        confidence: result.confidence,
+        orderType: 'MARKET',
+        stopLoss: result.stopLoss,
+        takeProfit: result.takeProfit,
+        reasoning: {
+          rule: rule.name,
+          timeframes: rule.timeframes.map(used => used || timeframe)
+        }
+      };
+    }
+
+    return null;
+  }
+}
@@ -0,0 +1,587 @@
+// Rule Engine
+// Parses and evaluates the trading rule language without eval: text is tokenized, parsed into a tree,
+// type-checked against a whitelist of series and evaluated with TechnicalAnalysis
+//
+//   RSI(14) < 30 AND close > SMA(200) on 1h -> BUY with ATR(14) * 2 stop
+//   EMA(12) CROSSES ABOVE EMA(26) AND MACD.histogram@4h > 0 -> BUY stop ATR(14) * 1.5 target ATR(14) * 3
+//
+// Series: close, open, high, low, volume and the indicator functions in SERIES, optionally with a field
+// (MACD(12,26,9).signal), a timeframe (SMA(50)@4h) and a bars-ago offset (close[1])
+
+import { TechnicalAnalysis } from '../technical-analysis.js';
+
+const MAX_RULE_LENGTH = 500;
+const MAX_DEPTH = 32;
+const MAX_PERIOD = 1000;
+const MAX_OFFSET = 100;
+const DEFAULT_CONFIDENCE = 0.7;
+
+const COMPARATORS = ['<', '<=', '>', '>=', '==', '!='];
+const KEYWORDS = [
+  'AND', 'OR', 'NOT', 'CROSSES', 'ABOVE', 'BELOW', 'ON', 'THEN', 'WITH',
+  'STOP', 'TARGET', 'CONFIDENCE', 'BUY', 'SELL'
+];
+
+// Whitelisted series: default arguments, optional fields and how they map onto TechnicalAnalysis
+const SERIES = {
+  CLOSE: { defaults: [], compute: (ta, bars) => bars.closes },
+  OPEN: { defaults: [], compute: (ta, bars) => bars.opens },
+  HIGH: { defaults: [], compute: (ta, bars) => bars.highs },
+  LOW: { defaults: [], compute: (ta, bars) => bars.lows },
+  VOLUME: { defaults: [], compute: (ta, bars) => bars.volumes },
+  SMA: { defaults: [20], compute: (ta, bars, [period]) => ta.calculateSMA(bars.closes, period) },
+  EMA: { defaults: [20], compute: (ta, bars, [period]) => ta.calculateEMA(bars.closes, period) },
+  RSI: { defaults: [14], compute: (ta, bars, [period]) => ta.calculateRSI(bars.closes, period) },
+  ATR: { defaults: [14], compute: (ta, bars, [period]) => ta.calculateATR(bars.highs, bars.lows, bars.closes, period) },
+  VOLATILITY: { defaults: [20], compute: (ta, bars, [period]) => ta.calculateRealizedVolatility(bars.closes, period) },
+  WILLR: { defaults: [14], compute: (ta, bars, [period]) => ta.calculateWilliamsR(bars.highs, bars.lows, bars.closes, period) },
+  CCI: { defaults: [20], compute: (ta, bars, [period]) => ta.calculateCCI(bars.highs, bars.lows, bars.closes, period) },
+  MFI: { defaults: [14], compute: (ta, bars, [period]) => ta.calculateMFI(bars.highs, bars.lows, bars.closes, bars.volumes, period) },
+  OBV: { defaults: [], compute: (ta, bars) => ta.calculateOBV(bars.closes, bars.volumes) },
+  VWAP: {
+    defaults: [],
+    compute: (ta, bars) => ta.calculateSessionVWAP(bars.times, bars.highs, bars.lows, bars.closes, bars.volumes)
+  },
+  MACD: {
+    defaults: [12, 26, 9],
+    fields: { LINE: 'macdLine', SIGNAL: 'signalLine', HISTOGRAM: 'histogram' },
+    defaultField: 'LINE',
+    compute: (ta, bars, [fast, slow, signal]) => ta.calculateMACD(bars.closes, fast, slow, signal)
+  },
+  BB: {
+    defaults: [20, 2],
+    fields: { UPPER: 'upper', MIDDLE: 'middle', LOWER: 'lower', WIDTH: 'bandwidth' },
+    defaultField: 'MIDDLE',
+    compute: (ta, bars, [period, deviations]) => ta.calculateBollingerBands(bars.closes, period, deviations)
+  },
+  STOCH: {
+    defaults: [14, 3],
+    fields: { K: '%k', D: '%d' },
+    defaultField: 'K',
+    compute: (ta, bars, [kPeriod, dPeriod]) => ta.calculateStochastic(bars.highs, bars.lows, bars.closes, kPeriod, dPeriod)
+  },
+  ADX: {
+    defaults: [14],
+    fields: { ADX: 'adx', PLUS: 'plusDI', MINUS: 'minusDI' },
+    defaultField: 'ADX',
+    compute: (ta, bars, [period]) => ta.calculateADX(bars.highs, bars.lows, bars.closes, period)
+  },
+  ICHIMOKU: {
+    defaults: [9, 26, 52],
+    fields: { CONVERSION: 'conversion', BASE: 'base', SPAN_A: 'spanA', SPAN_B: 'spanB' },
+    defaultField: 'BASE',
+    compute: (ta, bars, [conversion, base, spanB]) => ta.calculateIchimoku(bars.highs, bars.lows, bars.closes, conversion, base, spanB)
+  },
+  KC: {
+    defaults: [20, 10, 2],
+    fields: { UPPER: 'upper', MIDDLE: 'middle', LOWER: 'lower' },
+    defaultField: 'MIDDLE',
+    compute: (ta, bars, [period, atrPeriod, multiplier]) =>
+      ta.calculateKeltnerChannels(bars.highs, bars.lows, bars.closes, period, atrPeriod, multiplier)
+  },
+  DC: {
+    defaults: [20],
+    fields: { UPPER: 'upper', MIDDLE: 'middle', LOWER: 'lower' },
+    defaultField: 'MIDDLE',
+    compute: (ta, bars, [period]) => ta.calculateDonchianChannels(bars.highs, bars.lows, period)
+  },
+  PSAR: {
+    defaults: [],
+    fields: { VALUE: 'sar', TREND: 'trend' },
+    defaultField: 'VALUE',
+    compute: (ta, bars) => ta.calculateParabolicSAR(bars.highs, bars.lows)
+  },
+  SUPERTREND: {
+    defaults: [10, 3],
+    fields: { VALUE: 'value', TREND: 'trend' },
+    defaultField: 'VALUE',
+    compute: (ta, bars, [period, multiplier]) => ta.calculateSuperTrend(bars.highs, bars.lows, bars.closes, period, multiplier)
+  }
+};
+
+export class RuleEngine {
+  constructor(technicalAnalysis = new TechnicalAnalysis()) {
+    this.technicalAnalysis = technicalAnalysis;
+  }
+
+  // Compiling
+  // Accepts the one-line text form or { name, when, action, stop?, target?, confidence?, timeframe? }
+  // Throws with the position of the problem when the rule doesn't parse or type-check
+  compile(rule) {
+    const compiled = typeof rule === 'string' ? this.compileText(rule) : this.compileObject(rule);
+    compiled.timeframes = [...new Set(collectTimeframes(compiled, compiled.timeframe))];
+    return compiled;
+  }
+
+  compileText(text) {
+    const parser = new Parser(tokenize(text));
+    const condition = parser.parseExpression();
+    let timeframe = null;
+
+    if (parser.accept('keyword', 'ON')) {
+      timeframe = parser.expect('timeframe').value;
+    }
+    if (!parser.accept('arrow') && !parser.accept('keyword', 'THEN')) {
+      parser.fail('Expected -> or THEN before the action');
+    }
+
+    const action = parser.expect('keyword', ['BUY', 'SELL']).value;
+    const rule = { name: text.trim(), source: text.trim(), action, timeframe, stop: null, target: null, confidence: DEFAULT_CONFIDENCE };
+
+    // "with ATR(14) * 2 stop", "stop ATR(14) * 2", "confidence 0.8", separated by optional AND / commas
+    while (!parser.done()) {
+      if (parser.accept('keyword', 'WITH') || parser.accept('keyword', 'AND') || parser.accept('comma')) continue;
+
+      if (parser.accept('keyword', 'CONFIDENCE')) {
+        rule.confidence = parser.expect('number').value;
+        continue;
+      }
+
+      const leading = parser.accept('keyword', ['STOP', 'TARGET']);
+      const expression = parser.parseExpression();
+      const kind = leading ? leading.value : parser.expect('keyword', ['STOP', 'TARGET']).value;
+      rule[kind === 'STOP' ? 'stop' : 'target'] = expression;
+    }
+
+    rule.condition = condition;
+    return this.check(rule);
+  }
+
+  compileObject(rule) {
+    if (!rule || typeof rule.when !== 'string') {
+      throw new Error('Rule objects need a "when" condition');
+    }
+
+    const parseExpression = text => {
+      const parser = new Parser(tokenize(String(text)));
+      const expression = parser.parseExpression();
+      if (!parser.done()) parser.fail('Unexpected input');
+      return expression;
+    };
+
+    return this.check({
+      name: rule.name || rule.when,
+      source: rule.when,
+      action: String(rule.action || '').toUpperCase(),
+      timeframe: rule.timeframe || null,
+      condition: parseExpression(rule.when),
+      stop: rule.stop !== undefined && rule.stop !== null ? parseExpression(rule.stop) : null,
+      target: rule.target !== undefined && rule.target !== null ? parseExpression(rule.target) : null,
+      confidence: rule.confidence ?? DEFAULT_CONFIDENCE
+    });
+  }
+
+  check(rule) {
+    if (!['BUY', 'SELL'].includes(rule.action)) {
+      throw new Error(`Rule action must be BUY or SELL, got ${rule.action || 'nothing'}`);
+    }
+    if (typeOf(rule.condition) !== 'boolean') {
+      throw new Error('Rule condition must be a comparison, crossover or boolean combination of them');
+    }
+    for (const key of ['stop', 'target']) {
+      if (rule[key] && typeOf(rule[key]) !== 'number') {
+        throw new Error(`Rule ${key} must be a price distance such as ATR(14) * 2`);
+      }
+    }
+    if (!(rule.confidence > 0 && rule.confidence <= 1)) {
+      throw new Error('Rule confidence must be between 0 and 1');
+    }
+    return rule;
+  }
+
+  // Compiles every rule, collecting errors instead of throwing; used to validate the popup editor
+  validate(rules = []) {
+    return rules.map((rule, index) => {
+      try {
+        const compiled = this.compile(rule);
+        return { index, valid: true, timeframes: compiled.timeframes };
+      } catch (error) {
+        return { index, valid: false, error: error.message };
+      }
+    });
+  }
+
+  // Evaluation
+  // getCandles(timeframe) resolves to candles for that timeframe (oldest first) or null when unavailable
+  // Returns null when the condition doesn't hold or data is missing
+  async evaluate(rule, { timeframe, getCandles }) {
+    const defaultTimeframe = rule.timeframe || timeframe;
+    const bars = new Map();
+
+    // The default timeframe is always loaded: stop and target distances are priced off its close
+    const needed = new Set([defaultTimeframe, ...rule.timeframes.map(used => used || defaultTimeframe)]);
+    for (const resolved of needed) {
+      const candles = await getCandles(resolved);
+      if (!candles || candles.length === 0) return null;
+      bars.set(resolved, toBars(candles));
+    }
+
+    const evaluator = new Evaluator(this.technicalAnalysis, bars, defaultTimeframe);
+    if (!evaluator.test(rule.condition)) return null;
+
+    const closes = bars.get(defaultTimeframe).closes;
+    const price = closes[closes.length - 1];
+    const distance = node => {
+      if (!node) return null;
+      const value = evaluator.value(node, 0);
+      return Number.isFinite(value) && value > 0 && price > 0 ? value / price : null;
+    };
+
+    return {
+      action: rule.action,
+      confidence: rule.confidence,
+      stopLoss: distance(rule.stop),
+      takeProfit: distance(rule.target),
+      price
+    };
+  }
+}
+
+// Tokenizer
+function tokenize(text) {
+  if (text.length > MAX_RULE_LENGTH) {
+    throw new Error(`Rules are limited to ${MAX_RULE_LENGTH} characters`);
+  }
+
+  const tokens = [];
+  const pattern = /\s*(?:(\d+[mhdw])(?![\w.])|(\d+(?:\.\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_]*)|(->|→|<=|>=|==|!=|<|>|\+|-|\*|\/|\(|\)|\[|\]|,|\.|@))/y;
+  let position = 0;
+
+  while (position < text.length) {
+    if (/^\s*$/.test(text.slice(position))) break;
+
+    pattern.lastIndex = position;
+    const match = pattern.exec(text);
+    if (!match) {
+      throw new Error(`Unexpected character "${text.slice(position).trim()[0]}" at ${position + 1}`);
+    }
+
+    const at = position + match[0].length - match[0].trimStart().length + 1;
+    position = pattern.lastIndex;
+
+    if (match[1]) {
+      tokens.push({ type: 'timeframe', value: match[1], at });
+    } else if (match[2]) {
+      tokens.push({ type: 'number', value: parseFloat(match[2]), at });
+    } else if (match[3]) {
+      const upper = match[3].toUpperCase();
+      tokens.push(KEYWORDS.includes(upper) ?
+        { type: 'keyword', value: upper, at } :
+        { type: 'identifier', value: upper, at });
+    } else {
+      const symbol = match[4];
+      const type = symbol === '->' || symbol === '→' ? 'arrow' :
+        symbol === ',' ? 'comma' :
+        COMPARATORS.includes(symbol) ? 'comparator' : 'symbol';
+      tokens.push({ type, value: symbol, at });
+    }
+  }
+
+  return tokens;
+}
+
+// Parser
+// Precedence, lowest first: OR, AND, NOT, comparison / CROSSES, + -, * /, unary minus, series and numbers
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+    this.depth = 0;
+  }
+
+  done() {
+    return this.index >= this.tokens.length;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  accept(type, values) {
+    const token = this.peek();
+    if (!token || token.type !== type) return null;
+    if (values !== undefined && ![].concat(values).includes(token.value)) return null;
+    this.index++;
+    return token;
+  }
+
+  expect(type, values) {
+    const token = this.accept(type, values);
+    if (!token) this.fail(`Expected ${values ? [].concat(values).join(' or ') : type}`);
+    return token;
+  }
+
+  fail(message) {
+    const token = this.peek();
+    throw new Error(token ? `${message} at ${token.at} ("${token.value}")` : `${message} at end of rule`);
+  }
+
+  nested(parse) {
+    if (++this.depth > MAX_DEPTH) this.fail('Rule is nested too deeply');
+    try {
+      return parse();
+    } finally {
+      this.depth--;
+    }
+  }
+
+  parseExpression() {
+    return this.nested(() => this.parseOr());
+  }
+
+  parseOr() {
+    const items = [this.parseAnd()];
+    while (this.accept('keyword', 'OR')) items.push(this.parseAnd());
+    return items.length === 1 ? items[0] : { type: 'or', items };
+  }
+
+  parseAnd() {
+    const items = [this.parseNot()];
+    // AND also separates the action clauses, so it only continues a condition before the arrow
+    while (this.peek()?.type === 'keyword' && this.peek().value === 'AND' && this.continuesCondition()) {
+      this.index++;
+      items.push(this.parseNot());
+    }
+    return items.length === 1 ? items[0] : { type: 'and', items };
+  }
+
+  // True when an arrow or THEN still lies ahead, or the rule has no action part at all
+  continuesCondition() {
+    const rest = this.tokens.slice(this.index);
+    const hasAction = this.tokens.some(token => token.type === 'arrow' || (token.type === 'keyword' && token.value === 'THEN'));
+    return !hasAction || rest.some(token => token.type === 'arrow' || (token.type === 'keyword' && token.value === 'THEN'));
+  }
+
+  parseNot() {
+    if (this.accept('keyword', 'NOT')) {
+      return { type: 'not', item: this.nested(() => this.parseNot()) };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseAdditive();
+
+    const comparator = this.accept('comparator');
+    if (comparator) {
+      return { type: 'compare', op: comparator.value, left, right: this.parseAdditive() };
+    }
+
+    if (this.accept('keyword', 'CROSSES')) {
+      const direction = this.expect('keyword', ['ABOVE', 'BELOW']).value;
+      return { type: 'cross', direction, left, right: this.parseAdditive() };
+    }
+
+    return left;
+  }
+
+  parseAdditive() {
+    let node = this.parseMultiplicative();
+    let operator;
+    while ((operator = this.accept('symbol', ['+', '-']))) {
+      node = { type: 'arithmetic', op: operator.value, left: node, right: this.parseMultiplicative() };
+    }
+    return node;
+  }
+
+  parseMultiplicative() {
+    let node = this.parseUnary();
+    let operator;
+    while ((operator = this.accept('symbol', ['*', '/']))) {
+      node = { type: 'arithmetic', op: operator.value, left: node, right: this.parseUnary() };
+    }
+    return node;
+  }
+
+  parseUnary() {
+    if (this.accept('symbol', '-')) {
+      return { type: 'negate', item: this.nested(() => this.parseUnary()) };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const number = this.accept('number');
+    if (number) return { type: 'number', value: number.value };
+
+    if (this.accept('symbol', '(')) {
+      const inner = this.parseExpression();
+      this.expect('symbol', ')');
+      return inner;
+    }
+
+    const identifier = this.accept('identifier');
+    if (!identifier) this.fail('Expected a number, series or (');
+    return this.parseSeries(identifier);
+  }
+
+  parseSeries(identifier) {
+    const definition = SERIES[identifier.value];
+    if (!definition) {
+      throw new Error(`Unknown series ${identifier.value} at ${identifier.at}`);
+    }
+
+    const args = [];
+    if (this.accept('symbol', '(')) {
+      if (!this.accept('symbol', ')')) {
+        do {
+          args.push(this.expect('number').value);
+        } while (this.accept('comma'));
+        this.expect('symbol', ')');
+      }
+    }
+    if (args.length > definition.defaults.length) {
+      throw new Error(`${identifier.value} takes at most ${definition.defaults.length} argument(s)`);
+    }
+    if (args.some(arg => arg <= 0 || arg > MAX_PERIOD)) {
+      throw new Error(`${identifier.value} arguments must be between 0 and ${MAX_PERIOD}`);
+    }
+
+    let field = definition.defaultField || null;
+    if (this.accept('symbol', '.')) {
+      const name = (this.accept('identifier') || this.accept('keyword'))?.value;
+      if (!definition.fields?.[name]) {
+        throw new Error(`${identifier.value} has no field ${name || ''}`.trim());
+      }
+      field = name;
+    }
+
+    const timeframe = this.accept('symbol', '@') ? this.expect('timeframe').value : null;
+
+    let offset = 0;
+    if (this.accept('symbol', '[')) {
+      offset = this.expect('number').value;
+      this.expect('symbol', ']');
+      if (!Number.isInteger(offset) || offset > MAX_OFFSET) {
+        throw new Error(`Bar offsets must be whole numbers up to ${MAX_OFFSET}`);
+      }
+    }
+
+    return {
+      type: 'series',
+      name: identifier.value,
+      args: definition.defaults.map((value, index) => args[index] ?? value),
+      field,
+      timeframe,
+      offset
+    };
+  }
+}
+
+// Evaluator
+class Evaluator {
+  constructor(technicalAnalysis, bars, defaultTimeframe) {
+    this.technicalAnalysis = technicalAnalysis;
+    this.bars = bars;
+    this.defaultTimeframe = defaultTimeframe;
+    this.cache = new Map();
+  }
+
+  test(node) {
+    switch (node.type) {
+      case 'and': return node.items.every(item => this.test(item));
+      case 'or': return node.items.some(item => this.test(item));
+      case 'not': return !this.test(node.item);
+      case 'compare': return compare(node.op, this.value(node.left, 0), this.value(node.right, 0));
+      case 'cross': {
+        const [now, before] = [0, 1].map(ago => this.value(node.left, ago) - this.value(node.right, ago));
+        if (!Number.isFinite(now) || !Number.isFinite(before)) return false;
+        return node.direction === 'ABOVE' ? before <= 0 && now > 0 : before >= 0 && now < 0;
+      }
+      default: return false;
+    }
+  }
+
+  // NaN when there isn't enough history, which makes every comparison false
+  value(node, ago) {
+    switch (node.type) {
+      case 'number': return node.value;
+      case 'negate': return -this.value(node.item, ago);
+      case 'arithmetic': {
+        const left = this.value(node.left, ago);
+        const right = this.value(node.right, ago);
+        if (node.op === '+') return left + right;
+        if (node.op === '-') return left - right;
+        if (node.op === '*') return left * right;
+        return right === 0 ? NaN : left / right;
+      }
+      case 'series': {
+        const series = this.getSeries(node);
+        const value = series[series.length - 1 - node.offset - ago];
+        return typeof value === 'number' ? value : NaN;
+      }
+      default: return NaN;
+    }
+  }
+
+  getSeries(node) {
+    const timeframe = node.timeframe || this.defaultTimeframe;
+    const key = `${timeframe}:${node.name}(${node.args.join(',')}).${node.field || ''}`;
+    if (this.cache.has(key)) return this.cache.get(key);
+
+    const definition = SERIES[node.name];
+    const raw = definition.compute(this.technicalAnalysis, this.bars.get(timeframe), node.args) || [];
+    const series = node.field ? raw.map(point => point?.[definition.fields[node.field]]) : raw;
+
+    this.cache.set(key, series);
+    return series;
+  }
+}
+
+function typeOf(node) {
+  switch (node.type) {
+    case 'number':
+    case 'series':
+      return 'number';
+    case 'negate':
+      return typeOf(node.item) === 'number' ? 'number' : 'invalid';
+    case 'arithmetic':
+      return typeOf(node.left) === 'number' && typeOf(node.right) === 'number' ? 'number' : 'invalid';
+    case 'compare':
+    case 'cross':
+      return typeOf(node.left) === 'number' && typeOf(node.right) === 'number' ? 'boolean' : 'invalid';
+    case 'not':
+      return typeOf(node.item) === 'boolean' ? 'boolean' : 'invalid';
+    case 'and':
+    case 'or':
+      return node.items.every(item => typeOf(item) === 'boolean') ? 'boolean' : 'invalid';
+    default:
+      return 'invalid';
+  }
+}
+
+function compare(op, left, right) {
+  if (!Number.isFinite(left) || !Number.isFinite(right)) return false;
+  switch (op) {
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case '==': return left === right;
+    default: return left !== right;
+  }
+}
+
+// Timeframes a rule reads; null stands for the rule's default timeframe
+function collectTimeframes(rule, defaultTimeframe) {
+  const found = [];
+  const visit = node => {
+    if (!node) return;
+    if (node.type === 'series') found.push(node.timeframe || defaultTimeframe);
+    [node.item, node.left, node.right, ...(node.items || [])].forEach(visit);
+  };
+  [rule.condition, rule.stop, rule.target].forEach(visit);
+  return found;
+}
+
+// Candle arrays in the shape the indicators take; close-only candles stand in for missing highs and lows
+function toBars(candles) {
+  return {
+    opens: candles.map(candle => candle.open ?? candle.close),
+    highs: candles.map(candle => candle.high ?? candle.close),
+    lows: candles.map(candle => candle.low ?? candle.close),
+    closes: candles.map(candle => candle.close),
+    volumes: candles.map(candle => candle.volume ?? 0),
+    times: candles.map(candle => candle.time ?? 0)
+  };
+}
@@ -0,0 +1,47 @@
+// Strategy Registry
+// Maps strategy names used in aiSettings.strategies to their plugin classes
+
+import { BalancedEnsembleStrategy } from './balanced-ensemble-strategy.js';
+import { TrendFollowingStrategy } from './trend-following-strategy.js';
+import { RuleBasedStrategy } from './rule-based-strategy.js';
+
+export class StrategyRegistry {
+  // options are handed to every strategy constructor, e.g. the decision engine's technicalAnalysis
+  constructor(options = {}) {
+    this.options = options;
+    this.strategies = new Map();
+
+    this.register('balanced_ensemble', BalancedEnsembleStrategy);
+    this.register('trend_following', TrendFollowingStrategy);
+    this.register('rule_based', RuleBasedStrategy);
+  }
+
+  // StrategyClass extends BaseStrategy and takes the registry options as its only constructor argument
+  register(name, StrategyClass) {
+    this.strategies.set(name, StrategyClass);
+  }
+
+  has(name) {
+    return this.strategies.has(name);
+  }
+
+  create(name) {
+    const StrategyClass = this.strategies.get(name);
+    if (!StrategyClass) {
+      throw new Error(`Unknown strategy: ${name}`);
+    }
+    return new StrategyClass(this.options);
+  }
+
+  list() {
+    return [...this.strategies.keys()].map(name => {
+      const strategy = this.create(name);
+      return {
+        name,
+        label: strategy.label,
+        requirements: strategy.requirements,
+        defaultParams: strategy.defaultParams
+      };
+    });
+  }
+}
@@ -0,0 +1,76 @@
+// Trend Following Strategy
+// Trades in the direction of the EMA trend once it has held for a few bars and MACD agrees
+// Needs no sentiment or ML input, so it is cheap to run on many symbols
+
+import { BaseStrategy } from './base-strategy.js';
+
+export class TrendFollowingStrategy extends BaseStrategy {
+  constructor() {
+    super('trend_following', {
+      label: 'Trend following',
+      requirements: {
+        timeframes: ['15m', '1h', '4h'],
+        indicators: ['ema12', 'ema26', 'sma50', 'macd', 'rsi']
+      },
+      defaultParams: {
+        minSpread: 0.002, // EMA12/EMA26 gap, as a fraction of price, that counts as a trend
+        minTrendBars: 3, // Bars the trend has to hold before entering
+        rsiCeiling: 70, // No longs above this RSI, no shorts below 100 minus it
+        stopLoss: 0.02,
+        takeProfit: 0.05
+      }
+    });
+
+    this.trendBars = new Map(); // symbol:timeframe -> { direction, bars }
+  }
+
+  getDirection({ ema12, ema26 }) {
+    if (!ema12 || !ema26) return 'NONE';
+    const spread = (ema12 - ema26) / ema26;
+    if (spread > this.params.minSpread) return 'UP';
+    if (spread < -this.params.minSpread) return 'DOWN';
+    return 'NONE';
+  }
+
+  onBar({ symbol, timeframe, technical }) {
+    const key = `${symbol}:${timeframe}`;
+    const direction = this.getDirection(technical.indicators);
+    const previous = this.trendBars.get(key);
+
+    this.trendBars.set(key, {
+      direction,
+      bars: previous?.direction === direction ? previous.bars + 1 : 1
+    });
+  }
+
+  onSignal({ symbol, timeframe, marketData, technical }) {
+    const { sma50, macd, rsi } = technical.indicators;
+    const trend = this.trendBars.get(`${symbol}:${timeframe}`);
+    if (!trend || trend.direction === 'NONE' || trend.bars < this.params.minTrendBars) return null;
+
+    const price = marketData.currentPrice;
+    const isUp = trend.direction === 'UP';
+    const macdAgrees = isUp ? macd?.histogram > 0 : macd?.histogram < 0;
+    const priceAgrees = !sma50 || (isUp ? price > sma50 : price < sma50);
+    const overextended = isUp ? rsi > this.params.rsiCeiling : rsi < 100 - this.params.rsiCeiling;
+    if (!macdAgrees || overextended) return null;
+
+    // Longer-held trends and price on the right side of the 50 SMA add conviction
+    const confidence = Math.min(0.6 + 0.05 * (trend.bars - this.params.minTrendBars) + (priceAgrees ? 0.1 : 0), 0.9);
+
+    return {
+      signal: isUp ? 'BUY' : 'SELL',
+      confidence,
+      orderType: 'MARKET',
+      stopLoss: this.params.stopLoss,
+      takeProfit: this.params.takeProfit,
+      reasoning: {
+        trend: trend.direction,
+        trendBars: trend.bars,
+        macdHistogram: macd.histogram,
+        rsi,
+        aboveSma50: price > sma50
+      }
+    };
+  }
+}
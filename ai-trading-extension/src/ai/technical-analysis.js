@@ -6,6 +6,18 @@ export class TechnicalAnalysis {
     this.cache = new Map();
   }
 
+  // Splits candles ({ time, open, high, low, close, volume }, oldest first) into the columns the indicators take
+  toSeries(candles) {
+    return {
+      opens: candles.map(candle => candle.open),
+      highs: candles.map(candle => candle.high),
+      lows: candles.map(candle => candle.low),
+      closes: candles.map(candle => candle.close),
+      volumes: candles.map(candle => candle.volume),
+      times: candles.map(candle => candle.time)
+    };
+  }
+
   // Simple Moving Average
   calculateSMA(prices, period) {
     if (prices.length < period) return [];
@@ -119,7 +131,7 @@ export class TechnicalAnalysis {
         upper: mean + (stdDev * stdDevMultiplier),
         lower: mean - (stdDev * stdDevMultiplier),
         bandwidth: (stdDev * stdDevMultiplier * 2) / mean,
-        %b: (prices[dataIndex] - (mean - stdDev * stdDevMultiplier)) / (stdDev * stdDevMultiplier * 2)
+        '%b': (prices[dataIndex] - (mean - stdDev * stdDevMultiplier)) / (stdDev * stdDevMultiplier * 2)
       });
     }
     
@@ -130,22 +142,25 @@ export class TechnicalAnalysis {
   calculateStochastic(highs, lows, closes, kPeriod = 14, dPeriod = 3) {
     if (highs.length < kPeriod) return [];
     
-    const %k = [];
+    const kValues = [];
     
     for (let i = kPeriod - 1; i < highs.length; i++) {
       const highestHigh = Math.max(...highs.slice(i - kPeriod + 1, i + 1));
       const lowestLow = Math.min(...lows.slice(i - kPeriod + 1, i + 1));
       const currentClose = closes[i];
+      const range = highestHigh - lowestLow;
       
-      const k = ((currentClose - lowestLow) / (highestHigh - lowestLow)) * 100;
-      %k.push(k);
+      // A flat window sits mid-range
+      const k = range > 0 ? ((currentClose - lowestLow) / range) * 100 : 50;
+      kValues.push(k);
     }
     
-    const %d = this.calculateSMA(%k, dPeriod);
+    // %d is the SMA of %k, so it starts dPeriod - 1 values later
+    const dValues = this.calculateSMA(kValues, dPeriod);
     
-    return %k.map((k, i) => ({
-      %k: k,
-      %d: %d[i] || 0
+    return kValues.map((k, i) => ({
+      '%k': k,
+      '%d': i >= dPeriod - 1 ? dValues[i - dPeriod + 1] : null
     }));
   }
 
@@ -166,6 +181,26 @@ export class TechnicalAnalysis {
     return this.calculateEMA(trueRanges, period);
   }
 
+  // Realized volatility: rolling standard deviation of log returns, per bar
+  calculateRealizedVolatility(prices, period = 20) {
+    if (prices.length <= period) return [];
+
+    const returns = [];
+    for (let i = 1; i < prices.length; i++) {
+      returns.push(Math.log(prices[i] / prices[i - 1]));
+    }
+
+    const volatility = [];
+    for (let i = period - 1; i < returns.length; i++) {
+      const subset = returns.slice(i - period + 1, i + 1);
+      const mean = subset.reduce((sum, value) => sum + value, 0) / period;
+      const variance = subset.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (period - 1);
+      volatility.push(Math.sqrt(variance));
+    }
+
+    return volatility;
+  }
+
   // Williams %R
   calculateWilliamsR(highs, lows, closes, period = 14) {
     if (highs.length < period) return [];
@@ -176,8 +211,9 @@ export class TechnicalAnalysis {
       const highestHigh = Math.max(...highs.slice(i - period + 1, i + 1));
       const lowestLow = Math.min(...lows.slice(i - period + 1, i + 1));
       const currentClose = closes[i];
+      const range = highestHigh - lowestLow;
       
-      const wr = ((highestHigh - currentClose) / (highestHigh - lowestLow)) * -100;
+      const wr = range > 0 ? ((highestHigh - currentClose) / range) * -100 : -50;
       williamsR.push(wr);
     }
     
@@ -200,43 +236,302 @@ export class TechnicalAnalysis {
       // Calculate mean deviation
       const meanDev = subset.reduce((sum, tp) => sum + Math.abs(tp - smaTP[i]), 0) / period;
       
-      const cciValue = (typicalPrices[dataIndex] - smaTP[i]) / (0.015 * meanDev);
+      const cciValue = meanDev > 0 ? (typicalPrices[dataIndex] - smaTP[i]) / (0.015 * meanDev) : 0;
       cci.push(cciValue);
     }
     
     return cci;
   }
 
-  // Support and Resistance Levels
-  findSupportResistance(prices, window = 20, threshold = 0.02) {
-    if (prices.length < window * 2) {
-      return { support: Math.min(...prices), resistance: Math.max(...prices) };
+  // Wilder's smoothing (RMA), seeded with the SMA of the first period values
+  calculateWilderMA(values, period) {
+    if (values.length < period) return [];
+
+    const rma = [values.slice(0, period).reduce((sum, value) => sum + value, 0) / period];
+    for (let i = period; i < values.length; i++) {
+      rma.push((rma[rma.length - 1] * (period - 1) + values[i]) / period);
     }
-    
-    const localMaxima = [];
-    const localMinima = [];
-    
-    // Find local maxima and minima
-    for (let i = window; i < prices.length - window; i++) {
-      const subset = prices.slice(i - window, i + window + 1);
-      const max = Math.max(...subset);
-      const min = Math.min(...subset);
-      
-      if (prices[i] === max) {
-        localMaxima.push({ price: prices[i], index: i });
+    return rma;
+  }
+
+  trueRanges(highs, lows, closes) {
+    const ranges = [];
+    for (let i = 1; i < highs.length; i++) {
+      ranges.push(Math.max(
+        highs[i] - lows[i],
+        Math.abs(highs[i] - closes[i - 1]),
+        Math.abs(lows[i] - closes[i - 1])
+      ));
+    }
+    return ranges;
+  }
+
+  // Average Directional Index with the Directional Movement Index, Wilder smoothed
+  // The first value needs 2 * period bars
+  calculateADX(highs, lows, closes, period = 14) {
+    if (highs.length < period * 2) return [];
+
+    const plusDM = [];
+    const minusDM = [];
+    for (let i = 1; i < highs.length; i++) {
+      const up = highs[i] - highs[i - 1];
+      const down = lows[i - 1] - lows[i];
+      plusDM.push(up > down && up > 0 ? up : 0);
+      minusDM.push(down > up && down > 0 ? down : 0);
+    }
+
+    // Wilder's running sums; the ratios are the same as with averages
+    const smoothedTR = this.calculateWilderMA(this.trueRanges(highs, lows, closes), period);
+    const smoothedPlus = this.calculateWilderMA(plusDM, period);
+    const smoothedMinus = this.calculateWilderMA(minusDM, period);
+
+    const directional = smoothedTR.map((tr, i) => {
+      const plusDI = tr > 0 ? (smoothedPlus[i] / tr) * 100 : 0;
+      const minusDI = tr > 0 ? (smoothedMinus[i] / tr) * 100 : 0;
+      const sum = plusDI + minusDI;
+      return { plusDI, minusDI, dx: sum > 0 ? (Math.abs(plusDI - minusDI) / sum) * 100 : 0 };
+    });
+
+    const adx = this.calculateWilderMA(directional.map(point => point.dx), period);
+    return adx.map((value, i) => {
+      const { plusDI, minusDI } = directional[i + period - 1];
+      return { adx: value, plusDI, minusDI };
+    });
+  }
+
+  // Ichimoku Cloud
+  // spanA and spanB are the cloud under the current bar (plotted displacement bars ahead when computed);
+  // leadingSpanA and leadingSpanB are the cloud being drawn now for displacement bars ahead
+  calculateIchimoku(highs, lows, closes, conversionPeriod = 9, basePeriod = 26, spanBPeriod = 52, displacement = 26) {
+    const midpoint = (i, period) => i < period - 1 ? null :
+      (Math.max(...highs.slice(i - period + 1, i + 1)) + Math.min(...lows.slice(i - period + 1, i + 1))) / 2;
+
+    const leading = highs.map((high, i) => {
+      const conversion = midpoint(i, conversionPeriod);
+      const base = midpoint(i, basePeriod);
+      return {
+        conversion,
+        base,
+        spanA: conversion !== null && base !== null ? (conversion + base) / 2 : null,
+        spanB: midpoint(i, spanBPeriod)
+      };
+    });
+
+    const start = spanBPeriod - 1 + displacement;
+    const ichimoku = [];
+    for (let i = start; i < highs.length; i++) {
+      ichimoku.push({
+        conversion: leading[i].conversion,
+        base: leading[i].base,
+        spanA: leading[i - displacement].spanA,
+        spanB: leading[i - displacement].spanB,
+        leadingSpanA: leading[i].spanA,
+        leadingSpanB: leading[i].spanB,
+        // The lagging span plots this close displacement bars back; compared against that bar's close
+        laggingSpan: closes[i],
+        laggingReference: closes[i - displacement]
+      });
+    }
+    return ichimoku;
+  }
+
+  // Anchored VWAP: volume-weighted typical price from the anchor bar on
+  calculateVWAP(highs, lows, closes, volumes, anchorIndex = 0) {
+    const vwap = [];
+    let priceVolume = 0;
+    let volume = 0;
+
+    for (let i = Math.max(0, anchorIndex); i < closes.length; i++) {
+      priceVolume += ((highs[i] + lows[i] + closes[i]) / 3) * volumes[i];
+      volume += volumes[i];
+      vwap.push(volume > 0 ? priceVolume / volume : closes[i]);
+    }
+    return vwap;
+  }
+
+  // Session VWAP: restarts whenever a bar opens in a new session (UTC days by default)
+  calculateSessionVWAP(times, highs, lows, closes, volumes, sessionMs = 24 * 60 * 60 * 1000) {
+    const vwap = [];
+    let session = null;
+    let priceVolume = 0;
+    let volume = 0;
+
+    for (let i = 0; i < closes.length; i++) {
+      const current = Math.floor(times[i] / sessionMs);
+      if (current !== session) {
+        session = current;
+        priceVolume = 0;
+        volume = 0;
       }
-      if (prices[i] === min) {
-        localMinima.push({ price: prices[i], index: i });
+      priceVolume += ((highs[i] + lows[i] + closes[i]) / 3) * volumes[i];
+      volume += volumes[i];
+      vwap.push(volume > 0 ? priceVolume / volume : closes[i]);
+    }
+    return vwap;
+  }
+
+  // On-Balance Volume, starting from 0 at the first bar
+  calculateOBV(closes, volumes) {
+    if (closes.length === 0) return [];
+
+    const obv = [0];
+    for (let i = 1; i < closes.length; i++) {
+      const direction = Math.sign(closes[i] - closes[i - 1]);
+      obv.push(obv[i - 1] + direction * volumes[i]);
+    }
+    return obv;
+  }
+
+  // Money Flow Index
+  calculateMFI(highs, lows, closes, volumes, period = 14) {
+    if (closes.length <= period) return [];
+
+    const typical = closes.map((close, i) => (highs[i] + lows[i] + close) / 3);
+    const positive = [];
+    const negative = [];
+    for (let i = 1; i < typical.length; i++) {
+      const flow = typical[i] * volumes[i];
+      positive.push(typical[i] > typical[i - 1] ? flow : 0);
+      negative.push(typical[i] < typical[i - 1] ? flow : 0);
+    }
+
+    const mfi = [];
+    for (let i = period - 1; i < positive.length; i++) {
+      const up = positive.slice(i - period + 1, i + 1).reduce((sum, flow) => sum + flow, 0);
+      const down = negative.slice(i - period + 1, i + 1).reduce((sum, flow) => sum + flow, 0);
+      mfi.push(down === 0 ? (up === 0 ? 50 : 100) : 100 - 100 / (1 + up / down));
+    }
+    return mfi;
+  }
+
+  // Keltner Channels: EMA of closes plus and minus a multiple of the Wilder ATR
+  // The EMA is seeded with the SMA of the first period closes, so the first value needs max(period, atrPeriod + 1) bars
+  calculateKeltnerChannels(highs, lows, closes, period = 20, atrPeriod = 10, multiplier = 2) {
+    const start = Math.max(period - 1, atrPeriod);
+    if (closes.length <= start) return [];
+
+    const smoothing = 2 / (period + 1);
+    const ema = this.calculateSMA(closes.slice(0, period), period);
+    for (let i = period; i < closes.length; i++) {
+      ema.push(closes[i] * smoothing + ema[ema.length - 1] * (1 - smoothing));
+    }
+    const atr = this.calculateWilderMA(this.trueRanges(highs, lows, closes), atrPeriod);
+
+    const channels = [];
+    for (let i = start; i < closes.length; i++) {
+      const middle = ema[i - period + 1];
+      const range = atr[i - atrPeriod];
+      channels.push({ middle, upper: middle + range * multiplier, lower: middle - range * multiplier });
+    }
+    return channels;
+  }
+
+  // Donchian Channels: highest high and lowest low of the last period bars
+  calculateDonchianChannels(highs, lows, period = 20) {
+    if (highs.length < period) return [];
+
+    const channels = [];
+    for (let i = period - 1; i < highs.length; i++) {
+      const upper = Math.max(...highs.slice(i - period + 1, i + 1));
+      const lower = Math.min(...lows.slice(i - period + 1, i + 1));
+      channels.push({ upper, lower, middle: (upper + lower) / 2 });
+    }
+    return channels;
+  }
+
+  // Parabolic SAR from the second bar on; trend is 1 while the stop sits below price, -1 above
+  calculateParabolicSAR(highs, lows, step = 0.02, maxStep = 0.2) {
+    if (highs.length < 2) return [];
+
+    let trend = highs[1] + lows[1] >= highs[0] + lows[0] ? 1 : -1;
+    let sar = trend === 1 ? lows[0] : highs[0];
+    let extreme = trend === 1 ? highs[1] : lows[1];
+    let factor = step;
+    const points = [{ sar, trend }];
+
+    for (let i = 2; i < highs.length; i++) {
+      sar += factor * (extreme - sar);
+
+      // The first bar only seeds the stop, so the third bar is held to the second bar's range alone
+      const before = Math.max(i - 2, 1);
+
+      if (trend === 1) {
+        // The stop never rises into the last two bars' range
+        sar = Math.min(sar, lows[i - 1], lows[before]);
+        if (lows[i] <= sar) {
+          // Reverses to the extreme, kept above the reversal bar and the one before it
+          trend = -1;
+          sar = Math.max(extreme, highs[i], highs[i - 1]);
+          extreme = lows[i];
+          factor = step;
+        } else if (highs[i] > extreme) {
+          extreme = highs[i];
+          factor = Math.min(factor + step, maxStep);
+        }
+      } else {
+        sar = Math.max(sar, highs[i - 1], highs[before]);
+        if (highs[i] >= sar) {
+          trend = 1;
+          sar = Math.min(extreme, lows[i], lows[i - 1]);
+          extreme = highs[i];
+          factor = step;
+        } else if (lows[i] < extreme) {
+          extreme = lows[i];
+          factor = Math.min(factor + step, maxStep);
+        }
       }
+
+      points.push({ sar, trend });
+    }
+    return points;
+  }
+
+  // SuperTrend on a Wilder ATR; trend is 1 while price holds above the lower band, -1 below the upper
+  calculateSuperTrend(highs, lows, closes, period = 10, multiplier = 3) {
+    const atr = this.calculateWilderMA(this.trueRanges(highs, lows, closes), period);
+    const points = [];
+    let upper = null;
+    let lower = null;
+    let trend = 1;
+
+    for (let j = 0; j < atr.length; j++) {
+      const i = j + period; // atr[0] covers bars 1..period
+      const median = (highs[i] + lows[i]) / 2;
+      const basicUpper = median + multiplier * atr[j];
+      const basicLower = median - multiplier * atr[j];
+      const previousClose = closes[i - 1];
+
+      // Bands only tighten while price stays inside them
+      upper = upper === null || basicUpper < upper || previousClose > upper ? basicUpper : upper;
+      lower = lower === null || basicLower > lower || previousClose < lower ? basicLower : lower;
+
+      if (trend === 1 && closes[i] < lower) trend = -1;
+      else if (trend === -1 && closes[i] > upper) trend = 1;
+
+      points.push({ value: trend === 1 ? lower : upper, trend, upper, lower });
     }
+    return points;
+  }
+
+  // Support and Resistance Levels
+  // Resistance clusters the swing highs and support the swing lows
+  findSupportResistance(candles, window = 20, threshold = 0.02) {
+    const { highs, lows } = this.toSeries(candles);
+    if (candles.length < window * 2) {
+      return { support: Math.min(...lows), resistance: Math.max(...highs) };
+    }
+    
+    // Find local maxima and minima
+    const localMaxima = this.findPeaks(highs, window);
+    const localMinima = this.findTroughs(lows, window);
     
     // Cluster similar levels
     const resistanceLevels = this.clusterLevels(localMaxima, threshold);
     const supportLevels = this.clusterLevels(localMinima, threshold);
     
     return {
-      support: supportLevels.length > 0 ? supportLevels[0].price : Math.min(...prices),
-      resistance: resistanceLevels.length > 0 ? resistanceLevels[0].price : Math.max(...prices),
+      support: supportLevels.length > 0 ? supportLevels[0].price : Math.min(...lows),
+      resistance: resistanceLevels.length > 0 ? resistanceLevels[0].price : Math.max(...highs),
       supportLevels,
       resistanceLevels
     };
@@ -360,12 +655,12 @@ export class TechnicalAnalysis {
   }
 
   // Fibonacci Retracements
-  calculateFibonacci(prices, lookback = 50) {
-    if (prices.length < lookback) return {};
+  calculateFibonacci(candles, lookback = 50) {
+    if (candles.length < lookback) return {};
     
-    const recentPrices = prices.slice(-lookback);
-    const high = Math.max(...recentPrices);
-    const low = Math.min(...recentPrices);
+    const recent = candles.slice(-lookback);
+    const high = Math.max(...recent.map(candle => candle.high));
+    const low = Math.min(...recent.map(candle => candle.low));
     const range = high - low;
     
     const fibLevels = [0, 0.236, 0.382, 0.5, 0.618, 0.786, 1];
@@ -388,30 +683,32 @@ export class TechnicalAnalysis {
   }
 
   // Chart Pattern Detection
-  detectPatterns(prices, window = 20) {
-    if (prices.length < window * 3) return [];
+  // Tops are found on the candle highs and bottoms on the lows
+  detectPatterns(candles, window = 20) {
+    if (candles.length < window * 3) return [];
     
+    const { highs, lows } = this.toSeries(candles);
     const patterns = [];
     
     // Double Top/Bottom
-    const doublePatterns = this.detectDoubleTopBottom(prices, window);
+    const doublePatterns = this.detectDoubleTopBottom(highs, lows, window);
     patterns.push(...doublePatterns);
     
     // Head and Shoulders
-    const headShoulderPatterns = this.detectHeadAndShoulders(prices, window);
+    const headShoulderPatterns = this.detectHeadAndShoulders(highs, lows, window);
     patterns.push(...headShoulderPatterns);
     
     // Triangles
-    const trianglePatterns = this.detectTriangles(prices, window);
+    const trianglePatterns = this.detectTriangles(highs, lows, window);
     patterns.push(...trianglePatterns);
     
     return patterns;
   }
 
-  detectDoubleTopBottom(prices, window) {
+  detectDoubleTopBottom(highs, lows, window) {
     const patterns = [];
-    const peaks = this.findPeaks(prices, window);
-    const troughs = this.findTroughs(prices, window);
+    const peaks = this.findPeaks(highs, window);
+    const troughs = this.findTroughs(lows, window);
     
     // Double Top
     for (let i = 0; i < peaks.length - 1; i++) {
@@ -452,11 +749,10 @@ export class TechnicalAnalysis {
     return patterns;
   }
 
-  detectHeadAndShoulders(prices, window) {
+  detectHeadAndShoulders(highs, lows, window) {
     const patterns = [];
-    const peaks = this.findPeaks(prices, window);
-    
-    if (peaks.length < 3) return patterns;
+    const peaks = this.findPeaks(highs, window);
+    const troughs = this.findTroughs(lows, window);
     
     for (let i = 0; i < peaks.length - 2; i++) {
       const leftShoulder = peaks[i];
@@ -480,28 +776,37 @@ export class TechnicalAnalysis {
       }
     }
     
+    // Inverse: the middle trough is the lowest
+    for (let i = 0; i < troughs.length - 2; i++) {
+      const leftShoulder = troughs[i];
+      const head = troughs[i + 1];
+      const rightShoulder = troughs[i + 2];
+      
+      if (head.price < leftShoulder.price && head.price < rightShoulder.price &&
+          Math.abs(leftShoulder.price - rightShoulder.price) / leftShoulder.price < 0.05) {
+        patterns.push({
+          type: 'HEAD_AND_SHOULDERS_INVERSE',
+          startIndex: leftShoulder.index,
+          endIndex: rightShoulder.index,
+          leftShoulder: leftShoulder.price,
+          head: head.price,
+          rightShoulder: rightShoulder.price,
+          confidence: this.calculatePatternConfidence('HEAD_AND_SHOULDERS_INVERSE', leftShoulder, head, rightShoulder)
+        });
+      }
+    }
+    
     return patterns;
   }
 
-  detectTriangles(prices, window) {
+  detectTriangles(candleHighs, candleLows, window) {
     const patterns = [];
     
-    if (prices.length < window * 2) return patterns;
+    if (candleHighs.length < window * 2) return patterns;
     
-    const recentPrices = prices.slice(-window * 2);
-    const highs = [];
-    const lows = [];
-    
-    // Find local highs and lows
-    for (let i = 5; i < recentPrices.length - 5; i++) {
-      const subset = recentPrices.slice(i - 5, i + 6);
-      if (recentPrices[i] === Math.max(...subset)) {
-        highs.push({ price: recentPrices[i], index: i });
-      }
-      if (recentPrices[i] === Math.min(...subset)) {
-        lows.push({ price: recentPrices[i], index: i });
-      }
-    }
+    const offset = candleHighs.length - window * 2;
+    const highs = this.findPeaks(candleHighs.slice(offset), 5);
+    const lows = this.findTroughs(candleLows.slice(offset), 5);
     
     if (highs.length >= 2 && lows.length >= 2) {
       // Ascending Triangle
@@ -590,6 +895,13 @@ export class TechnicalAnalysis {
         const headHeight = (points[1].price - Math.max(points[0].price, points[2].price)) / points[1].price;
         baseConfidence += (0.05 - shoulderDiff) * 5 + headHeight * 2;
         break;
+
+      case 'HEAD_AND_SHOULDERS_INVERSE':
+        // Same measure with the head clearly lower
+        const inverseShoulderDiff = Math.abs(points[0].price - points[2].price) / points[0].price;
+        const headDepth = (Math.min(points[0].price, points[2].price) - points[1].price) / points[1].price;
+        baseConfidence += (0.05 - inverseShoulderDiff) * 5 + headDepth * 2;
+        break;
     }
     
     return Math.max(0.3, Math.min(0.95, baseConfidence));
@@ -4,39 +4,92 @@
 import { TradingEngine } from '../trading/trading-engine.js';
 import { AIDecisionEngine } from '../ai/decision-engine.js';
 import { RiskManager } from '../trading/risk-manager.js';
+import { BacktestEngine } from '../trading/backtest-engine.js';
+import { PositionLedger } from '../trading/position-ledger.js';
+import { OrderManager } from '../trading/order-manager.js';
+import { ExitManager } from '../trading/exit-manager.js';
+import { TradeJournal } from '../trading/trade-journal.js';
+import { ValuationService } from '../trading/valuation-service.js';
+import { SymbolRegistry } from '../trading/symbol-registry.js';
 import { ConfigManager } from '../utils/config-manager.js';
 import { Logger } from '../utils/logger.js';
 
-class AITradingService {
+export class AITradingService {
   constructor() {
-    this.tradingEngine = new TradingEngine();
+    this.symbolRegistry = new SymbolRegistry();
+    this.tradingEngine = new TradingEngine({
+      symbolRegistry: this.symbolRegistry,
+      onAlgoChildOrder: (parent, order) => this.trackAlgoChildOrder(parent, order),
+      onAlgoOrderUpdate: order => this.broadcastMessage({ type: 'ALGO_ORDER_UPDATE', order })
+    });
     this.aiEngine = new AIDecisionEngine();
-    this.riskManager = new RiskManager();
+    this.tradeJournal = new TradeJournal();
+    this.valuationService = new ValuationService({ tradingEngine: this.tradingEngine });
+    this.positionLedger = new PositionLedger({
+      onPositionClosed: position => this.tradeJournal.recordClosedPosition(position)
+    });
+    this.riskManager = new RiskManager({
+      tradingEngine: this.tradingEngine,
+      positionLedger: this.positionLedger,
+      tradeJournal: this.tradeJournal,
+      valuationService: this.valuationService,
+      symbolRegistry: this.symbolRegistry,
+      onCircuitBreakerTrip: (status, options) => this.handleCircuitBreakerTrip(status, options),
+      onFeedStateChange: feed => this.broadcastMessage({ type: 'CONNECTION_STATE_CHANGED', feed })
+    });
+    // Backtests get their own engine so replayed bars never touch the live strategies' bar state
+    this.backtestEngine = new BacktestEngine({
+      aiEngine: new AIDecisionEngine({ cooldownStorageKey: null }),
+      riskManager: this.riskManager
+    });
     this.configManager = new ConfigManager();
     this.logger = new Logger();
     
     this.isActive = false;
     this.tradingIntervals = new Map();
-    this.activePositions = new Map();
+    this.orderManager = new OrderManager({
+      tradingEngine: this.tradingEngine,
+      positionLedger: this.positionLedger,
+      onOrderUpdate: order => this.broadcastMessage({ type: 'ORDER_UPDATE', order })
+    });
+    this.exitManager = new ExitManager({
+      tradingEngine: this.tradingEngine,
+      positionLedger: this.positionLedger,
+      orderManager: this.orderManager,
+      technicalAnalysis: this.aiEngine.technicalAnalysis,
+      closePosition: position => this.closeLedgerPosition(position)
+    });
     this.platformConnections = new Map();
-    
-    this.init();
+
+    // Chrome only delivers the event that woke the worker to listeners registered in the first turn,
+    // so listeners go in now and wait on init before handling anything
+    this.setupAlarms();
+    this.setupMessageListeners();
+    this.ready = this.init();
   }
 
   async init() {
     try {
-      // Load configuration
+      // Load configuration and symbol metadata (routing depends on it)
       await this.configManager.loadConfig();
+      await this.symbolRegistry.load();
+      this.exitManager.updateSettings(this.configManager.getConfig().exitSettings);
       
       // Initialize trading platforms
       await this.initializePlatforms();
       
-      // Set up alarm listeners for periodic trading checks
-      this.setupAlarms();
-      
-      // Set up message listeners
-      this.setupMessageListeners();
-      
+      // Route orders to the simulated venue when paper trading is on
+      await this.applyTradingMode();
+      await this.applyMarketDataStreams();
+
+      // Rebuild open positions and orders from storage and check them against the venues
+      await this.positionLedger.load();
+      await this.tradeJournal.backfill(await this.positionLedger.getClosedPositions(500));
+      await this.orderManager.load();
+      await this.orderManager.pollOpenOrders();
+      await this.reconcilePositions();
+      await this.tradingEngine.executionAlgorithms.restoreSchedules();
+
       this.logger.info('AI Trading Service initialized successfully');
     } catch (error) {
       this.logger.error('Failed to initialize AI Trading Service:', error);
@@ -44,12 +97,22 @@ class AITradingService {
   }
 
   async initializePlatforms() {
+    // Credentials are unavailable until the user unlocks the vault
+    if (this.configManager.getVaultStatus().locked) {
+      this.logger.warn('Secrets vault is locked - platforms will connect once it is unlocked');
+      return;
+    }
+
     const enabledPlatforms = await this.configManager.getEnabledPlatforms();
     
     for (const platform of enabledPlatforms) {
+      if (this.platformConnections.has(platform.name)) continue;
+
       try {
         const connection = await this.tradingEngine.connectToPlatform(platform);
         this.platformConnections.set(platform.name, connection);
+        this.orderManager.attachAdapter(platform.name, connection);
+        this.riskManager.attachFeed(platform.name, connection);
         this.logger.info(`Connected to ${platform.name}`);
       } catch (error) {
         this.logger.error(`Failed to connect to ${platform.name}:`, error);
@@ -57,6 +120,35 @@ class AITradingService {
     }
   }
 
+  async applyTradingMode() {
+    const config = this.configManager.getConfig();
+    const paperTrading = this.configManager.isPaperTrading(config);
+
+    await this.tradingEngine.setPaperTrading(paperTrading, config.tradingSettings?.paperAccount);
+    this.tradingEngine.setOrderRouting(!!config.advanced?.enableOrderRouting, config.advanced?.orderRouting);
+    this.tradingEngine.setExecutionSettings(config.advanced?.executionAlgorithms);
+    this.aiEngine.configureStrategies(config.aiSettings);
+
+    if (paperTrading) {
+      this.orderManager.attachAdapter('paper', this.tradingEngine.paperAdapter);
+    } else {
+      this.orderManager.detachAdapter('paper');
+    }
+  }
+
+  // Watchlist symbols stream into the candle store when websockets are enabled
+  async applyMarketDataStreams() {
+    const config = this.configManager.getConfig();
+    const stream = this.tradingEngine.marketDataStream;
+    stream.updateSettings(config.advanced?.marketDataStream);
+
+    try {
+      await stream.setSymbols(config.advanced?.enableWebsockets ? (config.watchlist || []) : []);
+    } catch (error) {
+      this.logger.error('Failed to update market data streams:', error);
+    }
+  }
+
   setupAlarms() {
     // Create recurring alarms for different trading intervals
     chrome.alarms.create('trading-check-1m', { periodInMinutes: 1 });
@@ -64,24 +156,25 @@ class AITradingService {
     chrome.alarms.create('trading-check-15m', { periodInMinutes: 15 });
     chrome.alarms.create('portfolio-sync', { periodInMinutes: 10 });
     chrome.alarms.create('risk-assessment', { periodInMinutes: 30 });
+    chrome.alarms.create('order-poll', { periodInMinutes: 0.5 });
   }
 
   setupMessageListeners() {
     // Listen for messages from popup and content scripts
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-      this.handleMessage(message, sender, sendResponse);
+      this.ready.then(() => this.handleMessage(message, sender, sendResponse));
       return true; // Keep the message channel open for async response
     });
 
     // Listen for alarm events
     chrome.alarms.onAlarm.addListener((alarm) => {
-      this.handleAlarm(alarm);
+      this.ready.then(() => this.handleAlarm(alarm));
     });
 
     // Listen for tab updates to inject trading interfaces
     chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
       if (changeInfo.status === 'complete' && tab.url) {
-        this.checkForTradingPlatform(tab);
+        this.ready.then(() => this.checkForTradingPlatform(tab));
       }
     });
   }
@@ -106,6 +199,9 @@ class AITradingService {
 
         case 'UPDATE_CONFIG':
           await this.configManager.updateConfig(message.config);
+          this.exitManager.updateSettings(this.configManager.getConfig().exitSettings);
+          await this.applyTradingMode();
+          await this.applyMarketDataStreams();
           sendResponse({ success: true });
           break;
 
@@ -114,6 +210,104 @@ class AITradingService {
           sendResponse({ success: true, data: positions });
           break;
 
+        case 'GET_OPEN_ORDERS':
+          const openOrders = await this.orderManager.getOpenOrders();
+          sendResponse({ success: true, data: openOrders });
+          break;
+
+        case 'GET_TRADE_JOURNAL':
+          const journal = {
+            entries: await this.tradeJournal.getEntries(message.filters, message.limit || 100),
+            statistics: await this.tradeJournal.getStatistics(message.filters, message.limit || 100)
+          };
+          sendResponse({ success: true, data: journal });
+          break;
+
+        case 'GET_VALUATION':
+          const quoteCurrency = message.quoteCurrency || this.getQuoteCurrency();
+          const valuation = {
+            latest: await this.valuationService.getLatestValuation(),
+            equityCurve: await this.valuationService.getEquityCurve(quoteCurrency, message.since || 0),
+            drawdown: await this.valuationService.getDrawdown(quoteCurrency, message.since || 0)
+          };
+          sendResponse({ success: true, data: valuation });
+          break;
+
+        case 'GET_SYMBOL_METADATA':
+          await this.symbolRegistry.load();
+          const symbols = message.symbols || this.configManager.getConfig().watchlist || [];
+          sendResponse({ success: true, data: symbols.map(symbol => this.symbolRegistry.getSymbol(symbol)) });
+          break;
+
+        case 'UPDATE_SYMBOL_REGISTRY':
+          const userEntries = await this.symbolRegistry.addEntries(message.entries);
+          sendResponse({ success: true, data: userEntries });
+          break;
+
+        case 'PREVIEW_ORDER_ROUTE':
+          // Dry run: quotes the venues and explains the routing without placing anything
+          const route = await this.tradingEngine.orderRouter.routeOrder(message.order);
+          sendResponse({ success: true, data: route });
+          break;
+
+        case 'START_ALGO_ORDER':
+          const algoOrder = await this.startAlgoOrder(message.order);
+          sendResponse({ success: true, data: algoOrder });
+          break;
+
+        case 'PAUSE_ALGO_ORDER':
+          const pausedOrder = await this.tradingEngine.pauseAlgoOrder(message.id);
+          sendResponse({ success: true, data: pausedOrder });
+          break;
+
+        case 'RESUME_ALGO_ORDER':
+          const resumedOrder = await this.tradingEngine.resumeAlgoOrder(message.id);
+          sendResponse({ success: true, data: resumedOrder });
+          break;
+
+        case 'CANCEL_ALGO_ORDER':
+          const cancelledOrder = await this.tradingEngine.cancelAlgoOrder(message.id);
+          sendResponse({ success: true, data: cancelledOrder });
+          break;
+
+        case 'GET_ALGO_ORDERS':
+          const algoOrders = await this.tradingEngine.getAlgoOrders(message.statuses);
+          sendResponse({ success: true, data: algoOrders });
+          break;
+
+        case 'GET_STREAM_STATUS':
+          sendResponse({ success: true, data: this.tradingEngine.marketDataStream.getStatus() });
+          break;
+
+        case 'VALIDATE_RULES':
+          sendResponse({ success: true, data: this.aiEngine.validateRules(message.rules || []) });
+          break;
+
+        case 'GET_STRATEGIES':
+          sendResponse({
+            success: true,
+            data: {
+              active: this.aiEngine.getStrategies(),
+              available: this.aiEngine.strategyRegistry.list()
+            }
+          });
+          break;
+
+        case 'GET_CIRCUIT_BREAKER':
+          const breakerStatus = await this.riskManager.circuitBreaker.getState();
+          sendResponse({ success: true, data: breakerStatus });
+          break;
+
+        case 'REARM_CIRCUIT_BREAKER':
+          const rearmed = await this.riskManager.rearmCircuitBreaker({ force: message.force });
+          sendResponse({ success: true, data: rearmed });
+          break;
+
+        case 'CLOSE_POSITION':
+          const closed = await this.closePositionById(message.orderId);
+          sendResponse({ success: true, data: closed });
+          break;
+
         case 'EXECUTE_MANUAL_TRADE':
           const result = await this.executeManualTrade(message.trade);
           sendResponse({ success: true, data: result });
@@ -124,6 +318,43 @@ class AITradingService {
           sendResponse({ success: true, data: marketData });
           break;
 
+        case 'RESET_PAPER_ACCOUNT':
+          const paperState = await this.tradingEngine.paperAdapter.resetAccount(message.initialBalances);
+          await this.reconcilePositions();
+          sendResponse({ success: true, data: paperState });
+          break;
+
+        case 'GET_VAULT_STATUS':
+          sendResponse({ success: true, data: this.configManager.getVaultStatus() });
+          break;
+
+        case 'UNLOCK_VAULT':
+          const unlocked = await this.configManager.unlockVault(message.passphrase);
+          await this.initializePlatforms();
+          await this.applyTradingMode();
+          await this.applyMarketDataStreams();
+          await this.reconcilePositions();
+          sendResponse({ success: true, data: unlocked });
+          break;
+
+        case 'LOCK_VAULT':
+          const locked = await this.lockVault();
+          sendResponse({ success: true, data: locked });
+          break;
+
+        case 'CHANGE_VAULT_PASSPHRASE':
+          const changed = await this.configManager.changeVaultPassphrase(
+            message.currentPassphrase,
+            message.newPassphrase
+          );
+          sendResponse({ success: true, data: changed });
+          break;
+
+        case 'RUN_BACKTEST':
+          const backtest = await this.runBacktest(message.backtest);
+          sendResponse({ success: true, data: backtest });
+          break;
+
         default:
           sendResponse({ success: false, error: 'Unknown message type' });
       }
@@ -134,6 +365,27 @@ class AITradingService {
   }
 
   async handleAlarm(alarm) {
+    // Submitted orders keep settling after trading stops
+    if (alarm.name === 'order-poll') {
+      await this.orderManager.pollOpenOrders();
+      return;
+    }
+
+    // Execution algorithms finish the parent orders they were given even after trading stops
+    if (await this.tradingEngine.executionAlgorithms.handleAlarm(alarm.name)) {
+      return;
+    }
+
+    // Open positions keep their stops and loss limits managed after trading stops too
+    if (alarm.name === 'trading-check-1m') {
+      try {
+        await this.exitManager.evaluatePositions();
+        await this.riskManager.updateCircuitBreaker();
+      } catch (error) {
+        this.logger.error('Error managing position exits:', error);
+      }
+    }
+
     if (!this.isActive) return;
 
     try {
@@ -149,6 +401,7 @@ class AITradingService {
           break;
         case 'portfolio-sync':
           await this.syncPortfolioData();
+          await this.reconcilePositions();
           break;
         case 'risk-assessment':
           await this.performRiskAssessment();
@@ -164,12 +417,18 @@ class AITradingService {
       throw new Error('Trading is already active');
     }
 
+    if (this.configManager.getVaultStatus().locked) {
+      throw new Error('Unlock the secrets vault before starting trading');
+    }
+
     // Validate configuration
     await this.riskManager.validateConfig(config);
 
     // Start trading systems
     this.isActive = true;
     await this.configManager.updateConfig(config);
+    this.exitManager.updateSettings(this.configManager.getConfig().exitSettings);
+    await this.applyTradingMode();
     
     this.logger.info('AI Trading started with config:', config);
     
@@ -198,24 +457,49 @@ class AITradingService {
     });
   }
 
+  async lockVault() {
+    // Locking revokes access to the credentials, so live sessions go with them
+    if (this.isActive) {
+      await this.stopTrading();
+    }
+
+    await this.tradingEngine.disconnectAll();
+    for (const platform of this.platformConnections.keys()) {
+      this.orderManager.detachAdapter(platform);
+      this.riskManager.detachFeed(platform);
+    }
+    this.platformConnections.clear();
+
+    return this.configManager.lockVault();
+  }
+
   async performTradingAnalysis(timeframe) {
     const config = await this.configManager.getConfig();
     const watchlist = config.watchlist || [];
 
+    // With confluence timeframes configured, only the alarm of the lowest one analyzes, once for the whole set
+    const timeframes = config.aiSettings?.confluence?.timeframes || [];
+    if (timeframes.length > 0 && this.aiEngine.orderTimeframes(timeframes)[0] !== timeframe) {
+      return;
+    }
+
     for (const symbol of watchlist) {
       try {
-        // Get market data for analysis
+        // Streamed candles from the store while the feed is live, REST otherwise
         const marketData = await this.tradingEngine.getMarketData(symbol, timeframe);
+        await this.positionLedger.updateMarkPrice(symbol, marketData.currentPrice);
         
         // Run AI analysis
-        const analysis = await this.aiEngine.analyzeMarket(marketData, timeframe);
+        const analysis = await this.aiEngine.analyzeMarket(marketData, timeframes.length > 0 ? timeframes : timeframe, {
+          loadMarketData: otherTimeframe => this.tradingEngine.getMarketData(symbol, otherTimeframe)
+        });
         
         // Check risk parameters
         const riskCheck = await this.riskManager.evaluateOpportunity(analysis, symbol);
         
         if (riskCheck.approved && analysis.signal !== 'HOLD') {
           // Execute trade
-          await this.executeTrade(analysis, symbol, riskCheck);
+          await this.executeTrade(analysis, symbol, riskCheck, marketData.currentPrice);
         }
         
       } catch (error) {
@@ -224,33 +508,103 @@ class AITradingService {
     }
   }
 
-  async executeTrade(analysis, symbol, riskCheck) {
+  async executeTrade(analysis, symbol, riskCheck, price) {
+    const config = await this.configManager.getConfig();
+
+    // The risk manager sizes as a fraction of equity; orders need a quantity of the asset
+    const valuation = await this.riskManager.getPortfolioValuation();
+    if (!(valuation.total > 0) || Object.keys(valuation.byAsset).length === 0) {
+      const unpriced = valuation.unpriced.map(holding => holding.asset);
+      this.logger.warn(`Skipping ${symbol} trade: no priced equity${unpriced.length > 0 ? ` (no USD price for ${unpriced.join(', ')})` : ''}`);
+      return;
+    }
+
+    const quantity = price > 0 ? valuation.total * riskCheck.recommendedSize / price : 0;
+    if (!(quantity > 0)) {
+      this.logger.warn(`Skipping ${symbol} trade: no quantity for equity ${valuation.total} at price ${price}`);
+      return;
+    }
+
     const tradeParams = {
       symbol,
       side: analysis.signal, // BUY or SELL
-      quantity: riskCheck.recommendedSize,
+      quantity,
       orderType: analysis.orderType || 'MARKET',
-      stopLoss: analysis.stopLoss,
+      // Volatility sizing may supply the stop the position was sized for
+      stopLoss: riskCheck.stopLoss || analysis.stopLoss,
       takeProfit: analysis.takeProfit,
-      platforms: riskCheck.approvedPlatforms
+      platforms: riskCheck.approvedPlatforms,
+      // Journal tags for the Kelly statistics
+      strategy: analysis.strategy || config.aiSettings?.strategy,
+      timeframe: analysis.timeframe
     };
 
     const results = await this.tradingEngine.executeTrade(tradeParams);
-    
-    // Track the position
+    await this.trackOrders(tradeParams, results);
+
+    // Starts the symbol's cooldown so the next alarms don't stack trades on the same move
+    if (results.some(result => result.success)) {
+      await this.aiEngine.recordTrade(symbol, analysis.barTime);
+    }
+
+    this.logger.info('Trade executed:', { symbol, results });
+  }
+
+  // Positions open once the order manager sees a confirmed fill, not when the order is accepted
+  async trackOrders(tradeParams, results) {
     for (const result of results) {
-      if (result.success) {
-        this.activePositions.set(result.orderId, {
-          ...tradeParams,
-          orderId: result.orderId,
+      if (!result.success) continue;
+
+      try {
+        await this.orderManager.trackOrder({
           platform: result.platform,
-          timestamp: Date.now(),
-          status: 'OPEN'
+          order: result.orderDetails,
+          role: 'entry',
+          trade: tradeParams
         });
+      } catch (error) {
+        this.logger.error(`Failed to track order ${result.orderId}:`, error);
       }
     }
+  }
 
-    this.logger.info('Trade executed:', { symbol, results });
+  async reconcilePositions() {
+    try {
+      return await this.positionLedger.reconcile(this.tradingEngine);
+    } catch (error) {
+      this.logger.error('Failed to reconcile positions:', error);
+      return null;
+    }
+  }
+
+  async runBacktest(request = {}) {
+    const config = await this.configManager.getConfig();
+    if (!config.advanced?.enableBacktesting) {
+      throw new Error('Backtesting is disabled in advanced settings');
+    }
+
+    this.backtestEngine.aiEngine.configureStrategies(config.aiSettings);
+
+    const { data, file, format, ...options } = request;
+    const candles = file ?
+      await this.backtestEngine.loadCandlesFromFile(file) :
+      this.backtestEngine.loadCandles(data, format);
+
+    const result = await this.backtestEngine.run(candles, {
+      defaultStopLoss: config.riskSettings?.stopLossPercentage,
+      defaultTakeProfit: config.riskSettings?.takeProfitPercentage,
+      ...options
+    });
+
+    await chrome.storage.local.set({
+      lastBacktest: {
+        settings: result.settings,
+        summary: result.summary,
+        completedAt: Date.now()
+      }
+    });
+
+    return result;
   }
 
   async syncPortfolioData() {
@@ -272,14 +626,45 @@ class AITradingService {
       }
     }
 
+    // The paper account is part of the portfolio while paper trading
+    if (this.tradingEngine.isPaperTrading()) {
+      const paper = this.tradingEngine.paperAdapter;
+      portfolioData.set('paper', {
+        balances: await paper.getAccountBalance(),
+        positions: await paper.getOpenPositions(),
+        lastSync: Date.now()
+      });
+    }
+
     // Store portfolio data
-    await chrome.storage.local.set({ portfolioData: Object.fromEntries(portfolioData) });
+    const portfolio = Object.fromEntries(portfolioData);
+    await chrome.storage.local.set({ portfolioData: portfolio });
+
+    try {
+      await this.valuationService.recordSnapshot(portfolio, this.getQuoteCurrency());
+    } catch (error) {
+      this.logger.error('Failed to record portfolio valuation:', error);
+    }
+  }
+
+  getQuoteCurrency() {
+    return this.configManager.getConfig().tradingSettings?.quoteCurrency || 'USD';
   }
 
   async performRiskAssessment() {
+    try {
+      await this.riskManager.refreshCorrelationMatrix();
+    } catch (error) {
+      this.logger.error('Failed to refresh correlation matrix:', error);
+    }
+
     const portfolioData = await chrome.storage.local.get('portfolioData');
     const assessment = await this.riskManager.assessPortfolio(portfolioData.portfolioData || {});
-    
+
+    // Every assessment sets the size cut afresh, so a portfolio back below HIGH trades at full size again
+    const reduceSize = assessment.riskLevel === 'HIGH' && assessment.recommendations.includes('REDUCE_POSITION_SIZE');
+    this.riskManager.setSizeReduction(reduceSize ? 0.5 : 1);
+
     if (assessment.riskLevel === 'HIGH') {
       this.logger.warn('High risk detected, reducing trading activity');
       // Implement risk mitigation strategies
@@ -326,14 +711,42 @@ class AITradingService {
   async getTradingStatus() {
     return {
       isActive: this.isActive,
+      paperTrading: this.tradingEngine.isPaperTrading(),
       connectedPlatforms: Array.from(this.platformConnections.keys()),
-      activePositions: this.activePositions.size,
+      activePositions: (await this.positionLedger.getOpenPositions()).length,
+      pnl: await this.positionLedger.getSummary(),
+      circuitBreaker: await this.riskManager.circuitBreaker.getState(),
+      dataFeeds: this.riskManager.getFeedStates(),
       lastUpdate: Date.now()
     };
   }
 
   async getActivePositions() {
-    return Array.from(this.activePositions.values());
+    const positions = await this.positionLedger.getOpenPositions();
+
+    // Flattened into the shape the popup's positions table reads
+    return positions.map(position => {
+      const currentPrice = position.lastPrice || position.avgEntryPrice;
+      return {
+        ...position,
+        orderId: position.id,
+        entryPrice: position.avgEntryPrice,
+        currentPrice,
+        entryValue: position.avgEntryPrice * position.quantity,
+        currentValue: currentPrice * position.quantity
+      };
+    });
+  }
+
+  async closePositionById(id) {
+    const position = await this.positionLedger.getPosition(id) ||
+      (await this.positionLedger.getOpenPositions()).find(open => open.orders.some(order => order.orderId === String(id)));
+
+    if (!position || position.status === 'CLOSED') {
+      throw new Error(`No open position for ${id}`);
+    }
+
+    return this.closeLedgerPosition(position);
   }
 
   async executeManualTrade(trade) {
@@ -342,7 +755,32 @@ class AITradingService {
       throw new Error(riskCheck.reason);
     }
     
-    return await this.tradingEngine.executeTrade(trade);
+    const results = await this.tradingEngine.executeTrade(trade);
+    await this.trackOrders({ strategy: 'manual', ...trade }, results);
+    return results;
+  }
+
+  // Large orders worked over time; the whole parent is risk-checked once up front
+  async startAlgoOrder(order) {
+    const riskCheck = await this.riskManager.evaluateManualTrade(order);
+    if (!riskCheck.approved) {
+      throw new Error(riskCheck.reason);
+    }
+
+    return this.tradingEngine.startAlgoOrder({
+      ...order,
+      trade: { strategy: 'manual', ...order, algoType: order.type }
+    });
+  }
+
+  // Each child fill opens or adds to a ledger position like any other entry
+  async trackAlgoChildOrder(parent, order) {
+    await this.orderManager.trackOrder({
+      platform: parent.platform,
+      order,
+      role: 'entry',
+      trade: { ...parent.trade, quantity: order.quantity, algoOrderId: parent.id }
+    });
   }
 
   async getMarketData(symbols) {
@@ -359,31 +797,51 @@ class AITradingService {
   }
 
   async closeAllPositions() {
-    for (const [orderId, position] of this.activePositions) {
+    await this.orderManager.cancelPendingEntries();
+
+    for (const position of await this.positionLedger.getOpenPositions()) {
       try {
-        await this.tradingEngine.closePosition(position);
-        this.activePositions.delete(orderId);
+        await this.closeLedgerPosition(position);
       } catch (error) {
-        this.logger.error(`Failed to close position ${orderId}:`, error);
+        this.logger.error(`Failed to close position ${position.id}:`, error);
       }
     }
   }
 
-  async mitigateRisk(assessment) {
-    // Implement risk mitigation strategies
-    if (assessment.recommendations.includes('REDUCE_POSITION_SIZE')) {
-      // Reduce position sizes for new trades
-      const config = await this.configManager.getConfig();
-      config.riskSettings.maxPositionSize *= 0.5;
-      await this.configManager.updateConfig(config);
+  async closeLedgerPosition(position) {
+    // Exit legs left behind would reopen the position the other way once they trigger
+    await this.orderManager.cancelProtectiveOrders(position.id);
+
+    const closeOrder = await this.tradingEngine.closePosition(position);
+    return this.orderManager.trackOrder({
+      platform: position.platform,
+      order: closeOrder,
+      role: 'exit',
+      positionId: position.id
+    });
+  }
+
+  async handleCircuitBreakerTrip(status, { flatten }) {
+    this.logger.warn(`Circuit breaker tripped (${status.haltReason}) - new entries are blocked until it is re-armed`);
+
+    if (flatten) {
+      await this.closeAllPositions();
     }
-    
+
+    this.broadcastMessage({
+      type: 'CIRCUIT_BREAKER_TRIPPED',
+      circuitBreaker: status
+    });
+  }
+
+  // REDUCE_POSITION_SIZE is applied in performRiskAssessment as a cut that lasts until the next assessment
+  async mitigateRisk(assessment) {
     if (assessment.recommendations.includes('CLOSE_RISKY_POSITIONS')) {
       // Close positions that exceed risk thresholds
-      for (const [orderId, position] of this.activePositions) {
-        if (assessment.riskyPositions.includes(orderId)) {
-          await this.tradingEngine.closePosition(position);
-          this.activePositions.delete(orderId);
+      for (const position of await this.positionLedger.getOpenPositions()) {
+        const orderIds = position.orders.map(order => order.orderId);
+        if (assessment.riskyPositions.some(id => id === position.id || orderIds.includes(String(id)))) {
+          await this.closeLedgerPosition(position);
         }
       }
     }
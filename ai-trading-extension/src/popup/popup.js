@@ -1,6 +1,8 @@
 // AI Trading Extension - Popup Interface
 // Handles user interactions and communication with background service worker
 
+const RULES_STRATEGY_ID = 'rules'; // Strategy entry edited through the rules textarea
+
 class TradingPopup {
   constructor() {
     this.activeTab = 'dashboard';
@@ -55,6 +57,10 @@ class TradingPopup {
       this.emergencyStop();
     });
 
+    document.getElementById('rearmBreakerBtn').addEventListener('click', () => {
+      this.rearmCircuitBreaker();
+    });
+
     // Paper trading toggle
     document.getElementById('paperTradingMode').addEventListener('change', (e) => {
       this.togglePaperTrading(e.target.checked);
@@ -70,6 +76,19 @@ class TradingPopup {
       this.resetConfig();
     });
 
+    // Secrets vault
+    document.getElementById('unlockVaultBtn').addEventListener('click', () => {
+      this.unlockVault();
+    });
+
+    document.getElementById('lockVaultBtn').addEventListener('click', () => {
+      this.lockVault();
+    });
+
+    document.getElementById('changeVaultPassphraseBtn').addEventListener('click', () => {
+      this.changeVaultPassphrase();
+    });
+
     // Platform management
     document.getElementById('addPlatformBtn').addEventListener('click', () => {
       this.showPlatformModal();
@@ -236,6 +255,104 @@ class TradingPopup {
   async loadConfigData() {
     this.populateConfigForm();
     this.populatePlatformsList();
+    await this.loadVaultStatus();
+  }
+
+  async loadVaultStatus() {
+    try {
+      const response = await this.sendMessage({ type: 'GET_VAULT_STATUS' });
+      if (response.success) {
+        this.updateVaultStatus(response.data);
+      }
+    } catch (error) {
+      console.error('Failed to load vault status:', error);
+    }
+  }
+
+  updateVaultStatus(vault) {
+    const statusEl = document.getElementById('vaultStatus');
+
+    if (vault.migrationPending) {
+      statusEl.textContent = 'API keys are stored unencrypted. Choose a passphrase and press Unlock to encrypt them.';
+    } else if (!vault.initialized) {
+      statusEl.textContent = 'No passphrase set. Choose one and press Unlock before adding platforms.';
+    } else if (vault.locked) {
+      statusEl.textContent = 'Locked. Enter your passphrase to connect trading platforms.';
+    } else {
+      statusEl.textContent = 'Unlocked for this browser session.';
+    }
+  }
+
+  async unlockVault() {
+    const passphraseInput = document.getElementById('vaultPassphrase');
+
+    try {
+      this.showLoading('Unlocking vault...');
+
+      const response = await this.sendMessage({
+        type: 'UNLOCK_VAULT',
+        passphrase: passphraseInput.value
+      });
+
+      if (response.success) {
+        this.updateVaultStatus(response.data);
+        this.showSuccess('Vault unlocked');
+      } else {
+        this.showError('Failed to unlock vault: ' + response.error);
+      }
+    } catch (error) {
+      console.error('Failed to unlock vault:', error);
+      this.showError('Failed to unlock vault');
+    } finally {
+      passphraseInput.value = '';
+      this.hideLoading();
+    }
+  }
+
+  async lockVault() {
+    try {
+      const response = await this.sendMessage({ type: 'LOCK_VAULT' });
+
+      if (response.success) {
+        this.updateVaultStatus(response.data);
+        await this.loadStatus();
+        this.showSuccess('Vault locked');
+      } else {
+        this.showError('Failed to lock vault: ' + response.error);
+      }
+    } catch (error) {
+      console.error('Failed to lock vault:', error);
+      this.showError('Failed to lock vault');
+    }
+  }
+
+  async changeVaultPassphrase() {
+    const currentInput = document.getElementById('vaultPassphrase');
+    const newInput = document.getElementById('newVaultPassphrase');
+
+    try {
+      this.showLoading('Re-encrypting secrets...');
+
+      const response = await this.sendMessage({
+        type: 'CHANGE_VAULT_PASSPHRASE',
+        currentPassphrase: currentInput.value,
+        newPassphrase: newInput.value
+      });
+
+      if (response.success) {
+        this.updateVaultStatus(response.data);
+        this.showSuccess('Vault passphrase changed');
+      } else {
+        this.showError('Failed to change passphrase: ' + response.error);
+      }
+    } catch (error) {
+      console.error('Failed to change vault passphrase:', error);
+      this.showError('Failed to change vault passphrase');
+    } finally {
+      currentInput.value = '';
+      newInput.value = '';
+      this.hideLoading();
+    }
   }
 
   async startTrading() {
@@ -310,8 +427,31 @@ class TradingPopup {
     }
   }
 
+  async rearmCircuitBreaker() {
+    try {
+      let response = await this.sendMessage({ type: 'REARM_CIRCUIT_BREAKER' });
+
+      // The daily loss limit normally re-arms at the next trading day
+      if (!response.success && confirm(`${response.error}. Re-arm anyway?`)) {
+        response = await this.sendMessage({ type: 'REARM_CIRCUIT_BREAKER', force: true });
+      }
+
+      if (response.success) {
+        this.status.circuitBreaker = response.data;
+        this.updateUI();
+        this.showSuccess('Circuit breaker re-armed');
+      } else {
+        this.showError('Circuit breaker is still halted: ' + response.error);
+      }
+    } catch (error) {
+      console.error('Failed to re-arm circuit breaker:', error);
+      this.showError('Failed to re-arm circuit breaker');
+    }
+  }
+
   async togglePaperTrading(enabled) {
-    this.config.paperTrading = enabled;
+    this.config.tradingSettings = { ...this.config.tradingSettings, paperTrading: enabled };
+    delete this.config.paperTrading;
     await this.saveConfigToStorage();
     
     if (this.status.isActive) {
@@ -335,12 +475,16 @@ class TradingPopup {
         return;
       }
 
+      const ruleErrors = await this.validateRules(formData.aiSettings.strategies);
+      if (ruleErrors.length > 0) {
+        this.showError('Rule error: ' + ruleErrors.join('; '));
+        return;
+      }
+
       // Update config
       this.config = { ...this.config, ...formData };
       
-      // Save to storage and backend
-      await this.saveConfigToStorage();
-      
+      // Save through the backend, which keeps secrets in the vault
       const response = await this.sendMessage({ 
         type: 'UPDATE_CONFIG', 
         config: this.config 
@@ -364,10 +508,15 @@ class TradingPopup {
       return;
     }
 
-    this.config = this.getDefaultConfig();
-    this.populateConfigForm();
-    await this.saveConfigToStorage();
-    this.showSuccess('Configuration reset to defaults');
+    try {
+      this.config = this.getDefaultConfig();
+      this.populateConfigForm();
+      await this.saveConfigToStorage();
+      this.showSuccess('Configuration reset to defaults');
+    } catch (error) {
+      console.error('Failed to reset config:', error);
+      this.showError('Failed to reset configuration: ' + error.message);
+    }
   }
 
   async addPlatform() {
@@ -393,7 +542,13 @@ class TradingPopup {
       }
 
       this.config.platforms.push(platformData);
-      await this.saveConfigToStorage();
+      try {
+        await this.saveConfigToStorage();
+      } catch (error) {
+        // e.g. vault locked - don't show a platform that was never stored
+        this.config.platforms.pop();
+        throw error;
+      }
       
       this.hidePlatformModal();
       this.populatePlatformsList();
@@ -401,7 +556,7 @@ class TradingPopup {
       
     } catch (error) {
       console.error('Failed to add platform:', error);
-      this.showError('Failed to add platform');
+      this.showError('Failed to add platform: ' + error.message);
     } finally {
       this.hideLoading();
     }
@@ -453,6 +608,9 @@ class TradingPopup {
     startBtn.disabled = this.status.isActive;
     stopBtn.disabled = !this.status.isActive;
 
+    this.updateCircuitBreakerStatus(this.status.circuitBreaker);
+    this.updateDataFeedStatus(this.status.dataFeeds);
+
     // Update stats
     this.updateQuickStats();
     
@@ -460,6 +618,31 @@ class TradingPopup {
     this.updateFooter();
   }
 
+  updateCircuitBreakerStatus(breaker) {
+    const statusEl = document.getElementById('circuitBreakerStatus');
+    statusEl.hidden = !breaker?.halted;
+    if (!breaker?.halted) return;
+
+    const reason = breaker.haltReason === 'daily_loss' ?
+      `Daily loss limit hit (${(breaker.dailyLoss * 100).toFixed(2)}%)` :
+      `Max drawdown hit (${(breaker.drawdown * 100).toFixed(2)}%)`;
+    const until = breaker.haltedUntil ? ` until ${new Date(breaker.haltedUntil).toLocaleString()}` : '';
+    document.getElementById('circuitBreakerText').textContent = `${reason} - new trades halted${until}`;
+  }
+
+  updateDataFeedStatus(feeds = []) {
+    const outages = feeds.filter(feed => feed.outage);
+    const statusEl = document.getElementById('dataFeedStatus');
+    statusEl.hidden = outages.length === 0;
+    if (outages.length === 0) return;
+
+    const text = outages.map(feed => {
+      const since = Math.round((Date.now() - feed.since) / 1000);
+      return `${feed.platform} ${feed.socket} feed ${feed.state} for ${since}s`;
+    }).join('; ');
+    document.getElementById('dataFeedText').textContent = `${text} - reconnecting with backoff`;
+  }
+
   updateQuickStats() {
     // These would be populated with real data from the trading system
     document.getElementById('totalPnL').textContent = '+$0.00';
@@ -616,9 +799,14 @@ class TradingPopup {
     // AI settings
     document.getElementById('confidenceThreshold').value = this.config.aiSettings?.confidenceThreshold || 0.7;
     document.getElementById('aiStrategy').value = this.config.aiSettings?.strategy || 'balanced';
+    const ruleStrategy = this.config.aiSettings?.strategies?.find(entry => entry.id === RULES_STRATEGY_ID);
+    document.getElementById('strategyRules').value = (ruleStrategy?.params?.rules || [])
+      .map(rule => typeof rule === 'string' ? rule : JSON.stringify(rule))
+      .join('\n');
 
     // Paper trading mode
-    document.getElementById('paperTradingMode').checked = this.config.paperTrading !== false;
+    const paperTrading = this.config.tradingSettings?.paperTrading ?? this.config.paperTrading;
+    document.getElementById('paperTradingMode').checked = paperTrading !== false;
   }
 
   populatePlatformsList() {
@@ -690,24 +878,78 @@ class TradingPopup {
         maxTotalExposure: 0.8 // 80% max total exposure
       },
       tradingSettings: {
-        activeTimeframes
+        ...this.config.tradingSettings,
+        activeTimeframes,
+        paperTrading: document.getElementById('paperTradingMode').checked
       },
       watchlist: document.getElementById('watchlist').value.split(',').map(s => s.trim()).filter(s => s),
       aiSettings: {
+        ...this.config.aiSettings,
         confidenceThreshold: parseFloat(document.getElementById('confidenceThreshold').value),
-        strategy: document.getElementById('aiStrategy').value
-      },
-      paperTrading: document.getElementById('paperTradingMode').checked
+        strategy: document.getElementById('aiStrategy').value,
+        strategies: this.collectRuleStrategy()
+      }
     };
   }
 
+  // The rules editor owns one rule_based strategy entry; text lines are rules, lines starting with { are rule objects
+  collectRuleStrategy() {
+    const strategies = this.config.aiSettings?.strategies || [];
+    const existing = strategies.find(entry => entry.id === RULES_STRATEGY_ID);
+    const rules = document.getElementById('strategyRules').value
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line)
+      .map(line => {
+        if (!line.startsWith('{')) return line;
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return line; // Reported by validation
+        }
+      });
+
+    if (!existing && rules.length === 0) return strategies;
+
+    return [
+      ...strategies.filter(entry => entry.id !== RULES_STRATEGY_ID),
+      {
+        id: RULES_STRATEGY_ID,
+        strategy: 'rule_based',
+        enabled: rules.length > 0,
+        symbols: existing?.symbols || [],
+        params: { ...existing?.params, rules }
+      }
+    ];
+  }
+
+  async validateRules(strategies = []) {
+    const rules = strategies.find(entry => entry.id === RULES_STRATEGY_ID)?.params?.rules || [];
+    if (rules.length === 0) return [];
+
+    const response = await this.sendMessage({ type: 'VALIDATE_RULES', rules });
+    if (!response.success) return [response.error];
+
+    return response.data
+      .filter(result => !result.valid)
+      .map(result => `line ${result.index + 1}: ${result.error}`);
+  }
+
   collectPlatformFormData() {
-    return {
+    const platform = {
       name: document.getElementById('platformName').value,
       apiKey: document.getElementById('apiKey').value,
       apiSecret: document.getElementById('apiSecret').value,
       testMode: document.getElementById('testMode').checked
     };
+
+    // Platform-specific connection settings
+    const passphrase = document.getElementById('apiPassphrase').value;
+    const gatewayUrl = document.getElementById('gatewayUrl').value.trim();
+    if (passphrase) platform.passphrase = passphrase;
+    if (gatewayUrl) platform.gatewayUrl = gatewayUrl;
+
+    return platform;
   }
 
   collectTradeFormData() {
@@ -741,7 +983,11 @@ class TradingPopup {
   }
 
   async saveConfigToStorage() {
-    await chrome.storage.local.set({ tradingConfig: this.config });
+    // The background splits API secrets into the encrypted vault; never write them here directly
+    const response = await this.sendMessage({ type: 'UPDATE_CONFIG', config: this.config });
+    if (!response.success) {
+      throw new Error(response.error);
+    }
   }
 
   getDefaultConfig() {
@@ -754,14 +1000,14 @@ class TradingPopup {
         maxTotalExposure: 0.8 // 80%
       },
       tradingSettings: {
-        activeTimeframes: ['1m', '5m', '15m']
+        activeTimeframes: ['1m', '5m', '15m'],
+        paperTrading: true
       },
       watchlist: ['BTCUSDT', 'ETHUSDT', 'AAPL', 'TSLA'],
       aiSettings: {
         confidenceThreshold: 0.7,
         strategy: 'balanced'
       },
-      paperTrading: true,
       platforms: []
     };
   }
@@ -0,0 +1,425 @@
+// Alpaca API Adapter
+// Integrates with Alpaca Trading API v2 and Market Data API v2 (US equities)
+
+import { BaseAdapter } from './base-adapter.js';
+import { Logger } from '../../utils/logger.js';
+
+export class AlpacaAdapter extends BaseAdapter {
+  constructor() {
+    super('alpaca');
+    this.logger = new Logger();
+    this.baseUrl = 'https://api.alpaca.markets';
+    this.paperUrl = 'https://paper-api.alpaca.markets';
+    this.dataUrl = 'https://data.alpaca.markets';
+
+    // IEX is the feed available on every plan
+    this.dataFeed = 'iex';
+  }
+
+  async connect(config) {
+    const { apiKey, apiSecret, testMode = true, dataFeed } = config;
+
+    this.config = {
+      apiKey,
+      apiSecret,
+      testMode,
+      baseUrl: testMode ? this.paperUrl : this.baseUrl
+    };
+
+    if (dataFeed) {
+      this.dataFeed = dataFeed;
+    }
+
+    try {
+      await this.testConnection();
+
+      this.isConnected = true;
+      this.logger.info(`Connected to Alpaca ${testMode ? 'paper' : 'live'} account`);
+
+      return this;
+    } catch (error) {
+      this.logger.error('Failed to connect to Alpaca:', error);
+      throw error;
+    }
+  }
+
+  async testConnection() {
+    try {
+      const account = await this.makeRequest('GET', '/v2/account');
+      if (account.trading_blocked) {
+        throw new Error('Trading is blocked on this account');
+      }
+      return true;
+    } catch (error) {
+      throw new Error('Alpaca connection test failed: ' + error.message);
+    }
+  }
+
+  async getAccountBalance() {
+    try {
+      const account = await this.makeRequest('GET', '/v2/account');
+      const cash = parseFloat(account.cash);
+      const buyingPower = parseFloat(account.buying_power);
+
+      // Equity positions are reported through getOpenPositions()
+      return [{
+        currency: account.currency || 'USD',
+        available: Math.min(cash, buyingPower),
+        locked: Math.max(0, cash - buyingPower),
+        total: cash,
+        equity: parseFloat(account.equity)
+      }];
+    } catch (error) {
+      this.logger.error('Failed to get Alpaca account balance:', error);
+      throw error;
+    }
+  }
+
+  async getMarketData(symbol, timeframe = '1m') {
+    try {
+      const ticker = this.normalizeSymbol(symbol);
+      const { timeframe: barTimeframe, minutes } = this.timeframeToBarSpec(timeframe);
+
+      // Bars skip closed sessions, so look back well past 100 intervals and keep the newest 100
+      const lookbackMs = Math.max(minutes * 400, 7 * 24 * 60) * 60 * 1000;
+
+      const [snapshot, bars] = await Promise.all([
+        this.makeDataRequest(`/v2/stocks/${ticker}/snapshot`, { feed: this.dataFeed }),
+        this.makeDataRequest(`/v2/stocks/${ticker}/bars`, {
+          timeframe: barTimeframe,
+          start: new Date(Date.now() - lookbackMs).toISOString(),
+          limit: 100,
+          sort: 'desc',
+          feed: this.dataFeed
+        })
+      ]);
+
+      const candles = (bars.bars || []).slice().reverse();
+      const currentPrice = snapshot.latestTrade?.p || snapshot.dailyBar?.c;
+      const previousPrice = snapshot.prevDailyBar?.c || snapshot.dailyBar?.o || currentPrice;
+      const quote = snapshot.latestQuote || {};
+
+      return {
+        symbol: ticker,
+        currentPrice,
+        previousPrice,
+        volume24h: snapshot.dailyBar?.v || 0,
+        high24h: snapshot.dailyBar?.h || currentPrice,
+        low24h: snapshot.dailyBar?.l || currentPrice,
+        priceChange24h: currentPrice - previousPrice,
+        priceChangePercent24h: ((currentPrice - previousPrice) / previousPrice) * 100,
+        ...this.candleSeries(candles.map(bar => this.parseCandle(bar))),
+        // Equities only expose top of book on the data API
+        orderBook: {
+          bids: quote.bp ? [{ price: quote.bp, quantity: quote.bs }] : [],
+          asks: quote.ap ? [{ price: quote.ap, quantity: quote.as }] : []
+        },
+        timestamp: Date.now()
+      };
+    } catch (error) {
+      this.logger.error(`Failed to get market data for ${symbol}:`, error);
+      throw error;
+    }
+  }
+
+  // Bars: { t: RFC 3339 start, o, h, l, c, v }
+  parseCandle(bar) {
+    return {
+      time: Date.parse(bar.t),
+      open: bar.o,
+      high: bar.h,
+      low: bar.l,
+      close: bar.c,
+      volume: bar.v
+    };
+  }
+
+  async getCurrentPrice(symbol) {
+    const response = await this.makeDataRequest(`/v2/stocks/${this.normalizeSymbol(symbol)}/trades/latest`, {
+      feed: this.dataFeed
+    });
+    return response.trade.p;
+  }
+
+  async createOrder(orderParams) {
+    this.validateOrderParams(orderParams);
+
+    const { symbol, side, quantity, type = 'MARKET', price, stopPrice, timeInForce = 'day' } = orderParams;
+    const ticker = this.normalizeSymbol(symbol);
+    const orderType = type.toUpperCase();
+
+    try {
+      const params = {
+        symbol: ticker,
+        qty: String(quantity),
+        side: side.toLowerCase(),
+        time_in_force: timeInForce.toLowerCase(),
+        client_order_id: crypto.randomUUID()
+      };
+
+      switch (orderType) {
+        case 'MARKET':
+          params.type = 'market';
+          break;
+
+        case 'LIMIT':
+          params.type = 'limit';
+          params.limit_price = this.formatPrice(price);
+          break;
+
+        case 'STOP':
+        case 'STOP_MARKET':
+          params.type = 'stop';
+          params.stop_price = this.formatPrice(stopPrice);
+          break;
+
+        case 'STOP_LIMIT':
+          params.type = 'stop_limit';
+          params.stop_price = this.formatPrice(stopPrice);
+          params.limit_price = this.formatPrice(price);
+          break;
+
+        default:
+          throw new Error(`Unsupported order type: ${type}`);
+      }
+
+      // Alpaca attaches protective legs natively as a bracket (both) or OTO (one)
+      if (orderParams.stopLoss || orderParams.takeProfit) {
+        await this.attachProtectiveLegs(params, orderParams);
+      }
+
+      const response = await this.makeRequest('POST', '/v2/orders', params);
+      return this.formatOrder(response);
+    } catch (error) {
+      this.logger.error('Failed to create Alpaca order:', error);
+      throw error;
+    }
+  }
+
+  async attachProtectiveLegs(params, orderParams) {
+    const { symbol, side, stopLoss, takeProfit } = orderParams;
+    const isBuy = side.toUpperCase() === 'BUY';
+    const entryPrice = orderParams.price || await this.getCurrentPrice(symbol);
+
+    params.order_class = stopLoss && takeProfit ? 'bracket' : 'oto';
+    // Bracket legs must outlive the trading day
+    params.time_in_force = 'gtc';
+
+    if (stopLoss) {
+      params.stop_loss = {
+        stop_price: this.formatPrice(entryPrice * (isBuy ? 1 - stopLoss : 1 + stopLoss))
+      };
+    }
+
+    if (takeProfit) {
+      params.take_profit = {
+        limit_price: this.formatPrice(entryPrice * (isBuy ? 1 + takeProfit : 1 - takeProfit))
+      };
+    }
+  }
+
+  async cancelOrder(orderId) {
+    try {
+      await this.makeRequest('DELETE', `/v2/orders/${orderId}`);
+
+      return {
+        id: orderId,
+        status: 'CANCELLED',
+        timestamp: Date.now()
+      };
+    } catch (error) {
+      this.logger.error('Failed to cancel Alpaca order:', error);
+      throw error;
+    }
+  }
+
+  // Replacing an order gives it a new id; the old one reports as replaced
+  async amendStopOrder(orderId, symbol, stopPrice) {
+    try {
+      const response = await this.makeRequest('PATCH', `/v2/orders/${orderId}`, {
+        stop_price: this.formatPrice(stopPrice)
+      });
+      return this.formatOrder(response);
+    } catch (error) {
+      this.logger.error('Failed to amend Alpaca stop order:', error);
+      throw error;
+    }
+  }
+
+  async getOrderStatus(orderId) {
+    try {
+      const order = await this.makeRequest('GET', `/v2/orders/${orderId}`);
+      return this.formatOrder(order);
+    } catch (error) {
+      this.logger.error('Failed to get order status:', error);
+      throw error;
+    }
+  }
+
+  async getOpenPositions() {
+    try {
+      const positions = await this.makeRequest('GET', '/v2/positions');
+
+      return positions.map(position => {
+        const quantity = Math.abs(parseFloat(position.qty));
+        const entryPrice = parseFloat(position.avg_entry_price);
+        const currentPrice = parseFloat(position.current_price);
+        return {
+          symbol: position.symbol,
+          side: position.side === 'short' ? 'SELL' : 'BUY',
+          quantity,
+          entryPrice,
+          currentPrice,
+          entryValue: parseFloat(position.cost_basis),
+          currentValue: Math.abs(parseFloat(position.market_value)),
+          unrealizedPnl: parseFloat(position.unrealized_pl),
+          status: 'OPEN'
+        };
+      });
+    } catch (error) {
+      this.logger.error('Failed to get open positions:', error);
+      throw error;
+    }
+  }
+
+  async getOrderHistory(symbol, limit = 100) {
+    try {
+      const params = { status: 'all', limit: Math.min(limit, 500), direction: 'desc' };
+      if (symbol) params.symbols = this.normalizeSymbol(symbol);
+
+      const orders = await this.makeRequest('GET', '/v2/orders', params);
+      return orders.map(order => this.formatOrder(order));
+    } catch (error) {
+      this.logger.error('Failed to get order history:', error);
+      throw error;
+    }
+  }
+
+  formatOrder(order) {
+    return {
+      id: order.id,
+      symbol: order.symbol,
+      side: order.side.toUpperCase(),
+      quantity: parseFloat(order.qty),
+      filled: parseFloat(order.filled_qty || 0),
+      price: parseFloat(order.limit_price || order.stop_price || 0),
+      avgPrice: parseFloat(order.filled_avg_price || 0),
+      status: this.mapOrderStatus(order.status),
+      type: order.type.toUpperCase(),
+      timestamp: new Date(order.created_at).getTime(),
+      legs: (order.legs || []).map(leg => ({
+        id: leg.id,
+        type: leg.type.toUpperCase(),
+        price: parseFloat(leg.limit_price || leg.stop_price || 0),
+        status: this.mapOrderStatus(leg.status)
+      })),
+      fills: []
+    };
+  }
+
+  mapOrderStatus(status) {
+    const statusMap = {
+      'new': 'open',
+      'accepted': 'open',
+      'pending_new': 'open',
+      'held': 'open',
+      'partially_filled': 'partially_filled',
+      'filled': 'filled',
+      'done_for_day': 'expired',
+      'canceled': 'cancelled',
+      'pending_cancel': 'pending_cancel',
+      'expired': 'expired',
+      'replaced': 'cancelled',
+      'rejected': 'rejected',
+      'suspended': 'rejected'
+    };
+
+    return statusMap[status] || status;
+  }
+
+  formatPrice(price) {
+    // Sub-dollar equities trade in 1/10000 increments, everything else in cents
+    const value = parseFloat(price);
+    return value < 1 ? value.toFixed(4) : value.toFixed(2);
+  }
+
+  normalizeSymbol(symbol) {
+    // Alpaca uses plain tickers like AAPL; share classes use a dot (BRK.B)
+    return symbol.toUpperCase().replace(/[-/]/g, '.');
+  }
+
+  timeframeToBarSpec(timeframe) {
+    const barMap = {
+      '1m': { timeframe: '1Min', minutes: 1 },
+      '5m': { timeframe: '5Min', minutes: 5 },
+      '15m': { timeframe: '15Min', minutes: 15 },
+      '30m': { timeframe: '30Min', minutes: 30 },
+      '1h': { timeframe: '1Hour', minutes: 60 },
+      '4h': { timeframe: '4Hour', minutes: 240 },
+      '1d': { timeframe: '1Day', minutes: 1440 },
+      '1w': { timeframe: '1Week', minutes: 10080 }
+    };
+
+    return barMap[timeframe] || barMap['1h']; // Default to 1 hour
+  }
+
+  getAuthHeaders() {
+    // Alpaca authenticates with key headers; requests are not signed
+    return {
+      'APCA-API-KEY-ID': this.config.apiKey,
+      'APCA-API-SECRET-KEY': this.config.apiSecret
+    };
+  }
+
+  async makeRequest(method, endpoint, params = {}) {
+    return this.sendRequest(this.config.baseUrl, method, endpoint, params);
+  }
+
+  async makeDataRequest(endpoint, params = {}) {
+    return this.sendRequest(this.dataUrl, 'GET', endpoint, params);
+  }
+
+  async sendRequest(baseUrl, method, endpoint, params) {
+    await this.waitForRateLimit();
+
+    const url = new URL(baseUrl + endpoint);
+    let body;
+
+    if (method === 'GET' || method === 'DELETE') {
+      url.search = new URLSearchParams(params).toString();
+    } else {
+      body = JSON.stringify(params);
+    }
+
+    try {
+      const response = await fetch(url.toString(), {
+        method,
+        headers: {
+          ...this.getAuthHeaders(),
+          'Content-Type': 'application/json'
+        },
+        body
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(`Alpaca API error: ${errorData.message || response.statusText}`);
+      }
+
+      // Cancels answer 204 with no body
+      if (response.status === 204) {
+        return null;
+      }
+
+      return await response.json();
+    } catch (error) {
+      this.logger.error('Alpaca API request failed:', error);
+      throw error;
+    }
+  }
+
+  async disconnect() {
+    this.isConnected = false;
+    this.logger.info('Disconnected from Alpaca');
+  }
+}
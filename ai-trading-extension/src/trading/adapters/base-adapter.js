@@ -1,6 +1,8 @@
 // Base Trading Platform Adapter
 // Provides common interface and functionality for all trading platform adapters
 
+import { SocketManager } from './socket-manager.js';
+
 export class BaseAdapter {
   constructor(platformName) {
     this.platformName = platformName;
@@ -8,6 +10,10 @@ export class BaseAdapter {
     this.eventListeners = new Map();
     this.isConnected = false;
     this.rateLimiter = new RateLimiter();
+
+    // Exchange trading rules (step size, tick size, minimums) per symbol
+    this.symbolRules = new Map();
+    this.symbolRulesTtl = 6 * 60 * 60 * 1000; // 6 hours
   }
 
   // Abstract methods that must be implemented by subclasses
@@ -59,6 +65,301 @@ export class BaseAdapter {
     };
   }
 
+  async getCurrentPrice(symbol) {
+    const marketData = await this.getMarketData(symbol, '1m');
+    return marketData.currentPrice;
+  }
+
+  // Historical candles as [{ time, open, high, low, close, volume }], oldest first
+  // Adapters whose REST klines carry timestamps override this; null means unavailable
+  async getCandles(symbol, timeframe, limit) {
+    return null;
+  }
+
+  // getMarketData returns its candles in the same shape, numbers with time as the bar's open in ms;
+  // prices and volumes are the close and volume columns for callers that only read those
+  candleSeries(candles) {
+    return {
+      candles,
+      prices: candles.map(candle => candle.close),
+      volumes: candles.map(candle => candle.volume)
+    };
+  }
+
+  // Streaming market data
+  // Adapters with public market streams emit 'trade', 'kline' and 'orderBook' events for
+  // subscribed symbols and return true; the default returns false so callers keep polling REST
+  async subscribeMarketData(symbols) {
+    return false;
+  }
+
+  async unsubscribeMarketData(symbols) {
+    return false;
+  }
+
+  // Managed WebSocket whose state changes are emitted as 'connectionStateChanged' with the platform name
+  // The socket name ('user', 'market') tells listeners which feed went down
+  createSocketManager(name, url, options = {}) {
+    return new SocketManager({
+      ...options,
+      name,
+      url,
+      onStateChange: event => this.emit('connectionStateChanged', { platform: this.platformName, ...event })
+    });
+  }
+
+  // Trading rules for a symbol, or null if the exchange doesn't list it
+  // Adapters that know their exchange filters override this; undefined means unknown
+  async fetchSymbolRules(symbol) {
+    return undefined;
+  }
+
+  async getSymbolRules(symbol) {
+    const key = this.normalizeSymbol(symbol);
+    const cached = this.symbolRules.get(key);
+
+    if (cached && Date.now() - cached.fetchedAt < this.symbolRulesTtl) {
+      return cached.rules;
+    }
+
+    const rules = await this.fetchSymbolRules(key);
+    this.symbolRules.set(key, { rules, fetchedAt: Date.now() });
+    return rules;
+  }
+
+  getCachedSymbolRules(symbol) {
+    const cached = this.symbolRules.get(this.normalizeSymbol(symbol));
+    return cached ? cached.rules : undefined;
+  }
+
+  clearSymbolRules() {
+    this.symbolRules.clear();
+  }
+
+  async supportsSymbol(symbol) {
+    const rules = await this.getSymbolRules(symbol);
+
+    // Adapters without exchange info can't rule a symbol out
+    if (rules === undefined) return true;
+    return !!rules && rules.tradable;
+  }
+
+  // Rounds quantity and prices to the symbol's step/tick sizes and checks exchange minimums
+  async applyTradingRules(orderParams) {
+    const { symbol } = orderParams;
+    const rules = await this.getSymbolRules(symbol);
+
+    if (rules === undefined) {
+      return { ...orderParams };
+    }
+    if (!rules) {
+      throw new Error(`${symbol} is not listed on ${this.platformName}`);
+    }
+    if (!rules.tradable) {
+      throw new Error(`${symbol} is not currently trading on ${this.platformName}`);
+    }
+
+    const adjusted = { ...orderParams };
+    adjusted.quantity = this.floorToStep(orderParams.quantity, rules.stepSize);
+
+    for (const field of ['price', 'stopPrice']) {
+      if (orderParams[field]) {
+        adjusted[field] = this.roundToStep(orderParams[field], rules.tickSize);
+      }
+    }
+
+    if (adjusted.quantity <= 0 || adjusted.quantity < rules.minQty) {
+      throw new Error(`Order quantity ${orderParams.quantity} is below the ${symbol} minimum of ${rules.minQty || rules.stepSize}`);
+    }
+    if (rules.maxQty && adjusted.quantity > rules.maxQty) {
+      throw new Error(`Order quantity ${adjusted.quantity} exceeds the ${symbol} maximum of ${rules.maxQty}`);
+    }
+
+    if (rules.minNotional) {
+      const referencePrice = adjusted.price || adjusted.stopPrice || await this.getCurrentPrice(symbol);
+      const notional = adjusted.quantity * referencePrice;
+
+      if (notional < rules.minNotional) {
+        throw new Error(`Order value ${this.formatNumber(notional, 2)} is below the ${symbol} minimum notional of ${rules.minNotional}`);
+      }
+    }
+
+    return adjusted;
+  }
+
+  // Quantity as a string at the symbol's step precision, rounded down
+  formatQuantity(symbol, quantity) {
+    const rules = this.getCachedSymbolRules(symbol);
+    if (!rules || !rules.stepSize) {
+      return String(this.formatNumber(quantity));
+    }
+    return this.floorToStep(quantity, rules.stepSize).toFixed(this.getStepDecimals(rules.stepSize));
+  }
+
+  // Price as a string at the symbol's tick precision
+  formatPrice(symbol, price) {
+    const rules = this.getCachedSymbolRules(symbol);
+    if (!rules || !rules.tickSize) {
+      return String(this.formatNumber(price));
+    }
+    return this.roundToStep(price, rules.tickSize).toFixed(this.getStepDecimals(rules.tickSize));
+  }
+
+  floorToStep(value, step) {
+    if (!step) return value;
+    // Small epsilon so 0.3 / 0.1 doesn't floor to 2 steps
+    const steps = Math.floor(value / step + 1e-9);
+    return parseFloat((steps * step).toFixed(this.getStepDecimals(step)));
+  }
+
+  roundToStep(value, step) {
+    if (!step) return value;
+    const steps = Math.round(value / step);
+    return parseFloat((steps * step).toFixed(this.getStepDecimals(step)));
+  }
+
+  // Decimal places implied by a step like 0.00100000 or 1e-8
+  getStepDecimals(step) {
+    const text = typeof step === 'string' ? step : step.toString();
+
+    if (text.includes('e-')) {
+      const [mantissa, exponent] = text.split('e-');
+      const fraction = mantissa.split('.')[1] || '';
+      return parseInt(exponent, 10) + fraction.length;
+    }
+
+    const fraction = text.split('.')[1] || '';
+    return fraction.replace(/0+$/, '').length;
+  }
+
+  // Places stop loss / take profit legs for the filled part of an entry, priced off the average fill
+  // Unfilled entries get their legs from the order manager once fills are confirmed
+  async createConditionalOrders(parentOrder, orderParams) {
+    const { symbol, side, stopLoss, takeProfit } = orderParams;
+
+    try {
+      const quantity = this.getFilledQuantity(parentOrder);
+      if (quantity <= 0) {
+        return [];
+      }
+
+      const entryPrice = this.getAverageFillPrice(parentOrder) || await this.getCurrentPrice(symbol);
+      return await this.createBracketOrders({ symbol, side, quantity, entryPrice, stopLoss, takeProfit });
+    } catch (error) {
+      // Don't throw here as main order succeeded
+      console.error(`Failed to create conditional orders on ${this.platformName}:`, error);
+      return [];
+    }
+  }
+
+  // Exit legs for a position opened by an entry on `side`, sharing an ocoGroupId
+  // Spot venues lock the balance behind a resting exit, so only the stop rests on the venue;
+  // the take profit is a virtual leg the order manager watches and sends as a market order
+  // Adapters with native OCO/bracket orders override this and mark their legs native
+  async createBracketOrders(bracket) {
+    const { symbol, side, quantity } = bracket;
+    const { stopLossPrice, takeProfitPrice } = this.getBracketPrices(bracket);
+    const exitSide = side.toUpperCase() === 'BUY' ? 'SELL' : 'BUY';
+    const ocoGroupId = `oco_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const legs = [];
+
+    if (stopLossPrice) {
+      const stopLossOrder = await this.createOrder({
+        symbol,
+        side: exitSide,
+        quantity,
+        type: 'STOP_MARKET',
+        stopPrice: stopLossPrice
+      });
+
+      legs.push({
+        type: 'STOP_LOSS',
+        orderId: stopLossOrder.id,
+        orderType: 'STOP_MARKET',
+        price: stopLossPrice,
+        quantity,
+        ocoGroupId,
+        native: false
+      });
+    }
+
+    if (takeProfitPrice && stopLossPrice) {
+      legs.push({
+        type: 'TAKE_PROFIT',
+        orderId: `${ocoGroupId}_tp`,
+        orderType: 'MARKET',
+        price: takeProfitPrice,
+        quantity,
+        ocoGroupId,
+        native: false,
+        virtual: true
+      });
+    } else if (takeProfitPrice) {
+      const takeProfitOrder = await this.createOrder({
+        symbol,
+        side: exitSide,
+        quantity,
+        type: 'LIMIT',
+        price: takeProfitPrice
+      });
+
+      legs.push({
+        type: 'TAKE_PROFIT',
+        orderId: takeProfitOrder.id,
+        orderType: 'LIMIT',
+        price: takeProfitPrice,
+        quantity,
+        ocoGroupId,
+        native: false
+      });
+    }
+
+    return legs;
+  }
+
+  // Stop loss / take profit are fractions of the entry price unless absolute prices are given
+  getBracketPrices({ side, entryPrice, stopLoss, takeProfit, stopLossPrice, takeProfitPrice }) {
+    const isBuy = side.toUpperCase() === 'BUY';
+    return {
+      stopLossPrice: stopLossPrice || (stopLoss ? entryPrice * (isBuy ? 1 - stopLoss : 1 + stopLoss) : null),
+      takeProfitPrice: takeProfitPrice || (takeProfit ? entryPrice * (isBuy ? 1 + takeProfit : 1 - takeProfit) : null)
+    };
+  }
+
+  // Moves a resting stop in place; venues without order replacement return null
+  // and the order manager cancels and re-places the exit legs instead
+  async amendStopOrder(orderId, symbol, stopPrice) {
+    return null;
+  }
+
+  getFilledQuantity(order) {
+    if (order.filled !== undefined && order.filled !== null && !Number.isNaN(order.filled)) {
+      return order.filled;
+    }
+    if (Array.isArray(order.fills) && order.fills.length > 0) {
+      return order.fills.reduce((sum, fill) => sum + parseFloat(fill.qty || fill.quantity || 0), 0);
+    }
+    return this.getStandardOrderStatus(String(order.status || '')) === 'filled' ? order.quantity : 0;
+  }
+
+  // Average execution price; market orders report price 0, so fall back to the fills
+  getAverageFillPrice(order) {
+    if (order.avgPrice) return order.avgPrice;
+
+    if (Array.isArray(order.fills) && order.fills.length > 0) {
+      let quantity = 0;
+      let cost = 0;
+      for (const fill of order.fills) {
+        const fillQuantity = parseFloat(fill.qty || fill.quantity || 0);
+        quantity += fillQuantity;
+        cost += fillQuantity * parseFloat(fill.price || 0);
+      }
+      if (quantity > 0) return cost / quantity;
+    }
+
+    return order.price || 0;
+  }
+
   async testConnection() {
     try {
       await this.getAccountBalance();
@@ -136,6 +437,21 @@ export class BaseAdapter {
     return symbol.toUpperCase();
   }
 
+  // Split a pair like BTCUSDT, BTC-USD or ETH_BTC into its base and quote currencies
+  splitSymbol(symbol) {
+    const normalized = symbol.toUpperCase().replace(/[-_/]/g, '');
+    const quotes = ['USDT', 'USDC', 'BUSD', 'USD', 'EUR', 'GBP', 'BTC', 'ETH', 'BNB'];
+
+    for (const quote of quotes) {
+      if (normalized.endsWith(quote) && normalized.length > quote.length) {
+        return { base: normalized.slice(0, -quote.length), quote };
+      }
+    }
+
+    // Plain tickers (stocks) are quoted in USD
+    return { base: normalized, quote: 'USD' };
+  }
+
   formatNumber(number, decimals = 8) {
     return parseFloat(number.toFixed(decimals));
   }
@@ -3,6 +3,7 @@
 
 import { BaseAdapter } from './base-adapter.js';
 import { Logger } from '../../utils/logger.js';
+import { CryptoUtils } from '../../utils/crypto-utils.js';
 
 export class BinanceAdapter extends BaseAdapter {
   constructor() {
@@ -12,9 +13,22 @@ export class BinanceAdapter extends BaseAdapter {
     this.testUrl = 'https://testnet.binance.vision';
     this.wsUrl = 'wss://stream.binance.com:9443/ws/';
     this.testWsUrl = 'wss://testnet.binance.vision/ws/';
+    // Combined streams wrap every payload with its stream name, which partial depth needs for the symbol
+    this.marketWsUrl = 'wss://stream.binance.com:9443/stream';
+    this.testMarketWsUrl = 'wss://testnet.binance.vision/stream';
     
     this.websocket = null;
-    this.subscriptions = new Map();
+    this.marketSocket = null;
+    this.subscriptions = new Map(); // Stream name -> subscribed symbol
+    this.requestId = 0;
+
+    // Server clock offset keeps signed timestamps inside recvWindow
+    this.recvWindow = 5000;
+    this.timeOffset = 0;
+    this.lastTimeSync = 0;
+    this.timeSyncInterval = 30 * 60 * 1000; // 30 minutes
+
+    this.stopLimitBuffer = 0.005; // OCO stop-limit sits 0.5% beyond the trigger
   }
 
   async connect(config) {
@@ -25,10 +39,14 @@ export class BinanceAdapter extends BaseAdapter {
       apiSecret,
       testMode,
       baseUrl: testMode ? this.testUrl : this.baseUrl,
-      wsUrl: testMode ? this.testWsUrl : this.wsUrl
+      wsUrl: testMode ? this.testWsUrl : this.wsUrl,
+      marketWsUrl: testMode ? this.testMarketWsUrl : this.marketWsUrl
     };
 
     try {
+      // Align with the server clock before any signed request
+      await this.syncServerTime();
+
       // Test connection
       await this.testConnection();
       
@@ -83,9 +101,6 @@ export class BinanceAdapter extends BaseAdapter {
         this.makeRequest('GET', '/api/v3/depth', { symbol, limit: 100 })
       ]);
 
-      const prices = klines.map(k => parseFloat(k[4])); // Close prices
-      const volumes = klines.map(k => parseFloat(k[5])); // Volumes
-
       return {
         symbol,
         currentPrice: parseFloat(ticker.lastPrice),
@@ -95,8 +110,7 @@ export class BinanceAdapter extends BaseAdapter {
         low24h: parseFloat(ticker.lowPrice),
         priceChange24h: parseFloat(ticker.priceChange),
         priceChangePercent24h: parseFloat(ticker.priceChangePercent),
-        prices,
-        volumes,
+        ...this.candleSeries(klines.map(kline => this.parseKline(kline))),
         orderBook: {
           bids: depth.bids.slice(0, 10).map(([price, qty]) => ({
             price: parseFloat(price),
@@ -115,10 +129,33 @@ export class BinanceAdapter extends BaseAdapter {
     }
   }
 
+  async getCandles(symbol, timeframe = '1m', limit = 500) {
+    const klines = await this.makeRequest('GET', '/api/v3/klines', {
+      symbol,
+      interval: timeframe,
+      limit: Math.min(limit, 1000)
+    });
+
+    return klines.map(kline => this.parseKline(kline));
+  }
+
+  // [openTime, open, high, low, close, volume, ...]
+  parseKline(kline) {
+    return {
+      time: kline[0],
+      open: parseFloat(kline[1]),
+      high: parseFloat(kline[2]),
+      low: parseFloat(kline[3]),
+      close: parseFloat(kline[4]),
+      volume: parseFloat(kline[5])
+    };
+  }
+
   async createOrder(orderParams) {
-    const { symbol, side, quantity, type, price, stopPrice, timeInForce = 'GTC' } = orderParams;
-    
     try {
+      // Round to LOT_SIZE / PRICE_FILTER and check MIN_NOTIONAL before sending
+      const { symbol, side, quantity, type, price, stopPrice, timeInForce = 'GTC' } = await this.applyTradingRules(orderParams);
+
       const params = {
         symbol,
         side: side.toUpperCase(),
@@ -138,86 +175,93 @@ export class BinanceAdapter extends BaseAdapter {
       }
 
       const response = await this.makeRequest('POST', '/api/v3/order', params);
+      const executedQty = parseFloat(response.executedQty || 0);
 
-      // Handle stop loss and take profit orders
-      if (orderParams.stopLoss || orderParams.takeProfit) {
-        await this.createConditionalOrders(response, orderParams);
-      }
-
-      return {
+      const order = {
         id: response.orderId.toString(),
         symbol: response.symbol,
         side: response.side,
         quantity: parseFloat(response.origQty),
         price: parseFloat(response.price || 0),
+        filled: executedQty,
+        avgPrice: executedQty > 0 ? parseFloat(response.cummulativeQuoteQty) / executedQty : 0,
         status: response.status,
         type: response.type,
         timestamp: response.transactTime,
-        fills: response.fills || []
+        fills: response.fills || [],
+        conditionalOrders: []
       };
+
+      // Handle stop loss and take profit orders
+      if (orderParams.stopLoss || orderParams.takeProfit) {
+        order.conditionalOrders = await this.createConditionalOrders(order, orderParams);
+      }
+
+      return order;
     } catch (error) {
       this.logger.error('Failed to create Binance order:', error);
       throw error;
     }
   }
 
-  async createConditionalOrders(parentOrder, orderParams) {
-    const { symbol, side, quantity, stopLoss, takeProfit } = orderParams;
-    const oppositeSide = side === 'BUY' ? 'SELL' : 'BUY';
+  // Native OCO when both legs are wanted: the exchange cancels the other leg when one fills
+  async createBracketOrders(bracket) {
+    const { symbol, side, quantity } = bracket;
+    const { stopLossPrice, takeProfitPrice } = this.getBracketPrices(bracket);
+    if (!stopLossPrice || !takeProfitPrice) {
+      return this.createSingleExitLeg({ symbol, side, quantity, stopLossPrice, takeProfitPrice });
+    }
 
-    try {
-      const conditionalOrders = [];
-
-      // Create stop loss order
-      if (stopLoss) {
-        const stopLossPrice = side === 'BUY' ? 
-          parentOrder.price * (1 - stopLoss) : 
-          parentOrder.price * (1 + stopLoss);
-
-        const stopLossOrder = await this.makeRequest('POST', '/api/v3/order', {
-          symbol,
-          side: oppositeSide,
-          type: 'STOP_MARKET',
-          quantity: this.formatQuantity(symbol, quantity),
-          stopPrice: this.formatPrice(symbol, stopLossPrice),
-          timeInForce: 'GTC'
-        });
-
-        conditionalOrders.push({
-          type: 'STOP_LOSS',
-          orderId: stopLossOrder.orderId,
-          price: stopLossPrice
-        });
-      }
+    const exitSide = side.toUpperCase() === 'BUY' ? 'SELL' : 'BUY';
+    // The stop leg is a stop-limit on Binance; give the limit room so it still fills in a fast move
+    const stopLimitPrice = stopLossPrice * (exitSide === 'SELL' ? 1 - this.stopLimitBuffer : 1 + this.stopLimitBuffer);
+
+    await this.getSymbolRules(symbol);
+    const response = await this.makeRequest('POST', '/api/v3/order/oco', {
+      symbol,
+      side: exitSide,
+      quantity: this.formatQuantity(symbol, quantity),
+      price: this.formatPrice(symbol, takeProfitPrice),
+      stopPrice: this.formatPrice(symbol, stopLossPrice),
+      stopLimitPrice: this.formatPrice(symbol, stopLimitPrice),
+      stopLimitTimeInForce: 'GTC'
+    });
 
-      // Create take profit order
-      if (takeProfit) {
-        const takeProfitPrice = side === 'BUY' ? 
-          parentOrder.price * (1 + takeProfit) : 
-          parentOrder.price * (1 - takeProfit);
-
-        const takeProfitOrder = await this.makeRequest('POST', '/api/v3/order', {
-          symbol,
-          side: oppositeSide,
-          type: 'LIMIT',
-          quantity: this.formatQuantity(symbol, quantity),
-          price: this.formatPrice(symbol, takeProfitPrice),
-          timeInForce: 'GTC'
-        });
-
-        conditionalOrders.push({
-          type: 'TAKE_PROFIT',
-          orderId: takeProfitOrder.orderId,
-          price: takeProfitPrice
-        });
-      }
+    const ocoGroupId = response.orderListId.toString();
+    return response.orderReports.map(report => {
+      const isStop = report.type.startsWith('STOP');
+      return {
+        type: isStop ? 'STOP_LOSS' : 'TAKE_PROFIT',
+        orderId: report.orderId.toString(),
+        orderType: report.type,
+        price: isStop ? parseFloat(report.stopPrice) : parseFloat(report.price),
+        quantity,
+        ocoGroupId,
+        native: true
+      };
+    });
+  }
 
-      return conditionalOrders;
-    } catch (error) {
-      this.logger.error('Failed to create conditional orders:', error);
-      // Don't throw here as main order succeeded
-      return [];
-    }
+  async createSingleExitLeg({ symbol, side, quantity, stopLossPrice, takeProfitPrice }) {
+    const exitSide = side.toUpperCase() === 'BUY' ? 'SELL' : 'BUY';
+
+    await this.getSymbolRules(symbol);
+    const params = stopLossPrice ?
+      // Spot STOP_LOSS is a stop-market order and takes no timeInForce
+      { symbol, side: exitSide, type: 'STOP_LOSS', quantity: this.formatQuantity(symbol, quantity), stopPrice: this.formatPrice(symbol, stopLossPrice) } :
+      { symbol, side: exitSide, type: 'LIMIT', quantity: this.formatQuantity(symbol, quantity), price: this.formatPrice(symbol, takeProfitPrice), timeInForce: 'GTC' };
+
+    const response = await this.makeRequest('POST', '/api/v3/order', params);
+
+    return [{
+      type: stopLossPrice ? 'STOP_LOSS' : 'TAKE_PROFIT',
+      orderId: response.orderId.toString(),
+      orderType: params.type,
+      price: stopLossPrice || takeProfitPrice,
+      quantity,
+      ocoGroupId: null,
+      native: true
+    }];
   }
 
   async cancelOrder(orderId, symbol) {
@@ -331,32 +375,28 @@ export class BinanceAdapter extends BaseAdapter {
   }
 
   async initializeWebSocket() {
-    return new Promise((resolve, reject) => {
-      try {
-        this.websocket = new WebSocket(this.config.wsUrl);
-        
-        this.websocket.onopen = () => {
-          this.logger.info('Binance WebSocket connected');
-          resolve();
-        };
-
-        this.websocket.onmessage = (event) => {
-          this.handleWebSocketMessage(JSON.parse(event.data));
-        };
-
-        this.websocket.onerror = (error) => {
-          this.logger.error('Binance WebSocket error:', error);
-          reject(error);
-        };
-
-        this.websocket.onclose = () => {
-          this.logger.warn('Binance WebSocket disconnected');
-          setTimeout(() => this.initializeWebSocket(), 5000); // Reconnect after 5 seconds
-        };
-      } catch (error) {
-        reject(error);
-      }
+    this.websocket = this.createSocketManager('user', this.config.wsUrl, {
+      onMessage: data => this.handleWebSocketMessage(data),
+      heartbeat: this.getHeartbeat()
     });
+
+    try {
+      await this.websocket.connect();
+      this.logger.info('Binance WebSocket connected');
+    } catch (error) {
+      // A failed connect fails the whole connection instead of retrying in the background
+      this.websocket.close();
+      this.websocket = null;
+      throw error;
+    }
+  }
+
+  // Binance answers requests with { result, id }; listing subscriptions is the cheapest round trip
+  getHeartbeat() {
+    return {
+      message: () => ({ method: 'LIST_SUBSCRIPTIONS', id: ++this.requestId }),
+      isPong: message => message.id !== undefined && 'result' in message
+    };
   }
 
   handleWebSocketMessage(data) {
@@ -370,7 +410,10 @@ export class BinanceAdapter extends BaseAdapter {
         side: data.S,
         quantity: parseFloat(data.q),
         price: parseFloat(data.p),
-        filled: parseFloat(data.z)
+        filled: parseFloat(data.z),
+        // Cumulative quote quantity over cumulative filled quantity
+        avgPrice: parseFloat(data.z) > 0 ? parseFloat(data.Z) / parseFloat(data.z) : 0,
+        timestamp: data.T
       });
     } else if (data.e === 'outboundAccountPosition') {
       // Balance update
@@ -382,31 +425,153 @@ export class BinanceAdapter extends BaseAdapter {
     }
   }
 
+  // Market data streams
+  // Public trades, 1m klines and the top 20 book levels per symbol on one combined-stream socket
+  // The socket manager resubscribes after reconnects and reconnects when the streams go quiet
+  async subscribeMarketData(symbols) {
+    const streams = [];
+    for (const symbol of symbols) {
+      const name = this.normalizeSymbol(symbol).toLowerCase();
+      for (const stream of [`${name}@trade`, `${name}@kline_1m`, `${name}@depth20@100ms`]) {
+        if (!this.subscriptions.has(stream)) {
+          this.subscriptions.set(stream, symbol);
+          streams.push(stream);
+        }
+      }
+    }
+
+    if (streams.length > 0) {
+      const socket = this.getMarketSocket();
+      socket.subscribe(streams);
+      // A failed first attempt keeps retrying; the subscriptions are sent once a socket opens
+      await socket.connect().catch(error => this.logger.warn(error.message));
+    }
+    return true;
+  }
+
+  async unsubscribeMarketData(symbols) {
+    const names = symbols.map(symbol => this.normalizeSymbol(symbol).toLowerCase());
+    const streams = [...this.subscriptions.keys()].filter(stream => names.includes(stream.split('@')[0]));
+    streams.forEach(stream => this.subscriptions.delete(stream));
+
+    if (this.subscriptions.size === 0) {
+      this.closeMarketSocket();
+    } else if (streams.length > 0) {
+      this.marketSocket?.unsubscribe(streams);
+    }
+    return true;
+  }
+
+  getMarketSocket() {
+    if (!this.marketSocket) {
+      this.marketSocket = this.createSocketManager('market', this.config.marketWsUrl, {
+        onMessage: message => this.handleMarketStreamMessage(message),
+        subscribeMessages: streams => [{ method: 'SUBSCRIBE', params: streams, id: ++this.requestId }],
+        unsubscribeMessages: streams => [{ method: 'UNSUBSCRIBE', params: streams, id: ++this.requestId }],
+        heartbeat: this.getHeartbeat(),
+        staleAfter: 60 * 1000 // Depth updates every 100ms, so a minute of silence is a dead feed
+      });
+    }
+    return this.marketSocket;
+  }
+
+  closeMarketSocket() {
+    const socket = this.marketSocket;
+    this.marketSocket = null;
+    if (socket) socket.close();
+  }
+
+  handleMarketStreamMessage(message) {
+    // Subscription acknowledgements carry no stream
+    if (!message.stream || !message.data) return;
+
+    const symbol = this.subscriptions.get(message.stream);
+    if (!symbol) return;
+    const data = message.data;
+
+    if (message.stream.endsWith('@trade')) {
+      this.emit('trade', {
+        symbol,
+        price: parseFloat(data.p),
+        quantity: parseFloat(data.q),
+        // Buyer is the maker, so the aggressor sold
+        side: data.m ? 'SELL' : 'BUY',
+        timestamp: data.T
+      });
+    } else if (message.stream.includes('@kline_')) {
+      const kline = data.k;
+      this.emit('kline', {
+        symbol,
+        timeframe: kline.i,
+        candle: {
+          time: kline.t,
+          open: parseFloat(kline.o),
+          high: parseFloat(kline.h),
+          low: parseFloat(kline.l),
+          close: parseFloat(kline.c),
+          volume: parseFloat(kline.v)
+        },
+        closed: kline.x,
+        timestamp: data.E
+      });
+    } else if (message.stream.includes('@depth')) {
+      this.emit('orderBook', {
+        symbol,
+        bids: data.bids.slice(0, 10).map(([price, qty]) => ({ price: parseFloat(price), quantity: parseFloat(qty) })),
+        asks: data.asks.slice(0, 10).map(([price, qty]) => ({ price: parseFloat(price), quantity: parseFloat(qty) })),
+        timestamp: Date.now()
+      });
+    }
+  }
+
   subscribeToUserData() {
     // This would require obtaining a listen key from Binance
     // Implementation would depend on specific requirements
   }
 
-  async makeRequest(method, endpoint, params = {}) {
-    const timestamp = Date.now();
+  async syncServerTime() {
+    // Offset between Binance server time and the local clock, measured at the request midpoint
+    const requestedAt = Date.now();
+    const response = await this.makeRequest('GET', '/api/v3/time');
+    const receivedAt = Date.now();
+
+    this.timeOffset = response.serverTime - Math.round((requestedAt + receivedAt) / 2);
+    this.lastTimeSync = receivedAt;
+    this.logger.debug(`Binance clock offset: ${this.timeOffset}ms`);
+
+    return this.timeOffset;
+  }
+
+  getServerTimestamp() {
+    return Date.now() + this.timeOffset;
+  }
+
+  async makeRequest(method, endpoint, params = {}, isRetry = false) {
     const url = new URL(this.config.baseUrl + endpoint);
-    
+    const requestParams = { ...params };
+    const signed = this.requiresSignature(endpoint);
+
+    // Resync the clock before signing if the last sync is stale
+    if (signed && Date.now() - this.lastTimeSync > this.timeSyncInterval) {
+      await this.syncServerTime();
+    }
+
     // Add timestamp for signed requests
-    if (this.requiresSignature(endpoint)) {
-      params.timestamp = timestamp;
-      params.recvWindow = 5000;
+    if (signed) {
+      requestParams.timestamp = this.getServerTimestamp();
+      requestParams.recvWindow = this.recvWindow;
     }
 
     // Add API key to headers
     const headers = {
-      'X-MBX-APIKEY': this.config.apiKey,
-      'Content-Type': 'application/json'
+      'X-MBX-APIKEY': this.config.apiKey
     };
 
-    // Sign request if required
-    if (this.requiresSignature(endpoint)) {
-      const signature = this.createSignature(params);
-      params.signature = signature;
+    // Binance signs the exact query/body string, so both are sent url-encoded
+    let payload = new URLSearchParams(requestParams).toString();
+    if (signed) {
+      const signature = await this.createSignature(payload);
+      payload += (payload ? '&' : '') + 'signature=' + signature;
     }
 
     // Prepare request
@@ -414,12 +579,12 @@ export class BinanceAdapter extends BaseAdapter {
     let body = null;
 
     if (method === 'GET' || method === 'DELETE') {
-      const queryString = new URLSearchParams(params).toString();
-      if (queryString) {
-        requestUrl += '?' + queryString;
+      if (payload) {
+        requestUrl += '?' + payload;
       }
     } else {
-      body = JSON.stringify(params);
+      headers['Content-Type'] = 'application/x-www-form-urlencoded';
+      body = payload;
     }
 
     try {
@@ -431,7 +596,17 @@ export class BinanceAdapter extends BaseAdapter {
 
       if (!response.ok) {
         const errorData = await response.json();
-        throw new Error(`Binance API error: ${errorData.msg || response.statusText}`);
+
+        // -1021: timestamp outside recvWindow, the local clock drifted
+        if (errorData.code === -1021 && signed && !isRetry) {
+          this.logger.warn('Binance rejected request timestamp, resyncing clock');
+          await this.syncServerTime();
+          return this.makeRequest(method, endpoint, params, true);
+        }
+
+        const error = new Error(`Binance API error: ${errorData.msg || response.statusText}`);
+        error.code = errorData.code;
+        throw error;
       }
 
       return await response.json();
@@ -453,28 +628,45 @@ export class BinanceAdapter extends BaseAdapter {
     return signedEndpoints.some(ep => endpoint.startsWith(ep));
   }
 
-  createSignature(params) {
-    const queryString = new URLSearchParams(params).toString();
-    return this.hmacSha256(queryString, this.config.apiSecret);
-  }
-
-  hmacSha256(message, secret) {
-    // This would use crypto library in a real implementation
-    // For browser environment, would need Web Crypto API
-    // Simplified implementation for demonstration
-    return 'mock_signature_' + Date.now();
+  async createSignature(queryString) {
+    // Hex HMAC-SHA256 of the url-encoded parameters, keyed with the API secret
+    return CryptoUtils.hmacSha256(this.config.apiSecret, queryString);
   }
 
-  formatQuantity(symbol, quantity) {
-    // Format quantity according to symbol's step size
-    // This would require exchange info from Binance
-    return quantity.toFixed(6);
+  async fetchSymbolRules(symbol) {
+    try {
+      const response = await this.makeRequest('GET', '/api/v3/exchangeInfo', { symbol });
+      const info = response.symbols && response.symbols[0];
+      return info ? this.parseSymbolRules(info) : null;
+    } catch (error) {
+      // -1121: invalid symbol
+      if (error.code === -1121) {
+        return null;
+      }
+      throw error;
+    }
   }
 
-  formatPrice(symbol, price) {
-    // Format price according to symbol's tick size
-    // This would require exchange info from Binance
-    return price.toFixed(2);
+  parseSymbolRules(info) {
+    const filters = new Map(info.filters.map(filter => [filter.filterType, filter]));
+    const lotSize = filters.get('LOT_SIZE') || {};
+    const priceFilter = filters.get('PRICE_FILTER') || {};
+    // Newer symbols carry NOTIONAL, older ones MIN_NOTIONAL
+    const notional = filters.get('NOTIONAL') || filters.get('MIN_NOTIONAL') || {};
+
+    return {
+      symbol: info.symbol,
+      baseAsset: info.baseAsset,
+      quoteAsset: info.quoteAsset,
+      tradable: info.status === 'TRADING',
+      stepSize: parseFloat(lotSize.stepSize || 0),
+      minQty: parseFloat(lotSize.minQty || 0),
+      maxQty: parseFloat(lotSize.maxQty || 0),
+      tickSize: parseFloat(priceFilter.tickSize || 0),
+      minPrice: parseFloat(priceFilter.minPrice || 0),
+      maxPrice: parseFloat(priceFilter.maxPrice || 0),
+      minNotional: parseFloat(notional.minNotional || 0)
+    };
   }
 
   async disconnect() {
@@ -482,6 +674,8 @@ export class BinanceAdapter extends BaseAdapter {
       this.websocket.close();
       this.websocket = null;
     }
+    this.subscriptions.clear();
+    this.closeMarketSocket();
     this.logger.info('Disconnected from Binance');
   }
 }
\ No newline at end of file
@@ -0,0 +1,433 @@
+// Bybit API Adapter
+// Integrates with Bybit V5 REST API (spot category, unified trading account)
+
+import { BaseAdapter } from './base-adapter.js';
+import { Logger } from '../../utils/logger.js';
+import { CryptoUtils } from '../../utils/crypto-utils.js';
+
+export class BybitAdapter extends BaseAdapter {
+  constructor() {
+    super('bybit');
+    this.logger = new Logger();
+    this.baseUrl = 'https://api.bybit.com';
+    this.testUrl = 'https://api-testnet.bybit.com';
+    this.category = 'spot';
+    this.recvWindow = 5000;
+
+    // Cancel and status lookups need the symbol; remember it for orders we placed
+    this.orderSymbols = new Map();
+  }
+
+  async connect(config) {
+    const { apiKey, apiSecret, testMode = true } = config;
+
+    this.config = {
+      apiKey,
+      apiSecret,
+      testMode,
+      baseUrl: testMode ? this.testUrl : this.baseUrl
+    };
+
+    try {
+      await this.testConnection();
+
+      this.isConnected = true;
+      this.logger.info(`Connected to Bybit ${testMode ? 'testnet' : 'mainnet'}`);
+
+      return this;
+    } catch (error) {
+      this.logger.error('Failed to connect to Bybit:', error);
+      throw error;
+    }
+  }
+
+  async testConnection() {
+    try {
+      const response = await this.makeRequest('GET', '/v5/account/wallet-balance', { accountType: 'UNIFIED' });
+      return Array.isArray(response.list);
+    } catch (error) {
+      throw new Error('Bybit connection test failed: ' + error.message);
+    }
+  }
+
+  async getAccountBalance() {
+    try {
+      const response = await this.makeRequest('GET', '/v5/account/wallet-balance', { accountType: 'UNIFIED' });
+      const coins = response.list[0]?.coin || [];
+
+      return coins
+        .filter(coin => parseFloat(coin.walletBalance) > 0)
+        .map(coin => {
+          const total = parseFloat(coin.walletBalance);
+          const locked = parseFloat(coin.locked || 0);
+          return {
+            currency: coin.coin,
+            available: total - locked,
+            locked,
+            total
+          };
+        });
+    } catch (error) {
+      this.logger.error('Failed to get Bybit account balance:', error);
+      throw error;
+    }
+  }
+
+  async getMarketData(symbol, timeframe = '1m') {
+    try {
+      const pair = this.normalizeSymbol(symbol);
+
+      const [tickers, klines, depth] = await Promise.all([
+        this.makeRequest('GET', '/v5/market/tickers', { category: this.category, symbol: pair }, false),
+        this.makeRequest('GET', '/v5/market/kline', {
+          category: this.category,
+          symbol: pair,
+          interval: this.timeframeToInterval(timeframe),
+          limit: 100
+        }, false),
+        this.makeRequest('GET', '/v5/market/orderbook', { category: this.category, symbol: pair, limit: 50 }, false)
+      ]);
+
+      const ticker = tickers.list[0];
+      // Klines come newest first
+      const candles = klines.list.slice().reverse();
+      const currentPrice = parseFloat(ticker.lastPrice);
+      const previousPrice = parseFloat(ticker.prevPrice24h);
+
+      return {
+        symbol: pair,
+        currentPrice,
+        previousPrice,
+        volume24h: parseFloat(ticker.volume24h),
+        high24h: parseFloat(ticker.highPrice24h),
+        low24h: parseFloat(ticker.lowPrice24h),
+        priceChange24h: currentPrice - previousPrice,
+        priceChangePercent24h: parseFloat(ticker.price24hPcnt) * 100,
+        ...this.candleSeries(candles.map(candle => this.parseCandle(candle))),
+        orderBook: {
+          bids: depth.b.slice(0, 10).map(([price, size]) => ({
+            price: parseFloat(price),
+            quantity: parseFloat(size)
+          })),
+          asks: depth.a.slice(0, 10).map(([price, size]) => ({
+            price: parseFloat(price),
+            quantity: parseFloat(size)
+          }))
+        },
+        timestamp: Date.now()
+      };
+    } catch (error) {
+      this.logger.error(`Failed to get market data for ${symbol}:`, error);
+      throw error;
+    }
+  }
+
+  // [startTime, open, high, low, close, volume, turnover]
+  parseCandle(candle) {
+    return {
+      time: parseInt(candle[0]),
+      open: parseFloat(candle[1]),
+      high: parseFloat(candle[2]),
+      low: parseFloat(candle[3]),
+      close: parseFloat(candle[4]),
+      volume: parseFloat(candle[5])
+    };
+  }
+
+  async getCurrentPrice(symbol) {
+    const tickers = await this.makeRequest('GET', '/v5/market/tickers', {
+      category: this.category,
+      symbol: this.normalizeSymbol(symbol)
+    }, false);
+    return parseFloat(tickers.list[0].lastPrice);
+  }
+
+  async createOrder(orderParams) {
+    this.validateOrderParams(orderParams);
+
+    const { symbol, side, quantity, type = 'MARKET', price, stopPrice, timeInForce = 'GTC' } = orderParams;
+    const pair = this.normalizeSymbol(symbol);
+    const orderType = type.toUpperCase();
+
+    try {
+      const params = {
+        category: this.category,
+        symbol: pair,
+        side: side.toUpperCase() === 'BUY' ? 'Buy' : 'Sell',
+        qty: String(this.formatNumber(quantity)),
+        orderLinkId: crypto.randomUUID()
+      };
+
+      switch (orderType) {
+        case 'MARKET':
+          params.orderType = 'Market';
+          // Spot market buys default to quote quantity; we always size in base units
+          params.marketUnit = 'baseCoin';
+          break;
+
+        case 'LIMIT':
+          params.orderType = 'Limit';
+          params.price = String(this.formatNumber(price));
+          params.timeInForce = timeInForce;
+          break;
+
+        case 'STOP':
+        case 'STOP_MARKET':
+        case 'STOP_LIMIT':
+          params.orderType = orderType === 'STOP_LIMIT' ? 'Limit' : 'Market';
+          params.orderFilter = 'StopOrder';
+          params.triggerPrice = String(this.formatNumber(stopPrice));
+          if (orderType === 'STOP_LIMIT') {
+            params.price = String(this.formatNumber(price));
+          } else {
+            params.marketUnit = 'baseCoin';
+          }
+          break;
+
+        default:
+          throw new Error(`Unsupported order type: ${type}`);
+      }
+
+      const response = await this.makeRequest('POST', '/v5/order/create', params);
+      this.orderSymbols.set(response.orderId, pair);
+
+      const order = {
+        id: response.orderId,
+        symbol: pair,
+        side: side.toUpperCase(),
+        quantity: parseFloat(quantity),
+        price: parseFloat(price || 0),
+        status: 'open',
+        type: orderType,
+        timestamp: Date.now(),
+        fills: []
+      };
+
+      // Handle stop loss and take profit orders
+      if (orderParams.stopLoss || orderParams.takeProfit) {
+        order.conditionalOrders = await this.createConditionalOrders(order, orderParams);
+      }
+
+      return order;
+    } catch (error) {
+      this.logger.error('Failed to create Bybit order:', error);
+      throw error;
+    }
+  }
+
+  async cancelOrder(orderId, symbol) {
+    try {
+      const pair = this.resolveOrderSymbol(orderId, symbol);
+      await this.makeRequest('POST', '/v5/order/cancel', {
+        category: this.category,
+        symbol: pair,
+        orderId
+      });
+
+      return {
+        id: orderId,
+        status: 'CANCELLED',
+        timestamp: Date.now()
+      };
+    } catch (error) {
+      this.logger.error('Failed to cancel Bybit order:', error);
+      throw error;
+    }
+  }
+
+  async getOrderStatus(orderId, symbol) {
+    try {
+      const params = { category: this.category, orderId };
+      const pair = this.orderSymbols.get(orderId) || (symbol && this.normalizeSymbol(symbol));
+      if (pair) params.symbol = pair;
+
+      // Open orders are served by realtime; closed ones fall through to history
+      let response = await this.makeRequest('GET', '/v5/order/realtime', params);
+      if (response.list.length === 0) {
+        response = await this.makeRequest('GET', '/v5/order/history', params);
+      }
+
+      if (response.list.length === 0) {
+        throw new Error(`Order not found: ${orderId}`);
+      }
+
+      return this.formatOrder(response.list[0]);
+    } catch (error) {
+      this.logger.error('Failed to get order status:', error);
+      throw error;
+    }
+  }
+
+  async getOpenPositions() {
+    try {
+      const response = await this.makeRequest('GET', '/v5/order/realtime', {
+        category: this.category,
+        openOnly: 0,
+        limit: 50
+      });
+
+      return response.list.map(order => {
+        const formatted = this.formatOrder(order);
+        return {
+          orderId: formatted.id,
+          symbol: formatted.symbol,
+          side: formatted.side,
+          quantity: formatted.quantity,
+          filled: formatted.filled,
+          remaining: formatted.quantity - formatted.filled,
+          price: formatted.price,
+          status: formatted.status,
+          type: formatted.type,
+          timestamp: formatted.timestamp
+        };
+      });
+    } catch (error) {
+      this.logger.error('Failed to get open positions:', error);
+      throw error;
+    }
+  }
+
+  async getOrderHistory(symbol, limit = 100) {
+    try {
+      const params = { category: this.category, limit: Math.min(limit, 50) };
+      if (symbol) params.symbol = this.normalizeSymbol(symbol);
+
+      const response = await this.makeRequest('GET', '/v5/order/history', params);
+      return response.list.map(order => this.formatOrder(order));
+    } catch (error) {
+      this.logger.error('Failed to get order history:', error);
+      throw error;
+    }
+  }
+
+  resolveOrderSymbol(orderId, symbol) {
+    const pair = symbol ? this.normalizeSymbol(symbol) : this.orderSymbols.get(orderId);
+    if (!pair) {
+      throw new Error(`Symbol is required to look up Bybit order ${orderId}`);
+    }
+    return pair;
+  }
+
+  formatOrder(order) {
+    const orderType = order.orderType.toUpperCase();
+    const isStop = order.stopOrderType || parseFloat(order.triggerPrice || 0) > 0;
+
+    return {
+      id: order.orderId,
+      symbol: order.symbol,
+      side: order.side.toUpperCase(),
+      quantity: parseFloat(order.qty),
+      filled: parseFloat(order.cumExecQty || 0),
+      price: parseFloat(order.price || 0),
+      avgPrice: parseFloat(order.avgPrice || 0),
+      status: this.mapOrderStatus(order.orderStatus),
+      type: isStop ? `STOP_${orderType}` : orderType,
+      timestamp: parseInt(order.createdTime)
+    };
+  }
+
+  mapOrderStatus(status) {
+    const statusMap = {
+      'Created': 'open',
+      'New': 'open',
+      'Untriggered': 'open',
+      'Triggered': 'open',
+      'PartiallyFilled': 'partially_filled',
+      'Filled': 'filled',
+      'Cancelled': 'cancelled',
+      'PartiallyFilledCanceled': 'cancelled',
+      'Deactivated': 'cancelled',
+      'Rejected': 'rejected'
+    };
+
+    return statusMap[status] || status.toLowerCase();
+  }
+
+  normalizeSymbol(symbol) {
+    // Bybit uses concatenated pairs like BTCUSDT
+    const { base, quote } = this.splitSymbol(symbol);
+    return base + quote;
+  }
+
+  timeframeToInterval(timeframe) {
+    const intervalMap = {
+      '1m': '1',
+      '3m': '3',
+      '5m': '5',
+      '15m': '15',
+      '30m': '30',
+      '1h': '60',
+      '2h': '120',
+      '4h': '240',
+      '6h': '360',
+      '12h': '720',
+      '1d': 'D',
+      '1w': 'W',
+      '1M': 'M'
+    };
+
+    return intervalMap[timeframe] || '60'; // Default to 1 hour
+  }
+
+  async makeRequest(method, endpoint, params = {}, signed = true) {
+    await this.waitForRateLimit();
+
+    let requestUrl = this.config.baseUrl + endpoint;
+    let payload = '';
+
+    if (method === 'GET') {
+      payload = new URLSearchParams(params).toString();
+      if (payload) {
+        requestUrl += '?' + payload;
+      }
+    } else {
+      payload = JSON.stringify(params);
+    }
+
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+
+    if (signed) {
+      // Sign timestamp + key + recv window + (query string | JSON body)
+      const timestamp = Date.now().toString();
+      const recvWindow = this.recvWindow.toString();
+      headers['X-BAPI-API-KEY'] = this.config.apiKey;
+      headers['X-BAPI-TIMESTAMP'] = timestamp;
+      headers['X-BAPI-RECV-WINDOW'] = recvWindow;
+      headers['X-BAPI-SIGN'] = await CryptoUtils.hmacSha256(
+        this.config.apiSecret,
+        timestamp + this.config.apiKey + recvWindow + payload
+      );
+    }
+
+    try {
+      const response = await fetch(requestUrl, {
+        method,
+        headers,
+        body: method === 'GET' ? undefined : payload
+      });
+
+      if (!response.ok) {
+        throw new Error(`Bybit API error: ${response.statusText}`);
+      }
+
+      // Bybit reports failures through retCode with HTTP 200
+      const data = await response.json();
+      if (data.retCode !== 0) {
+        throw new Error(`Bybit API error: ${data.retMsg} (${data.retCode})`);
+      }
+
+      return data.result;
+    } catch (error) {
+      this.logger.error('Bybit API request failed:', error);
+      throw error;
+    }
+  }
+
+  async disconnect() {
+    this.orderSymbols.clear();
+    this.isConnected = false;
+    this.logger.info('Disconnected from Bybit');
+  }
+}
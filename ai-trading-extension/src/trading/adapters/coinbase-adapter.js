@@ -3,6 +3,7 @@
 
 import { BaseAdapter } from './base-adapter.js';
 import { Logger } from '../../utils/logger.js';
+import { CryptoUtils } from '../../utils/crypto-utils.js';
 
 export class CoinbaseAdapter extends BaseAdapter {
   constructor() {
@@ -11,16 +12,23 @@ export class CoinbaseAdapter extends BaseAdapter {
     this.baseUrl = 'https://api.coinbase.com/api/v3/brokerage';
     this.sandboxUrl = 'https://api-public.sandbox.exchange.coinbase.com';
     
+    // Public market data channels need no authentication
+    this.wsUrl = 'wss://advanced-trade-ws.coinbase.com';
+    
     this.websocket = null;
+    this.marketSubscriptions = new Map(); // Product id -> subscribed symbol
+    this.orderBooks = new Map(); // Product id -> { bids, asks } price level maps
     this.products = new Map(); // Cache for product information
+    this.productsLoadedAt = 0;
   }
 
   async connect(config) {
-    const { apiKey, apiSecret, testMode = true } = config;
+    const { apiKey, apiSecret, passphrase, testMode = true } = config;
     
     this.config = {
       apiKey,
       apiSecret,
+      passphrase,
       testMode,
       baseUrl: testMode ? this.sandboxUrl : this.baseUrl
     };
@@ -57,19 +65,27 @@ export class CoinbaseAdapter extends BaseAdapter {
   async loadProducts() {
     try {
       const response = await this.makeRequest('GET', '/products');
-      
-      response.products.forEach(product => {
-        this.products.set(product.product_id, {
-          id: product.product_id,
-          baseCurrency: product.base_currency_id,
-          quoteCurrency: product.quote_currency_id,
+      // Advanced Trade wraps the list, the sandbox Exchange API returns it bare
+      const products = Array.isArray(response) ? response : response.products;
+
+      this.products.clear();
+      products.forEach(product => {
+        const id = product.product_id || product.id;
+        this.products.set(id, {
+          id,
+          baseCurrency: product.base_currency_id || product.base_currency,
+          quoteCurrency: product.quote_currency_id || product.quote_currency,
           baseIncrement: parseFloat(product.base_increment),
           quoteIncrement: parseFloat(product.quote_increment),
-          minMarketFunds: parseFloat(product.min_market_funds || 0),
+          priceIncrement: parseFloat(product.price_increment || product.quote_increment),
+          baseMinSize: parseFloat(product.base_min_size || 0),
+          baseMaxSize: parseFloat(product.base_max_size || 0),
+          minMarketFunds: parseFloat(product.quote_min_size || product.min_market_funds || 0),
           status: product.status,
-          tradingDisabled: product.trading_disabled
+          tradingDisabled: !!(product.trading_disabled || product.is_disabled)
         });
       });
+      this.productsLoadedAt = Date.now();
       
       this.logger.info(`Loaded ${this.products.size} Coinbase products`);
     } catch (error) {
@@ -78,6 +94,30 @@ export class CoinbaseAdapter extends BaseAdapter {
     }
   }
 
+  async fetchSymbolRules(productId) {
+    if (this.products.size === 0 || Date.now() - this.productsLoadedAt > this.symbolRulesTtl) {
+      await this.loadProducts();
+    }
+
+    const product = this.products.get(productId);
+    if (!product) {
+      return null;
+    }
+
+    return {
+      symbol: product.id,
+      baseAsset: product.baseCurrency,
+      quoteAsset: product.quoteCurrency,
+      tradable: product.status === 'online' && !product.tradingDisabled,
+      stepSize: product.baseIncrement,
+      minQty: product.baseMinSize,
+      maxQty: product.baseMaxSize,
+      tickSize: product.priceIncrement,
+      quoteIncrement: product.quoteIncrement,
+      minNotional: product.minMarketFunds
+    };
+  }
+
   async getAccountBalance() {
     try {
       const response = await this.makeRequest('GET', '/accounts');
@@ -123,9 +163,6 @@ export class CoinbaseAdapter extends BaseAdapter {
         level: 2
       });
 
-      const prices = candles.candles.map(candle => parseFloat(candle.close));
-      const volumes = candles.candles.map(candle => parseFloat(candle.volume));
-
       return {
         symbol: productId,
         currentPrice: parseFloat(ticker.price),
@@ -135,8 +172,8 @@ export class CoinbaseAdapter extends BaseAdapter {
         low24h: parseFloat(stats.low),
         priceChange24h: parseFloat(ticker.price) - parseFloat(stats.open),
         priceChangePercent24h: ((parseFloat(ticker.price) - parseFloat(stats.open)) / parseFloat(stats.open)) * 100,
-        prices: prices.reverse(), // Coinbase returns newest first
-        volumes: volumes.reverse(),
+        // Coinbase returns newest first
+        ...this.candleSeries(candles.candles.map(candle => this.parseCandle(candle)).reverse()),
         orderBook: {
           bids: orderBook.pricebook.bids.slice(0, 10).map(bid => ({
             price: parseFloat(bid.price),
@@ -155,13 +192,46 @@ export class CoinbaseAdapter extends BaseAdapter {
     }
   }
 
+  async getCandles(symbol, timeframe = '1m', limit = 300) {
+    const productId = this.normalizeSymbol(symbol);
+    const granularity = this.timeframeToGranularity(timeframe);
+    // Coinbase returns at most 350 candles per request
+    const count = Math.min(limit, 350);
+    const end = new Date();
+    const start = new Date(end.getTime() - count * granularity * 1000);
+
+    const response = await this.makeRequest('GET', `/products/${productId}/candles`, {
+      start: start.toISOString(),
+      end: end.toISOString(),
+      granularity
+    });
+
+    return response.candles
+      .map(candle => this.parseCandle(candle))
+      .reverse(); // Coinbase returns newest first
+  }
+
+  parseCandle(candle) {
+    return {
+      time: parseInt(candle.start) * 1000,
+      open: parseFloat(candle.open),
+      high: parseFloat(candle.high),
+      low: parseFloat(candle.low),
+      close: parseFloat(candle.close),
+      volume: parseFloat(candle.volume)
+    };
+  }
+
   async createOrder(orderParams) {
     this.validateOrderParams(orderParams);
     
-    const { symbol, side, quantity, type, price, stopPrice } = orderParams;
-    const productId = this.normalizeSymbol(symbol);
+    const productId = this.normalizeSymbol(orderParams.symbol);
     
     try {
+      // Round to base/price increments and check the minimum order value before sending
+      const { side, quantity, type, price, stopPrice } = await this.applyTradingRules(orderParams);
+      const baseSize = this.formatQuantity(productId, quantity);
+
       const orderConfig = {
         product_id: productId,
         side: side.toLowerCase(),
@@ -172,28 +242,29 @@ export class CoinbaseAdapter extends BaseAdapter {
       switch (type.toUpperCase()) {
         case 'MARKET':
           if (side.toUpperCase() === 'BUY') {
+            const referencePrice = price || await this.getCurrentPrice(productId);
             orderConfig.order_configuration.market_market_ioc = {
-              quote_size: (quantity * price).toString() // For market buy, use quote size
+              quote_size: this.formatQuoteSize(productId, quantity * referencePrice) // For market buy, use quote size
             };
           } else {
             orderConfig.order_configuration.market_market_ioc = {
-              base_size: quantity.toString()
+              base_size: baseSize
             };
           }
           break;
           
         case 'LIMIT':
           orderConfig.order_configuration.limit_limit_gtc = {
-            base_size: quantity.toString(),
-            limit_price: price.toString()
+            base_size: baseSize,
+            limit_price: this.formatPrice(productId, price)
           };
           break;
           
         case 'STOP':
           orderConfig.order_configuration.stop_limit_stop_limit_gtc = {
-            base_size: quantity.toString(),
-            limit_price: price.toString(),
-            stop_price: stopPrice.toString(),
+            base_size: baseSize,
+            limit_price: this.formatPrice(productId, price),
+            stop_price: this.formatPrice(productId, stopPrice),
             stop_direction: side.toUpperCase() === 'BUY' ? 'STOP_DIRECTION_STOP_UP' : 'STOP_DIRECTION_STOP_DOWN'
           };
           break;
@@ -205,8 +276,9 @@ export class CoinbaseAdapter extends BaseAdapter {
       const response = await this.makeRequest('POST', '/orders', orderConfig);
 
       // Handle conditional orders
+      let conditionalOrders = [];
       if (orderParams.stopLoss || orderParams.takeProfit) {
-        await this.createConditionalOrders(response, orderParams);
+        conditionalOrders = await this.createConditionalOrders(response, orderParams);
       }
 
       return {
@@ -218,7 +290,8 @@ export class CoinbaseAdapter extends BaseAdapter {
         status: this.mapOrderStatus(response.order_status),
         type: type.toUpperCase(),
         timestamp: new Date(response.created_time).getTime(),
-        fills: []
+        fills: [],
+        conditionalOrders
       };
     } catch (error) {
       this.logger.error('Failed to create Coinbase order:', error);
@@ -226,71 +299,53 @@ export class CoinbaseAdapter extends BaseAdapter {
     }
   }
 
-  async createConditionalOrders(parentOrder, orderParams) {
-    const { symbol, side, quantity, stopLoss, takeProfit } = orderParams;
+  // Advanced Trade's trigger bracket is a single exit order carrying both the target and the stop
+  async createBracketOrders(bracket) {
+    const { symbol, side, quantity } = bracket;
     const productId = this.normalizeSymbol(symbol);
-    const oppositeSide = side.toUpperCase() === 'BUY' ? 'sell' : 'buy';
-
-    try {
-      const conditionalOrders = [];
-
-      // Create stop loss order
-      if (stopLoss) {
-        const stopLossPrice = side.toUpperCase() === 'BUY' ? 
-          parentOrder.avgPrice * (1 - stopLoss) : 
-          parentOrder.avgPrice * (1 + stopLoss);
-
-        const stopOrderConfig = {
-          product_id: productId,
-          side: oppositeSide,
-          order_configuration: {
-            stop_limit_stop_limit_gtc: {
-              base_size: quantity.toString(),
-              limit_price: stopLossPrice.toString(),
-              stop_price: stopLossPrice.toString(),
-              stop_direction: oppositeSide === 'buy' ? 'STOP_DIRECTION_STOP_UP' : 'STOP_DIRECTION_STOP_DOWN'
-            }
-          }
-        };
-
-        const stopLossOrder = await this.makeRequest('POST', '/orders', stopOrderConfig);
-        conditionalOrders.push({
-          type: 'STOP_LOSS',
-          orderId: stopLossOrder.order_id,
-          price: stopLossPrice
-        });
-      }
-
-      // Create take profit order
-      if (takeProfit) {
-        const takeProfitPrice = side.toUpperCase() === 'BUY' ? 
-          parentOrder.avgPrice * (1 + takeProfit) : 
-          parentOrder.avgPrice * (1 - takeProfit);
-
-        const profitOrderConfig = {
-          product_id: productId,
-          side: oppositeSide,
-          order_configuration: {
-            limit_limit_gtc: {
-              base_size: quantity.toString(),
-              limit_price: takeProfitPrice.toString()
-            }
-          }
-        };
+    const { stopLossPrice, takeProfitPrice } = this.getBracketPrices(bracket);
+    const exitSide = side.toUpperCase() === 'BUY' ? 'sell' : 'buy';
+    const stopDirection = exitSide === 'buy' ? 'STOP_DIRECTION_STOP_UP' : 'STOP_DIRECTION_STOP_DOWN';
+
+    await this.getSymbolRules(productId);
+    const baseSize = this.formatQuantity(productId, quantity);
+    const orderConfiguration = {};
+
+    if (stopLossPrice && takeProfitPrice) {
+      orderConfiguration.trigger_bracket_gtc = {
+        base_size: baseSize,
+        limit_price: this.formatPrice(productId, takeProfitPrice),
+        stop_trigger_price: this.formatPrice(productId, stopLossPrice)
+      };
+    } else if (stopLossPrice) {
+      orderConfiguration.stop_limit_stop_limit_gtc = {
+        base_size: baseSize,
+        limit_price: this.formatPrice(productId, stopLossPrice),
+        stop_price: this.formatPrice(productId, stopLossPrice),
+        stop_direction: stopDirection
+      };
+    } else {
+      orderConfiguration.limit_limit_gtc = {
+        base_size: baseSize,
+        limit_price: this.formatPrice(productId, takeProfitPrice)
+      };
+    }
 
-        const takeProfitOrder = await this.makeRequest('POST', '/orders', profitOrderConfig);
-        conditionalOrders.push({
-          type: 'TAKE_PROFIT',
-          orderId: takeProfitOrder.order_id,
-          price: takeProfitPrice
-        });
-      }
+    const response = await this.makeRequest('POST', '/orders', {
+      product_id: productId,
+      side: exitSide,
+      order_configuration: orderConfiguration
+    });
 
-      return conditionalOrders;
-    } catch (error) {
-      this.logger.error('Failed to create conditional orders:', error);
-      return [];
+    // Both legs of a trigger bracket live on the same order id
+    const legs = [];
+    if (stopLossPrice) {
+      legs.push({ type: 'STOP_LOSS', orderId: response.order_id, orderType: 'STOP_LIMIT', price: stopLossPrice, quantity, ocoGroupId: null, native: true });
+    }
+    if (takeProfitPrice) {
+      legs.push({ type: 'TAKE_PROFIT', orderId: response.order_id, orderType: 'LIMIT', price: takeProfitPrice, quantity, ocoGroupId: null, native: true });
     }
+    return legs;
   }
 
   async cancelOrder(orderId) {
@@ -386,10 +441,132 @@ export class CoinbaseAdapter extends BaseAdapter {
     }
   }
 
+  // Coinbase drops sockets that don't subscribe within a few seconds, so the market socket
+  // is only opened once there is something to subscribe to (see subscribeMarketData)
   async initializeWebSocket() {
-    // Coinbase Advanced API uses WebSocket for real-time data
-    // Implementation would depend on authentication requirements
-    this.logger.info('WebSocket initialization for Coinbase (placeholder)');
+    // Nothing to open until the first subscription
+  }
+
+  getMarketSocket() {
+    if (!this.websocket) {
+      this.websocket = this.createSocketManager('market', this.wsUrl, {
+        onMessage: message => this.handleWebSocketMessage(message),
+        // Heartbeats keep the socket open for products that rarely trade
+        onOpen: socket => socket.send({ type: 'subscribe', channel: 'heartbeats' }),
+        subscribeMessages: productIds => this.getChannelRequests('subscribe', productIds),
+        unsubscribeMessages: productIds => this.getChannelRequests('unsubscribe', productIds),
+        // The server pushes heartbeats every second; they prove the socket is up but carry no market data
+        heartbeat: { isPong: message => message.channel === 'heartbeats' || message.channel === 'subscriptions' },
+        staleAfter: 60 * 1000
+      });
+    }
+    return this.websocket;
+  }
+
+  // Market data streams
+  // market_trades builds candles; level2 keeps a local book from the snapshot and its updates
+  async subscribeMarketData(symbols) {
+    const productIds = [];
+    for (const symbol of symbols) {
+      const productId = this.normalizeSymbol(symbol);
+      if (!this.marketSubscriptions.has(productId)) {
+        this.marketSubscriptions.set(productId, symbol);
+        productIds.push(productId);
+      }
+    }
+
+    if (productIds.length > 0) {
+      const socket = this.getMarketSocket();
+      socket.subscribe(productIds);
+      // A failed first attempt keeps retrying; the subscriptions are sent once a socket opens
+      await socket.connect().catch(error => this.logger.warn(error.message));
+    }
+    return true;
+  }
+
+  async unsubscribeMarketData(symbols) {
+    const productIds = symbols
+      .map(symbol => this.normalizeSymbol(symbol))
+      .filter(productId => this.marketSubscriptions.delete(productId));
+    productIds.forEach(productId => this.orderBooks.delete(productId));
+
+    if (this.marketSubscriptions.size === 0) {
+      this.closeWebSocket();
+    } else if (productIds.length > 0) {
+      this.websocket?.unsubscribe(productIds);
+    }
+    return true;
+  }
+
+  getChannelRequests(type, productIds) {
+    return ['market_trades', 'level2'].map(channel => ({ type, channel, product_ids: productIds }));
+  }
+
+  closeWebSocket() {
+    const socket = this.websocket;
+    this.websocket = null;
+    this.orderBooks.clear();
+    if (socket) socket.close();
+  }
+
+  handleWebSocketMessage(message) {
+    if (message.channel === 'market_trades') {
+      for (const event of message.events || []) {
+        // The snapshot replays recent trades that candles built before a reconnect already hold
+        if (event.type !== 'update') continue;
+
+        for (const trade of event.trades || []) {
+          const symbol = this.marketSubscriptions.get(trade.product_id);
+          if (!symbol) continue;
+
+          this.emit('trade', {
+            symbol,
+            price: parseFloat(trade.price),
+            quantity: parseFloat(trade.size),
+            side: trade.side,
+            timestamp: new Date(trade.time).getTime()
+          });
+        }
+      }
+    } else if (message.channel === 'l2_data') {
+      for (const event of message.events || []) {
+        const symbol = this.marketSubscriptions.get(event.product_id);
+        if (!symbol) continue;
+
+        this.applyBookEvent(event);
+        this.emit('orderBook', { symbol, ...this.getTopOfBook(event.product_id), timestamp: Date.now() });
+      }
+    }
+  }
+
+  applyBookEvent(event) {
+    if (event.type === 'snapshot' || !this.orderBooks.has(event.product_id)) {
+      this.orderBooks.set(event.product_id, { bids: new Map(), asks: new Map() });
+    }
+
+    const book = this.orderBooks.get(event.product_id);
+    for (const update of event.updates || []) {
+      const levels = update.side === 'bid' ? book.bids : book.asks;
+      const quantity = parseFloat(update.new_quantity);
+      if (quantity > 0) {
+        levels.set(parseFloat(update.price_level), quantity);
+      } else {
+        levels.delete(parseFloat(update.price_level));
+      }
+    }
+  }
+
+  getTopOfBook(productId, depth = 10) {
+    const book = this.orderBooks.get(productId);
+    const toLevels = (levels, direction) => [...levels]
+      .sort((a, b) => direction * (a[0] - b[0]))
+      .slice(0, depth)
+      .map(([price, quantity]) => ({ price, quantity }));
+
+    return {
+      bids: toLevels(book.bids, -1),
+      asks: toLevels(book.asks, 1)
+    };
   }
 
   normalizeSymbol(symbol) {
@@ -407,6 +584,15 @@ export class CoinbaseAdapter extends BaseAdapter {
     return symbol;
   }
 
+  // Market buys are sized in quote currency, rounded down to the quote increment
+  formatQuoteSize(productId, amount) {
+    const rules = this.getCachedSymbolRules(productId);
+    if (!rules || !rules.quoteIncrement) {
+      return String(this.formatNumber(amount, 2));
+    }
+    return this.floorToStep(amount, rules.quoteIncrement).toFixed(this.getStepDecimals(rules.quoteIncrement));
+  }
+
   timeframeToGranularity(timeframe) {
     const granularityMap = {
       '1m': 60,
@@ -438,6 +624,7 @@ export class CoinbaseAdapter extends BaseAdapter {
     if (orderConfig.market_market_ioc) return 'MARKET';
     if (orderConfig.limit_limit_gtc) return 'LIMIT';
     if (orderConfig.stop_limit_stop_limit_gtc) return 'STOP_LIMIT';
+    if (orderConfig.trigger_bracket_gtc) return 'BRACKET';
     return 'UNKNOWN';
   }
 
@@ -454,17 +641,17 @@ export class CoinbaseAdapter extends BaseAdapter {
       body = JSON.stringify(params);
     }
 
-    // Create signature (simplified for demonstration)
-    const message = timestamp + method + url.pathname + url.search + body;
-    const signature = this.createSignature(message);
-
     const headers = {
       'CB-ACCESS-KEY': this.config.apiKey,
-      'CB-ACCESS-SIGN': signature,
+      'CB-ACCESS-SIGN': await this.createSignature(timestamp, method, url, body),
       'CB-ACCESS-TIMESTAMP': timestamp.toString(),
       'Content-Type': 'application/json'
     };
 
+    if (this.config.testMode && this.config.passphrase) {
+      headers['CB-ACCESS-PASSPHRASE'] = this.config.passphrase;
+    }
+
     try {
       const response = await fetch(url.toString(), {
         method,
@@ -484,17 +671,21 @@ export class CoinbaseAdapter extends BaseAdapter {
     }
   }
 
-  createSignature(message) {
-    // This would use HMAC SHA256 with the API secret
-    // Simplified implementation for demonstration
-    return 'mock_coinbase_signature_' + Date.now();
+  async createSignature(timestamp, method, url, body) {
+    if (this.config.testMode) {
+      // Sandbox (Exchange API): base64 HMAC keyed with the decoded secret, query string included
+      const message = timestamp + method + url.pathname + url.search + body;
+      return CryptoUtils.hmacSha256(CryptoUtils.base64ToBytes(this.config.apiSecret), message, 'base64');
+    }
+
+    // Advanced Trade: hex HMAC over timestamp + method + path + body, query string excluded
+    const message = timestamp + method + url.pathname + body;
+    return CryptoUtils.hmacSha256(this.config.apiSecret, message);
   }
 
   async disconnect() {
-    if (this.websocket) {
-      this.websocket.close();
-      this.websocket = null;
-    }
+    this.marketSubscriptions.clear();
+    this.closeWebSocket();
     this.isConnected = false;
     this.logger.info('Disconnected from Coinbase');
   }
@@ -0,0 +1,475 @@
+// Gate.io API Adapter
+// Integrates with Gate.io Spot REST API v4
+
+import { BaseAdapter } from './base-adapter.js';
+import { Logger } from '../../utils/logger.js';
+import { CryptoUtils } from '../../utils/crypto-utils.js';
+
+export class GateAdapter extends BaseAdapter {
+  constructor() {
+    super('gate');
+    this.logger = new Logger();
+    this.baseUrl = 'https://api.gateio.ws';
+    this.testUrl = 'https://api-testnet.gateapi.io';
+    this.apiPrefix = '/api/v4';
+
+    // Cancel and status lookups need the pair; remember it for orders we placed
+    this.orderSymbols = new Map();
+    // Trigger orders live under /spot/price_orders; ids placed before a restart are found by lookup
+    this.priceOrderIds = new Set();
+  }
+
+  async connect(config) {
+    const { apiKey, apiSecret, testMode = true } = config;
+
+    this.config = {
+      apiKey,
+      apiSecret,
+      testMode,
+      baseUrl: testMode ? this.testUrl : this.baseUrl
+    };
+
+    try {
+      await this.testConnection();
+
+      this.isConnected = true;
+      this.logger.info(`Connected to Gate.io ${testMode ? 'testnet' : 'mainnet'}`);
+
+      return this;
+    } catch (error) {
+      this.logger.error('Failed to connect to Gate.io:', error);
+      throw error;
+    }
+  }
+
+  async testConnection() {
+    try {
+      const accounts = await this.makeRequest('GET', '/spot/accounts');
+      return Array.isArray(accounts);
+    } catch (error) {
+      throw new Error('Gate.io connection test failed: ' + error.message);
+    }
+  }
+
+  async getAccountBalance() {
+    try {
+      const accounts = await this.makeRequest('GET', '/spot/accounts');
+
+      return accounts
+        .filter(account => parseFloat(account.available) > 0 || parseFloat(account.locked) > 0)
+        .map(account => ({
+          currency: account.currency,
+          available: parseFloat(account.available),
+          locked: parseFloat(account.locked),
+          total: parseFloat(account.available) + parseFloat(account.locked)
+        }));
+    } catch (error) {
+      this.logger.error('Failed to get Gate.io account balance:', error);
+      throw error;
+    }
+  }
+
+  async getMarketData(symbol, timeframe = '1m') {
+    try {
+      const pair = this.normalizeSymbol(symbol);
+
+      const [tickers, candles, depth] = await Promise.all([
+        this.makeRequest('GET', '/spot/tickers', { currency_pair: pair }, false),
+        this.makeRequest('GET', '/spot/candlesticks', {
+          currency_pair: pair,
+          interval: this.timeframeToInterval(timeframe),
+          limit: 100
+        }, false),
+        this.makeRequest('GET', '/spot/order_book', { currency_pair: pair, limit: 10 }, false)
+      ]);
+
+      const ticker = tickers[0];
+      const currentPrice = parseFloat(ticker.last);
+      const changePercent = parseFloat(ticker.change_percentage);
+      const previousPrice = currentPrice / (1 + changePercent / 100);
+
+      // Candles come oldest first
+      return {
+        symbol: pair,
+        currentPrice,
+        previousPrice,
+        volume24h: parseFloat(ticker.base_volume),
+        high24h: parseFloat(ticker.high_24h),
+        low24h: parseFloat(ticker.low_24h),
+        priceChange24h: currentPrice - previousPrice,
+        priceChangePercent24h: changePercent,
+        ...this.candleSeries(candles.map(candle => this.parseCandle(candle))),
+        orderBook: {
+          bids: depth.bids.slice(0, 10).map(([price, amount]) => ({
+            price: parseFloat(price),
+            quantity: parseFloat(amount)
+          })),
+          asks: depth.asks.slice(0, 10).map(([price, amount]) => ({
+            price: parseFloat(price),
+            quantity: parseFloat(amount)
+          }))
+        },
+        timestamp: Date.now()
+      };
+    } catch (error) {
+      this.logger.error(`Failed to get market data for ${symbol}:`, error);
+      throw error;
+    }
+  }
+
+  // [time (s), quote volume, close, high, low, open, base volume, closed]
+  parseCandle(candle) {
+    return {
+      time: parseInt(candle[0]) * 1000,
+      open: parseFloat(candle[5]),
+      high: parseFloat(candle[3]),
+      low: parseFloat(candle[4]),
+      close: parseFloat(candle[2]),
+      volume: parseFloat(candle[6])
+    };
+  }
+
+  async getCurrentPrice(symbol) {
+    const tickers = await this.makeRequest('GET', '/spot/tickers', {
+      currency_pair: this.normalizeSymbol(symbol)
+    }, false);
+    return parseFloat(tickers[0].last);
+  }
+
+  async createOrder(orderParams) {
+    this.validateOrderParams(orderParams);
+
+    const { symbol, side, quantity, type = 'MARKET', price, stopPrice } = orderParams;
+    const pair = this.normalizeSymbol(symbol);
+    const orderType = type.toUpperCase();
+    const orderSide = side.toLowerCase();
+
+    try {
+      let response;
+
+      switch (orderType) {
+        case 'MARKET':
+          response = await this.makeRequest('POST', '/spot/orders', {
+            text: this.createClientOrderId(),
+            currency_pair: pair,
+            type: 'market',
+            account: 'spot',
+            side: orderSide,
+            amount: await this.getMarketAmount(pair, orderSide, quantity),
+            time_in_force: 'ioc'
+          });
+          break;
+
+        case 'LIMIT':
+          response = await this.makeRequest('POST', '/spot/orders', {
+            text: this.createClientOrderId(),
+            currency_pair: pair,
+            type: 'limit',
+            account: 'spot',
+            side: orderSide,
+            amount: String(this.formatNumber(quantity)),
+            price: String(this.formatNumber(price)),
+            time_in_force: 'gtc'
+          });
+          break;
+
+        case 'STOP':
+        case 'STOP_MARKET':
+        case 'STOP_LIMIT': {
+          const isLimit = orderType === 'STOP_LIMIT';
+          response = await this.makeRequest('POST', '/spot/price_orders', {
+            market: pair,
+            trigger: {
+              price: String(this.formatNumber(stopPrice)),
+              rule: orderSide === 'sell' ? '<=' : '>=',
+              expiration: 30 * 24 * 60 * 60
+            },
+            put: {
+              type: isLimit ? 'limit' : 'market',
+              side: orderSide,
+              price: String(this.formatNumber(isLimit ? price : stopPrice)),
+              amount: isLimit ?
+                String(this.formatNumber(quantity)) :
+                await this.getMarketAmount(pair, orderSide, quantity),
+              account: 'normal',
+              time_in_force: isLimit ? 'gtc' : 'ioc'
+            }
+          });
+          this.priceOrderIds.add(response.id.toString());
+          break;
+        }
+
+        default:
+          throw new Error(`Unsupported order type: ${type}`);
+      }
+
+      const orderId = response.id.toString();
+      this.orderSymbols.set(orderId, pair);
+
+      const order = {
+        id: orderId,
+        symbol: pair,
+        side: side.toUpperCase(),
+        quantity: parseFloat(quantity),
+        price: parseFloat(price || response.avg_deal_price || 0),
+        avgPrice: parseFloat(response.avg_deal_price || 0),
+        status: response.status ? this.mapOrderStatus(response) : 'open',
+        type: orderType,
+        timestamp: response.create_time_ms ? Math.round(parseFloat(response.create_time_ms)) : Date.now(),
+        fills: []
+      };
+
+      // Handle stop loss and take profit orders
+      if (orderParams.stopLoss || orderParams.takeProfit) {
+        order.conditionalOrders = await this.createConditionalOrders(order, orderParams);
+      }
+
+      return order;
+    } catch (error) {
+      this.logger.error('Failed to create Gate.io order:', error);
+      throw error;
+    }
+  }
+
+  async getMarketAmount(pair, side, quantity) {
+    // Market buys on Gate.io are sized in the quote currency
+    if (side !== 'buy') {
+      return String(this.formatNumber(quantity));
+    }
+    const currentPrice = await this.getCurrentPrice(pair);
+    return String(this.formatNumber(quantity * currentPrice));
+  }
+
+  async cancelOrder(orderId, symbol) {
+    try {
+      await this.requestOrder('DELETE', orderId, symbol);
+      this.priceOrderIds.delete(orderId);
+
+      return {
+        id: orderId,
+        status: 'CANCELLED',
+        timestamp: Date.now()
+      };
+    } catch (error) {
+      this.logger.error('Failed to cancel Gate.io order:', error);
+      throw error;
+    }
+  }
+
+  async getOrderStatus(orderId, symbol) {
+    try {
+      const { isPriceOrder, data: order } = await this.requestOrder('GET', orderId, symbol);
+      if (isPriceOrder) {
+        return {
+          id: orderId,
+          symbol: order.market,
+          status: this.mapTriggerStatus(order.status),
+          side: order.put.side.toUpperCase(),
+          quantity: parseFloat(order.put.amount),
+          filled: 0,
+          price: parseFloat(order.put.price || 0),
+          avgPrice: 0,
+          timestamp: order.ctime * 1000
+        };
+      }
+
+      return this.formatOrder(order);
+    } catch (error) {
+      this.logger.error('Failed to get order status:', error);
+      throw error;
+    }
+  }
+
+  // Known trigger orders go straight to /spot/price_orders; any other id the regular endpoint
+  // rejects is retried there, and the original error stands if both fail
+  async requestOrder(method, orderId, symbol) {
+    if (this.priceOrderIds.has(orderId)) {
+      return { isPriceOrder: true, data: await this.makeRequest(method, `/spot/price_orders/${orderId}`) };
+    }
+
+    try {
+      const data = await this.makeRequest(method, `/spot/orders/${orderId}`, {
+        currency_pair: this.resolveOrderSymbol(orderId, symbol)
+      });
+      return { isPriceOrder: false, data };
+    } catch (error) {
+      const data = await this.makeRequest(method, `/spot/price_orders/${orderId}`).catch(() => {
+        throw error;
+      });
+      this.priceOrderIds.add(orderId);
+      return { isPriceOrder: true, data };
+    }
+  }
+
+  async getOpenPositions() {
+    try {
+      const response = await this.makeRequest('GET', '/spot/open_orders');
+
+      return response.flatMap(group => group.orders).map(order => {
+        const formatted = this.formatOrder(order);
+        return {
+          orderId: formatted.id,
+          symbol: formatted.symbol,
+          side: formatted.side,
+          quantity: formatted.quantity,
+          filled: formatted.filled,
+          remaining: formatted.quantity - formatted.filled,
+          price: formatted.price,
+          status: formatted.status,
+          type: formatted.type,
+          timestamp: formatted.timestamp
+        };
+      });
+    } catch (error) {
+      this.logger.error('Failed to get open positions:', error);
+      throw error;
+    }
+  }
+
+  async getOrderHistory(symbol, limit = 100) {
+    try {
+      const params = { status: 'finished', limit: Math.min(limit, 1000) };
+      if (symbol) params.currency_pair = this.normalizeSymbol(symbol);
+
+      const orders = await this.makeRequest('GET', '/spot/orders', params);
+      return orders.map(order => this.formatOrder(order));
+    } catch (error) {
+      this.logger.error('Failed to get order history:', error);
+      throw error;
+    }
+  }
+
+  resolveOrderSymbol(orderId, symbol) {
+    const pair = symbol ? this.normalizeSymbol(symbol) : this.orderSymbols.get(orderId);
+    if (!pair) {
+      throw new Error(`Symbol is required to look up Gate.io order ${orderId}`);
+    }
+    return pair;
+  }
+
+  createClientOrderId() {
+    // Custom order ids must be prefixed with t-
+    return 't-' + crypto.randomUUID().replace(/-/g, '').slice(0, 24);
+  }
+
+  formatOrder(order) {
+    const quantity = parseFloat(order.amount);
+    const filled = order.filled_amount !== undefined ?
+      parseFloat(order.filled_amount) :
+      quantity - parseFloat(order.left || 0);
+
+    return {
+      id: order.id.toString(),
+      symbol: order.currency_pair,
+      side: order.side.toUpperCase(),
+      quantity,
+      filled,
+      price: parseFloat(order.price || 0),
+      avgPrice: parseFloat(order.avg_deal_price || 0),
+      status: this.mapOrderStatus(order),
+      type: order.type.toUpperCase(),
+      timestamp: Math.round(parseFloat(order.create_time_ms))
+    };
+  }
+
+  mapOrderStatus(order) {
+    if (order.status === 'open') {
+      return parseFloat(order.left) < parseFloat(order.amount) ? 'partially_filled' : 'open';
+    }
+    if (order.status === 'cancelled') {
+      return order.finish_as === 'filled' ? 'filled' : 'cancelled';
+    }
+    return 'filled';
+  }
+
+  mapTriggerStatus(status) {
+    const statusMap = {
+      'open': 'open',
+      'finish': 'filled',
+      'cancelled': 'cancelled',
+      'failed': 'rejected',
+      'expired': 'expired'
+    };
+
+    return statusMap[status] || status;
+  }
+
+  normalizeSymbol(symbol) {
+    // Gate.io uses format like BTC_USDT
+    const { base, quote } = this.splitSymbol(symbol);
+    return `${base}_${quote}`;
+  }
+
+  timeframeToInterval(timeframe) {
+    const intervalMap = {
+      '1m': '1m',
+      '5m': '5m',
+      '15m': '15m',
+      '30m': '30m',
+      '1h': '1h',
+      '4h': '4h',
+      '8h': '8h',
+      '1d': '1d',
+      '1w': '7d',
+      '1M': '30d'
+    };
+
+    return intervalMap[timeframe] || '1h'; // Default to 1 hour
+  }
+
+  async makeRequest(method, endpoint, params = {}, signed = true) {
+    await this.waitForRateLimit();
+
+    const path = this.apiPrefix + endpoint;
+    let query = '';
+    let body = '';
+
+    if (method === 'GET' || method === 'DELETE') {
+      query = new URLSearchParams(params).toString();
+    } else {
+      body = JSON.stringify(params);
+    }
+
+    const headers = {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json'
+    };
+
+    if (signed) {
+      // Sign method\npath\nquery\nSHA512(body)\ntimestamp
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const bodyHash = await CryptoUtils.hash('SHA-512', body);
+      headers['KEY'] = this.config.apiKey;
+      headers['Timestamp'] = timestamp;
+      headers['SIGN'] = await CryptoUtils.hmacSha512(
+        this.config.apiSecret,
+        [method, path, query, bodyHash, timestamp].join('\n')
+      );
+    }
+
+    try {
+      const response = await fetch(this.config.baseUrl + path + (query ? '?' + query : ''), {
+        method,
+        headers,
+        body: body || undefined
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(`Gate.io API error: ${errorData.message || errorData.label || response.statusText}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      this.logger.error('Gate.io API request failed:', error);
+      throw error;
+    }
+  }
+
+  async disconnect() {
+    this.orderSymbols.clear();
+    this.priceOrderIds.clear();
+    this.isConnected = false;
+    this.logger.info('Disconnected from Gate.io');
+  }
+}
@@ -0,0 +1,459 @@
+// Interactive Brokers Adapter
+// Integrates with the IBKR Client Portal Web API through a locally running gateway
+
+import { BaseAdapter } from './base-adapter.js';
+import { Logger } from '../../utils/logger.js';
+
+export class InteractiveBrokersAdapter extends BaseAdapter {
+  constructor() {
+    super('interactive_brokers');
+    this.logger = new Logger();
+    this.defaultGatewayUrl = 'https://localhost:5000/v1/api';
+
+    this.accountId = null;
+    this.contracts = new Map(); // Cache of symbol -> conid
+    this.keepAliveTimer = null;
+  }
+
+  async connect(config) {
+    const { apiKey, testMode = true, gatewayUrl, accountId } = config;
+
+    // The gateway holds the brokerage session after an interactive login,
+    // so requests carry its session cookie instead of a signature
+    this.config = {
+      apiKey,
+      testMode,
+      baseUrl: (gatewayUrl || this.defaultGatewayUrl).replace(/\/$/, '')
+    };
+
+    try {
+      await this.testConnection();
+
+      this.accountId = accountId || await this.getDefaultAccountId();
+      this.startKeepAlive();
+
+      this.isConnected = true;
+      this.logger.info(`Connected to Interactive Brokers account ${this.accountId} (${testMode ? 'paper' : 'live'})`);
+
+      return this;
+    } catch (error) {
+      this.logger.error('Failed to connect to Interactive Brokers:', error);
+      throw error;
+    }
+  }
+
+  async testConnection() {
+    try {
+      const status = await this.makeRequest('POST', '/iserver/auth/status');
+      if (!status.authenticated) {
+        throw new Error('Gateway session is not authenticated; log in through the Client Portal gateway first');
+      }
+      return true;
+    } catch (error) {
+      throw new Error('Interactive Brokers connection test failed: ' + error.message);
+    }
+  }
+
+  async getDefaultAccountId() {
+    const response = await this.makeRequest('GET', '/iserver/accounts');
+    const accountId = response.selectedAccount || response.accounts?.[0];
+
+    if (!accountId) {
+      throw new Error('No brokerage account available on this session');
+    }
+    return accountId;
+  }
+
+  startKeepAlive() {
+    // Gateway sessions time out after a few minutes without traffic
+    this.stopKeepAlive();
+    this.keepAliveTimer = setInterval(() => {
+      this.makeRequest('POST', '/tickle').catch(error => {
+        this.logger.warn('Interactive Brokers keep-alive failed:', error);
+      });
+    }, 60000);
+  }
+
+  stopKeepAlive() {
+    if (this.keepAliveTimer) {
+      clearInterval(this.keepAliveTimer);
+      this.keepAliveTimer = null;
+    }
+  }
+
+  async getAccountBalance() {
+    try {
+      const ledger = await this.makeRequest('GET', `/portfolio/${this.accountId}/ledger`);
+
+      // BASE is an aggregate of the per-currency entries
+      return Object.entries(ledger)
+        .filter(([currency, entry]) => currency !== 'BASE' && entry.cashbalance !== 0)
+        .map(([currency, entry]) => ({
+          currency,
+          available: entry.settledcash ?? entry.cashbalance,
+          locked: Math.max(0, entry.cashbalance - (entry.settledcash ?? entry.cashbalance)),
+          total: entry.cashbalance,
+          equity: entry.netliquidationvalue
+        }));
+    } catch (error) {
+      this.logger.error('Failed to get Interactive Brokers account balance:', error);
+      throw error;
+    }
+  }
+
+  async getMarketData(symbol, timeframe = '1m') {
+    try {
+      const ticker = this.normalizeSymbol(symbol);
+      const conid = await this.resolveContract(ticker);
+      const { bar, period } = this.timeframeToBarSpec(timeframe);
+
+      // 31 last, 84 bid, 85 ask size, 86 ask, 88 bid size, 70 high, 71 low, 7295 open, 7741 prior close, 87 volume
+      const fields = '31,84,85,86,88,70,71,7295,7741,87';
+      const [snapshots, history] = await Promise.all([
+        this.makeRequest('GET', '/iserver/marketdata/snapshot', { conids: conid, fields }),
+        this.makeRequest('GET', '/iserver/marketdata/history', { conid, bar, period })
+      ]);
+
+      const snapshot = snapshots[0] || {};
+      const candles = (history.data || []).slice(-100);
+      const lastCandle = candles[candles.length - 1];
+
+      const currentPrice = this.parseField(snapshot['31']) || lastCandle?.c;
+      const previousPrice = this.parseField(snapshot['7741']) || this.parseField(snapshot['7295']) || currentPrice;
+      const bid = this.parseField(snapshot['84']);
+      const ask = this.parseField(snapshot['86']);
+
+      return {
+        symbol: ticker,
+        currentPrice,
+        previousPrice,
+        volume24h: this.parseField(snapshot['87']) || 0,
+        high24h: this.parseField(snapshot['70']) || currentPrice,
+        low24h: this.parseField(snapshot['71']) || currentPrice,
+        priceChange24h: currentPrice - previousPrice,
+        priceChangePercent24h: ((currentPrice - previousPrice) / previousPrice) * 100,
+        ...this.candleSeries(candles.map(candle => this.parseCandle(candle))),
+        orderBook: {
+          bids: bid ? [{ price: bid, quantity: this.parseField(snapshot['88']) * 100 }] : [],
+          asks: ask ? [{ price: ask, quantity: this.parseField(snapshot['85']) * 100 }] : []
+        },
+        timestamp: Date.now()
+      };
+    } catch (error) {
+      this.logger.error(`Failed to get market data for ${symbol}:`, error);
+      throw error;
+    }
+  }
+
+  // History bars: { t (ms), o, h, l, c, v }; volumes are reported in lots of 100 shares
+  parseCandle(candle) {
+    return {
+      time: candle.t,
+      open: candle.o,
+      high: candle.h,
+      low: candle.l,
+      close: candle.c,
+      volume: candle.v * 100
+    };
+  }
+
+  async createOrder(orderParams) {
+    this.validateOrderParams(orderParams);
+
+    const { symbol, side, quantity, type = 'MARKET', price, stopPrice, timeInForce = 'DAY' } = orderParams;
+    const ticker = this.normalizeSymbol(symbol);
+    const orderType = type.toUpperCase();
+
+    try {
+      const conid = await this.resolveContract(ticker);
+      const order = {
+        conid,
+        side: side.toUpperCase(),
+        quantity: parseFloat(quantity),
+        tif: timeInForce.toUpperCase(),
+        cOID: crypto.randomUUID()
+      };
+
+      switch (orderType) {
+        case 'MARKET':
+          order.orderType = 'MKT';
+          break;
+
+        case 'LIMIT':
+          order.orderType = 'LMT';
+          order.price = parseFloat(price);
+          break;
+
+        case 'STOP':
+        case 'STOP_MARKET':
+          order.orderType = 'STP';
+          order.price = parseFloat(stopPrice);
+          break;
+
+        case 'STOP_LIMIT':
+          order.orderType = 'STOP_LIMIT';
+          order.price = parseFloat(price);
+          order.auxPrice = parseFloat(stopPrice);
+          break;
+
+        default:
+          throw new Error(`Unsupported order type: ${type}`);
+      }
+
+      const response = await this.submitOrders([order]);
+      const placed = response.find(entry => entry.order_id) || {};
+
+      const result = {
+        id: placed.order_id,
+        symbol: ticker,
+        side: side.toUpperCase(),
+        quantity: parseFloat(quantity),
+        price: parseFloat(price || stopPrice || 0),
+        status: this.mapOrderStatus(placed.order_status),
+        type: orderType,
+        timestamp: Date.now(),
+        fills: []
+      };
+
+      // Handle stop loss and take profit orders
+      if (orderParams.stopLoss || orderParams.takeProfit) {
+        result.conditionalOrders = await this.createConditionalOrders(result, orderParams);
+      }
+
+      return result;
+    } catch (error) {
+      this.logger.error('Failed to create Interactive Brokers order:', error);
+      throw error;
+    }
+  }
+
+  async submitOrders(orders) {
+    let response = await this.makeRequest('POST', `/iserver/account/${this.accountId}/orders`, { orders });
+
+    // The gateway may answer with precautionary prompts that must be confirmed
+    for (let attempt = 0; attempt < 5 && Array.isArray(response) && response[0]?.id && !response[0]?.order_id; attempt++) {
+      this.logger.warn('Confirming Interactive Brokers order prompt:', response[0].message);
+      response = await this.makeRequest('POST', `/iserver/reply/${response[0].id}`, { confirmed: true });
+    }
+
+    if (!Array.isArray(response) || !response.some(entry => entry.order_id)) {
+      throw new Error(`Order was not accepted: ${JSON.stringify(response)}`);
+    }
+
+    return response;
+  }
+
+  async cancelOrder(orderId) {
+    try {
+      await this.makeRequest('DELETE', `/iserver/account/${this.accountId}/order/${orderId}`);
+
+      return {
+        id: orderId,
+        status: 'CANCELLED',
+        timestamp: Date.now()
+      };
+    } catch (error) {
+      this.logger.error('Failed to cancel Interactive Brokers order:', error);
+      throw error;
+    }
+  }
+
+  async getOrderStatus(orderId) {
+    try {
+      const order = await this.makeRequest('GET', `/iserver/account/order/status/${orderId}`);
+
+      return {
+        id: orderId,
+        symbol: order.symbol,
+        status: this.mapOrderStatus(order.order_status),
+        side: order.side === 'S' || order.side === 'SELL' ? 'SELL' : 'BUY',
+        quantity: parseFloat(order.total_size || order.size || 0),
+        filled: parseFloat(order.cum_fill || 0),
+        price: parseFloat(order.limit_price || order.stop_price || 0),
+        avgPrice: parseFloat(order.average_price || 0),
+        timestamp: order.order_time ? this.parseOrderTime(order.order_time) : Date.now()
+      };
+    } catch (error) {
+      this.logger.error('Failed to get order status:', error);
+      throw error;
+    }
+  }
+
+  async getOpenPositions() {
+    try {
+      const positions = await this.makeRequest('GET', `/portfolio/${this.accountId}/positions/0`);
+
+      return positions
+        .filter(position => position.position !== 0)
+        .map(position => {
+          const quantity = Math.abs(position.position);
+          return {
+            symbol: position.ticker || position.contractDesc,
+            side: position.position < 0 ? 'SELL' : 'BUY',
+            quantity,
+            entryPrice: position.avgCost,
+            currentPrice: position.mktPrice,
+            entryValue: quantity * position.avgCost,
+            currentValue: Math.abs(position.mktValue),
+            unrealizedPnl: position.unrealizedPnl,
+            realizedPnl: position.realizedPnl,
+            status: 'OPEN'
+          };
+        });
+    } catch (error) {
+      this.logger.error('Failed to get open positions:', error);
+      throw error;
+    }
+  }
+
+  async getOrderHistory(symbol, limit = 100) {
+    try {
+      // The gateway only exposes orders from the current and previous session
+      const response = await this.makeRequest('GET', '/iserver/account/orders');
+      const ticker = symbol ? this.normalizeSymbol(symbol) : null;
+
+      return (response.orders || [])
+        .filter(order => !ticker || order.ticker === ticker)
+        .slice(0, limit)
+        .map(order => ({
+          id: String(order.orderId),
+          symbol: order.ticker,
+          side: order.side.toUpperCase(),
+          quantity: parseFloat(order.totalSize || 0),
+          filled: parseFloat(order.filledQuantity || 0),
+          price: parseFloat(order.price || 0),
+          avgPrice: parseFloat(order.avgPrice || 0),
+          status: this.mapOrderStatus(order.status),
+          type: this.mapOrderType(order.orderType),
+          timestamp: order.lastExecutionTime_r || Date.now()
+        }));
+    } catch (error) {
+      this.logger.error('Failed to get order history:', error);
+      throw error;
+    }
+  }
+
+  async resolveContract(ticker) {
+    if (this.contracts.has(ticker)) {
+      return this.contracts.get(ticker);
+    }
+
+    const results = await this.makeRequest('GET', '/iserver/secdef/search', { symbol: ticker, secType: 'STK' });
+    // Prefer the US primary listing when a ticker is listed on several exchanges
+    const match = results.find(result => result.description === 'NASDAQ' || result.description === 'NYSE') || results[0];
+
+    if (!match?.conid) {
+      throw new Error(`No Interactive Brokers contract found for ${ticker}`);
+    }
+
+    const conid = parseInt(match.conid);
+    this.contracts.set(ticker, conid);
+    return conid;
+  }
+
+  parseField(value) {
+    // Snapshot fields are strings and may carry prefixes such as C (closing) or H (halted)
+    if (value === undefined || value === null) return 0;
+    const parsed = parseFloat(String(value).replace(/^[A-Z]/, '').replace(/,/g, ''));
+    return isNaN(parsed) ? 0 : parsed;
+  }
+
+  parseOrderTime(orderTime) {
+    // Format: yyMMddHHmmss in UTC
+    const match = String(orderTime).match(/^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/);
+    if (!match) return Date.now();
+    const [, yy, mm, dd, hh, mi, ss] = match.map(Number);
+    return Date.UTC(2000 + yy, mm - 1, dd, hh, mi, ss);
+  }
+
+  mapOrderStatus(status) {
+    const statusMap = {
+      'PendingSubmit': 'open',
+      'PreSubmitted': 'open',
+      'Submitted': 'open',
+      'ApiPending': 'open',
+      'PendingCancel': 'pending_cancel',
+      'Filled': 'filled',
+      'Cancelled': 'cancelled',
+      'ApiCancelled': 'cancelled',
+      'Inactive': 'rejected'
+    };
+
+    return statusMap[status] || (status ? status.toLowerCase() : 'open');
+  }
+
+  mapOrderType(orderType) {
+    const typeMap = {
+      'MKT': 'MARKET',
+      'Market': 'MARKET',
+      'LMT': 'LIMIT',
+      'Limit': 'LIMIT',
+      'STP': 'STOP_MARKET',
+      'Stop': 'STOP_MARKET',
+      'STOP_LIMIT': 'STOP_LIMIT',
+      'Stop Limit': 'STOP_LIMIT'
+    };
+
+    return typeMap[orderType] || String(orderType).toUpperCase();
+  }
+
+  normalizeSymbol(symbol) {
+    // IB uses plain tickers; share classes are separated by a space (BRK B)
+    return symbol.toUpperCase().replace(/[-/.]/g, ' ');
+  }
+
+  timeframeToBarSpec(timeframe) {
+    // period must cover roughly 100 bars of the requested size
+    const barMap = {
+      '1m': { bar: '1min', period: '2h' },
+      '5m': { bar: '5min', period: '1d' },
+      '15m': { bar: '15min', period: '2d' },
+      '30m': { bar: '30min', period: '4d' },
+      '1h': { bar: '1h', period: '2w' },
+      '4h': { bar: '4h', period: '2m' },
+      '1d': { bar: '1d', period: '6m' },
+      '1w': { bar: '1w', period: '2y' }
+    };
+
+    return barMap[timeframe] || barMap['1h']; // Default to 1 hour
+  }
+
+  async makeRequest(method, endpoint, params = {}) {
+    await this.waitForRateLimit();
+
+    const url = new URL(this.config.baseUrl + endpoint);
+    let body;
+
+    if (method === 'GET' || method === 'DELETE') {
+      url.search = new URLSearchParams(params).toString();
+    } else {
+      body = JSON.stringify(params);
+    }
+
+    try {
+      const response = await fetch(url.toString(), {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(`Interactive Brokers API error: ${errorData.error || response.statusText}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      this.logger.error('Interactive Brokers API request failed:', error);
+      throw error;
+    }
+  }
+
+  async disconnect() {
+    this.stopKeepAlive();
+    this.contracts.clear();
+    this.isConnected = false;
+    this.logger.info('Disconnected from Interactive Brokers');
+  }
+}
@@ -0,0 +1,456 @@
+// Kraken API Adapter
+// Integrates with Kraken Spot REST API
+
+import { BaseAdapter } from './base-adapter.js';
+import { Logger } from '../../utils/logger.js';
+import { CryptoUtils } from '../../utils/crypto-utils.js';
+
+export class KrakenAdapter extends BaseAdapter {
+  constructor() {
+    super('kraken');
+    this.logger = new Logger();
+    this.baseUrl = 'https://api.kraken.com';
+    this.lastNonce = 0;
+  }
+
+  async connect(config) {
+    const { apiKey, apiSecret, testMode = true } = config;
+
+    // Kraken has no spot sandbox; in test mode orders are validated but never submitted
+    this.config = {
+      apiKey,
+      apiSecret,
+      testMode,
+      baseUrl: this.baseUrl
+    };
+
+    try {
+      await this.testConnection();
+
+      this.isConnected = true;
+      this.logger.info(`Connected to Kraken ${testMode ? '(validate-only orders)' : 'production'}`);
+
+      return this;
+    } catch (error) {
+      this.logger.error('Failed to connect to Kraken:', error);
+      throw error;
+    }
+  }
+
+  async testConnection() {
+    try {
+      const balances = await this.makePrivateRequest('/0/private/Balance');
+      return typeof balances === 'object';
+    } catch (error) {
+      throw new Error('Kraken connection test failed: ' + error.message);
+    }
+  }
+
+  async getAccountBalance() {
+    try {
+      const [balances, openOrders] = await Promise.all([
+        this.makePrivateRequest('/0/private/Balance'),
+        this.makePrivateRequest('/0/private/OpenOrders')
+      ]);
+      const locked = this.getLockedBalances(openOrders.open);
+
+      return Object.entries(balances)
+        .filter(([, amount]) => parseFloat(amount) > 0)
+        .map(([asset, amount]) => {
+          const currency = this.normalizeAsset(asset);
+          const total = parseFloat(amount);
+          const held = locked[currency] || 0;
+          return {
+            currency,
+            available: Math.max(0, total - held),
+            locked: held,
+            total
+          };
+        });
+    } catch (error) {
+      this.logger.error('Failed to get Kraken account balance:', error);
+      throw error;
+    }
+  }
+
+  getLockedBalances(openOrders = {}) {
+    // Balance reports totals only; work out holds from resting orders
+    const locked = {};
+
+    for (const order of Object.values(openOrders)) {
+      const { base, quote } = this.splitSymbol(order.descr.pair.replace('XBT', 'BTC'));
+      const remaining = parseFloat(order.vol) - parseFloat(order.vol_exec);
+
+      if (order.descr.type === 'buy') {
+        locked[quote] = (locked[quote] || 0) + remaining * parseFloat(order.descr.price || 0);
+      } else {
+        locked[base] = (locked[base] || 0) + remaining;
+      }
+    }
+
+    return locked;
+  }
+
+  async getMarketData(symbol, timeframe = '1m') {
+    try {
+      const pair = this.normalizeSymbol(symbol);
+
+      const [ticker, ohlc, depth] = await Promise.all([
+        this.makePublicRequest('/0/public/Ticker', { pair }),
+        this.makePublicRequest('/0/public/OHLC', {
+          pair,
+          interval: this.timeframeToInterval(timeframe)
+        }),
+        this.makePublicRequest('/0/public/Depth', { pair, count: 10 })
+      ]);
+
+      // Results are keyed by Kraken's internal pair name (e.g. XXBTZUSD)
+      const tick = this.firstPairResult(ticker);
+      const candles = this.firstPairResult(ohlc).slice(-100);
+      const book = this.firstPairResult(depth);
+
+      const currentPrice = parseFloat(tick.c[0]);
+      const openPrice = parseFloat(tick.o);
+
+      return {
+        symbol: pair,
+        currentPrice,
+        previousPrice: openPrice,
+        volume24h: parseFloat(tick.v[1]),
+        high24h: parseFloat(tick.h[1]),
+        low24h: parseFloat(tick.l[1]),
+        priceChange24h: currentPrice - openPrice,
+        priceChangePercent24h: ((currentPrice - openPrice) / openPrice) * 100,
+        ...this.candleSeries(candles.map(candle => this.parseCandle(candle))),
+        orderBook: {
+          bids: book.bids.slice(0, 10).map(([price, volume]) => ({
+            price: parseFloat(price),
+            quantity: parseFloat(volume)
+          })),
+          asks: book.asks.slice(0, 10).map(([price, volume]) => ({
+            price: parseFloat(price),
+            quantity: parseFloat(volume)
+          }))
+        },
+        timestamp: Date.now()
+      };
+    } catch (error) {
+      this.logger.error(`Failed to get market data for ${symbol}:`, error);
+      throw error;
+    }
+  }
+
+  // [time (s), open, high, low, close, vwap, volume, count]
+  parseCandle(candle) {
+    return {
+      time: candle[0] * 1000,
+      open: parseFloat(candle[1]),
+      high: parseFloat(candle[2]),
+      low: parseFloat(candle[3]),
+      close: parseFloat(candle[4]),
+      volume: parseFloat(candle[6])
+    };
+  }
+
+  async getCurrentPrice(symbol) {
+    const ticker = await this.makePublicRequest('/0/public/Ticker', {
+      pair: this.normalizeSymbol(symbol)
+    });
+    return parseFloat(this.firstPairResult(ticker).c[0]);
+  }
+
+  async createOrder(orderParams) {
+    this.validateOrderParams(orderParams);
+
+    const { symbol, side, quantity, type = 'MARKET', price, stopPrice } = orderParams;
+    const pair = this.normalizeSymbol(symbol);
+    const orderType = type.toUpperCase();
+
+    try {
+      const params = {
+        pair,
+        type: side.toLowerCase(),
+        volume: String(this.formatNumber(quantity))
+      };
+
+      switch (orderType) {
+        case 'MARKET':
+          params.ordertype = 'market';
+          break;
+
+        case 'LIMIT':
+          params.ordertype = 'limit';
+          params.price = String(this.formatNumber(price));
+          break;
+
+        case 'STOP':
+        case 'STOP_MARKET':
+          params.ordertype = 'stop-loss';
+          params.price = String(this.formatNumber(stopPrice));
+          break;
+
+        case 'STOP_LIMIT':
+          params.ordertype = 'stop-loss-limit';
+          params.price = String(this.formatNumber(stopPrice));
+          params.price2 = String(this.formatNumber(price));
+          break;
+
+        default:
+          throw new Error(`Unsupported order type: ${type}`);
+      }
+
+      if (this.config.testMode) {
+        params.validate = true;
+      }
+
+      const response = await this.makePrivateRequest('/0/private/AddOrder', params);
+
+      const order = {
+        id: response.txid ? response.txid[0] : null,
+        symbol: pair,
+        side: side.toUpperCase(),
+        quantity: parseFloat(quantity),
+        price: parseFloat(price || 0),
+        status: this.config.testMode ? 'validated' : 'open',
+        type: orderType,
+        description: response.descr?.order,
+        timestamp: Date.now(),
+        fills: []
+      };
+
+      // Handle stop loss and take profit orders
+      if (orderParams.stopLoss || orderParams.takeProfit) {
+        order.conditionalOrders = await this.createConditionalOrders(order, orderParams);
+      }
+
+      return order;
+    } catch (error) {
+      this.logger.error('Failed to create Kraken order:', error);
+      throw error;
+    }
+  }
+
+  async cancelOrder(orderId) {
+    try {
+      await this.makePrivateRequest('/0/private/CancelOrder', { txid: orderId });
+
+      return {
+        id: orderId,
+        status: 'CANCELLED',
+        timestamp: Date.now()
+      };
+    } catch (error) {
+      this.logger.error('Failed to cancel Kraken order:', error);
+      throw error;
+    }
+  }
+
+  async getOrderStatus(orderId) {
+    try {
+      const response = await this.makePrivateRequest('/0/private/QueryOrders', { txid: orderId });
+      const order = response[orderId];
+
+      if (!order) {
+        throw new Error(`Order not found: ${orderId}`);
+      }
+
+      return this.formatOrder(orderId, order);
+    } catch (error) {
+      this.logger.error('Failed to get order status:', error);
+      throw error;
+    }
+  }
+
+  async getOpenPositions() {
+    try {
+      const response = await this.makePrivateRequest('/0/private/OpenOrders');
+
+      return Object.entries(response.open).map(([txid, order]) => {
+        const formatted = this.formatOrder(txid, order);
+        return {
+          orderId: formatted.id,
+          symbol: formatted.symbol,
+          side: formatted.side,
+          quantity: formatted.quantity,
+          filled: formatted.filled,
+          remaining: formatted.quantity - formatted.filled,
+          price: formatted.price,
+          status: formatted.status,
+          type: formatted.type,
+          timestamp: formatted.timestamp
+        };
+      });
+    } catch (error) {
+      this.logger.error('Failed to get open positions:', error);
+      throw error;
+    }
+  }
+
+  async getOrderHistory(symbol, limit = 100) {
+    try {
+      const response = await this.makePrivateRequest('/0/private/ClosedOrders');
+      const pair = symbol ? this.normalizeSymbol(symbol) : null;
+
+      // ClosedOrders has no pair filter, so narrow the page client-side
+      return Object.entries(response.closed)
+        .map(([txid, order]) => this.formatOrder(txid, order))
+        .filter(order => !pair || order.symbol === pair)
+        .slice(0, limit);
+    } catch (error) {
+      this.logger.error('Failed to get order history:', error);
+      throw error;
+    }
+  }
+
+  formatOrder(txid, order) {
+    const quantity = parseFloat(order.vol);
+    const filled = parseFloat(order.vol_exec || 0);
+
+    return {
+      id: txid,
+      symbol: order.descr.pair,
+      side: order.descr.type.toUpperCase(),
+      quantity,
+      filled,
+      price: parseFloat(order.descr.price || 0),
+      avgPrice: parseFloat(order.price || 0),
+      status: this.mapOrderStatus(order.status, filled),
+      type: this.mapOrderType(order.descr.ordertype),
+      timestamp: Math.round(order.opentm * 1000)
+    };
+  }
+
+  mapOrderStatus(status, filled = 0) {
+    const statusMap = {
+      'pending': 'open',
+      'open': filled > 0 ? 'partially_filled' : 'open',
+      'closed': 'filled',
+      'canceled': 'cancelled',
+      'expired': 'expired'
+    };
+
+    return statusMap[status] || status;
+  }
+
+  mapOrderType(orderType) {
+    const typeMap = {
+      'market': 'MARKET',
+      'limit': 'LIMIT',
+      'stop-loss': 'STOP_MARKET',
+      'stop-loss-limit': 'STOP_LIMIT',
+      'take-profit': 'TAKE_PROFIT',
+      'take-profit-limit': 'TAKE_PROFIT_LIMIT'
+    };
+
+    return typeMap[orderType] || orderType.toUpperCase();
+  }
+
+  normalizeSymbol(symbol) {
+    // Kraken uses XBT for bitcoin and no separator, e.g. XBTUSD, ETHXBT
+    const { base, quote } = this.splitSymbol(symbol);
+    const toKraken = asset => asset === 'BTC' ? 'XBT' : asset;
+    return toKraken(base) + toKraken(quote);
+  }
+
+  normalizeAsset(asset) {
+    // Balance keys use legacy codes like XXBT, ZUSD, XETH
+    const assetMap = { 'XXBT': 'BTC', 'XBT': 'BTC', 'XXDG': 'DOGE', 'XDG': 'DOGE' };
+    if (assetMap[asset]) return assetMap[asset];
+    if (asset.length === 4 && (asset.startsWith('X') || asset.startsWith('Z'))) {
+      return asset.slice(1);
+    }
+    return asset;
+  }
+
+  firstPairResult(result) {
+    const key = Object.keys(result).find(name => name !== 'last');
+    return result[key];
+  }
+
+  timeframeToInterval(timeframe) {
+    const intervalMap = {
+      '1m': 1,
+      '5m': 5,
+      '15m': 15,
+      '30m': 30,
+      '1h': 60,
+      '4h': 240,
+      '1d': 1440,
+      '1w': 10080
+    };
+
+    return intervalMap[timeframe] || 60; // Default to 1 hour
+  }
+
+  nextNonce() {
+    // Nonces must strictly increase per API key
+    this.lastNonce = Math.max(Date.now() * 1000, this.lastNonce + 1);
+    return this.lastNonce.toString();
+  }
+
+  async makePublicRequest(endpoint, params = {}) {
+    await this.waitForRateLimit();
+
+    const url = new URL(this.config.baseUrl + endpoint);
+    url.search = new URLSearchParams(params).toString();
+
+    try {
+      const response = await fetch(url.toString());
+      return this.parseResponse(response);
+    } catch (error) {
+      this.logger.error('Kraken API request failed:', error);
+      throw error;
+    }
+  }
+
+  async makePrivateRequest(endpoint, params = {}) {
+    await this.waitForRateLimit();
+
+    const nonce = this.nextNonce();
+    const postData = new URLSearchParams({ nonce, ...params }).toString();
+
+    // API-Sign = HMAC-SHA512(path + SHA256(nonce + postdata)) keyed with the decoded secret
+    const digest = await CryptoUtils.hash('SHA-256', nonce + postData, 'bytes');
+    const signature = await CryptoUtils.hmacSha512(
+      CryptoUtils.base64ToBytes(this.config.apiSecret),
+      CryptoUtils.concatBytes(endpoint, digest),
+      'base64'
+    );
+
+    try {
+      const response = await fetch(this.config.baseUrl + endpoint, {
+        method: 'POST',
+        headers: {
+          'API-Key': this.config.apiKey,
+          'API-Sign': signature,
+          'Content-Type': 'application/x-www-form-urlencoded; charset=utf-8'
+        },
+        body: postData
+      });
+
+      return this.parseResponse(response);
+    } catch (error) {
+      this.logger.error('Kraken API request failed:', error);
+      throw error;
+    }
+  }
+
+  async parseResponse(response) {
+    if (!response.ok) {
+      throw new Error(`Kraken API error: ${response.statusText}`);
+    }
+
+    // Kraken reports failures in an error array with HTTP 200
+    const payload = await response.json();
+    if (payload.error && payload.error.length > 0) {
+      throw new Error(`Kraken API error: ${payload.error.join(', ')}`);
+    }
+
+    return payload.result;
+  }
+
+  async disconnect() {
+    this.isConnected = false;
+    this.logger.info('Disconnected from Kraken');
+  }
+}
@@ -0,0 +1,414 @@
+// KuCoin API Adapter
+// Integrates with KuCoin Spot REST API (v1, key version 2)
+
+import { BaseAdapter } from './base-adapter.js';
+import { Logger } from '../../utils/logger.js';
+import { CryptoUtils } from '../../utils/crypto-utils.js';
+
+export class KuCoinAdapter extends BaseAdapter {
+  constructor() {
+    super('kucoin');
+    this.logger = new Logger();
+    this.baseUrl = 'https://api.kucoin.com';
+    this.sandboxUrl = 'https://openapi-sandbox.kucoin.com';
+
+    // Stop orders live under a separate endpoint family; ids placed before a restart are found by lookup
+    this.stopOrderIds = new Set();
+  }
+
+  async connect(config) {
+    const { apiKey, apiSecret, passphrase, testMode = true } = config;
+
+    if (!passphrase) {
+      throw new Error('KuCoin requires the API passphrase set when the key was created');
+    }
+
+    this.config = {
+      apiKey,
+      apiSecret,
+      passphrase,
+      testMode,
+      baseUrl: testMode ? this.sandboxUrl : this.baseUrl
+    };
+
+    try {
+      await this.testConnection();
+
+      this.isConnected = true;
+      this.logger.info(`Connected to KuCoin ${testMode ? 'sandbox' : 'production'}`);
+
+      return this;
+    } catch (error) {
+      this.logger.error('Failed to connect to KuCoin:', error);
+      throw error;
+    }
+  }
+
+  async testConnection() {
+    try {
+      const accounts = await this.makeRequest('GET', '/api/v1/accounts');
+      return Array.isArray(accounts);
+    } catch (error) {
+      throw new Error('KuCoin connection test failed: ' + error.message);
+    }
+  }
+
+  async getAccountBalance() {
+    try {
+      const accounts = await this.makeRequest('GET', '/api/v1/accounts', { type: 'trade' });
+
+      return accounts
+        .filter(account => parseFloat(account.balance) > 0)
+        .map(account => ({
+          currency: account.currency,
+          available: parseFloat(account.available),
+          locked: parseFloat(account.holds),
+          total: parseFloat(account.balance)
+        }));
+    } catch (error) {
+      this.logger.error('Failed to get KuCoin account balance:', error);
+      throw error;
+    }
+  }
+
+  async getMarketData(symbol, timeframe = '1m') {
+    try {
+      const pair = this.normalizeSymbol(symbol);
+
+      const [stats, candles, depth] = await Promise.all([
+        this.makeRequest('GET', '/api/v1/market/stats', { symbol: pair }),
+        this.makeRequest('GET', '/api/v1/market/candles', {
+          symbol: pair,
+          type: this.timeframeToInterval(timeframe)
+        }),
+        this.makeRequest('GET', '/api/v1/market/orderbook/level2_20', { symbol: pair })
+      ]);
+
+      // Candles come newest first
+      const recent = candles.slice(0, 100).reverse();
+      const currentPrice = parseFloat(stats.last);
+      const priceChange = parseFloat(stats.changePrice);
+
+      return {
+        symbol: pair,
+        currentPrice,
+        previousPrice: currentPrice - priceChange,
+        volume24h: parseFloat(stats.vol),
+        high24h: parseFloat(stats.high),
+        low24h: parseFloat(stats.low),
+        priceChange24h: priceChange,
+        priceChangePercent24h: parseFloat(stats.changeRate) * 100,
+        ...this.candleSeries(recent.map(candle => this.parseCandle(candle))),
+        orderBook: {
+          bids: depth.bids.slice(0, 10).map(([price, size]) => ({
+            price: parseFloat(price),
+            quantity: parseFloat(size)
+          })),
+          asks: depth.asks.slice(0, 10).map(([price, size]) => ({
+            price: parseFloat(price),
+            quantity: parseFloat(size)
+          }))
+        },
+        timestamp: Date.now()
+      };
+    } catch (error) {
+      this.logger.error(`Failed to get market data for ${symbol}:`, error);
+      throw error;
+    }
+  }
+
+  // [time (s), open, close, high, low, volume, turnover]
+  parseCandle(candle) {
+    return {
+      time: parseInt(candle[0]) * 1000,
+      open: parseFloat(candle[1]),
+      high: parseFloat(candle[3]),
+      low: parseFloat(candle[4]),
+      close: parseFloat(candle[2]),
+      volume: parseFloat(candle[5])
+    };
+  }
+
+  async getCurrentPrice(symbol) {
+    const ticker = await this.makeRequest('GET', '/api/v1/market/orderbook/level1', {
+      symbol: this.normalizeSymbol(symbol)
+    });
+    return parseFloat(ticker.price);
+  }
+
+  async createOrder(orderParams) {
+    this.validateOrderParams(orderParams);
+
+    const { symbol, side, quantity, type = 'MARKET', price, stopPrice } = orderParams;
+    const pair = this.normalizeSymbol(symbol);
+    const orderType = type.toUpperCase();
+
+    try {
+      const params = {
+        clientOid: crypto.randomUUID(),
+        side: side.toLowerCase(),
+        symbol: pair,
+        size: String(this.formatNumber(quantity))
+      };
+
+      let endpoint = '/api/v1/orders';
+
+      switch (orderType) {
+        case 'MARKET':
+          params.type = 'market';
+          break;
+
+        case 'LIMIT':
+          params.type = 'limit';
+          params.price = String(this.formatNumber(price));
+          params.timeInForce = 'GTC';
+          break;
+
+        case 'STOP':
+        case 'STOP_MARKET':
+        case 'STOP_LIMIT':
+          endpoint = '/api/v1/stop-order';
+          // 'loss' triggers at or below the stop price, 'entry' at or above it
+          params.stop = side.toUpperCase() === 'SELL' ? 'loss' : 'entry';
+          params.stopPrice = String(this.formatNumber(stopPrice));
+          if (orderType === 'STOP_LIMIT') {
+            params.type = 'limit';
+            params.price = String(this.formatNumber(price));
+          } else {
+            params.type = 'market';
+          }
+          break;
+
+        default:
+          throw new Error(`Unsupported order type: ${type}`);
+      }
+
+      const response = await this.makeRequest('POST', endpoint, params);
+
+      if (endpoint === '/api/v1/stop-order') {
+        this.stopOrderIds.add(response.orderId);
+      }
+
+      const order = {
+        id: response.orderId,
+        symbol: pair,
+        side: side.toUpperCase(),
+        quantity: parseFloat(quantity),
+        price: parseFloat(price || 0),
+        status: 'open',
+        type: orderType,
+        timestamp: Date.now(),
+        fills: []
+      };
+
+      // Handle stop loss and take profit orders
+      if (orderParams.stopLoss || orderParams.takeProfit) {
+        order.conditionalOrders = await this.createConditionalOrders(order, orderParams);
+      }
+
+      return order;
+    } catch (error) {
+      this.logger.error('Failed to create KuCoin order:', error);
+      throw error;
+    }
+  }
+
+  async cancelOrder(orderId) {
+    try {
+      await this.requestOrder('DELETE', orderId);
+      this.stopOrderIds.delete(orderId);
+
+      return {
+        id: orderId,
+        status: 'CANCELLED',
+        timestamp: Date.now()
+      };
+    } catch (error) {
+      this.logger.error('Failed to cancel KuCoin order:', error);
+      throw error;
+    }
+  }
+
+  async getOrderStatus(orderId) {
+    try {
+      const { isStopOrder, data: order } = await this.requestOrder('GET', orderId);
+      if (isStopOrder) {
+        return {
+          ...this.formatOrder(order),
+          status: order.status === 'TRIGGERED' ? 'filled' : 'open'
+        };
+      }
+
+      return this.formatOrder(order);
+    } catch (error) {
+      this.logger.error('Failed to get order status:', error);
+      throw error;
+    }
+  }
+
+  // Known stop orders go straight to the stop endpoint; any other id the regular endpoint
+  // rejects is retried there, and the original error stands if both fail
+  async requestOrder(method, orderId) {
+    if (this.stopOrderIds.has(orderId)) {
+      return { isStopOrder: true, data: await this.makeRequest(method, `/api/v1/stop-order/${orderId}`) };
+    }
+
+    try {
+      return { isStopOrder: false, data: await this.makeRequest(method, `/api/v1/orders/${orderId}`) };
+    } catch (error) {
+      const data = await this.makeRequest(method, `/api/v1/stop-order/${orderId}`).catch(() => {
+        throw error;
+      });
+      this.stopOrderIds.add(orderId);
+      return { isStopOrder: true, data };
+    }
+  }
+
+  async getOpenPositions() {
+    try {
+      const response = await this.makeRequest('GET', '/api/v1/orders', { status: 'active' });
+
+      return response.items.map(order => {
+        const formatted = this.formatOrder(order);
+        return {
+          orderId: formatted.id,
+          symbol: formatted.symbol,
+          side: formatted.side,
+          quantity: formatted.quantity,
+          filled: formatted.filled,
+          remaining: formatted.quantity - formatted.filled,
+          price: formatted.price,
+          status: formatted.status,
+          type: formatted.type,
+          timestamp: formatted.timestamp
+        };
+      });
+    } catch (error) {
+      this.logger.error('Failed to get open positions:', error);
+      throw error;
+    }
+  }
+
+  async getOrderHistory(symbol, limit = 100) {
+    try {
+      const params = { status: 'done', pageSize: Math.min(limit, 500) };
+      if (symbol) params.symbol = this.normalizeSymbol(symbol);
+
+      const response = await this.makeRequest('GET', '/api/v1/orders', params);
+      return response.items.map(order => this.formatOrder(order));
+    } catch (error) {
+      this.logger.error('Failed to get order history:', error);
+      throw error;
+    }
+  }
+
+  formatOrder(order) {
+    const quantity = parseFloat(order.size || 0);
+    const filled = parseFloat(order.dealSize || 0);
+    const dealFunds = parseFloat(order.dealFunds || 0);
+
+    return {
+      id: order.id,
+      symbol: order.symbol,
+      side: order.side.toUpperCase(),
+      quantity,
+      filled,
+      price: parseFloat(order.price || 0),
+      avgPrice: filled > 0 ? dealFunds / filled : 0,
+      status: this.mapOrderStatus(order),
+      type: order.stop ? `STOP_${order.type.toUpperCase()}` : order.type.toUpperCase(),
+      timestamp: order.createdAt
+    };
+  }
+
+  mapOrderStatus(order) {
+    // KuCoin reports flags rather than a status string
+    if (order.isActive) {
+      return parseFloat(order.dealSize || 0) > 0 ? 'partially_filled' : 'open';
+    }
+    if (order.cancelExist) {
+      return 'cancelled';
+    }
+    return 'filled';
+  }
+
+  normalizeSymbol(symbol) {
+    // KuCoin uses format like BTC-USDT, ETH-BTC
+    const { base, quote } = this.splitSymbol(symbol);
+    return `${base}-${quote}`;
+  }
+
+  timeframeToInterval(timeframe) {
+    const intervalMap = {
+      '1m': '1min',
+      '3m': '3min',
+      '5m': '5min',
+      '15m': '15min',
+      '30m': '30min',
+      '1h': '1hour',
+      '2h': '2hour',
+      '4h': '4hour',
+      '6h': '6hour',
+      '8h': '8hour',
+      '12h': '12hour',
+      '1d': '1day',
+      '1w': '1week'
+    };
+
+    return intervalMap[timeframe] || '1hour'; // Default to 1 hour
+  }
+
+  async makeRequest(method, endpoint, params = {}) {
+    await this.waitForRateLimit();
+
+    let requestPath = endpoint;
+    let body = '';
+
+    if ((method === 'GET' || method === 'DELETE') && Object.keys(params).length > 0) {
+      requestPath += '?' + new URLSearchParams(params).toString();
+    } else if (method === 'POST') {
+      body = JSON.stringify(params);
+    }
+
+    const timestamp = Date.now().toString();
+    const [signature, passphrase] = await Promise.all([
+      CryptoUtils.hmacSha256(this.config.apiSecret, timestamp + method + requestPath + body, 'base64'),
+      // Key version 2 sends the passphrase signed with the secret
+      CryptoUtils.hmacSha256(this.config.apiSecret, this.config.passphrase, 'base64')
+    ]);
+
+    const headers = {
+      'KC-API-KEY': this.config.apiKey,
+      'KC-API-SIGN': signature,
+      'KC-API-TIMESTAMP': timestamp,
+      'KC-API-PASSPHRASE': passphrase,
+      'KC-API-KEY-VERSION': '2',
+      'Content-Type': 'application/json'
+    };
+
+    try {
+      const response = await fetch(this.config.baseUrl + requestPath, {
+        method,
+        headers,
+        body: method === 'POST' ? body : undefined
+      });
+
+      const payload = await response.json();
+
+      if (!response.ok || payload.code !== '200000') {
+        throw new Error(`KuCoin API error: ${payload.msg || response.statusText}`);
+      }
+
+      return payload.data;
+    } catch (error) {
+      this.logger.error('KuCoin API request failed:', error);
+      throw error;
+    }
+  }
+
+  async disconnect() {
+    this.stopOrderIds.clear();
+    this.isConnected = false;
+    this.logger.info('Disconnected from KuCoin');
+  }
+}
@@ -0,0 +1,508 @@
+// Paper Trading Adapter
+// Simulated exchange that fills orders against live or recorded quotes using virtual balances
+
+import { BaseAdapter } from './base-adapter.js';
+import { Logger } from '../../utils/logger.js';
+
+// Order types the matcher knows how to fill; anything else would silently fill at market
+const SUPPORTED_ORDER_TYPES = ['MARKET', 'LIMIT', 'STOP', 'STOP_MARKET', 'STOP_LIMIT'];
+
+export class PaperAdapter extends BaseAdapter {
+  constructor() {
+    super('paper');
+    this.logger = new Logger('PaperTrading');
+    this.storageKey = 'paperTradingState';
+    this.quoteSource = null;
+    this.lastPrices = new Map();
+    this.state = null;
+  }
+
+  async connect(config = {}) {
+    const { quoteSource = null, recordedData = null } = config;
+    this.config = this.createConfig(config);
+
+    // Quotes come from a live adapter/engine, or from recorded candles when replaying
+    if (quoteSource) {
+      this.quoteSource = quoteSource;
+    } else if (recordedData) {
+      this.quoteSource = new RecordedQuoteSource(recordedData);
+    }
+
+    await this.loadState();
+    this.isConnected = true;
+    this.logger.info('Paper trading account ready', { balances: this.state.balances });
+
+    return this;
+  }
+
+  createConfig({ initialBalances = { USDT: 10000, USD: 10000 }, feeRate = 0.001 } = {}) {
+    return {
+      testMode: true,
+      initialBalances,
+      feeRate
+    };
+  }
+
+  setQuoteSource(quoteSource) {
+    this.quoteSource = quoteSource;
+  }
+
+  async testConnection() {
+    return true;
+  }
+
+  // State persistence
+  async loadState() {
+    const result = await chrome.storage.local.get(this.storageKey);
+    this.state = result[this.storageKey] || this.createInitialState();
+  }
+
+  async saveState() {
+    this.state.lastUpdated = Date.now();
+    await chrome.storage.local.set({ [this.storageKey]: this.state });
+  }
+
+  createInitialState() {
+    return {
+      balances: { ...this.config.initialBalances },
+      openOrders: [],
+      positions: {},
+      orderHistory: [],
+      nextOrderId: 1,
+      createdAt: Date.now(),
+      lastUpdated: Date.now()
+    };
+  }
+
+  // Reachable before paper mode was ever connected, so the defaults stand in for a missing config
+  async resetAccount(initialBalances = null) {
+    if (!this.config) {
+      this.config = this.createConfig();
+    }
+    if (initialBalances) {
+      this.config.initialBalances = initialBalances;
+    }
+    this.state = this.createInitialState();
+    await this.saveState();
+    this.logger.info('Paper trading account reset');
+    return this.state;
+  }
+
+  // Market data
+  async getMarketData(symbol, timeframe = '1m') {
+    if (!this.quoteSource) {
+      throw new Error('Paper trading has no quote source configured');
+    }
+
+    const marketData = await this.quoteSource.getMarketData(symbol, timeframe);
+    await this.processMarketData(symbol, marketData);
+    return marketData;
+  }
+
+  async processMarketData(symbol, marketData) {
+    const price = marketData?.currentPrice;
+    if (!price || price <= 0) return;
+
+    this.lastPrices.set(symbol, price);
+    await this.matchOpenOrders(symbol, price);
+  }
+
+  async getCurrentPrice(symbol) {
+    if (this.lastPrices.has(symbol)) {
+      return this.lastPrices.get(symbol);
+    }
+
+    const marketData = await this.getMarketData(symbol, '1m');
+    return marketData.currentPrice;
+  }
+
+  // Account
+  async getAccountBalance() {
+    const locked = this.getLockedBalances();
+
+    return Object.entries(this.state.balances)
+      .filter(([, total]) => total > 0)
+      .map(([currency, total]) => ({
+        currency,
+        available: total - (locked[currency] || 0),
+        locked: locked[currency] || 0,
+        total
+      }));
+  }
+
+  getLockedBalances() {
+    const locked = {};
+
+    for (const order of this.state.openOrders) {
+      const { base, quote } = this.splitSymbol(order.symbol);
+      const remaining = order.quantity - order.filled;
+
+      if (order.side === 'BUY') {
+        const reservePrice = order.price || order.stopPrice || this.lastPrices.get(order.symbol) || 0;
+        locked[quote] = (locked[quote] || 0) + remaining * reservePrice * (1 + this.config.feeRate);
+      } else {
+        locked[base] = (locked[base] || 0) + remaining;
+      }
+    }
+
+    return locked;
+  }
+
+  // Orders
+  async createOrder(orderParams) {
+    this.validateOrderParams(orderParams);
+
+    const { symbol, side, quantity, price, stopPrice } = orderParams;
+    const type = (orderParams.type || 'MARKET').toUpperCase();
+
+    if (!SUPPORTED_ORDER_TYPES.includes(type)) {
+      throw new Error(`Unsupported paper order type: ${type}`);
+    }
+    if (type.endsWith('LIMIT') && !price) {
+      throw new Error('Limit orders require a price');
+    }
+    if (type.includes('STOP') && !stopPrice) {
+      throw new Error('Stop orders require a stop price');
+    }
+
+    const order = {
+      id: `paper_${this.state.nextOrderId++}`,
+      symbol,
+      side: side.toUpperCase(),
+      type,
+      quantity,
+      filled: 0,
+      price: price || 0,
+      stopPrice: stopPrice || 0,
+      avgPrice: 0,
+      status: 'NEW',
+      triggered: false,
+      timestamp: Date.now(),
+      fills: []
+    };
+
+    this.checkSufficientBalance(order, price || stopPrice || await this.getCurrentPrice(symbol));
+
+    if (type === 'MARKET') {
+      const marketPrice = await this.getCurrentPrice(symbol);
+      this.fillOrder(order, marketPrice);
+      this.state.orderHistory.push(order);
+    } else {
+      this.state.openOrders.push(order);
+      // A marketable limit or an already-breached stop fills straight away
+      const lastPrice = this.lastPrices.get(symbol);
+      if (lastPrice) {
+        this.evaluateOrder(order, lastPrice);
+      }
+      this.moveClosedOrders();
+    }
+
+    await this.saveState();
+    this.logger.info(`Paper order ${order.status.toLowerCase()}: ${order.side} ${order.quantity} ${symbol}`, {
+      orderId: order.id,
+      type: order.type,
+      avgPrice: order.avgPrice
+    });
+
+    return this.formatOrder(order);
+  }
+
+  checkSufficientBalance(order, referencePrice) {
+    const { base, quote } = this.splitSymbol(order.symbol);
+    const locked = this.getLockedBalances();
+
+    if (order.side === 'BUY') {
+      const cost = order.quantity * referencePrice * (1 + this.config.feeRate);
+      const available = (this.state.balances[quote] || 0) - (locked[quote] || 0);
+      if (cost > available) {
+        throw new Error(`Insufficient paper ${quote} balance: need ${cost.toFixed(2)}, have ${available.toFixed(2)}`);
+      }
+    } else {
+      const available = (this.state.balances[base] || 0) - (locked[base] || 0);
+      if (order.quantity > available) {
+        throw new Error(`Insufficient paper ${base} balance: need ${order.quantity}, have ${available}`);
+      }
+    }
+  }
+
+  async cancelOrder(orderId) {
+    const index = this.state.openOrders.findIndex(order => order.id === orderId);
+    if (index === -1) {
+      throw new Error(`Paper order not found or already closed: ${orderId}`);
+    }
+
+    const [order] = this.state.openOrders.splice(index, 1);
+    order.status = 'CANCELED';
+    this.state.orderHistory.push(order);
+    await this.saveState();
+
+    this.emitOrderUpdate(order);
+
+    return {
+      id: order.id,
+      status: 'CANCELLED',
+      timestamp: Date.now()
+    };
+  }
+
+  async getOrderStatus(orderId) {
+    const order = this.state.openOrders.find(o => o.id === orderId) ||
+      this.state.orderHistory.find(o => o.id === orderId);
+
+    if (!order) {
+      throw new Error(`Paper order not found: ${orderId}`);
+    }
+
+    return {
+      id: order.id,
+      symbol: order.symbol,
+      status: order.status,
+      side: order.side,
+      quantity: order.quantity,
+      filled: order.filled,
+      price: order.price,
+      avgPrice: order.avgPrice,
+      timestamp: order.timestamp
+    };
+  }
+
+  async getOpenPositions() {
+    return Object.values(this.state.positions)
+      .filter(position => position.quantity > 0)
+      .map(position => {
+        const side = position.side || 'BUY';
+        const direction = side === 'BUY' ? 1 : -1;
+        const currentPrice = this.lastPrices.get(position.symbol) || position.entryPrice;
+        return {
+          symbol: position.symbol,
+          side,
+          quantity: position.quantity,
+          entryPrice: position.entryPrice,
+          currentPrice,
+          entryValue: position.quantity * position.entryPrice,
+          currentValue: position.quantity * currentPrice,
+          unrealizedPnl: (currentPrice - position.entryPrice) * position.quantity * direction,
+          realizedPnl: position.realizedPnl,
+          status: 'OPEN',
+          timestamp: position.openedAt
+        };
+      });
+  }
+
+  async getOrderHistory(symbol, limit = 100) {
+    return this.state.orderHistory
+      .filter(order => !symbol || order.symbol === symbol)
+      .slice(-limit)
+      .map(order => this.formatOrder(order));
+  }
+
+  // Order matching
+  async matchOpenOrders(symbol, price) {
+    const candidates = this.state.openOrders.filter(order => order.symbol === symbol);
+    if (candidates.length === 0) return;
+
+    let changed = false;
+    for (const order of candidates) {
+      changed = this.evaluateOrder(order, price) || changed;
+    }
+
+    if (changed) {
+      this.moveClosedOrders();
+      await this.saveState();
+    }
+  }
+
+  evaluateOrder(order, price) {
+    const isBuy = order.side === 'BUY';
+
+    // Stop orders trigger first, then behave as market or limit orders
+    if (order.type.includes('STOP') && !order.triggered) {
+      const stopHit = isBuy ? price >= order.stopPrice : price <= order.stopPrice;
+      if (!stopHit) return false;
+      order.triggered = true;
+    }
+
+    if (order.type === 'LIMIT' || order.type === 'STOP_LIMIT') {
+      const limitHit = isBuy ? price <= order.price : price >= order.price;
+      if (!limitHit) return order.triggered;
+      // Limit orders never fill worse than their limit
+      this.fillOrder(order, isBuy ? Math.min(price, order.price) : Math.max(price, order.price));
+      return true;
+    }
+
+    this.fillOrder(order, price);
+    return true;
+  }
+
+  fillOrder(order, price) {
+    const quantity = order.quantity - order.filled;
+    if (quantity <= 0) return;
+
+    const { base, quote } = this.splitSymbol(order.symbol);
+    const notional = quantity * price;
+    const fee = notional * this.config.feeRate;
+    const balances = this.state.balances;
+
+    if (order.side === 'BUY') {
+      if ((balances[quote] || 0) < notional + fee) {
+        order.status = 'REJECTED';
+        this.logger.warn(`Paper order ${order.id} rejected: insufficient ${quote} at fill time`);
+        this.emitOrderUpdate(order);
+        return;
+      }
+      balances[quote] -= notional + fee;
+      balances[base] = (balances[base] || 0) + quantity;
+    } else {
+      if ((balances[base] || 0) < quantity) {
+        order.status = 'REJECTED';
+        this.logger.warn(`Paper order ${order.id} rejected: insufficient ${base} at fill time`);
+        this.emitOrderUpdate(order);
+        return;
+      }
+      balances[base] -= quantity;
+      balances[quote] = (balances[quote] || 0) + notional - fee;
+    }
+
+    order.fills.push({ price, quantity, commission: fee, commissionAsset: quote, time: Date.now() });
+    order.avgPrice = ((order.avgPrice * order.filled) + notional) / (order.filled + quantity);
+    order.filled += quantity;
+    order.status = 'FILLED';
+
+    this.updatePosition(order.symbol, order.side, quantity, price, fee);
+    this.emitOrderUpdate(order);
+  }
+
+  // Positions net fills the way the ledger does: a fill against the holding closes it, anything beyond opens the other side
+  updatePosition(symbol, side, quantity, price, fee) {
+    const position = this.state.positions[symbol] || {
+      symbol,
+      side,
+      quantity: 0,
+      entryPrice: 0,
+      realizedPnl: 0,
+      openedAt: Date.now()
+    };
+    // State saved before positions carried a side only ever held longs
+    position.side = position.side || 'BUY';
+    position.realizedPnl -= fee;
+
+    if (position.quantity === 0) {
+      position.side = side;
+      position.openedAt = Date.now();
+    }
+
+    if (side === position.side) {
+      const cost = position.quantity * position.entryPrice + quantity * price;
+      position.quantity += quantity;
+      position.entryPrice = cost / position.quantity;
+    } else {
+      const closing = Math.min(quantity, position.quantity);
+      const direction = position.side === 'BUY' ? 1 : -1;
+      position.realizedPnl += (price - position.entryPrice) * closing * direction;
+      position.quantity -= closing;
+
+      if (quantity > closing) {
+        position.side = side;
+        position.quantity = quantity - closing;
+        position.entryPrice = price;
+        position.openedAt = Date.now();
+      } else if (position.quantity === 0) {
+        position.entryPrice = 0;
+      }
+    }
+
+    this.state.positions[symbol] = position;
+  }
+
+  moveClosedOrders() {
+    const stillOpen = [];
+    for (const order of this.state.openOrders) {
+      if (['FILLED', 'CANCELED', 'REJECTED', 'EXPIRED'].includes(order.status)) {
+        this.state.orderHistory.push(order);
+      } else {
+        stillOpen.push(order);
+      }
+    }
+    this.state.openOrders = stillOpen;
+
+    // Bound history so chrome.storage does not grow without limit
+    if (this.state.orderHistory.length > 1000) {
+      this.state.orderHistory.splice(0, this.state.orderHistory.length - 1000);
+    }
+  }
+
+  emitOrderUpdate(order) {
+    // Same payload shape as the live adapters' executionReport handling
+    this.emit('orderUpdate', {
+      orderId: order.id,
+      symbol: order.symbol,
+      status: order.status,
+      side: order.side,
+      quantity: order.quantity,
+      price: order.avgPrice || order.price,
+      filled: order.filled,
+      avgPrice: order.avgPrice,
+      timestamp: Date.now()
+    });
+  }
+
+  formatOrder(order) {
+    return {
+      id: order.id,
+      symbol: order.symbol,
+      side: order.side,
+      quantity: order.quantity,
+      price: order.avgPrice || order.price,
+      avgPrice: order.avgPrice,
+      status: order.status,
+      type: order.type,
+      timestamp: order.timestamp,
+      fills: order.fills
+    };
+  }
+
+  async disconnect() {
+    if (this.state) {
+      await this.saveState();
+    }
+    this.isConnected = false;
+    this.logger.info('Paper trading account closed');
+  }
+}
+
+// Replays recorded candles as a quote source, one bar per request
+class RecordedQuoteSource {
+  constructor(recordedData) {
+    // recordedData: { [symbol]: [{ time, open, high, low, close, volume }, ...] }
+    this.data = recordedData;
+    this.cursors = new Map();
+  }
+
+  async getMarketData(symbol, timeframe) {
+    const candles = this.data[symbol];
+    if (!candles || candles.length === 0) {
+      throw new Error(`No recorded data for ${symbol}`);
+    }
+
+    const cursor = Math.min(this.cursors.get(symbol) ?? 0, candles.length - 1);
+    this.cursors.set(symbol, cursor + 1);
+
+    const window = candles.slice(Math.max(0, cursor - 99), cursor + 1);
+    const bar = candles[cursor];
+
+    return {
+      symbol,
+      timeframe,
+      currentPrice: bar.close,
+      previousPrice: window[0].close,
+      high24h: Math.max(...window.map(c => c.high)),
+      low24h: Math.min(...window.map(c => c.low)),
+      volume24h: window.reduce((sum, c) => sum + c.volume, 0),
+      prices: window.map(c => c.close),
+      volumes: window.map(c => c.volume),
+      candles: window,
+      orderBook: { bids: [], asks: [] },
+      timestamp: bar.time
+    };
+  }
+}
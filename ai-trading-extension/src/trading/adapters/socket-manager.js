@@ -0,0 +1,281 @@
+// Socket Manager
+// One managed WebSocket: reconnects with exponential backoff and jitter, checks liveness with
+// application-level pings, treats a silent feed as dead, and restores subscriptions after every reconnect
+// State changes are reported through onStateChange; adapters re-emit them as 'connectionStateChanged'
+
+import { Logger } from '../../utils/logger.js';
+
+const DEFAULT_BACKOFF = {
+  initialDelay: 1000,
+  maxDelay: 60 * 1000,
+  factor: 2
+};
+
+const DEFAULT_HEARTBEAT = {
+  interval: 30 * 1000,
+  timeout: 10 * 1000 // Reconnect when no pong arrives within this long of a ping
+};
+
+export class SocketManager {
+  // options: { name, url, onMessage, onOpen?, onStateChange?, subscribeMessages?, unsubscribeMessages?,
+  //            heartbeat?: { isPong, message?, interval?, timeout? }, staleAfter?, backoff? }
+  constructor(options) {
+    this.logger = new Logger('SocketManager');
+    this.name = options.name;
+    this.url = options.url;
+    this.onMessage = options.onMessage;
+    this.onOpen = options.onOpen || null;
+    this.onStateChange = options.onStateChange || null;
+    this.subscribeMessages = options.subscribeMessages || null;
+    this.unsubscribeMessages = options.unsubscribeMessages || null;
+    this.heartbeat = options.heartbeat ? { ...DEFAULT_HEARTBEAT, ...options.heartbeat } : null;
+    this.staleAfter = options.staleAfter || null; // ms without data while subscribed
+    this.backoff = { ...DEFAULT_BACKOFF, ...options.backoff };
+
+    this.socket = null;
+    this.opening = null;
+    this.rejectOpening = null;
+    this.state = 'idle';
+    this.attempt = 0;
+    this.stopped = false;
+    this.subscriptions = new Set();
+    this.lastDataAt = 0;
+    this.timers = { reconnect: null, heartbeat: null, pong: null, stale: null };
+  }
+
+  isOpen() {
+    return this.socket?.readyState === WebSocket.OPEN;
+  }
+
+  // Resolves once the socket is open; a failed first attempt rejects but keeps retrying in the background
+  connect() {
+    this.stopped = false;
+    if (this.isOpen()) return Promise.resolve();
+    if (!this.opening) {
+      this.opening = new Promise((resolve, reject) => {
+        this.rejectOpening = reject;
+        this.openSocket(resolve, reject);
+      });
+    }
+    return this.opening;
+  }
+
+  openSocket(resolve, reject) {
+    clearTimeout(this.timers.reconnect);
+    this.setState('connecting');
+
+    const socket = new WebSocket(this.url);
+    this.socket = socket;
+    let opened = false;
+
+    socket.onopen = () => {
+      opened = true;
+      this.opening = null;
+      this.lastDataAt = Date.now();
+      this.setState('connected');
+      // The state change still reports which attempt got through
+      this.attempt = 0;
+
+      if (this.onOpen) this.onOpen(this);
+      this.restoreSubscriptions();
+      this.startTimers();
+      resolve();
+    };
+
+    socket.onmessage = (event) => {
+      this.handleMessage(event.data);
+    };
+
+    socket.onerror = () => {
+      // The close event that follows decides whether to retry
+      this.logger.warn(`${this.name} socket error on ${this.url}`);
+    };
+
+    socket.onclose = (event) => {
+      if (this.socket !== socket) return;
+
+      this.socket = null;
+      this.opening = null;
+      this.stopTimers();
+      if (!opened) reject(new Error(`${this.name} socket failed to connect to ${this.url}`));
+      if (this.stopped) return;
+
+      this.scheduleReconnect(event.reason || `closed with code ${event.code}`);
+    };
+  }
+
+  handleMessage(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      this.logger.warn(`Ignoring malformed ${this.name} message`);
+      return;
+    }
+
+    // Any reply proves the connection is alive; only real payloads count as fresh data
+    this.clearPongTimeout();
+    if (this.heartbeat?.isPong(message)) return;
+
+    this.lastDataAt = Date.now();
+    this.onMessage(message);
+  }
+
+  scheduleReconnect(reason) {
+    const base = Math.min(this.backoff.maxDelay, this.backoff.initialDelay * this.backoff.factor ** this.attempt);
+    // Equal jitter: at least half the backoff, so sockets dropped together don't retry in lockstep
+    const delay = Math.round(base / 2 + Math.random() * base / 2);
+    this.attempt++;
+
+    this.logger.warn(`${this.name} socket down (${reason}); reconnect attempt ${this.attempt} in ${delay}ms`);
+    this.setState('reconnecting', { reason, delay });
+
+    this.timers.reconnect = setTimeout(() => {
+      this.connect().catch(() => {
+        // Failed attempts schedule their own retry from the close handler
+      });
+    }, delay);
+  }
+
+  // Drops a socket that is open but no longer useful and starts the backoff
+  forceReconnect(reason) {
+    const socket = this.socket;
+    this.socket = null;
+    this.opening = null;
+    this.stopTimers();
+
+    if (socket) {
+      socket.onclose = null;
+      socket.close();
+    }
+    if (!this.stopped) this.scheduleReconnect(reason);
+  }
+
+  // Heartbeat and staleness
+  startTimers() {
+    this.stopTimers();
+
+    // Venues that push their own heartbeats only need isPong; the others are pinged
+    if (this.heartbeat?.message) {
+      this.timers.heartbeat = setInterval(() => {
+        if (!this.send(this.heartbeat.message())) return;
+        if (!this.timers.pong) {
+          this.timers.pong = setTimeout(() => this.forceReconnect('heartbeat timeout'), this.heartbeat.timeout);
+        }
+      }, this.heartbeat.interval);
+    }
+
+    if (this.staleAfter) {
+      this.timers.stale = setInterval(() => this.checkStale(), Math.max(this.staleAfter / 2, 1000));
+    }
+  }
+
+  checkStale() {
+    // An idle socket with nothing subscribed has no data to wait for
+    if (this.subscriptions.size === 0) return;
+
+    const silentFor = Date.now() - this.lastDataAt;
+    if (silentFor > this.staleAfter) {
+      const reason = `no data for ${Math.round(silentFor / 1000)}s`;
+      this.setState('stale', { reason });
+      this.forceReconnect(reason);
+    }
+  }
+
+  clearPongTimeout() {
+    clearTimeout(this.timers.pong);
+    this.timers.pong = null;
+  }
+
+  stopTimers() {
+    clearInterval(this.timers.heartbeat);
+    clearInterval(this.timers.stale);
+    this.clearPongTimeout();
+    this.timers.heartbeat = null;
+    this.timers.stale = null;
+  }
+
+  // Subscriptions
+  // Keys are remembered so a new socket can subscribe to them again; opens the socket if needed
+  subscribe(keys) {
+    const added = keys.filter(key => !this.subscriptions.has(key));
+    added.forEach(key => this.subscriptions.add(key));
+
+    if (this.isOpen()) {
+      if (added.length > 0) this.sendAll(this.subscribeMessages?.(added));
+    } else {
+      // The open handler subscribes to everything remembered
+      this.connect().catch(error => this.logger.warn(error.message));
+    }
+    return added;
+  }
+
+  unsubscribe(keys) {
+    const removed = keys.filter(key => this.subscriptions.delete(key));
+    if (removed.length > 0 && this.isOpen()) {
+      this.sendAll(this.unsubscribeMessages?.(removed));
+    }
+    return removed;
+  }
+
+  restoreSubscriptions() {
+    if (this.subscriptions.size > 0) {
+      this.sendAll(this.subscribeMessages?.([...this.subscriptions]));
+    }
+  }
+
+  send(payload) {
+    if (!this.isOpen()) return false;
+    this.socket.send(JSON.stringify(payload));
+    return true;
+  }
+
+  sendAll(payloads = []) {
+    for (const payload of payloads) {
+      this.send(payload);
+    }
+  }
+
+  // Clean shutdown: no reconnects, no timers, subscriptions forgotten
+  close() {
+    this.stopped = true;
+    clearTimeout(this.timers.reconnect);
+    this.stopTimers();
+    this.subscriptions.clear();
+    this.attempt = 0;
+
+    // The socket's own close handler is detached below, so a pending connect() is settled here
+    if (this.opening) {
+      this.rejectOpening(new Error(`${this.name} socket closed before it connected`));
+    }
+
+    const socket = this.socket;
+    this.socket = null;
+    this.opening = null;
+    if (socket) {
+      socket.onclose = null;
+      socket.close(1000, 'client shutdown');
+    }
+    this.setState('closed');
+  }
+
+  setState(state, details = {}) {
+    const previousState = this.state;
+    // Every reconnect attempt is reported; other states only when they change
+    if (state === previousState && state !== 'reconnecting') return;
+    this.state = state;
+
+    if (this.onStateChange) {
+      this.onStateChange({
+        socket: this.name,
+        url: this.url,
+        state,
+        previousState,
+        attempt: this.attempt,
+        subscriptions: this.subscriptions.size,
+        timestamp: Date.now(),
+        ...details
+      });
+    }
+  }
+}
@@ -0,0 +1,454 @@
+// Backtest Engine - Replays historical candles through the AI and risk pipeline
+// Simulates fills with fees and slippage so strategies can be checked offline
+
+import { AIDecisionEngine } from '../ai/decision-engine.js';
+import { RiskManager } from './risk-manager.js';
+import { Logger } from '../utils/logger.js';
+import { TIMEFRAME_MINUTES, getPeriodsPerYear } from '../utils/timeframes.js';
+
+export class BacktestEngine {
+  constructor(options = {}) {
+    this.aiEngine = options.aiEngine || new AIDecisionEngine({ cooldownStorageKey: null });
+    this.riskManager = options.riskManager || new RiskManager();
+    this.logger = new Logger('Backtest');
+  }
+
+  getDefaultSettings() {
+    return {
+      symbol: 'BACKTEST',
+      timeframe: '1h',
+      initialCapital: 10000,
+      feeRate: 0.001, // 0.1% per fill
+      slippage: 0.0005, // 0.05% adverse price move per fill
+      lookback: 100, // Candles passed to each analysis window
+      allowShort: false,
+      defaultStopLoss: 0.02,
+      defaultTakeProfit: 0.04
+    };
+  }
+
+  // Data loading
+  async loadCandlesFromFile(path) {
+    const url = typeof chrome !== 'undefined' && chrome.runtime?.getURL ?
+      chrome.runtime.getURL(path) : path;
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load backtest data from ${path}: ${response.statusText}`);
+    }
+
+    const format = path.toLowerCase().endsWith('.csv') ? 'csv' : 'json';
+    return this.loadCandles(await response.text(), format);
+  }
+
+  loadCandles(source, format = 'auto') {
+    let rows;
+
+    if (Array.isArray(source)) {
+      rows = source;
+    } else if (typeof source === 'string') {
+      const text = source.trim();
+      const detected = format === 'auto' ?
+        (text.startsWith('[') || text.startsWith('{') ? 'json' : 'csv') : format;
+
+      rows = detected === 'json' ? this.parseJSON(text) : this.parseCSV(text);
+    } else {
+      throw new Error('Backtest data must be an array of candles or CSV/JSON text');
+    }
+
+    const candles = rows
+      .map(row => this.normalizeCandle(row))
+      .filter(candle => candle !== null)
+      .sort((a, b) => a.time - b.time);
+
+    if (candles.length === 0) {
+      throw new Error('No valid candles found in backtest data');
+    }
+
+    return candles;
+  }
+
+  parseJSON(text) {
+    const parsed = JSON.parse(text);
+    // Accept either a bare array or { candles: [...] }
+    return Array.isArray(parsed) ? parsed : (parsed.candles || []);
+  }
+
+  parseCSV(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim().length > 0);
+    if (lines.length === 0) return [];
+
+    const firstRow = lines[0].split(',').map(cell => cell.trim());
+    const hasHeader = firstRow.some(cell => isNaN(parseFloat(cell)) && isNaN(Date.parse(cell)));
+
+    if (!hasHeader) {
+      // Headerless files follow the exchange kline layout: time, open, high, low, close, volume
+      return lines.map(line => line.split(',').map(cell => cell.trim()));
+    }
+
+    const headers = firstRow.map(header => header.toLowerCase());
+    return lines.slice(1).map(line => {
+      const cells = line.split(',').map(cell => cell.trim());
+      const row = {};
+      headers.forEach((header, i) => {
+        row[header] = cells[i];
+      });
+      return row;
+    });
+  }
+
+  normalizeCandle(row) {
+    let candle;
+
+    if (Array.isArray(row)) {
+      candle = {
+        time: row[0],
+        open: row[1],
+        high: row[2],
+        low: row[3],
+        close: row[4],
+        volume: row[5]
+      };
+    } else if (row && typeof row === 'object') {
+      candle = {
+        time: row.time ?? row.timestamp ?? row.date ?? row.opentime ?? row.openTime,
+        open: row.open ?? row.o,
+        high: row.high ?? row.h,
+        low: row.low ?? row.l,
+        close: row.close ?? row.c,
+        volume: row.volume ?? row.v ?? 0
+      };
+    } else {
+      return null;
+    }
+
+    const time = isNaN(Number(candle.time)) ? Date.parse(candle.time) : Number(candle.time);
+    const normalized = {
+      time,
+      open: parseFloat(candle.open),
+      high: parseFloat(candle.high),
+      low: parseFloat(candle.low),
+      close: parseFloat(candle.close),
+      volume: parseFloat(candle.volume) || 0
+    };
+
+    const valid = !isNaN(normalized.time) &&
+      ['open', 'high', 'low', 'close'].every(key => isFinite(normalized[key]) && normalized[key] > 0);
+
+    return valid ? normalized : null;
+  }
+
+  // Simulation
+  async run(candles, options = {}) {
+    const settings = { ...this.getDefaultSettings(), ...options };
+
+    if (candles.length <= settings.lookback) {
+      throw new Error(`Backtest needs more than ${settings.lookback} candles, got ${candles.length}`);
+    }
+
+    const state = {
+      balance: settings.initialCapital,
+      position: null,
+      pendingEntry: null,
+      pendingExit: null,
+      peakEquity: settings.initialCapital,
+      feesPaid: 0,
+      barsInMarket: 0
+    };
+    const trades = [];
+    const equityCurve = [];
+
+    // Strategy state left over from a previous run would leak into this one
+    this.aiEngine.resetState();
+
+    this.logger.info(`Backtest started for ${settings.symbol}`, {
+      candles: candles.length,
+      timeframe: settings.timeframe,
+      initialCapital: settings.initialCapital
+    });
+
+    for (let i = settings.lookback - 1; i < candles.length; i++) {
+      const bar = candles[i];
+
+      // Orders decided on the previous bar fill at this bar's open
+      if (state.pendingExit && state.position) {
+        trades.push(this.closePosition(state, bar.open, bar.time, state.pendingExit, settings));
+      }
+      state.pendingExit = null;
+
+      if (state.pendingEntry && !state.position) {
+        this.openPosition(state, state.pendingEntry, bar, settings);
+      }
+      state.pendingEntry = null;
+
+      // Protective exits trigger intrabar
+      if (state.position) {
+        const exit = this.checkProtectiveExit(state.position, bar);
+        if (exit) {
+          trades.push(this.closePosition(state, exit.price, bar.time, exit.reason, settings));
+        }
+      }
+
+      if (state.position) state.barsInMarket++;
+
+      equityCurve.push(this.markToMarket(state, bar));
+
+      // The final bar only marks equity; there is no next bar to fill on
+      if (i === candles.length - 1) break;
+
+      const window = candles.slice(i - settings.lookback + 1, i + 1);
+      await this.evaluateBar(state, window, settings, { candles, index: i });
+    }
+
+    // Flatten at the last close so the stats include every open trade
+    const lastBar = candles[candles.length - 1];
+    if (state.position) {
+      trades.push(this.closePosition(state, lastBar.close, lastBar.time, 'END_OF_DATA', settings));
+      equityCurve[equityCurve.length - 1] = this.markToMarket(state, lastBar);
+    }
+
+    const summary = this.calculateStatistics(trades, equityCurve, state, settings);
+
+    this.logger.info(`Backtest completed for ${settings.symbol}`, {
+      trades: summary.totalTrades,
+      totalReturn: (summary.totalReturn * 100).toFixed(2) + '%',
+      maxDrawdown: (summary.maxDrawdown * 100).toFixed(2) + '%'
+    });
+
+    return {
+      settings,
+      summary,
+      trades,
+      equityCurve
+    };
+  }
+
+  async evaluateBar(state, window, settings, history = null) {
+    const marketData = this.buildMarketData(window, settings);
+    const analysis = await this.aiEngine.analyzeMarket(marketData, settings.timeframe, {
+      loadMarketData: timeframe => history && this.resampleMarketData(history, timeframe, settings)
+    });
+
+    if (analysis.signal === 'HOLD') return;
+
+    if (state.position) {
+      // An opposite signal closes the open position at the next open
+      if (analysis.signal !== state.position.side) {
+        state.pendingExit = 'SIGNAL_REVERSAL';
+      }
+      return;
+    }
+
+    if (analysis.signal === 'SELL' && !settings.allowShort) return;
+
+    // Entries only happen while flat, so the simulated book carries no exposure yet
+    const riskCheck = await this.riskManager.evaluateOpportunity(analysis, settings.symbol, {
+      simulation: true,
+      marketData,
+      equity: state.balance,
+      exposure: { total: 0 }
+    });
+
+    if (!riskCheck.approved) {
+      this.logger.debug(`Backtest entry rejected: ${riskCheck.reason}`);
+      return;
+    }
+
+    state.pendingEntry = {
+      side: analysis.signal,
+      sizeFraction: riskCheck.recommendedSize,
+      stopLoss: riskCheck.stopLoss || settings.defaultStopLoss,
+      takeProfit: analysis.takeProfit || settings.defaultTakeProfit,
+      confidence: analysis.confidence
+    };
+
+    // The same per-symbol cooldown as live trading, counted from the bar that decided the entry
+    await this.aiEngine.recordTrade(settings.symbol, analysis.barTime);
+  }
+
+  buildMarketData(window, settings) {
+    const last = window[window.length - 1];
+    const first = window[0];
+
+    return {
+      symbol: settings.symbol,
+      platform: 'backtest',
+      timeframe: settings.timeframe,
+      timestamp: last.time,
+      currentPrice: last.close,
+      previousPrice: first.close,
+      high24h: Math.max(...window.map(c => c.high)),
+      low24h: Math.min(...window.map(c => c.low)),
+      volume24h: window.reduce((sum, c) => sum + c.volume, 0),
+      priceChange24h: last.close - first.close,
+      priceChangePercent24h: ((last.close - first.close) / first.close) * 100,
+      prices: window.map(c => c.close),
+      volumes: window.map(c => c.volume),
+      candles: window,
+      orderBook: { bids: [], asks: [] }
+    };
+  }
+
+  // Higher timeframes for multi-timeframe strategies, rolled up from the candles up to the current bar
+  // Timeframes that aren't a multiple of the backtest timeframe can't be derived and come back null
+  resampleMarketData({ candles, index }, timeframe, settings) {
+    const baseMinutes = TIMEFRAME_MINUTES[settings.timeframe];
+    const minutes = TIMEFRAME_MINUTES[timeframe];
+    if (!baseMinutes || !minutes || minutes < baseMinutes || minutes % baseMinutes !== 0) return null;
+
+    const periodMs = minutes * 60 * 1000;
+    const ratio = minutes / baseMinutes;
+    const buckets = [];
+
+    // Only enough history for a full lookback window of the higher timeframe
+    for (const candle of candles.slice(Math.max(0, index + 1 - (settings.lookback + 1) * ratio), index + 1)) {
+      const time = Math.floor(candle.time / periodMs) * periodMs;
+      const last = buckets[buckets.length - 1];
+
+      if (last && last.time === time) {
+        last.high = Math.max(last.high, candle.high);
+        last.low = Math.min(last.low, candle.low);
+        last.close = candle.close;
+        last.volume += candle.volume;
+      } else {
+        buckets.push({ ...candle, time });
+      }
+    }
+
+    return buckets.length > 0 ? this.buildMarketData(buckets.slice(-settings.lookback), { ...settings, timeframe }) : null;
+  }
+
+  openPosition(state, entry, bar, settings) {
+    const equity = state.balance;
+    const direction = entry.side === 'BUY' ? 1 : -1;
+    const fillPrice = bar.open * (1 + direction * settings.slippage);
+    const notional = equity * entry.sizeFraction;
+    const quantity = notional / fillPrice;
+
+    if (quantity <= 0) return;
+
+    const fee = notional * settings.feeRate;
+    state.balance -= fee;
+    state.feesPaid += fee;
+
+    state.position = {
+      side: entry.side,
+      quantity,
+      entryPrice: fillPrice,
+      entryTime: bar.time,
+      entryFee: fee,
+      stopPrice: fillPrice * (1 - direction * entry.stopLoss),
+      takeProfitPrice: fillPrice * (1 + direction * entry.takeProfit),
+      confidence: entry.confidence
+    };
+  }
+
+  checkProtectiveExit(position, bar) {
+    if (position.side === 'BUY') {
+      // Assume the worse outcome when both levels sit inside the same bar
+      if (bar.low <= position.stopPrice) {
+        return { price: Math.min(bar.open, position.stopPrice), reason: 'STOP_LOSS' };
+      }
+      if (bar.high >= position.takeProfitPrice) {
+        return { price: Math.max(bar.open, position.takeProfitPrice), reason: 'TAKE_PROFIT' };
+      }
+    } else {
+      if (bar.high >= position.stopPrice) {
+        return { price: Math.max(bar.open, position.stopPrice), reason: 'STOP_LOSS' };
+      }
+      if (bar.low <= position.takeProfitPrice) {
+        return { price: Math.min(bar.open, position.takeProfitPrice), reason: 'TAKE_PROFIT' };
+      }
+    }
+    return null;
+  }
+
+  closePosition(state, price, time, reason, settings) {
+    const position = state.position;
+    const direction = position.side === 'BUY' ? 1 : -1;
+    const fillPrice = price * (1 - direction * settings.slippage);
+    const exitFee = position.quantity * fillPrice * settings.feeRate;
+
+    const grossPnl = (fillPrice - position.entryPrice) * position.quantity * direction;
+    const netPnl = grossPnl - position.entryFee - exitFee;
+
+    state.balance += grossPnl - exitFee;
+    state.feesPaid += exitFee;
+    state.position = null;
+
+    return {
+      side: position.side,
+      quantity: position.quantity,
+      entryTime: position.entryTime,
+      entryPrice: position.entryPrice,
+      exitTime: time,
+      exitPrice: fillPrice,
+      fees: position.entryFee + exitFee,
+      pnl: netPnl,
+      returnPct: netPnl / (position.entryPrice * position.quantity),
+      exitReason: reason,
+      confidence: position.confidence
+    };
+  }
+
+  markToMarket(state, bar) {
+    let unrealized = 0;
+    if (state.position) {
+      const direction = state.position.side === 'BUY' ? 1 : -1;
+      unrealized = (bar.close - state.position.entryPrice) * state.position.quantity * direction;
+    }
+
+    const equity = state.balance + unrealized;
+    state.peakEquity = Math.max(state.peakEquity, equity);
+
+    return {
+      time: bar.time,
+      equity,
+      balance: state.balance,
+      unrealizedPnl: unrealized,
+      drawdown: state.peakEquity > 0 ? (state.peakEquity - equity) / state.peakEquity : 0
+    };
+  }
+
+  calculateStatistics(trades, equityCurve, state, settings) {
+    const finalEquity = equityCurve.length > 0 ?
+      equityCurve[equityCurve.length - 1].equity : settings.initialCapital;
+
+    const wins = trades.filter(t => t.pnl > 0);
+    const losses = trades.filter(t => t.pnl <= 0);
+    const grossProfit = wins.reduce((sum, t) => sum + t.pnl, 0);
+    const grossLoss = Math.abs(losses.reduce((sum, t) => sum + t.pnl, 0));
+
+    // Per-bar returns for Sharpe ratio
+    const returns = [];
+    for (let i = 1; i < equityCurve.length; i++) {
+      const previous = equityCurve[i - 1].equity;
+      if (previous > 0) returns.push((equityCurve[i].equity - previous) / previous);
+    }
+    const meanReturn = returns.length > 0 ? returns.reduce((a, b) => a + b, 0) / returns.length : 0;
+    const variance = returns.length > 1 ?
+      returns.reduce((sum, r) => sum + Math.pow(r - meanReturn, 2), 0) / (returns.length - 1) : 0;
+    const stdDev = Math.sqrt(variance);
+    const periodsPerYear = getPeriodsPerYear(settings.timeframe);
+
+    return {
+      initialCapital: settings.initialCapital,
+      finalEquity,
+      totalReturn: (finalEquity - settings.initialCapital) / settings.initialCapital,
+      totalTrades: trades.length,
+      winningTrades: wins.length,
+      losingTrades: losses.length,
+      winRate: trades.length > 0 ? wins.length / trades.length : 0,
+      avgWin: wins.length > 0 ? grossProfit / wins.length : 0,
+      avgLoss: losses.length > 0 ? grossLoss / losses.length : 0,
+      // Without a loss to divide by there is no ratio; Infinity wouldn't survive the JSON message anyway
+      profitFactor: grossLoss > 0 ? grossProfit / grossLoss : null,
+      profitFactorUndefined: grossLoss === 0,
+      maxDrawdown: equityCurve.reduce((max, point) => Math.max(max, point.drawdown), 0),
+      sharpeRatio: stdDev > 0 ? (meanReturn / stdDev) * Math.sqrt(periodsPerYear) : 0,
+      feesPaid: state.feesPaid,
+      exposure: equityCurve.length > 0 ? state.barsInMarket / equityCurve.length : 0,
+      bars: equityCurve.length
+    };
+  }
+}
@@ -0,0 +1,163 @@
+// Candle Store
+// Bounded per-series candle history kept in memory and mirrored to IndexedDB
+// A series is one venue, symbol and timeframe; candles are { time, open, high, low, close, volume }
+
+import { Logger } from '../utils/logger.js';
+
+const DB_VERSION = 1;
+const STORE_NAME = 'candles';
+
+export class CandleStore {
+  constructor(options = {}) {
+    this.logger = new Logger('CandleStore');
+    this.dbName = options.dbName || 'aiTradingCandles';
+    this.maxCandles = options.maxCandles || 500;
+    this.series = new Map();
+    this.hydrated = new Set();
+    this.db = null;
+    this.opening = null;
+  }
+
+  getSeriesKey(platform, symbol, timeframe) {
+    return `${platform}:${symbol}:${timeframe}`;
+  }
+
+  // Persistence
+  // Without IndexedDB (or if it fails to open) the store keeps working in memory only
+  async openDatabase() {
+    if (!this.opening) {
+      this.opening = new Promise(resolve => {
+        if (typeof indexedDB === 'undefined') {
+          this.logger.warn('IndexedDB unavailable - candles are kept in memory only');
+          resolve(null);
+          return;
+        }
+
+        const request = indexedDB.open(this.dbName, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(STORE_NAME)) {
+            db.createObjectStore(STORE_NAME, { keyPath: ['series', 'time'] });
+          }
+        };
+        request.onsuccess = () => {
+          this.db = request.result;
+          resolve(this.db);
+        };
+        request.onerror = () => {
+          this.logger.error('Failed to open candle database:', request.error);
+          resolve(null);
+        };
+      });
+    }
+    return this.opening;
+  }
+
+  // Loads a series from IndexedDB the first time it is read
+  async hydrate(key) {
+    if (this.hydrated.has(key)) return;
+    this.hydrated.add(key);
+
+    const db = await this.openDatabase();
+    if (!db) return;
+
+    try {
+      const stored = await runRequest(db, 'readonly', store => store.getAll(seriesRange(key)));
+      const candles = stored.map(({ series, ...candle }) => candle);
+      // Anything streamed while the database was loading is newer than the stored history
+      this.merge(key, candles, false);
+    } catch (error) {
+      this.logger.error(`Failed to load candles for ${key}:`, error);
+    }
+  }
+
+  // Reads
+  async getCandles(key, limit = this.maxCandles) {
+    await this.hydrate(key);
+    return (this.series.get(key) || []).slice(-limit);
+  }
+
+  getLastCandle(key) {
+    const candles = this.series.get(key);
+    return candles ? candles[candles.length - 1] : null;
+  }
+
+  // Writes
+  // Replaces the candle with the same open time or appends a newer one; older candles are ignored
+  upsert(key, candle) {
+    const candles = this.series.get(key) || [];
+    const last = candles[candles.length - 1];
+
+    if (last && last.time === candle.time) {
+      candles[candles.length - 1] = candle;
+    } else if (!last || candle.time > last.time) {
+      candles.push(candle);
+      if (candles.length > this.maxCandles) candles.splice(0, candles.length - this.maxCandles);
+    } else {
+      const index = candles.findIndex(existing => existing.time === candle.time);
+      if (index === -1) return false;
+      candles[index] = candle;
+    }
+
+    this.series.set(key, candles);
+    return true;
+  }
+
+  // Bulk insert of history; the result stays sorted and bounded
+  // preferIncoming lets fresh REST candles replace partial ones built from trades since subscribing
+  merge(key, incoming, preferIncoming = false) {
+    const byTime = new Map((this.series.get(key) || []).map(candle => [candle.time, candle]));
+    for (const candle of incoming) {
+      if (preferIncoming || !byTime.has(candle.time)) byTime.set(candle.time, candle);
+    }
+
+    const candles = [...byTime.values()].sort((a, b) => a.time - b.time).slice(-this.maxCandles);
+    this.series.set(key, candles);
+    return candles;
+  }
+
+  // Writes candles through to IndexedDB and drops anything older than the in-memory window
+  async persist(key, candles) {
+    const db = await this.openDatabase();
+    if (!db || candles.length === 0) return;
+
+    const oldest = this.series.get(key)?.[0]?.time;
+    try {
+      await runRequest(db, 'readwrite', store => {
+        for (const candle of candles) {
+          store.put({ series: key, ...candle });
+        }
+        if (oldest !== undefined) {
+          store.delete(IDBKeyRange.bound([key, -Infinity], [key, oldest], false, true));
+        }
+      });
+    } catch (error) {
+      this.logger.error(`Failed to persist candles for ${key}:`, error);
+    }
+  }
+
+  async clear() {
+    this.series.clear();
+    this.hydrated.clear();
+
+    const db = await this.openDatabase();
+    if (db) {
+      await runRequest(db, 'readwrite', store => store.clear());
+    }
+  }
+}
+
+function seriesRange(key) {
+  return IDBKeyRange.bound([key, -Infinity], [key, Infinity]);
+}
+
+// Runs one transaction and resolves with the last request's result once it commits
+function runRequest(db, mode, operation) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
@@ -0,0 +1,212 @@
+// Circuit Breaker
+// Tracks P&L against the day's starting equity and the equity high-water mark
+// A breached daily loss or drawdown limit halts new entries until the breaker is re-armed by hand
+
+import { Logger } from '../utils/logger.js';
+
+const MAX_TRIPS = 50;
+
+export class CircuitBreaker {
+  constructor(options = {}) {
+    this.logger = new Logger('CircuitBreaker');
+    this.storageKey = options.storageKey || 'circuitBreakerState';
+    this.state = null;
+    this.loading = null;
+  }
+
+  // State persistence
+  async load() {
+    if (!this.loading) {
+      this.loading = chrome.storage.local.get(this.storageKey).then(result => {
+        this.state = result[this.storageKey] || this.createInitialState();
+        if (this.state.halted) {
+          this.logger.warn(`Circuit breaker restored in halted state: ${this.state.haltReason}`);
+        }
+        return this.state;
+      });
+    }
+    return this.loading;
+  }
+
+  async saveState() {
+    this.state.lastUpdated = Date.now();
+    await chrome.storage.local.set({ [this.storageKey]: this.state });
+  }
+
+  createInitialState() {
+    return {
+      tradingDay: null,
+      dayStartedAt: null,
+      startingEquity: null,
+      dayStartPnl: 0,
+      lastTotalPnl: 0,
+      equity: null,
+      highWaterMark: null,
+      dailyPnl: 0,
+      dailyLoss: 0,
+      drawdown: 0,
+      halted: false,
+      haltReason: null,
+      haltedAt: null,
+      haltedUntil: null,
+      trips: [],
+      lastUpdated: Date.now()
+    };
+  }
+
+  // Evaluation
+  // totalPnl is cumulative realized + unrealized P&L; accountValue seeds the starting equity each day
+  async evaluate({ totalPnl, accountValue, limits }) {
+    await this.load();
+
+    const now = Date.now();
+    const tradingDay = this.getTradingDay(now, limits.dailyResetTime, limits.timezone);
+    if (tradingDay !== this.state.tradingDay) {
+      this.startTradingDay(tradingDay, now, totalPnl, accountValue);
+    }
+
+    const state = this.state;
+    state.lastTotalPnl = totalPnl;
+    state.dailyPnl = totalPnl - state.dayStartPnl;
+    state.equity = state.startingEquity + state.dailyPnl;
+    state.highWaterMark = Math.max(state.highWaterMark || 0, state.equity);
+    state.dailyLoss = state.startingEquity > 0 ? Math.max(0, -state.dailyPnl / state.startingEquity) : 0;
+    state.drawdown = state.highWaterMark > 0 ? (state.highWaterMark - state.equity) / state.highWaterMark : 0;
+
+    let tripped = false;
+    if (!state.halted) {
+      // Drawdown is checked first: it is the more serious breach and has no waiting period
+      if (limits.maxDrawdown && state.drawdown >= limits.maxDrawdown) {
+        this.trip('max_drawdown', limits.maxDrawdown, null);
+        tripped = true;
+      } else if (limits.maxDailyLoss && state.dailyLoss >= limits.maxDailyLoss) {
+        // The daily limit can be re-armed once the next trading day starts
+        this.trip('daily_loss', limits.maxDailyLoss, this.getNextBoundary(now, limits.dailyResetTime, limits.timezone));
+        tripped = true;
+      }
+    }
+
+    await this.saveState();
+    return { ...this.getStatus(), tripped };
+  }
+
+  startTradingDay(tradingDay, now, totalPnl, accountValue) {
+    const state = this.state;
+    // Without a fresh account value the previous day's closing equity carries over
+    state.startingEquity = accountValue > 0 ? accountValue : (state.equity || 0);
+    state.dayStartPnl = totalPnl;
+    state.tradingDay = tradingDay;
+    state.dayStartedAt = now;
+    state.highWaterMark = Math.max(state.highWaterMark || 0, state.startingEquity);
+
+    this.logger.info(`Circuit breaker started trading day ${tradingDay}`, {
+      startingEquity: state.startingEquity,
+      highWaterMark: state.highWaterMark
+    });
+  }
+
+  trip(reason, limit, haltedUntil) {
+    const state = this.state;
+    state.halted = true;
+    state.haltReason = reason;
+    state.haltedAt = Date.now();
+    state.haltedUntil = haltedUntil;
+
+    state.trips.push({
+      reason,
+      limit,
+      dailyLoss: state.dailyLoss,
+      drawdown: state.drawdown,
+      equity: state.equity,
+      timestamp: state.haltedAt
+    });
+    if (state.trips.length > MAX_TRIPS) {
+      state.trips.splice(0, state.trips.length - MAX_TRIPS);
+    }
+
+    this.logger.logRiskEvent('CIRCUIT_BREAKER_TRIPPED', 'portfolio', {
+      reason,
+      limit,
+      dailyLoss: state.dailyLoss,
+      drawdown: state.drawdown,
+      equity: state.equity,
+      haltedUntil
+    });
+  }
+
+  // Re-arming starts the breached limit again from the current equity so it doesn't trip straight away
+  async rearm({ force = false } = {}) {
+    await this.load();
+    const state = this.state;
+    if (!state.halted) return this.getStatus();
+
+    if (state.haltedUntil && Date.now() < state.haltedUntil && !force) {
+      throw new Error(`Circuit breaker cannot be re-armed before ${new Date(state.haltedUntil).toISOString()}`);
+    }
+
+    if (state.haltReason === 'max_drawdown') {
+      state.highWaterMark = state.equity;
+      state.drawdown = 0;
+    } else if (state.tradingDay && state.haltedUntil && Date.now() < state.haltedUntil) {
+      state.startingEquity = state.equity;
+      state.dayStartPnl = state.lastTotalPnl;
+      state.dailyPnl = 0;
+      state.dailyLoss = 0;
+    }
+
+    this.logger.logRiskEvent('CIRCUIT_BREAKER_REARMED', 'portfolio', { reason: state.haltReason, force });
+    state.halted = false;
+    state.haltReason = null;
+    state.haltedAt = null;
+    state.haltedUntil = null;
+
+    await this.saveState();
+    return this.getStatus();
+  }
+
+  async isHalted() {
+    await this.load();
+    return this.state.halted;
+  }
+
+  async getState() {
+    await this.load();
+    return this.getStatus();
+  }
+
+  getStatus() {
+    const { trips, ...status } = this.state;
+    return { ...status, lastTrip: trips[trips.length - 1] || null };
+  }
+
+  // Trading day boundaries
+  // The day rolls over at resetTime (HH:MM) local to timeZone
+  getTradingDay(timestamp, resetTime = '00:00', timeZone = 'UTC') {
+    const [hours, minutes] = resetTime.split(':').map(Number);
+    const shifted = new Date(timestamp - ((hours || 0) * 60 + (minutes || 0)) * 60 * 1000);
+
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }).format(shifted);
+  }
+
+  // First moment the trading day changes, found by bisection so DST shifts need no special casing
+  getNextBoundary(timestamp, resetTime, timeZone) {
+    const current = this.getTradingDay(timestamp, resetTime, timeZone);
+    let low = timestamp;
+    let high = timestamp + 26 * 60 * 60 * 1000;
+
+    while (high - low > 1000) {
+      const mid = Math.floor((low + high) / 2);
+      if (this.getTradingDay(mid, resetTime, timeZone) === current) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    return high;
+  }
+}
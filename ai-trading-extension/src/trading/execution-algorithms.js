@@ -0,0 +1,558 @@
+// Execution Algorithms
+// Works large orders as a parent order that places smaller child orders over time:
+// TWAP (equal slices), VWAP (slices weighted by the historical intraday volume profile) and iceberg (one visible clip at a time)
+// Each parent wakes itself with a chrome.alarms alarm, so it survives the service worker being suspended
+
+import { TechnicalAnalysis } from '../ai/technical-analysis.js';
+import { Logger } from '../utils/logger.js';
+import { TIMEFRAME_MINUTES } from '../utils/timeframes.js';
+
+const ALGO_TYPES = ['TWAP', 'VWAP', 'ICEBERG'];
+const ALARM_PREFIX = 'algo-order:';
+
+// Child statuses are the order manager's standard ones
+const FINAL_CHILD_STATUSES = ['filled', 'cancelled', 'rejected', 'expired'];
+const FINAL_STATUSES = ['completed', 'cancelled', 'expired'];
+const QUANTITY_EPSILON = 1e-9;
+
+const DEFAULT_EXECUTION_SETTINGS = {
+  defaultSlices: 10,
+  minSliceInterval: 30, // seconds; Chrome won't fire alarms more often than this
+  pollInterval: 30, // seconds between child status checks while a child is working
+  icebergClipFraction: 0.1, // Visible clip when none is given, as a fraction of the order
+  vwapTimeframe: '1h', // Candles used to build the time-of-day volume profile
+  maxHistory: 100 // Finished parent orders kept in storage
+};
+
+export class ExecutionAlgorithms {
+  constructor(options = {}) {
+    this.logger = new Logger('ExecutionAlgorithms');
+    this.tradingEngine = options.tradingEngine;
+    this.technicalAnalysis = options.technicalAnalysis || new TechnicalAnalysis();
+    this.onChildOrder = options.onChildOrder || null;
+    this.onUpdate = options.onUpdate || null;
+    this.storageKey = options.storageKey || 'algoOrders';
+    this.settings = { ...DEFAULT_EXECUTION_SETTINGS, ...options.settings };
+    this.state = null;
+    this.loading = null;
+    this.processing = new Set();
+  }
+
+  updateSettings(settings = {}) {
+    this.settings = { ...DEFAULT_EXECUTION_SETTINGS, ...settings };
+  }
+
+  // State persistence
+  async load() {
+    if (!this.loading) {
+      this.loading = chrome.storage.local.get(this.storageKey).then(result => {
+        this.state = result[this.storageKey] || this.createInitialState();
+        return this.state;
+      });
+    }
+    return this.loading;
+  }
+
+  async saveState() {
+    this.state.lastUpdated = Date.now();
+    await chrome.storage.local.set({ [this.storageKey]: this.state });
+  }
+
+  createInitialState() {
+    return {
+      orders: {},
+      createdAt: Date.now(),
+      lastUpdated: Date.now()
+    };
+  }
+
+  // Parent orders
+  // params: { type, symbol, side, quantity, platform?, limitPrice?, durationMinutes?, slices?, clipSize?, trade? }
+  async start(params) {
+    await this.load();
+
+    const type = String(params.type || '').toUpperCase();
+    if (!ALGO_TYPES.includes(type)) {
+      throw new Error(`Unknown execution algorithm: ${params.type}`);
+    }
+    if (!params.symbol || !['BUY', 'SELL'].includes(params.side) || !(params.quantity > 0)) {
+      throw new Error('Execution algorithms need a symbol, a BUY or SELL side and a positive quantity');
+    }
+    if (type === 'ICEBERG' && !(params.limitPrice > 0)) {
+      throw new Error('Iceberg orders require a limit price');
+    }
+    if (type !== 'ICEBERG' && !(params.durationMinutes > 0)) {
+      throw new Error(`${type} orders require a duration`);
+    }
+
+    // Every child goes to the same venue so the parent's fills stay in one book
+    const platform = this.tradingEngine.isPaperTrading() ? 'paper' :
+      params.platform || this.tradingEngine.selectBestPlatformForSymbol(params.symbol);
+    if (!this.tradingEngine.getConnection(platform)) {
+      throw new Error(`No connection to platform: ${platform}`);
+    }
+
+    const now = Date.now();
+    const parent = {
+      id: `algo_${now}_${Math.random().toString(36).slice(2, 8)}`,
+      type,
+      symbol: params.symbol,
+      side: params.side,
+      quantity: params.quantity,
+      platform,
+      limitPrice: params.limitPrice || null,
+      status: 'working',
+      startAt: now,
+      endAt: params.durationMinutes > 0 ? now + params.durationMinutes * 60 * 1000 : null,
+      slices: [],
+      clipSize: null,
+      children: [],
+      filledQuantity: 0,
+      avgFillPrice: 0,
+      trade: params.trade || null,
+      pausedAt: null,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null
+    };
+
+    if (type === 'ICEBERG') {
+      parent.clipSize = Math.min(params.clipSize || params.quantity * this.settings.icebergClipFraction, params.quantity);
+    } else {
+      parent.slices = await this.buildSchedule(parent, params.slices || this.settings.defaultSlices);
+    }
+
+    this.state.orders[parent.id] = parent;
+    this.logger.logTrade(`${type}_STARTED`, parent.symbol, {
+      id: parent.id,
+      side: parent.side,
+      quantity: parent.quantity,
+      platform,
+      slices: parent.slices.length || undefined,
+      clipSize: parent.clipSize || undefined
+    });
+
+    // The first slice or clip goes out straight away
+    await this.process(parent.id);
+    return this.state.orders[parent.id];
+  }
+
+  async pause(id) {
+    const parent = await this.getWorkingOrder(id, ['working']);
+
+    parent.status = 'paused';
+    parent.pausedAt = Date.now();
+    // Resting children would keep filling while paused; their unfilled part is placed again on resume
+    for (const child of await this.cancelActiveChildren(parent)) {
+      child.resumeQuantity = child.quantity - child.filled;
+    }
+    await chrome.alarms.clear(this.getAlarmName(id));
+
+    return this.saveOrder(parent, 'PAUSED');
+  }
+
+  async resume(id) {
+    const parent = await this.getWorkingOrder(id, ['paused']);
+
+    // The unplaced part of the schedule is pushed back by the time spent paused
+    const pausedFor = Date.now() - parent.pausedAt;
+    for (const slice of parent.slices) {
+      if (slice.status === 'pending') slice.at += pausedFor;
+    }
+    if (parent.endAt) parent.endAt += pausedFor;
+
+    // Icebergs size the next clip from the unfilled total; sliced orders carry it in the next slice
+    const unfilled = parent.children.reduce((sum, child) => sum + (child.resumeQuantity || 0), 0);
+    parent.children.forEach(child => delete child.resumeQuantity);
+    if (parent.type !== 'ICEBERG' && unfilled > QUANTITY_EPSILON) {
+      const next = parent.slices.find(slice => slice.status === 'pending');
+      if (next) {
+        next.quantity += unfilled;
+      } else {
+        parent.slices.push({ at: Date.now(), quantity: unfilled, weight: 0, status: 'pending', orderId: null });
+      }
+    }
+
+    parent.status = 'working';
+    parent.pausedAt = null;
+    await this.saveOrder(parent, 'RESUMED');
+
+    await this.process(id);
+    return this.state.orders[id];
+  }
+
+  async cancel(id) {
+    const parent = await this.getWorkingOrder(id, ['working', 'paused']);
+
+    await this.cancelActiveChildren(parent);
+    for (const slice of parent.slices) {
+      if (slice.status === 'pending') slice.status = 'cancelled';
+    }
+    this.finish(parent, 'cancelled');
+    await chrome.alarms.clear(this.getAlarmName(id));
+
+    return this.saveOrder(parent, 'CANCELLED');
+  }
+
+  async getOrder(id) {
+    await this.load();
+    return this.state.orders[id] || null;
+  }
+
+  // Newest first; status filters, e.g. ['working', 'paused']
+  async getOrders(statuses = null) {
+    await this.load();
+    return Object.values(this.state.orders)
+      .filter(parent => !statuses || statuses.includes(parent.status))
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  async getWorkingOrder(id, statuses) {
+    await this.load();
+    const parent = this.state.orders[id];
+    if (!parent) {
+      throw new Error(`No execution algorithm order ${id}`);
+    }
+    if (!statuses.includes(parent.status)) {
+      throw new Error(`Order ${id} is ${parent.status}`);
+    }
+    return parent;
+  }
+
+  // Scheduling
+  getAlarmName(id) {
+    return `${ALARM_PREFIX}${id}`;
+  }
+
+  // Returns false for alarms that don't belong to a parent order
+  async handleAlarm(alarmName) {
+    if (!alarmName.startsWith(ALARM_PREFIX)) return false;
+
+    await this.process(alarmName.slice(ALARM_PREFIX.length));
+    return true;
+  }
+
+  // Alarms are lost when the browser restarts; re-arm every working parent from storage
+  async restoreSchedules() {
+    for (const parent of await this.getOrders(['working'])) {
+      await this.scheduleNext(parent);
+    }
+  }
+
+  async scheduleNext(parent) {
+    const name = this.getAlarmName(parent.id);
+    if (parent.status !== 'working') {
+      await chrome.alarms.clear(name);
+      return;
+    }
+
+    const now = Date.now();
+    const candidates = [];
+    const nextSlice = parent.slices.find(slice => slice.status === 'pending');
+    if (nextSlice) candidates.push(nextSlice.at);
+    if (parent.type === 'ICEBERG' || this.getActiveChildren(parent).length > 0) {
+      candidates.push(now + this.settings.pollInterval * 1000);
+    }
+    if (parent.endAt) candidates.push(parent.endAt);
+
+    const when = Math.max(Math.min(...candidates), now + this.settings.minSliceInterval * 1000);
+    await chrome.alarms.create(name, { when });
+  }
+
+  // One pass over a parent: refresh child fills, place whatever is due, then finish or re-arm
+  async process(id) {
+    await this.load();
+    const parent = this.state.orders[id];
+    if (!parent || parent.status !== 'working' || this.processing.has(id)) return;
+
+    this.processing.add(id);
+    try {
+      await this.refreshChildren(parent);
+
+      if (parent.type === 'ICEBERG') {
+        await this.workIceberg(parent);
+      } else {
+        await this.placeDueSlices(parent);
+      }
+
+      await this.checkCompletion(parent);
+      await this.scheduleNext(parent);
+      await this.saveOrder(parent, FINAL_STATUSES.includes(parent.status) ? parent.status.toUpperCase() : null);
+    } catch (error) {
+      parent.lastError = error.message;
+      this.logger.error(`Failed to process ${parent.type} order ${id}:`, error);
+      // Try again on the next poll rather than leaving the parent stranded
+      await this.scheduleNext(parent);
+      await this.saveState();
+    } finally {
+      this.processing.delete(id);
+    }
+  }
+
+  async placeDueSlices(parent) {
+    const now = Date.now();
+
+    for (const [index, slice] of parent.slices.entries()) {
+      if (slice.status !== 'pending' || slice.at > now || parent.status !== 'working') continue;
+
+      try {
+        const order = await this.placeChild(parent, slice.quantity, parent.limitPrice ? 'LIMIT' : 'MARKET');
+        slice.status = 'placed';
+        slice.orderId = order.id;
+      } catch (error) {
+        // The missed quantity rolls into the next slice so the parent still targets its full size
+        slice.status = 'failed';
+        slice.error = error.message;
+        parent.lastError = error.message;
+
+        const next = parent.slices.slice(index + 1).find(later => later.status === 'pending');
+        if (next) {
+          next.quantity += slice.quantity;
+          slice.rolledForward = true;
+        }
+        this.logger.warn(`${parent.type} slice ${index + 1}/${parent.slices.length} for ${parent.symbol} failed: ${error.message}`);
+      }
+    }
+  }
+
+  // Only one clip rests in the book at a time; the next goes out once it is done
+  async workIceberg(parent) {
+    if (parent.endAt && Date.now() >= parent.endAt) return;
+    if (this.getActiveChildren(parent).length > 0) return;
+
+    const remaining = parent.quantity - parent.filledQuantity;
+    if (remaining <= QUANTITY_EPSILON) return;
+
+    try {
+      await this.placeChild(parent, Math.min(parent.clipSize, remaining), 'LIMIT');
+    } catch (error) {
+      parent.lastError = error.message;
+      this.logger.warn(`Iceberg clip for ${parent.symbol} failed: ${error.message}`);
+    }
+  }
+
+  async placeChild(parent, quantity, orderType) {
+    const connection = this.tradingEngine.getConnection(parent.platform);
+    if (!connection) {
+      throw new Error(`No connection to platform: ${parent.platform}`);
+    }
+
+    const order = await connection.createOrder({
+      symbol: parent.symbol,
+      side: parent.side,
+      quantity,
+      type: orderType,
+      price: orderType === 'LIMIT' ? parent.limitPrice : undefined,
+      stopLoss: parent.trade?.stopLoss,
+      takeProfit: parent.trade?.takeProfit
+    });
+
+    const child = {
+      orderId: String(order.id),
+      quantity,
+      type: orderType,
+      status: 'new',
+      filled: 0,
+      avgPrice: 0,
+      placedAt: Date.now()
+    };
+    parent.children.push(child);
+    this.applyChildUpdate(connection, parent, child, order);
+
+    if (this.onChildOrder) {
+      try {
+        await this.onChildOrder(parent, order);
+      } catch (error) {
+        this.logger.error(`Failed to hand off child order ${order.id} of ${parent.id}:`, error);
+      }
+    }
+
+    return order;
+  }
+
+  async refreshChildren(parent) {
+    const connection = this.tradingEngine.getConnection(parent.platform);
+    if (!connection) return;
+
+    for (const child of this.getActiveChildren(parent)) {
+      try {
+        const update = await connection.getOrderStatus(child.orderId, parent.symbol);
+        this.applyChildUpdate(connection, parent, child, update);
+      } catch (error) {
+        this.logger.warn(`Could not refresh child order ${child.orderId} of ${parent.id}: ${error.message}`);
+      }
+    }
+  }
+
+  applyChildUpdate(connection, parent, child, update) {
+    child.status = connection.getStandardOrderStatus(String(update.status || 'NEW'));
+    child.filled = Math.max(connection.getFilledQuantity(update) || 0, child.filled);
+    child.avgPrice = child.filled > 0 ? connection.getAverageFillPrice(update) || child.avgPrice : 0;
+
+    // Parent fills are the volume-weighted sum of its children
+    const filled = parent.children.reduce((sum, item) => sum + item.filled, 0);
+    const notional = parent.children.reduce((sum, item) => sum + item.filled * item.avgPrice, 0);
+    parent.filledQuantity = filled;
+    parent.avgFillPrice = filled > 0 ? notional / filled : 0;
+  }
+
+  getActiveChildren(parent) {
+    return parent.children.filter(child => !FINAL_CHILD_STATUSES.includes(child.status));
+  }
+
+  async cancelActiveChildren(parent) {
+    const connection = this.tradingEngine.getConnection(parent.platform);
+    if (!connection) return [];
+
+    const cancelled = [];
+    for (const child of this.getActiveChildren(parent)) {
+      try {
+        await connection.cancelOrder(child.orderId, parent.symbol);
+        // Pick up anything that filled before the cancel landed
+        const update = await connection.getOrderStatus(child.orderId, parent.symbol);
+        this.applyChildUpdate(connection, parent, child, { ...update, status: 'CANCELED' });
+        cancelled.push(child);
+      } catch (error) {
+        // It may have filled in the meantime; the next refresh settles it
+        this.logger.warn(`Failed to cancel child order ${child.orderId} of ${parent.id}: ${error.message}`);
+      }
+    }
+    return cancelled;
+  }
+
+  async checkCompletion(parent) {
+    const active = this.getActiveChildren(parent).length > 0;
+
+    if (parent.quantity - parent.filledQuantity <= QUANTITY_EPSILON) {
+      this.finish(parent, 'completed');
+      return;
+    }
+
+    if (parent.type === 'ICEBERG') {
+      if (parent.endAt && Date.now() >= parent.endAt) {
+        // Whatever still rests in the book is pulled when the parent runs out of time
+        await this.cancelActiveChildren(parent);
+        this.finish(parent, 'expired');
+      }
+      return;
+    }
+
+    // Schedule exhausted and every child settled without reaching the target
+    if (!active && !parent.slices.some(slice => slice.status === 'pending')) {
+      this.finish(parent, 'expired');
+    }
+  }
+
+  finish(parent, status) {
+    parent.status = status;
+    parent.finishedAt = Date.now();
+  }
+
+  async saveOrder(parent, event) {
+    parent.updatedAt = Date.now();
+
+    if (event) {
+      this.logger.logTrade(`${parent.type}_${event}`, parent.symbol, {
+        id: parent.id,
+        filledQuantity: parent.filledQuantity,
+        quantity: parent.quantity,
+        avgFillPrice: parent.avgFillPrice,
+        children: parent.children.length
+      });
+    }
+
+    this.pruneHistory();
+    await this.saveState();
+
+    if (this.onUpdate) {
+      this.onUpdate(parent);
+    }
+    return parent;
+  }
+
+  pruneHistory() {
+    const finished = Object.values(this.state.orders)
+      .filter(parent => FINAL_STATUSES.includes(parent.status))
+      .sort((a, b) => b.finishedAt - a.finishedAt);
+
+    for (const parent of finished.slice(this.settings.maxHistory)) {
+      delete this.state.orders[parent.id];
+    }
+  }
+
+  // Schedules
+  async buildSchedule(parent, sliceCount) {
+    const duration = parent.endAt - parent.startAt;
+    // Fewer, larger slices when the duration can't fit the requested count at the alarm granularity
+    const count = Math.max(1, Math.min(Math.floor(sliceCount), Math.floor(duration / (this.settings.minSliceInterval * 1000))));
+    const interval = duration / count;
+    const times = Array.from({ length: count }, (_, index) => parent.startAt + index * interval);
+
+    const weights = parent.type === 'VWAP' ?
+      await this.getVolumeWeights(parent.symbol, times, interval) :
+      times.map(() => 1 / count);
+
+    return times.map((at, index) => ({
+      at,
+      quantity: parent.quantity * weights[index],
+      weight: weights[index],
+      status: 'pending',
+      orderId: null
+    }));
+  }
+
+  // Weights each slice by the average volume traded at that time of day in recent history
+  async getVolumeWeights(symbol, times, interval) {
+    const equal = times.map(() => 1 / times.length);
+
+    try {
+      const timeframe = this.settings.vwapTimeframe;
+      const marketData = await this.tradingEngine.getMarketData(symbol, timeframe);
+      const candles = marketData.candles || [];
+      if (candles.length < 2) return equal;
+
+      // Candle and slice times are both snapped to the candle grid so they land in the same bins;
+      // candles are placed by their own open time, so gaps in the history don't shift the profile
+      const periodMs = (TIMEFRAME_MINUTES[timeframe] || 60) * 60 * 1000;
+      const toGridMinute = timestamp => minuteOfDay(Math.floor(timestamp / periodMs) * periodMs);
+      const minutes = candles.map(candle => toGridMinute(candle.time));
+      const volumes = candles.map(candle => candle.volume);
+      const distinct = new Set(minutes).size;
+      if (distinct < 2) return equal;
+
+      // Bins over minute-of-day instead of price: the volume profile then holds volume by time of day
+      // (hourly buckets at most), and the same call over unit volumes counts the candles in each bin
+      const bins = Math.min(distinct, 24);
+      const volumeByTime = this.technicalAnalysis.calculateVolumeProfile(minutes, volumes, bins);
+      const candlesByTime = this.technicalAnalysis.calculateVolumeProfile(minutes, minutes.map(() => 1), bins);
+
+      const raw = times.map(at => {
+        const key = findBin(volumeByTime, toGridMinute(at + interval / 2));
+        return key && candlesByTime[key] > 0 ? volumeByTime[key] / candlesByTime[key] : 0;
+      });
+
+      const total = raw.reduce((sum, weight) => sum + weight, 0);
+      return total > 0 ? raw.map(weight => weight / total) : equal;
+    } catch (error) {
+      this.logger.warn(`No volume profile for ${symbol}, falling back to equal slices: ${error.message}`);
+      return equal;
+    }
+  }
+}
+
+function minuteOfDay(timestamp) {
+  const date = new Date(timestamp);
+  return date.getUTCHours() * 60 + date.getUTCMinutes();
+}
+
+// Profile keys are "start-end" ranges; a minute belongs to the last bin starting at or before it
+function findBin(profile, minute) {
+  const bins = Object.keys(profile)
+    .map(key => ({ key, start: Number(key.split('-')[0]) }))
+    .sort((a, b) => a.start - b.start);
+  if (bins.length === 0) return null;
+
+  const match = bins.filter(bin => bin.start <= minute).pop() || bins[0];
+  return match.key;
+}
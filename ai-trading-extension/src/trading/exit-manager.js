@@ -0,0 +1,245 @@
+// Exit Manager
+// Trails stops behind open positions, moves them to break-even and closes positions held too long
+// Runs on the alarm ticks; stop changes go through the order manager so the venue's orders follow
+
+import { Logger } from '../utils/logger.js';
+import { TechnicalAnalysis } from '../ai/technical-analysis.js';
+
+const DEFAULT_EXIT_SETTINGS = {
+  trailingStop: {
+    enabled: false,
+    mode: 'percent', // percent, atr
+    percent: 0.015,
+    atrMultiplier: 2.5,
+    atrPeriod: 14,
+    atrTimeframe: '15m',
+    activationGain: 0
+  },
+  breakEven: {
+    enabled: false,
+    triggerGain: 0.01,
+    offset: 0.001
+  },
+  timeExit: {
+    enabled: false,
+    maxHoldingMinutes: 1440
+  },
+  minStopMove: 0.001
+};
+
+const MAX_ADJUSTMENTS = 50;
+const ATR_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+export class ExitManager {
+  constructor(options = {}) {
+    this.logger = new Logger('ExitManager');
+    this.tradingEngine = options.tradingEngine;
+    this.positionLedger = options.positionLedger;
+    this.orderManager = options.orderManager;
+    this.technicalAnalysis = options.technicalAnalysis || new TechnicalAnalysis();
+    // Closes a position at market; used for time exits and stops the price has already crossed
+    this.closePosition = options.closePosition;
+
+    this.settings = this.mergeSettings(options.settings);
+    this.atrCache = new Map();
+  }
+
+  updateSettings(settings) {
+    this.settings = this.mergeSettings(settings);
+  }
+
+  mergeSettings(settings = {}) {
+    return {
+      trailingStop: { ...DEFAULT_EXIT_SETTINGS.trailingStop, ...settings.trailingStop },
+      breakEven: { ...DEFAULT_EXIT_SETTINGS.breakEven, ...settings.breakEven },
+      timeExit: { ...DEFAULT_EXIT_SETTINGS.timeExit, ...settings.timeExit },
+      minStopMove: settings.minStopMove ?? DEFAULT_EXIT_SETTINGS.minStopMove
+    };
+  }
+
+  isEnabled() {
+    const { trailingStop, breakEven, timeExit } = this.settings;
+    return trailingStop.enabled || breakEven.enabled || timeExit.enabled;
+  }
+
+  // Alarm tick
+  async evaluatePositions() {
+    if (!this.isEnabled()) return;
+
+    const positions = await this.positionLedger.getOpenPositions();
+    const workingEntries = new Set((await this.orderManager.getOpenOrders())
+      .filter(record => record.role === 'entry' && record.positionId)
+      .map(record => record.positionId));
+
+    for (const position of positions) {
+      // Entries still filling get their legs topped up by the order manager; wait until they settle
+      if (position.status !== 'OPEN' || position.quantity <= 0 || workingEntries.has(position.id)) continue;
+
+      try {
+        await this.evaluatePosition(position);
+      } catch (error) {
+        this.logger.error(`Failed to manage exits for ${position.symbol} position ${position.id}:`, error);
+      }
+    }
+  }
+
+  async evaluatePosition(position) {
+    const connection = this.tradingEngine.getConnection(position.platform);
+    if (!connection) return;
+
+    const price = await connection.getCurrentPrice(position.symbol);
+    if (!price) return;
+
+    const exit = position.exit || this.createExitState(position);
+    const direction = position.side === 'BUY' ? 1 : -1;
+    exit.bestPrice = direction > 0 ? Math.max(exit.bestPrice, price) : Math.min(exit.bestPrice, price);
+
+    if (this.isHoldingTimeExceeded(position)) {
+      await this.exitPosition(position, exit, 'time_exit', price);
+      return;
+    }
+
+    const target = await this.getTargetStop(position, exit, connection);
+    if (target && this.improvesStop(position, exit.stopPrice, target.stopPrice, price)) {
+      // A stop on the wrong side of the market would be rejected or fire at once
+      if (direction * (price - target.stopPrice) <= 0) {
+        await this.exitPosition(position, exit, `${target.reason}_crossed`, price);
+        return;
+      }
+      await this.moveStop(position, exit, target, price);
+    } else if (exit.stopPrice && !this.hasStopLeg(position)) {
+      // The last replacement failed after the old legs were pulled
+      await this.moveStop(position, exit, { stopPrice: exit.stopPrice, reason: 'restore' }, price);
+    }
+
+    await this.positionLedger.updateExitState(position.id, exit);
+  }
+
+  createExitState(position) {
+    const legs = this.orderManager ? this.orderManager.getProtectiveLegs(position.id) : [];
+    const stopLeg = legs.find(leg => leg.role === 'stop_loss');
+    const takeProfitLeg = legs.find(leg => leg.role === 'take_profit');
+    const direction = position.side === 'BUY' ? 1 : -1;
+    const entry = position.avgEntryPrice;
+
+    return {
+      bestPrice: entry,
+      stopPrice: stopLeg?.price || (position.stopLoss ? entry * (1 - direction * position.stopLoss) : null),
+      takeProfitPrice: takeProfitLeg?.price || (position.takeProfit ? entry * (1 + direction * position.takeProfit) : null),
+      breakEvenApplied: false,
+      adjustments: [],
+      closeReason: null
+    };
+  }
+
+  // Most protective of the break-even and trailing levels, if either is active
+  async getTargetStop(position, exit, connection) {
+    const { trailingStop, breakEven } = this.settings;
+    const direction = position.side === 'BUY' ? 1 : -1;
+    const entry = position.avgEntryPrice;
+    const peakGain = direction * (exit.bestPrice - entry) / entry;
+    const candidates = [];
+
+    if (breakEven.enabled && peakGain >= breakEven.triggerGain) {
+      candidates.push({ stopPrice: entry * (1 + direction * breakEven.offset), reason: 'break_even' });
+    }
+
+    if (trailingStop.enabled && peakGain >= trailingStop.activationGain) {
+      const distance = trailingStop.mode === 'atr' ?
+        await this.getAtrDistance(position, connection) :
+        exit.bestPrice * trailingStop.percent;
+
+      if (distance > 0) {
+        candidates.push({ stopPrice: exit.bestPrice - direction * distance, reason: `trailing_${trailingStop.mode}` });
+      }
+    }
+
+    if (candidates.length === 0) return null;
+    return candidates.reduce((best, candidate) =>
+      direction * (candidate.stopPrice - best.stopPrice) > 0 ? candidate : best
+    );
+  }
+
+  async getAtrDistance(position, connection) {
+    const { atrPeriod, atrTimeframe, atrMultiplier } = this.settings.trailingStop;
+    const cacheKey = `${position.platform}:${position.symbol}:${atrTimeframe}`;
+    const cached = this.atrCache.get(cacheKey);
+
+    if (cached && Date.now() - cached.timestamp < ATR_CACHE_TTL) {
+      return cached.atr * atrMultiplier;
+    }
+
+    const { candles = [] } = await connection.getMarketData(position.symbol, atrTimeframe);
+    const atrValues = this.technicalAnalysis.calculateATR(
+      candles.map(candle => candle.high),
+      candles.map(candle => candle.low),
+      candles.map(candle => candle.close),
+      atrPeriod
+    );
+    const atr = atrValues[atrValues.length - 1] || 0;
+    this.atrCache.set(cacheKey, { atr, timestamp: Date.now() });
+
+    return atr * atrMultiplier;
+  }
+
+  // Stops only ever move in the position's favour, and not by amounts too small to be worth an order
+  improvesStop(position, currentStop, stopPrice, price) {
+    if (!currentStop) return true;
+
+    const direction = position.side === 'BUY' ? 1 : -1;
+    return direction * (stopPrice - currentStop) > price * this.settings.minStopMove;
+  }
+
+  hasStopLeg(position) {
+    return this.orderManager.getProtectiveLegs(position.id).some(leg => leg.role === 'stop_loss');
+  }
+
+  isHoldingTimeExceeded(position) {
+    const { enabled, maxHoldingMinutes } = this.settings.timeExit;
+    return enabled && Date.now() - position.openedAt >= maxHoldingMinutes * 60 * 1000;
+  }
+
+  async moveStop(position, exit, target, price) {
+    const previousStop = exit.stopPrice;
+    const result = await this.orderManager.replaceStopLoss(position, {
+      stopPrice: target.stopPrice,
+      takeProfitPrice: exit.takeProfitPrice
+    });
+
+    exit.stopPrice = target.stopPrice;
+    if (target.reason === 'break_even') {
+      exit.breakEvenApplied = true;
+    }
+    this.recordAdjustment(position, exit, {
+      action: 'STOP_MOVED',
+      reason: target.reason,
+      from: previousStop,
+      to: target.stopPrice,
+      price,
+      method: result.method,
+      orderIds: result.orderIds
+    });
+  }
+
+  async exitPosition(position, exit, reason, price) {
+    exit.closeReason = reason;
+    this.recordAdjustment(position, exit, { action: 'POSITION_EXIT', reason, price, quantity: position.quantity });
+    await this.positionLedger.updateExitState(position.id, exit);
+
+    await this.closePosition(position, reason);
+  }
+
+  recordAdjustment(position, exit, adjustment) {
+    const entry = { ...adjustment, timestamp: Date.now() };
+    exit.adjustments.push(entry);
+    if (exit.adjustments.length > MAX_ADJUSTMENTS) {
+      exit.adjustments.splice(0, exit.adjustments.length - MAX_ADJUSTMENTS);
+    }
+
+    this.logger.logTrade(adjustment.action, position.symbol, {
+      positionId: position.id,
+      platform: position.platform,
+      ...entry
+    });
+  }
+}
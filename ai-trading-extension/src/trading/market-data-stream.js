@@ -0,0 +1,336 @@
+// Market Data Stream
+// Subscribes to each watched symbol's trade, kline and depth streams on its preferred venue
+// Builds 1m candles locally, rolls them up to the higher timeframes and keeps them in the candle store
+// Market data reads come from the store while the feed is live and fall back to REST otherwise
+
+import { CandleStore } from './candle-store.js';
+import { Logger } from '../utils/logger.js';
+import { TIMEFRAME_MINUTES } from '../utils/timeframes.js';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const DEFAULT_STREAM_SETTINGS = {
+  timeframes: ['1m', '5m', '15m', '1h'],
+  maxCandles: 500, // Per venue, symbol and timeframe, in memory and in IndexedDB
+  staleAfter: 120, // Seconds without a message before reads fall back to REST
+  minCandles: 50 // History a timeframe needs before it is served from the store
+};
+
+export class MarketDataStream {
+  constructor(options = {}) {
+    this.logger = new Logger('MarketDataStream');
+    this.tradingEngine = options.tradingEngine;
+    this.settings = { ...DEFAULT_STREAM_SETTINGS, ...options.settings };
+    this.candleStore = options.candleStore || new CandleStore({ maxCandles: this.settings.maxCandles });
+
+    this.subscriptions = new Map(); // Normalized symbol -> { symbol, platform }
+    this.feeds = new Map(); // platform:symbol -> { lastPrice, orderBook, lastUpdate, klines }
+    this.listeners = new Map(); // platform -> { connection, handlers }
+    this.outages = new Set(); // Platforms whose market socket dropped since the last backfill
+  }
+
+  updateSettings(settings = {}) {
+    this.settings = { ...DEFAULT_STREAM_SETTINGS, ...settings };
+    this.candleStore.maxCandles = this.settings.maxCandles;
+  }
+
+  // Subscriptions
+  // Brings the streamed symbols in line with the list: new ones are subscribed and backfilled, dropped ones unsubscribed
+  async setSymbols(symbols) {
+    const registry = this.tradingEngine.symbolRegistry;
+    const wanted = new Map(symbols.map(symbol => [registry.normalize(symbol), symbol]));
+
+    for (const [key, { symbol, platform }] of this.subscriptions) {
+      if (wanted.has(key)) continue;
+
+      this.subscriptions.delete(key);
+      this.feeds.delete(`${platform}:${symbol}`);
+      try {
+        await this.tradingEngine.getConnection(platform)?.unsubscribeMarketData([symbol]);
+      } catch (error) {
+        this.logger.warn(`Failed to unsubscribe ${symbol} on ${platform}: ${error.message}`);
+      }
+    }
+
+    for (const [key, symbol] of wanted) {
+      if (this.subscriptions.has(key)) continue;
+      await this.subscribe(key, symbol);
+    }
+
+    this.detachUnusedListeners();
+    return this.getStatus();
+  }
+
+  async subscribe(key, symbol) {
+    const platform = this.tradingEngine.selectBestPlatformForSymbol(symbol);
+    const connection = platform && this.tradingEngine.getConnection(platform);
+    if (!connection) return;
+
+    try {
+      this.attachListeners(platform, connection);
+      if (!await connection.subscribeMarketData([symbol])) {
+        this.logger.debug(`${platform} has no market stream; ${symbol} stays on REST polling`);
+        return;
+      }
+
+      this.subscriptions.set(key, { symbol, platform });
+      await this.backfill(platform, connection, symbol);
+      this.logger.info(`Streaming ${symbol} from ${platform}`);
+    } catch (error) {
+      this.logger.error(`Failed to stream ${symbol} from ${platform}:`, error);
+    }
+  }
+
+  async stop() {
+    await this.setSymbols([]);
+  }
+
+  attachListeners(platform, connection) {
+    if (this.listeners.get(platform)?.connection === connection) return;
+
+    const handlers = {
+      trade: event => this.handleTrade(platform, event),
+      kline: event => this.handleKline(platform, event),
+      orderBook: event => this.handleOrderBook(platform, event),
+      connectionStateChanged: event => this.handleConnectionState(platform, connection, event)
+    };
+    for (const [event, handler] of Object.entries(handlers)) {
+      connection.on(event, handler);
+    }
+    this.listeners.set(platform, { connection, handlers });
+  }
+
+  detachUnusedListeners() {
+    const used = new Set([...this.subscriptions.values()].map(({ platform }) => platform));
+    for (const [platform, { connection, handlers }] of this.listeners) {
+      if (used.has(platform)) continue;
+
+      for (const [event, handler] of Object.entries(handlers)) {
+        connection.off(event, handler);
+      }
+      this.listeners.delete(platform);
+      this.outages.delete(platform);
+    }
+  }
+
+  // History for every timeframe from REST, so analysis doesn't wait for the stream to build it up
+  // The 1m window is longer than the largest rolled-up period, so the live buckets are always complete
+  async backfill(platform, connection, symbol) {
+    for (const timeframe of this.settings.timeframes) {
+      const key = this.candleStore.getSeriesKey(platform, symbol, timeframe);
+      await this.candleStore.hydrate(key);
+
+      try {
+        const candles = await connection.getCandles(symbol, timeframe, this.settings.maxCandles);
+        if (!candles || candles.length === 0) continue;
+
+        this.candleStore.merge(key, candles, true);
+        await this.candleStore.persist(key, candles);
+      } catch (error) {
+        this.logger.warn(`Could not backfill ${timeframe} candles for ${symbol} on ${platform}: ${error.message}`);
+      }
+    }
+  }
+
+  // Stream events
+  // A dropped socket marks the venue's feeds down so reads go to REST straight away instead of after staleAfter;
+  // once it is back, a backfill fills the candles missed during the outage
+  handleConnectionState(platform, connection, { socket, state }) {
+    if (socket !== 'market') return;
+
+    if (state === 'reconnecting' || state === 'stale') {
+      this.outages.add(platform);
+      for (const { symbol, platform: feedPlatform } of this.subscriptions.values()) {
+        if (feedPlatform === platform) this.getFeed(platform, symbol).lastUpdate = 0;
+      }
+    } else if (state === 'connected' && this.outages.delete(platform)) {
+      this.recoverFeeds(platform, connection)
+        .catch(error => this.logger.error(`Failed to recover ${platform} candles:`, error));
+    }
+  }
+
+  async recoverFeeds(platform, connection) {
+    const symbols = [...this.subscriptions.values()]
+      .filter(subscription => subscription.platform === platform)
+      .map(({ symbol }) => symbol);
+
+    for (const symbol of symbols) {
+      await this.backfill(platform, connection, symbol);
+    }
+    this.logger.info(`Backfilled ${symbols.length} ${platform} feed(s) after reconnecting`);
+  }
+
+  getFeed(platform, symbol) {
+    const id = `${platform}:${symbol}`;
+    if (!this.feeds.has(id)) {
+      this.feeds.set(id, { lastPrice: null, orderBook: null, lastUpdate: 0, klines: false });
+    }
+    return this.feeds.get(id);
+  }
+
+  handleTrade(platform, { symbol, price, quantity, timestamp }) {
+    const feed = this.getFeed(platform, symbol);
+    feed.lastPrice = price;
+    feed.lastUpdate = Date.now();
+
+    // Venues that stream klines report the volume themselves; adding trades would count it twice
+    if (feed.klines) return;
+
+    const time = Math.floor(timestamp / MINUTE) * MINUTE;
+    const last = this.candleStore.getLastCandle(this.candleStore.getSeriesKey(platform, symbol, '1m'));
+    // Late prints for a finished minute are dropped rather than rewriting it from one trade
+    if (last && time < last.time) return;
+
+    const candle = last && last.time === time ? {
+      ...last,
+      high: Math.max(last.high, price),
+      low: Math.min(last.low, price),
+      close: price,
+      volume: last.volume + quantity
+    } : { time, open: price, high: price, low: price, close: price, volume: quantity };
+
+    this.applyMinuteCandle(platform, symbol, candle);
+
+    // The first trade of a new minute closes the previous one
+    if (last && last.time < time) {
+      this.persistCandles(platform, symbol, last);
+    }
+  }
+
+  handleKline(platform, { symbol, timeframe, candle, closed }) {
+    if (timeframe !== '1m') return;
+
+    const feed = this.getFeed(platform, symbol);
+    feed.klines = true;
+    feed.lastPrice = candle.close;
+    feed.lastUpdate = Date.now();
+
+    this.applyMinuteCandle(platform, symbol, candle);
+    if (closed) {
+      this.persistCandles(platform, symbol, candle);
+    }
+  }
+
+  handleOrderBook(platform, { symbol, bids, asks }) {
+    const feed = this.getFeed(platform, symbol);
+    feed.orderBook = { bids, asks };
+    feed.lastUpdate = Date.now();
+  }
+
+  // Candles
+  applyMinuteCandle(platform, symbol, candle) {
+    const minuteKey = this.candleStore.getSeriesKey(platform, symbol, '1m');
+    if (this.candleStore.upsert(minuteKey, candle)) {
+      this.rollUp(platform, symbol, candle.time);
+    }
+  }
+
+  // Rebuilds the higher-timeframe candles containing this minute from the 1m series
+  rollUp(platform, symbol, minuteTime) {
+    const minutes = this.candleStore.series.get(this.candleStore.getSeriesKey(platform, symbol, '1m')) || [];
+    const rolledUp = [];
+
+    for (const timeframe of this.settings.timeframes) {
+      const periodMs = (TIMEFRAME_MINUTES[timeframe] || 0) * MINUTE;
+      if (periodMs <= MINUTE) continue;
+
+      const start = Math.floor(minuteTime / periodMs) * periodMs;
+      const bucket = minutes.filter(minute => minute.time >= start && minute.time < start + periodMs);
+      if (bucket.length === 0) continue;
+
+      const candle = {
+        time: start,
+        open: bucket[0].open,
+        high: Math.max(...bucket.map(minute => minute.high)),
+        low: Math.min(...bucket.map(minute => minute.low)),
+        close: bucket[bucket.length - 1].close,
+        volume: bucket.reduce((sum, minute) => sum + minute.volume, 0)
+      };
+
+      const key = this.candleStore.getSeriesKey(platform, symbol, timeframe);
+      this.candleStore.upsert(key, candle);
+      rolledUp.push([key, candle]);
+    }
+
+    return rolledUp;
+  }
+
+  // Only finished minutes are written out, with the higher-timeframe candles they belong to
+  persistCandles(platform, symbol, minute) {
+    const writes = [
+      [this.candleStore.getSeriesKey(platform, symbol, '1m'), minute],
+      ...this.rollUp(platform, symbol, minute.time)
+    ];
+    Promise.all(writes.map(([key, candle]) => this.candleStore.persist(key, [candle])))
+      .catch(error => this.logger.error('Failed to persist streamed candles:', error));
+  }
+
+  // Reads
+  isLive(platform, symbol) {
+    const feed = this.feeds.get(`${platform}:${symbol}`);
+    return !!feed && Date.now() - feed.lastUpdate <= this.settings.staleAfter * 1000;
+  }
+
+  // Same shape as an adapter's getMarketData, or null when the store can't serve the request
+  async getMarketData(symbol, timeframe = '1m', platform = null) {
+    const subscription = this.subscriptions.get(this.tradingEngine.symbolRegistry.normalize(symbol));
+    if (!subscription || (platform && platform !== subscription.platform)) return null;
+    if (!this.settings.timeframes.includes(timeframe)) return null;
+    if (!this.isLive(subscription.platform, subscription.symbol)) return null;
+
+    const key = this.candleStore.getSeriesKey(subscription.platform, subscription.symbol, timeframe);
+    const candles = await this.candleStore.getCandles(key);
+    if (candles.length < this.settings.minCandles) return null;
+
+    const feed = this.getFeed(subscription.platform, subscription.symbol);
+    const last = candles[candles.length - 1];
+    const currentPrice = feed.lastPrice ?? last.close;
+
+    // 24h statistics from the coarsest series that covers the day
+    const daySeries = await this.getDaySeries(subscription, candles);
+    const open24h = daySeries[0]?.open ?? last.close;
+
+    return {
+      symbol,
+      currentPrice,
+      previousPrice: open24h,
+      volume24h: daySeries.reduce((sum, candle) => sum + candle.volume, 0),
+      high24h: Math.max(currentPrice, ...daySeries.map(candle => candle.high)),
+      low24h: Math.min(currentPrice, ...daySeries.map(candle => candle.low)),
+      priceChange24h: currentPrice - open24h,
+      priceChangePercent24h: open24h > 0 ? ((currentPrice - open24h) / open24h) * 100 : 0,
+      prices: candles.map(candle => candle.close),
+      volumes: candles.map(candle => candle.volume),
+      candles,
+      orderBook: feed.orderBook || { bids: [], asks: [] },
+      source: 'stream',
+      timestamp: Date.now()
+    };
+  }
+
+  async getDaySeries(subscription, fallback) {
+    const since = Date.now() - DAY;
+    const hourly = this.settings.timeframes.includes('1h') ?
+      await this.candleStore.getCandles(this.candleStore.getSeriesKey(subscription.platform, subscription.symbol, '1h')) :
+      [];
+    const series = hourly.length > 0 ? hourly : fallback;
+    return series.filter(candle => candle.time >= since);
+  }
+
+  getStatus() {
+    return [...this.subscriptions.values()].map(({ symbol, platform }) => {
+      const feed = this.feeds.get(`${platform}:${symbol}`);
+      return {
+        symbol,
+        platform,
+        live: this.isLive(platform, symbol),
+        lastUpdate: feed?.lastUpdate || null,
+        candles: Object.fromEntries(this.settings.timeframes.map(timeframe => [
+          timeframe,
+          (this.candleStore.series.get(this.candleStore.getSeriesKey(platform, symbol, timeframe)) || []).length
+        ]))
+      };
+    });
+  }
+}
@@ -0,0 +1,561 @@
+// Order Manager
+// Follows submitted orders through their lifecycle from adapter events, falling back to polling
+// Positions are only opened or changed in the ledger once a fill is confirmed
+
+import { Logger } from '../utils/logger.js';
+
+// Allowed transitions between standard order statuses; final states have none
+const ORDER_TRANSITIONS = {
+  new: ['open', 'partially_filled', 'filled', 'pending_cancel', 'cancelled', 'rejected', 'expired'],
+  open: ['partially_filled', 'filled', 'pending_cancel', 'cancelled', 'rejected', 'expired'],
+  partially_filled: ['partially_filled', 'filled', 'pending_cancel', 'cancelled', 'expired'],
+  pending_cancel: ['partially_filled', 'filled', 'cancelled', 'expired'],
+  filled: [],
+  cancelled: [],
+  rejected: [],
+  expired: []
+};
+
+const FINAL_STATUSES = ['filled', 'cancelled', 'rejected', 'expired'];
+const QUANTITY_EPSILON = 1e-9;
+
+export class OrderManager {
+  constructor(options = {}) {
+    this.logger = new Logger('OrderManager');
+    this.tradingEngine = options.tradingEngine;
+    this.positionLedger = options.positionLedger;
+    this.onOrderUpdate = options.onOrderUpdate || null;
+    this.storageKey = options.storageKey || 'orderManagerState';
+
+    this.orders = new Map();
+    this.attachedAdapters = new Map();
+    this.loading = null;
+  }
+
+  // State persistence
+  async load() {
+    if (!this.loading) {
+      this.loading = chrome.storage.local.get(this.storageKey).then(result => {
+        const saved = result[this.storageKey];
+        this.orders = new Map(Object.entries(saved?.orders || {}));
+        this.logger.info(`Order manager restored ${this.orders.size} open orders`);
+      });
+    }
+    return this.loading;
+  }
+
+  async saveState() {
+    await chrome.storage.local.set({
+      [this.storageKey]: {
+        orders: Object.fromEntries(this.orders),
+        lastUpdated: Date.now()
+      }
+    });
+  }
+
+  // Adapter events
+  attachAdapter(platform, connection) {
+    if (this.attachedAdapters.get(platform)?.connection === connection) return;
+    this.detachAdapter(platform);
+
+    const listener = update => {
+      this.handleOrderEvent(platform, update).catch(error => {
+        this.logger.error(`Failed to handle ${platform} order update:`, error);
+      });
+    };
+
+    connection.on('orderUpdate', listener);
+    this.attachedAdapters.set(platform, { connection, listener });
+  }
+
+  detachAdapter(platform) {
+    const attached = this.attachedAdapters.get(platform);
+    if (!attached) return;
+
+    attached.connection.off('orderUpdate', attached.listener);
+    this.attachedAdapters.delete(platform);
+  }
+
+  async handleOrderEvent(platform, update) {
+    await this.load();
+    const record = this.orders.get(this.getOrderKey(platform, update.orderId || update.id));
+    if (!record) return;
+
+    await this.applyUpdate(record, update, 'event');
+  }
+
+  // Tracking
+  // Starts following an order returned by createOrder; trade holds the entry parameters for the position
+  async trackOrder({ platform, order, role = 'entry', trade = null, positionId = null, parentKey = null }) {
+    await this.load();
+
+    const key = this.getOrderKey(platform, order.id);
+    const record = {
+      key,
+      platform,
+      orderId: String(order.id),
+      symbol: trade?.symbol || order.symbol,
+      side: (order.side || trade?.side || '').toUpperCase(),
+      type: order.type,
+      quantity: order.quantity || trade?.quantity || 0,
+      role,
+      trade,
+      positionId,
+      parentKey,
+      conditionalOrders: order.conditionalOrders || [],
+      legs: order.legs || [],
+      status: 'new',
+      filled: 0,
+      avgPrice: 0,
+      price: order.price || 0,
+      transitions: [{ status: 'new', at: Date.now(), source: 'submit' }],
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+
+    // Legs the adapter placed with the entry already cover part of it
+    const legs = [
+      ...record.conditionalOrders,
+      // Native brackets (Alpaca) come back as legs of the entry order and cover all of it
+      ...record.legs.map(leg => ({
+        type: leg.type.includes('STOP') ? 'STOP_LOSS' : 'TAKE_PROFIT',
+        orderId: leg.id,
+        orderType: leg.type,
+        price: leg.price,
+        quantity: record.quantity,
+        ocoGroupId: record.key,
+        native: true
+      }))
+    ];
+    record.bracketedQuantity = this.getBracketedQuantity(legs);
+
+    this.orders.set(key, record);
+    this.trackProtectiveOrders(record, legs);
+    await this.applyUpdate(record, order, 'submit');
+
+    return record;
+  }
+
+  // Stop loss / take profit legs are followed too so their fills reach the position
+  trackProtectiveOrders(record, legs) {
+    for (const leg of legs) {
+      if (!leg.orderId) continue;
+
+      const key = this.getOrderKey(record.platform, leg.orderId);
+      // Single-order brackets (Coinbase) report both legs on one id; the stop leg comes first and keeps the record
+      if (this.orders.has(key)) continue;
+
+      this.orders.set(key, {
+        key,
+        platform: record.platform,
+        orderId: String(leg.orderId),
+        symbol: record.symbol,
+        side: record.side === 'BUY' ? 'SELL' : 'BUY',
+        type: leg.orderType,
+        orderType: leg.orderType,
+        quantity: leg.quantity || record.quantity,
+        role: leg.type === 'STOP_LOSS' ? 'stop_loss' : 'take_profit',
+        trade: null,
+        positionId: record.positionId,
+        parentKey: record.key,
+        ocoGroupId: leg.ocoGroupId,
+        native: !!leg.native,
+        virtual: !!leg.virtual,
+        conditionalOrders: [],
+        legs: [],
+        status: 'new',
+        filled: 0,
+        avgPrice: 0,
+        price: leg.price || 0,
+        transitions: [{ status: 'new', at: Date.now(), source: 'submit' }],
+        createdAt: Date.now(),
+        updatedAt: Date.now()
+      });
+    }
+  }
+
+  // Quantity protected by a set of legs; legs of one OCO group protect the same units
+  getBracketedQuantity(legs) {
+    const groups = new Map();
+    for (const leg of legs) {
+      const group = leg.ocoGroupId || leg.orderId;
+      groups.set(group, Math.max(groups.get(group) || 0, leg.quantity || 0));
+    }
+    return Array.from(groups.values()).reduce((sum, quantity) => sum + quantity, 0);
+  }
+
+  async getOpenOrders(platform = null) {
+    await this.load();
+    return Array.from(this.orders.values())
+      .filter(record => !platform || record.platform === platform);
+  }
+
+  // Polling fallback for venues without a live order stream
+  async pollOpenOrders() {
+    await this.load();
+
+    for (const record of Array.from(this.orders.values())) {
+      const connection = this.tradingEngine.getConnection(record.platform);
+      if (!connection || record.virtual) continue;
+
+      try {
+        const status = await connection.getOrderStatus(record.orderId, record.symbol);
+        await this.applyUpdate(record, status, 'poll');
+      } catch (error) {
+        this.logger.warn(`Failed to poll order ${record.orderId} on ${record.platform}:`, error.message);
+      }
+    }
+
+    await this.checkVirtualLegs();
+  }
+
+  // Pulls resting entries that have not filled yet (used when closing everything down)
+  async cancelPendingEntries() {
+    await this.load();
+
+    for (const record of Array.from(this.orders.values())) {
+      if (record.role !== 'entry' || record.filled > 0) continue;
+
+      try {
+        const cancelled = await this.tradingEngine.cancelOrder(record.platform, record.orderId, record.symbol);
+        await this.applyUpdate(record, { ...cancelled, status: cancelled.status || 'CANCELLED' }, 'cancel');
+      } catch (error) {
+        this.logger.error(`Failed to cancel pending order ${record.orderId} on ${record.platform}:`, error);
+      }
+    }
+  }
+
+  // State machine
+  async applyUpdate(record, update, source) {
+    const connection = this.tradingEngine.getConnection(record.platform);
+    const status = this.getStandardStatus(connection, update.status);
+    const filled = this.getFilledQuantity(record, update, status);
+    const avgPrice = update.avgPrice || record.avgPrice || update.price || record.price;
+    const hasNewFill = filled > record.filled;
+
+    const statusChanged = status !== record.status;
+    if (statusChanged && !this.canTransition(record.status, status)) {
+      // Stale poll results or out-of-order events must not move an order backwards
+      this.logger.debug(`Ignoring ${record.platform} order ${record.orderId} transition ${record.status} -> ${status} (${source})`);
+      if (!hasNewFill) return false;
+    }
+    if (!statusChanged && !hasNewFill) return false;
+
+    if (statusChanged && this.canTransition(record.status, status)) {
+      record.status = status;
+      record.transitions.push({ status, at: Date.now(), source });
+    }
+
+    const orderState = {
+      id: record.orderId,
+      symbol: record.symbol,
+      side: record.side,
+      quantity: record.quantity,
+      status: record.status,
+      filled,
+      avgPrice,
+      price: record.price,
+      timestamp: update.timestamp || Date.now(),
+      conditionalOrders: record.conditionalOrders,
+      legs: record.legs
+    };
+
+    record.filled = filled;
+    record.avgPrice = avgPrice;
+    record.updatedAt = Date.now();
+
+    try {
+      await this.syncLedger(record, orderState, hasNewFill);
+    } catch (error) {
+      this.logger.error(`Failed to record ${record.platform} order ${record.orderId} in the position ledger:`, error);
+    }
+
+    if (hasNewFill) {
+      await this.manageBrackets(record);
+    }
+
+    if (FINAL_STATUSES.includes(record.status)) {
+      this.orders.delete(record.key);
+      this.logger.info(`${record.platform} order ${record.orderId} ${record.status}`, { filled, avgPrice });
+    }
+    await this.saveState();
+
+    if (this.onOrderUpdate) {
+      this.onOrderUpdate({ ...record });
+    }
+    return true;
+  }
+
+  async syncLedger(record, orderState, hasNewFill) {
+    // The entry's first confirmed fill is what creates the position
+    if (record.role === 'entry' && !record.positionId) {
+      if (!hasNewFill) return;
+
+      const position = await this.positionLedger.openPosition({
+        ...record.trade,
+        platform: record.platform,
+        symbol: record.symbol,
+        side: record.side,
+        quantity: record.quantity,
+        order: orderState
+      });
+      record.positionId = position.id;
+      this.linkChildOrders(record);
+      return;
+    }
+
+    if (record.positionId && record.role !== 'entry') {
+      await this.positionLedger.recordExitOrder(record.positionId, orderState, record.role);
+    } else {
+      await this.positionLedger.recordOrderUpdate(record.platform, orderState);
+    }
+  }
+
+  // Brackets
+  async manageBrackets(record) {
+    if (record.role === 'entry') {
+      await this.protectNewFills(record);
+    } else if (record.ocoGroupId && !record.native) {
+      await this.handleLegFill(record);
+    }
+  }
+
+  // Every filled unit of an entry gets exit legs priced off the actual average fill
+  async protectNewFills(record) {
+    const { stopLoss, takeProfit } = record.trade || {};
+    const uncovered = record.filled - (record.bracketedQuantity || 0);
+    if ((!stopLoss && !takeProfit) || uncovered <= QUANTITY_EPSILON) return;
+
+    const connection = this.tradingEngine.getConnection(record.platform);
+    if (!connection) return;
+
+    // Claimed up front so a fill event racing this call doesn't bracket the same units twice
+    record.bracketedQuantity = record.filled;
+
+    try {
+      const legs = await connection.createBracketOrders({
+        symbol: record.symbol,
+        side: record.side,
+        quantity: uncovered,
+        entryPrice: record.avgPrice,
+        stopLoss,
+        takeProfit
+      });
+      this.trackProtectiveOrders(record, legs);
+    } catch (error) {
+      record.bracketedQuantity -= uncovered;
+      this.logger.error(`Failed to place exit legs for ${record.platform} order ${record.orderId} - position is unprotected:`, error);
+    }
+  }
+
+  // Client-side OCO: a filled leg cancels its siblings, a partial fill shrinks them to what is left
+  async handleLegFill(leg) {
+    for (const sibling of this.getOcoSiblings(leg)) {
+      if (leg.status === 'filled') {
+        await this.cancelLeg(sibling, 'oco');
+      } else if (sibling.virtual) {
+        sibling.quantity = leg.quantity - leg.filled;
+      }
+    }
+  }
+
+  // Virtual take profits are checked against the venue's price on every poll
+  async checkVirtualLegs() {
+    const virtualLegs = Array.from(this.orders.values()).filter(record => record.virtual);
+    const prices = new Map();
+
+    for (const leg of virtualLegs) {
+      const connection = this.tradingEngine.getConnection(leg.platform);
+      if (!connection) continue;
+
+      try {
+        const priceKey = `${leg.platform}:${leg.symbol}`;
+        if (!prices.has(priceKey)) {
+          prices.set(priceKey, await connection.getCurrentPrice(leg.symbol));
+        }
+
+        const price = prices.get(priceKey);
+        const reached = leg.side === 'SELL' ? price >= leg.price : price <= leg.price;
+        if (reached) {
+          await this.triggerVirtualLeg(leg, connection, price);
+        }
+      } catch (error) {
+        this.logger.warn(`Failed to check virtual ${leg.role} for ${leg.symbol} on ${leg.platform}:`, error.message);
+      }
+    }
+  }
+
+  async triggerVirtualLeg(leg, connection, price) {
+    // The resting stop holds the balance and would double the exit, so it goes first
+    for (const sibling of this.getOcoSiblings(leg)) {
+      if (!await this.cancelLeg(sibling, 'oco')) {
+        // Probably filled in the meantime; the next poll books it and retires this leg
+        return;
+      }
+    }
+
+    this.logger.info(`${leg.symbol} reached ${leg.role} at ${price}, exiting ${leg.quantity} on ${leg.platform}`);
+    this.orders.delete(leg.key);
+    await this.saveState();
+
+    const order = await connection.createOrder({
+      symbol: leg.symbol,
+      side: leg.side,
+      quantity: leg.quantity,
+      type: 'MARKET'
+    });
+
+    await this.trackOrder({
+      platform: leg.platform,
+      order,
+      role: leg.role,
+      positionId: leg.positionId
+    });
+  }
+
+  async cancelLeg(record, source) {
+    try {
+      const cancelled = record.virtual ?
+        {} :
+        await this.tradingEngine.cancelOrder(record.platform, record.orderId, record.symbol);
+      await this.applyUpdate(record, { ...cancelled, status: 'CANCELLED' }, source);
+
+      // Cancelling one leg of a native OCO takes the rest of the group with it on the venue
+      if (record.native && record.ocoGroupId) {
+        for (const sibling of this.getOcoSiblings(record)) {
+          await this.applyUpdate(sibling, { status: 'CANCELLED' }, source);
+        }
+      }
+      return true;
+    } catch (error) {
+      // Most likely already filled or gone; the next poll settles it
+      this.logger.warn(`Failed to cancel ${record.role} order ${record.orderId} on ${record.platform}:`, error.message);
+      return false;
+    }
+  }
+
+  // Pulls every exit leg of a position, e.g. before it is closed by hand
+  async cancelProtectiveOrders(positionId) {
+    await this.load();
+
+    for (const record of Array.from(this.orders.values())) {
+      if (record.positionId !== positionId || !['stop_loss', 'take_profit'].includes(record.role)) continue;
+      if (!this.orders.has(record.key)) continue; // a native sibling may have gone with the first cancel
+
+      await this.cancelLeg(record, 'close');
+    }
+  }
+
+  // Exit adjustments
+  getProtectiveLegs(positionId) {
+    return Array.from(this.orders.values()).filter(record =>
+      record.positionId === positionId && ['stop_loss', 'take_profit'].includes(record.role)
+    );
+  }
+
+  // Moves a position's stop, amending it in place where the venue supports that;
+  // otherwise the exit legs are pulled and placed again around the new stop
+  async replaceStopLoss(position, { stopPrice, takeProfitPrice = null }) {
+    await this.load();
+
+    const connection = this.tradingEngine.getConnection(position.platform);
+    if (!connection) {
+      throw new Error(`Platform ${position.platform} is not connected`);
+    }
+
+    const parent = {
+      key: position.id,
+      platform: position.platform,
+      symbol: position.symbol,
+      side: position.side,
+      quantity: position.quantity,
+      positionId: position.id
+    };
+    const legs = this.getProtectiveLegs(position.id);
+    const stopLeg = legs.find(leg => leg.role === 'stop_loss' && !leg.virtual);
+
+    if (stopLeg) {
+      const amended = await connection.amendStopOrder(stopLeg.orderId, stopLeg.symbol, stopPrice);
+      if (amended) {
+        await this.applyUpdate(stopLeg, { status: 'CANCELLED' }, 'amend');
+        this.trackProtectiveOrders(parent, [{
+          type: 'STOP_LOSS',
+          orderId: amended.id,
+          orderType: stopLeg.orderType,
+          price: stopPrice,
+          quantity: stopLeg.quantity,
+          ocoGroupId: stopLeg.ocoGroupId,
+          native: stopLeg.native
+        }]);
+        await this.saveState();
+        return { method: 'amended', orderIds: [String(amended.id)] };
+      }
+    }
+
+    // Real legs go first: one that can't be cancelled has probably filled, and then nothing is touched
+    const ordered = [...legs].sort((a, b) => Number(a.virtual) - Number(b.virtual));
+    for (const leg of ordered) {
+      if (!this.orders.has(leg.key)) continue;
+      if (!await this.cancelLeg(leg, 'replace')) {
+        throw new Error(`Could not cancel ${leg.role} order ${leg.orderId} on ${position.platform}`);
+      }
+    }
+
+    const newLegs = await connection.createBracketOrders({
+      symbol: position.symbol,
+      side: position.side,
+      quantity: position.quantity,
+      entryPrice: position.avgEntryPrice,
+      stopLossPrice: stopPrice,
+      takeProfitPrice
+    });
+    this.trackProtectiveOrders(parent, newLegs);
+    await this.saveState();
+
+    return { method: 'replaced', orderIds: newLegs.map(leg => String(leg.orderId)) };
+  }
+
+  getOcoSiblings(record) {
+    if (!record.ocoGroupId) return [];
+    return Array.from(this.orders.values()).filter(other =>
+      other.ocoGroupId === record.ocoGroupId && other.key !== record.key
+    );
+  }
+
+  linkChildOrders(parent) {
+    for (const record of this.orders.values()) {
+      if (record.parentKey === parent.key) {
+        record.positionId = parent.positionId;
+      }
+    }
+  }
+
+  canTransition(from, to) {
+    return (ORDER_TRANSITIONS[from] || []).includes(to);
+  }
+
+  getStandardStatus(connection, status) {
+    const platformStatus = String(status || 'NEW');
+    const standard = connection ?
+      connection.getStandardOrderStatus(platformStatus) :
+      platformStatus.toLowerCase();
+
+    // Venues that report accepted orders as "open"/"pending" are still working orders
+    return ['pending', 'accepted', 'submitted'].includes(standard) ? 'open' : standard;
+  }
+
+  getFilledQuantity(record, update, status) {
+    if (update.filled !== undefined && update.filled !== null && !Number.isNaN(update.filled)) {
+      return Math.max(update.filled, record.filled);
+    }
+    if (Array.isArray(update.fills) && update.fills.length > 0) {
+      const filled = update.fills.reduce((sum, fill) => sum + parseFloat(fill.qty || fill.quantity || 0), 0);
+      return Math.max(filled, record.filled);
+    }
+    return status === 'filled' ? record.quantity : record.filled;
+  }
+
+  getOrderKey(platform, orderId) {
+    return `${platform}:${orderId}`;
+  }
+}
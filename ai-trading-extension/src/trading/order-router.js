@@ -0,0 +1,266 @@
+// Order Router
+// Chooses where an order goes by comparing each venue's book and fees
+// Sends the whole order to the cheapest venue, or splits it when no single book is deep enough
+
+import { Logger } from '../utils/logger.js';
+
+// Base-tier taker/maker rates as fractions of notional; override with advanced.orderRouting.feeSchedules
+const DEFAULT_FEE_SCHEDULES = {
+  binance: { taker: 0.001, maker: 0.001 },
+  coinbase: { taker: 0.006, maker: 0.004 },
+  kraken: { taker: 0.004, maker: 0.0025 },
+  kucoin: { taker: 0.001, maker: 0.001 },
+  bybit: { taker: 0.001, maker: 0.001 },
+  gate: { taker: 0.002, maker: 0.002 },
+  alpaca: { taker: 0, maker: 0 },
+  interactive_brokers: { taker: 0.0005, maker: 0.0005 }
+};
+
+const DEFAULT_ROUTING_SETTINGS = {
+  allowSplit: true,
+  minSplitFraction: 0.1, // Smaller slices are folded into the best venue
+  feeSchedules: {}
+};
+
+export class OrderRouter {
+  constructor(options = {}) {
+    this.logger = new Logger('OrderRouter');
+    this.tradingEngine = options.tradingEngine;
+    this.settings = this.mergeSettings(options.settings);
+  }
+
+  updateSettings(settings) {
+    this.settings = this.mergeSettings(settings);
+  }
+
+  mergeSettings(settings = {}) {
+    return {
+      ...DEFAULT_ROUTING_SETTINGS,
+      ...settings,
+      feeSchedules: { ...DEFAULT_FEE_SCHEDULES, ...settings.feeSchedules }
+    };
+  }
+
+  getFeeRate(platform, orderType) {
+    const schedule = this.settings.feeSchedules[platform] || { taker: 0.001, maker: 0.001 };
+    // Limit orders are expected to rest and pay the maker rate; everything else takes liquidity
+    return orderType === 'LIMIT' ? schedule.maker : schedule.taker;
+  }
+
+  // Routing
+  // Returns { allocations: [{ platform, quantity, ... }], venues, strategy, reason }
+  async routeOrder({ symbol, side, quantity, orderType = 'MARKET', platforms }) {
+    const candidates = platforms || this.tradingEngine.getPlatformsForSymbol(symbol);
+    const venues = await Promise.all(candidates.map(platform =>
+      this.quoteVenue(platform, symbol, side, quantity, orderType)
+    ));
+    const usable = venues.filter(venue => !venue.error && venue.effectivePrice > 0);
+
+    const report = {
+      symbol,
+      side,
+      quantity,
+      orderType,
+      strategy: null,
+      allocations: [],
+      venues,
+      reason: '',
+      timestamp: Date.now()
+    };
+
+    if (usable.length === 0) {
+      report.strategy = 'none';
+      report.reason = 'No venue returned a usable quote';
+      return report;
+    }
+
+    const direction = side === 'BUY' ? 1 : -1;
+    // Lowest all-in cost for buys, highest all-in proceeds for sells
+    usable.sort((a, b) => direction * (a.effectivePrice - b.effectivePrice));
+    const best = usable[0];
+
+    const fullyFillable = usable.filter(venue => venue.fillable >= quantity || venue.depth === null);
+    if (fullyFillable[0] === best || !this.settings.allowSplit || usable.length === 1) {
+      const venue = fullyFillable[0] || best;
+      report.strategy = 'single';
+      report.allocations = [this.createAllocation(venue, quantity)];
+      report.reason = this.describeSingle(venue, usable, quantity);
+    } else {
+      report.strategy = 'split';
+      report.allocations = this.splitAcrossBooks(usable, side, quantity);
+      report.reason = `No single book holds ${quantity} ${symbol} at the best price; ` +
+        `split across ${report.allocations.map(allocation => allocation.platform).join(', ')}`;
+
+      // Every other slice was folded in, which can leave the whole order on a venue other than the best
+      if (report.allocations.length === 1) {
+        report.strategy = 'single';
+        const venue = usable.find(other => other.platform === report.allocations[0].platform);
+        report.reason = this.describeSingle(venue, usable, quantity);
+      }
+    }
+
+    this.logger.logTrade('ROUTED', symbol, {
+      side,
+      quantity,
+      strategy: report.strategy,
+      allocations: report.allocations.map(({ platform, quantity }) => ({ platform, quantity })),
+      reason: report.reason
+    });
+    return report;
+  }
+
+  // Walks the visible book on one venue to price a fill of `quantity`
+  async quoteVenue(platform, symbol, side, quantity, orderType) {
+    const feeRate = this.getFeeRate(platform, orderType);
+    const connection = this.tradingEngine.getConnection(platform);
+    if (!connection) {
+      return { platform, feeRate, error: 'No connection to platform' };
+    }
+
+    try {
+      const marketData = await connection.getMarketData(symbol, '1m');
+      const book = marketData.orderBook || { bids: [], asks: [] };
+      const levels = this.getLevels(book, side);
+      const direction = side === 'BUY' ? 1 : -1;
+
+      if (levels.length === 0) {
+        // No depth reported: price the order at the last trade and treat depth as unknown
+        const price = marketData.currentPrice;
+        return {
+          platform,
+          feeRate,
+          bestPrice: price,
+          spread: null,
+          depth: null,
+          fillable: null,
+          averagePrice: price,
+          effectivePrice: price * (1 + direction * feeRate),
+          levels: []
+        };
+      }
+
+      const fill = this.walkBook(levels, quantity);
+      const bestBid = book.bids?.[0]?.price;
+      const bestAsk = book.asks?.[0]?.price;
+
+      return {
+        platform,
+        feeRate,
+        bestPrice: levels[0].price,
+        spread: bestBid && bestAsk ? (bestAsk - bestBid) / ((bestAsk + bestBid) / 2) : null,
+        depth: levels.reduce((sum, level) => sum + level.quantity, 0),
+        fillable: fill.quantity,
+        averagePrice: fill.averagePrice,
+        effectivePrice: fill.averagePrice * (1 + direction * feeRate),
+        levels
+      };
+    } catch (error) {
+      this.logger.warn(`Could not quote ${symbol} on ${platform}: ${error.message}`);
+      return { platform, feeRate, error: error.message };
+    }
+  }
+
+  // Buys lift the asks from the lowest price, sells hit the bids from the highest
+  getLevels(book, side) {
+    const levels = (side === 'BUY' ? book.asks : book.bids) || [];
+    return levels
+      .filter(level => level.price > 0 && level.quantity > 0)
+      .sort((a, b) => side === 'BUY' ? a.price - b.price : b.price - a.price);
+  }
+
+  walkBook(levels, quantity) {
+    let remaining = quantity;
+    let notional = 0;
+
+    for (const level of levels) {
+      if (remaining <= 0) break;
+      const take = Math.min(remaining, level.quantity);
+      notional += take * level.price;
+      remaining -= take;
+    }
+
+    const filled = quantity - remaining;
+    return {
+      quantity: filled,
+      averagePrice: filled > 0 ? notional / filled : levels[0].price
+    };
+  }
+
+  // Takes the cheapest fee-adjusted levels across all books until the order is filled
+  splitAcrossBooks(venues, side, quantity) {
+    const direction = side === 'BUY' ? 1 : -1;
+    const levels = venues
+      .filter(venue => venue.levels.length > 0)
+      .flatMap(venue => venue.levels.map(level => ({
+        platform: venue.platform,
+        price: level.price,
+        quantity: level.quantity,
+        effectivePrice: level.price * (1 + direction * venue.feeRate)
+      })))
+      .sort((a, b) => direction * (a.effectivePrice - b.effectivePrice));
+
+    const taken = new Map();
+    let remaining = quantity;
+    for (const level of levels) {
+      if (remaining <= 0) break;
+      const take = Math.min(remaining, level.quantity);
+      taken.set(level.platform, (taken.get(level.platform) || 0) + take);
+      remaining -= take;
+    }
+
+    // Beyond the visible depth the rest goes to the deepest venue (unknown depth counts as deepest)
+    const deepest = venues.reduce((deep, venue) =>
+      deep.depth === null || (venue.depth !== null && venue.depth <= deep.depth) ? deep : venue
+    ).platform;
+    if (remaining > 0) {
+      taken.set(deepest, (taken.get(deepest) || 0) + remaining);
+    }
+
+    // Fold slices too small to be worth a separate order into the largest one
+    const minQuantity = quantity * this.settings.minSplitFraction;
+    const largest = [...taken].reduce((max, entry) => entry[1] > max[1] ? entry : max)[0];
+    for (const [platform, slice] of taken) {
+      if (platform !== largest && slice < minQuantity) {
+        taken.delete(platform);
+        taken.set(largest, taken.get(largest) + slice);
+      }
+    }
+
+    return [...taken]
+      .map(([platform, slice]) => this.createAllocation(venues.find(venue => venue.platform === platform), slice))
+      .sort((a, b) => b.quantity - a.quantity);
+  }
+
+  createAllocation(venue, quantity) {
+    return {
+      platform: venue.platform,
+      quantity,
+      expectedPrice: venue.averagePrice,
+      feeRate: venue.feeRate
+    };
+  }
+
+  // usable is sorted best first; the chosen venue is only the best when it is usable[0]
+  describeSingle(venue, usable, quantity) {
+    const best = usable[0];
+    const depthNote = venue.depth === null ? 'no depth reported' :
+      `${formatNumber(venue.fillable)} of ${quantity} visible in the book`;
+    const pricing = `${formatNumber(venue.effectivePrice)} ` +
+      `(avg ${formatNumber(venue.averagePrice)} + ${(venue.feeRate * 100).toFixed(2)}% fee, ${depthNote})`;
+
+    if (venue !== best) {
+      return `${venue.platform} takes the whole order at an all-in price of ${pricing}; ` +
+        `${best.platform} prices better at ${formatNumber(best.effectivePrice)} ` +
+        `but shows only ${formatNumber(best.fillable)} of ${quantity}`;
+    }
+
+    const runnerUp = usable[1];
+    const comparison = runnerUp ?
+      `; next best ${runnerUp.platform} at ${formatNumber(runnerUp.effectivePrice)}` : '';
+    return `${venue.platform} has the best all-in price ${pricing}${comparison}`;
+  }
+}
+
+function formatNumber(value) {
+  return Number(value.toPrecision(8));
+}
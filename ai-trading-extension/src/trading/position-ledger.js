@@ -0,0 +1,537 @@
+// Position Ledger
+// Persistent record of positions, their fills, protective orders and P&L
+// Lives in chrome.storage so open positions survive service worker restarts
+
+import { Logger } from '../utils/logger.js';
+
+const FINAL_ORDER_STATUSES = ['filled', 'cancelled', 'rejected', 'expired'];
+const QUANTITY_EPSILON = 1e-9;
+
+export class PositionLedger {
+  constructor(options = {}) {
+    this.logger = new Logger('PositionLedger');
+    this.storageKey = options.storageKey || 'positionLedger';
+    this.maxClosedPositions = options.maxClosedPositions || 500;
+    this.onPositionClosed = options.onPositionClosed || null;
+    this.state = null;
+    this.loading = null;
+  }
+
+  // State persistence
+  async load() {
+    if (!this.loading) {
+      this.loading = chrome.storage.local.get(this.storageKey).then(result => {
+        this.state = result[this.storageKey] || this.createInitialState();
+        this.logger.info(`Position ledger loaded with ${Object.keys(this.state.positions).length} open positions`);
+        return this.state;
+      });
+    }
+    return this.loading;
+  }
+
+  async saveState() {
+    this.state.lastUpdated = Date.now();
+    await chrome.storage.local.set({ [this.storageKey]: this.state });
+  }
+
+  createInitialState() {
+    return {
+      positions: {},
+      closedPositions: [],
+      realizedPnl: 0,
+      createdAt: Date.now(),
+      lastUpdated: Date.now()
+    };
+  }
+
+  // Queries
+  async getOpenPositions(platform = null) {
+    await this.load();
+    return Object.values(this.state.positions)
+      .filter(position => !platform || position.platform === platform);
+  }
+
+  async getClosedPositions(limit = 100) {
+    await this.load();
+    return this.state.closedPositions.slice(-limit);
+  }
+
+  async getPosition(positionId) {
+    await this.load();
+    return this.state.positions[positionId] ||
+      this.state.closedPositions.find(position => position.id === positionId) || null;
+  }
+
+  async findByOrderId(platform, orderId) {
+    const positions = await this.getOpenPositions(platform);
+    return positions.find(position =>
+      position.orders.some(order => order.orderId === String(orderId))
+    ) || null;
+  }
+
+  async getSummary() {
+    await this.load();
+    const open = Object.values(this.state.positions);
+
+    return {
+      openPositions: open.length,
+      realizedPnl: this.state.realizedPnl,
+      unrealizedPnl: open.reduce((sum, position) => sum + position.unrealizedPnl, 0),
+      lastUpdated: this.state.lastUpdated
+    };
+  }
+
+  // Recording
+  // Opens a position from an entry order as returned by an adapter's createOrder
+  async openPosition({ platform, symbol, side, quantity, stopLoss, takeProfit, strategy, timeframe, order, source = 'engine' }) {
+    await this.load();
+
+    const now = Date.now();
+    const position = {
+      id: `${platform}:${order.id}`,
+      platform,
+      symbol,
+      side: side.toUpperCase(),
+      status: 'PENDING',
+      source,
+      strategy: strategy || null,
+      timeframe: timeframe || null,
+      requestedQuantity: quantity,
+      quantity: 0,
+      avgEntryPrice: 0,
+      stopLoss: stopLoss || null,
+      takeProfit: takeProfit || null,
+      orders: [this.createOrderRef(order.id, 'entry', order.price)],
+      fills: [],
+      realizedPnl: 0,
+      unrealizedPnl: 0,
+      lastPrice: null,
+      openedAt: now,
+      updatedAt: now,
+      closedAt: null
+    };
+
+    for (const protectiveOrder of this.getProtectiveOrders(order)) {
+      position.orders.push(this.createOrderRef(protectiveOrder.orderId, protectiveOrder.role, protectiveOrder.price));
+    }
+
+    this.state.positions[position.id] = position;
+    this.applyOrderUpdate(position, position.orders[0], order);
+    await this.commit(position);
+
+    return position;
+  }
+
+  // Adopts a position found on the venue that the ledger has no record of
+  async adoptPosition(platform, venuePosition) {
+    await this.load();
+
+    const now = Date.now();
+    const position = {
+      id: `${platform}:external:${venuePosition.symbol}:${now}`,
+      platform,
+      symbol: venuePosition.symbol,
+      side: (venuePosition.side || 'BUY').toUpperCase(),
+      status: 'OPEN',
+      source: 'venue',
+      strategy: null,
+      timeframe: null,
+      requestedQuantity: venuePosition.quantity,
+      quantity: venuePosition.quantity,
+      avgEntryPrice: venuePosition.entryPrice,
+      stopLoss: null,
+      takeProfit: null,
+      orders: [],
+      fills: [],
+      realizedPnl: 0,
+      unrealizedPnl: venuePosition.unrealizedPnl || 0,
+      lastPrice: venuePosition.currentPrice || null,
+      openedAt: venuePosition.timestamp || now,
+      updatedAt: now,
+      closedAt: null
+    };
+
+    this.state.positions[position.id] = position;
+    await this.saveState();
+    this.logger.warn(`Adopted untracked ${position.symbol} position on ${platform}`);
+
+    return position;
+  }
+
+  // Tracks an order that reduces the position (manual close, stop, target) and books any fill it already has
+  async recordExitOrder(positionId, order, role = 'exit') {
+    await this.load();
+    const position = this.state.positions[positionId];
+    if (!position) {
+      throw new Error(`Position not found: ${positionId}`);
+    }
+
+    let orderRef = this.findOrderRef(position, order.id);
+    if (!orderRef) {
+      orderRef = this.createOrderRef(order.id, role, order.price);
+      position.orders.push(orderRef);
+    }
+
+    this.applyOrderUpdate(position, orderRef, order);
+    await this.commit(position);
+
+    return position;
+  }
+
+  // Applies the latest known state of any order linked to a position
+  async recordOrderUpdate(platform, order) {
+    const position = await this.findByOrderId(platform, order.id);
+    if (!position) return null;
+
+    const changed = this.applyOrderUpdate(position, this.findOrderRef(position, order.id), order);
+    if (changed) {
+      await this.commit(position);
+    }
+    return position;
+  }
+
+  async updateMarkPrice(symbol, price) {
+    await this.load();
+    let changed = false;
+
+    for (const position of Object.values(this.state.positions)) {
+      if (position.symbol !== symbol || !price) continue;
+      position.lastPrice = price;
+      position.unrealizedPnl = this.calculatePnl(position, price, position.quantity);
+      changed = true;
+    }
+
+    if (changed) {
+      await this.saveState();
+    }
+  }
+
+  // Trailing / break-even state kept by the exit manager, archived with the position
+  async updateExitState(positionId, exit) {
+    await this.load();
+    const position = this.state.positions[positionId];
+    if (!position) return null;
+
+    position.exit = exit;
+    await this.saveState();
+    return position;
+  }
+
+  // Reconciliation
+  // Brings the ledger in line with each venue after a restart or a missed update
+  async reconcile(tradingEngine) {
+    await this.load();
+
+    const summary = { checked: 0, updated: 0, closed: 0, adopted: 0, errors: [] };
+    const platforms = new Set([
+      ...Object.values(this.state.positions).map(position => position.platform),
+      ...tradingEngine.getConnectedPlatforms(),
+      ...(tradingEngine.isPaperTrading() ? ['paper'] : [])
+    ]);
+
+    for (const platform of platforms) {
+      const connection = tradingEngine.getConnection(platform);
+      if (!connection) continue;
+
+      try {
+        await this.reconcileOrders(platform, connection, summary);
+        await this.reconcileHoldings(platform, connection, summary);
+      } catch (error) {
+        this.logger.error(`Failed to reconcile positions on ${platform}:`, error);
+        summary.errors.push({ platform, error: error.message });
+      }
+    }
+
+    await this.saveState();
+    this.logger.info('Position ledger reconciled', summary);
+
+    return summary;
+  }
+
+  async reconcileOrders(platform, connection, summary) {
+    const positions = Object.values(this.state.positions).filter(position => position.platform === platform);
+    const historyBySymbol = new Map();
+
+    for (const position of positions) {
+      if (!historyBySymbol.has(position.symbol)) {
+        historyBySymbol.set(position.symbol, await this.loadOrderHistory(connection, position.symbol));
+      }
+      const history = historyBySymbol.get(position.symbol);
+
+      for (const orderRef of position.orders) {
+        if (FINAL_ORDER_STATUSES.includes(orderRef.status)) continue;
+        summary.checked++;
+
+        let order = history.get(orderRef.orderId);
+        // History entries without a fill amount can't settle a partial fill
+        if (!order || (order.filled === undefined && this.normalizeStatus(order.status) !== 'filled')) {
+          order = await this.loadOrderStatus(connection, orderRef.orderId, position.symbol);
+        }
+
+        if (order && this.applyOrderUpdate(position, orderRef, order)) {
+          summary.updated++;
+        }
+      }
+
+      if (position.status === 'CLOSED' || position.status === 'CANCELLED') {
+        this.archivePosition(position);
+        summary.closed++;
+      }
+    }
+  }
+
+  // Venues that report real holdings (stocks, paper) are checked for positions opened or closed elsewhere
+  async reconcileHoldings(platform, connection, summary) {
+    // Spot exchanges report open orders here, which the order pass already covers
+    if (!this.reportsHoldings(connection)) return;
+
+    const venuePositions = await connection.getOpenPositions();
+
+    const ledgerPositions = Object.values(this.state.positions)
+      .filter(position => position.platform === platform && position.status === 'OPEN');
+
+    for (const position of ledgerPositions) {
+      const held = venuePositions.some(venuePosition => this.isSameSymbol(connection, venuePosition.symbol, position.symbol));
+      if (!held) {
+        position.status = 'CLOSED';
+        position.closeReason = 'not_found_on_venue';
+        this.archivePosition(position);
+        summary.closed++;
+        this.logger.warn(`${position.symbol} position ${position.id} is no longer held on ${platform}`);
+      }
+    }
+
+    for (const venuePosition of venuePositions) {
+      const tracked = ledgerPositions.some(position => this.isSameSymbol(connection, position.symbol, venuePosition.symbol));
+      if (!tracked) {
+        await this.adoptPosition(platform, venuePosition);
+        summary.adopted++;
+      }
+    }
+  }
+
+  isSameSymbol(connection, a, b) {
+    return connection.normalizeSymbol(a) === connection.normalizeSymbol(b);
+  }
+
+  reportsHoldings(connection) {
+    return ['paper', 'alpaca', 'interactive_brokers'].includes(connection.platformName);
+  }
+
+  async loadOrderHistory(connection, symbol) {
+    try {
+      const orders = await connection.getOrderHistory(symbol, 100);
+      return new Map(orders.map(order => [String(order.id), order]));
+    } catch (error) {
+      this.logger.warn(`Order history unavailable on ${connection.platformName}:`, error.message);
+      return new Map();
+    }
+  }
+
+  async loadOrderStatus(connection, orderId, symbol) {
+    try {
+      return await connection.getOrderStatus(orderId, symbol);
+    } catch (error) {
+      this.logger.warn(`Order ${orderId} status unavailable on ${connection.platformName}:`, error.message);
+      return null;
+    }
+  }
+
+  // Fill accounting
+  // Books the fill delta between what the ledger has seen for an order and its current state
+  applyOrderUpdate(position, orderRef, order) {
+    const status = this.normalizeStatus(order.status);
+    const filled = this.getFilledQuantity(order, status);
+    const avgPrice = this.getAveragePrice(order) || orderRef.price;
+    const delta = filled - orderRef.filled;
+    let changed = status !== orderRef.status;
+
+    if (delta > QUANTITY_EPSILON) {
+      // Price of just the new fills, so repeated updates keep the order's running average exact
+      const fillPrice = filled > 0 && orderRef.filled > 0 && avgPrice ?
+        (avgPrice * filled - orderRef.avgPrice * orderRef.filled) / delta :
+        avgPrice;
+
+      const fill = {
+        orderId: orderRef.orderId,
+        role: orderRef.role,
+        quantity: delta,
+        price: fillPrice,
+        timestamp: order.timestamp || Date.now()
+      };
+
+      if (orderRef.role === 'entry') {
+        this.applyEntryFill(position, fill);
+      } else {
+        this.applyExitFill(position, fill);
+      }
+
+      orderRef.filled = filled;
+      orderRef.avgPrice = avgPrice;
+      changed = true;
+    }
+
+    orderRef.status = status;
+
+    // An entry that died without filling never became a position
+    if (orderRef.role === 'entry' && FINAL_ORDER_STATUSES.includes(status) && position.quantity <= QUANTITY_EPSILON && position.fills.length === 0) {
+      position.status = 'CANCELLED';
+    }
+
+    if (changed) {
+      position.updatedAt = Date.now();
+    }
+    return changed;
+  }
+
+  applyEntryFill(position, fill) {
+    const totalCost = position.avgEntryPrice * position.quantity + fill.price * fill.quantity;
+    position.quantity += fill.quantity;
+    position.avgEntryPrice = position.quantity > 0 ? totalCost / position.quantity : 0;
+    position.fills.push(fill);
+
+    if (position.status === 'PENDING') {
+      position.status = 'OPEN';
+    }
+  }
+
+  applyExitFill(position, fill) {
+    const quantity = Math.min(fill.quantity, position.quantity);
+    const pnl = this.calculatePnl(position, fill.price, quantity);
+
+    position.quantity -= quantity;
+    position.realizedPnl += pnl;
+    this.state.realizedPnl += pnl;
+    position.fills.push({ ...fill, quantity, pnl });
+
+    if (position.quantity <= QUANTITY_EPSILON) {
+      position.quantity = 0;
+      position.unrealizedPnl = 0;
+      position.status = 'CLOSED';
+      position.closedAt = fill.timestamp;
+      position.exitPrice = fill.price;
+    } else if (position.lastPrice) {
+      position.unrealizedPnl = this.calculatePnl(position, position.lastPrice, position.quantity);
+    }
+  }
+
+  calculatePnl(position, price, quantity) {
+    const direction = position.side === 'BUY' ? 1 : -1;
+    return (price - position.avgEntryPrice) * quantity * direction;
+  }
+
+  getFilledQuantity(order, status) {
+    if (order.filled !== undefined && order.filled !== null && !Number.isNaN(order.filled)) {
+      return order.filled;
+    }
+    if (Array.isArray(order.fills) && order.fills.length > 0) {
+      return order.fills.reduce((sum, fill) => sum + parseFloat(fill.qty || fill.quantity || 0), 0);
+    }
+    return status === 'filled' ? order.quantity : 0;
+  }
+
+  getAveragePrice(order) {
+    if (order.avgPrice) return order.avgPrice;
+
+    if (Array.isArray(order.fills) && order.fills.length > 0) {
+      let quantity = 0;
+      let cost = 0;
+      for (const fill of order.fills) {
+        const fillQuantity = parseFloat(fill.qty || fill.quantity || 0);
+        quantity += fillQuantity;
+        cost += fillQuantity * parseFloat(fill.price || 0);
+      }
+      if (quantity > 0) return cost / quantity;
+    }
+
+    return order.price || 0;
+  }
+
+  normalizeStatus(status) {
+    const value = String(status || 'open');
+    // Same mapping as BaseAdapter.getStandardOrderStatus, plus the spellings adapters pass through
+    const statusMap = {
+      NEW: 'open',
+      OPEN: 'open',
+      PENDING: 'open',
+      ACCEPTED: 'open',
+      PARTIALLY_FILLED: 'partially_filled',
+      FILLED: 'filled',
+      CANCELED: 'cancelled',
+      CANCELLED: 'cancelled',
+      REJECTED: 'rejected',
+      EXPIRED: 'expired'
+    };
+    return statusMap[value.toUpperCase()] || value.toLowerCase();
+  }
+
+  // Stop loss / take profit legs an adapter created alongside the entry
+  getProtectiveOrders(order) {
+    if (Array.isArray(order.conditionalOrders)) {
+      // Virtual legs only exist in the order manager, there is nothing to look up on the venue
+      return order.conditionalOrders.filter(conditional => !conditional.virtual).map(conditional => ({
+        orderId: conditional.orderId,
+        role: conditional.type === 'STOP_LOSS' ? 'stop_loss' : 'take_profit',
+        price: conditional.price
+      }));
+    }
+
+    // Native brackets (Alpaca) come back as legs of the entry order
+    if (Array.isArray(order.legs)) {
+      return order.legs.map(leg => ({
+        orderId: leg.id,
+        role: leg.type.includes('STOP') ? 'stop_loss' : 'take_profit',
+        price: leg.price
+      }));
+    }
+
+    return [];
+  }
+
+  createOrderRef(orderId, role, price = 0) {
+    return {
+      orderId: String(orderId),
+      role,
+      status: 'open',
+      filled: 0,
+      avgPrice: 0,
+      price: price || 0
+    };
+  }
+
+  findOrderRef(position, orderId) {
+    return position.orders.find(order => order.orderId === String(orderId)) || null;
+  }
+
+  async commit(position) {
+    if (position.status === 'CLOSED' || position.status === 'CANCELLED') {
+      this.archivePosition(position);
+    }
+    await this.saveState();
+  }
+
+  archivePosition(position) {
+    delete this.state.positions[position.id];
+    position.closedAt = position.closedAt || Date.now();
+
+    // Cancelled entries never held anything, so they aren't worth keeping in history
+    if (position.status === 'CANCELLED') return;
+
+    this.state.closedPositions.push(position);
+    if (this.state.closedPositions.length > this.maxClosedPositions) {
+      this.state.closedPositions = this.state.closedPositions.slice(-this.maxClosedPositions);
+    }
+
+    if (this.onPositionClosed) {
+      Promise.resolve(this.onPositionClosed(position)).catch(error => {
+        this.logger.error(`Failed to report closed position ${position.id}:`, error);
+      });
+    }
+  }
+
+  async clear() {
+    this.state = this.createInitialState();
+    this.loading = Promise.resolve(this.state);
+    await this.saveState();
+  }
+}
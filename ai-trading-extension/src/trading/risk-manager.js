@@ -2,17 +2,41 @@
 // Implements multiple risk management strategies to protect capital
 
 import { Logger } from '../utils/logger.js';
+import { getPeriodsPerYear } from '../utils/timeframes.js';
+import { CircuitBreaker } from './circuit-breaker.js';
+import { ValuationService } from './valuation-service.js';
+import { SymbolRegistry } from './symbol-registry.js';
+import { TechnicalAnalysis } from '../ai/technical-analysis.js';
+
+const VOLATILITY_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+// Socket states that mean a platform's market data can't be trusted
+const FEED_OUTAGE_STATES = ['reconnecting', 'stale'];
 
 export class RiskManager {
-  constructor() {
+  constructor(options = {}) {
     this.logger = new Logger();
+    this.tradingEngine = options.tradingEngine || null;
+    this.positionLedger = options.positionLedger || null;
+    this.tradeJournal = options.tradeJournal || null;
+    this.circuitBreaker = options.circuitBreaker || new CircuitBreaker();
+    this.valuationService = options.valuationService || new ValuationService({ tradingEngine: this.tradingEngine });
+    this.symbolRegistry = options.symbolRegistry || this.tradingEngine?.symbolRegistry || new SymbolRegistry();
+    this.onCircuitBreakerTrip = options.onCircuitBreakerTrip || null;
+    this.onFeedStateChange = options.onFeedStateChange || null;
+    this.technicalAnalysis = options.technicalAnalysis || new TechnicalAnalysis();
+    this.volatilityCache = new Map();
     this.riskMetrics = new Map();
     this.portfolioRisk = {
       totalExposure: 0,
       correlationMatrix: new Map(),
+      correlationUpdatedAt: null,
       volatilityAdjustment: 1.0,
+      sizeReduction: 1.0, // Set from the latest portfolio assessment, never stored
       drawdownLimit: 0.1 // 10% maximum drawdown
     };
+    this.correlationLoading = null;
+    this.feedStates = new Map(); // platform:socket -> latest connection state
+    this.attachedFeeds = new Map(); // platform -> { connection, listener }
   }
 
   async validateConfig(config) {
@@ -22,7 +46,7 @@ export class RiskManager {
     if (!config.riskSettings) {
       validationErrors.push('Risk settings are required');
     } else {
-      const { maxPositionSize, maxDailyLoss, maxTotalExposure, stopLossPercentage } = config.riskSettings;
+      const { maxPositionSize, maxDailyLoss, maxTotalExposure, stopLossPercentage, maxDrawdown } = config.riskSettings;
 
       if (maxPositionSize <= 0 || maxPositionSize > 0.1) {
         validationErrors.push('Max position size must be between 0 and 10% of portfolio');
@@ -39,6 +63,10 @@ export class RiskManager {
       if (stopLossPercentage <= 0 || stopLossPercentage > 0.1) {
         validationErrors.push('Stop loss percentage must be between 0 and 10%');
       }
+
+      if (maxDrawdown !== undefined && (maxDrawdown <= 0 || maxDrawdown > 0.5)) {
+        validationErrors.push('Max drawdown must be between 0 and 50% of portfolio');
+      }
     }
 
     // Validate API settings
@@ -59,11 +87,12 @@ export class RiskManager {
     return true;
   }
 
-  async evaluateOpportunity(analysis, symbol) {
+  async evaluateOpportunity(analysis, symbol, context = {}) {
     try {
       const riskAssessment = {
         approved: false,
         recommendedSize: 0,
+        stopLoss: analysis.stopLoss || null,
         reason: '',
         riskLevel: 'UNKNOWN',
         approvedPlatforms: [],
@@ -76,6 +105,21 @@ export class RiskManager {
         return riskAssessment;
       }
 
+      // No new entries while the circuit breaker is tripped (backtests keep their own books)
+      if (!context.simulation) {
+        const breaker = await this.updateCircuitBreaker();
+        if (breaker.halted) {
+          riskAssessment.reason = `Trading halted by circuit breaker (${breaker.haltReason})`;
+          return riskAssessment;
+        }
+      }
+
+      // Stocks only trade in their session; backtests replay history regardless of the clock
+      if (!context.simulation && !await this.isMarketOpen(symbol)) {
+        riskAssessment.reason = `Market closed for ${symbol}`;
+        return riskAssessment;
+      }
+
       // Check market conditions
       const marketRisk = await this.assessMarketConditions();
       if (marketRisk.level === 'EXTREME') {
@@ -83,8 +127,8 @@ export class RiskManager {
         return riskAssessment;
       }
 
-      // Check portfolio exposure
-      const exposureCheck = await this.checkPortfolioExposure(symbol);
+      // Check portfolio exposure (backtests pass their simulated book instead of the live portfolio)
+      const exposureCheck = await this.checkPortfolioExposure(symbol, context);
       if (!exposureCheck.allowed) {
         riskAssessment.reason = exposureCheck.reason;
         return riskAssessment;
@@ -98,26 +142,38 @@ export class RiskManager {
       }
 
       // Calculate position size
-      const positionSize = await this.calculatePositionSize(analysis, symbol);
+      const positionSize = await this.calculatePositionSize(analysis, symbol, context);
       if (positionSize <= 0) {
         riskAssessment.reason = 'Calculated position size too small to trade';
         return riskAssessment;
       }
 
-      // Check correlation with existing positions
-      const correlationRisk = await this.checkCorrelationRisk(symbol);
+      // Check correlation with existing positions (a backtest's positions aren't in the ledger)
+      const correlationRisk = context.simulation ?
+        { level: 'LOW', totalCorrelatedExposure: 0, maxCorrelation: 0, correlatedPositions: [] } :
+        await this.checkCorrelationRisk(symbol);
       if (correlationRisk.level === 'HIGH') {
         riskAssessment.reason = 'High correlation with existing positions';
         return riskAssessment;
       }
 
-      // Determine approved platforms
-      const platformRisk = await this.assessPlatformRisk(symbol);
-      riskAssessment.approvedPlatforms = platformRisk.approvedPlatforms;
+      // Determine approved platforms (simulated runs such as backtests have no venue)
+      if (!context.simulation) {
+        const platformRisk = await this.assessPlatformRisk(symbol);
+        riskAssessment.approvedPlatforms = platformRisk.approvedPlatforms;
 
-      if (riskAssessment.approvedPlatforms.length === 0) {
-        riskAssessment.reason = 'No approved platforms for this trade';
-        return riskAssessment;
+        if (riskAssessment.approvedPlatforms.length === 0) {
+          riskAssessment.reason = 'No approved platforms for this trade';
+          return riskAssessment;
+        }
+      }
+
+      // Volatility sizing assumes an ATR stop when the signal doesn't set one; the trade must use it
+      if (!riskAssessment.stopLoss) {
+        const config = await this.getConfig();
+        if (this.getSizingMode(config.riskSettings) === 'volatility') {
+          riskAssessment.stopLoss = await this.getVolatilityStop(symbol, config.riskSettings, context.marketData);
+        }
       }
 
       // All checks passed
@@ -146,6 +202,108 @@ export class RiskManager {
     }
   }
 
+  // Circuit breaker
+  // Re-evaluates the daily loss and drawdown limits against the ledger's P&L
+  async updateCircuitBreaker() {
+    const config = await this.getConfig();
+    const risk = config.riskSettings || {};
+    const settings = risk.circuitBreaker || {};
+
+    if (settings.enabled === false) {
+      return { ...await this.circuitBreaker.getState(), tripped: false };
+    }
+
+    const pnl = this.positionLedger ?
+      await this.positionLedger.getSummary() :
+      { realizedPnl: 0, unrealizedPnl: 0 };
+
+    // The day's starting equity is the priced account as it stands; 0 carries the previous day's equity over
+    const valuation = await this.getPortfolioValuation();
+
+    const status = await this.circuitBreaker.evaluate({
+      totalPnl: pnl.realizedPnl + pnl.unrealizedPnl,
+      accountValue: valuation.total,
+      limits: {
+        maxDailyLoss: risk.maxDailyLoss,
+        maxDrawdown: risk.maxDrawdown,
+        dailyResetTime: settings.dailyResetTime || '00:00',
+        timezone: settings.timezone || 'UTC'
+      }
+    });
+
+    if (status.tripped && this.onCircuitBreakerTrip) {
+      await this.onCircuitBreakerTrip(status, { flatten: !!settings.flattenOnTrip });
+    }
+    return status;
+  }
+
+  async rearmCircuitBreaker(options = {}) {
+    return this.circuitBreaker.rearm(options);
+  }
+
+  // Data feeds
+  // Follows an adapter's socket states so platforms with a broken market feed aren't approved for trades
+  attachFeed(platform, connection) {
+    if (this.attachedFeeds.get(platform)?.connection === connection) return;
+    this.detachFeed(platform);
+
+    const listener = event => this.updateFeedState(event);
+    connection.on('connectionStateChanged', listener);
+    this.attachedFeeds.set(platform, { connection, listener });
+  }
+
+  detachFeed(platform) {
+    const attached = this.attachedFeeds.get(platform);
+    if (!attached) return;
+
+    attached.connection.off('connectionStateChanged', attached.listener);
+    this.attachedFeeds.delete(platform);
+    for (const [key, feed] of this.feedStates) {
+      if (feed.platform === platform) this.feedStates.delete(key);
+    }
+  }
+
+  updateFeedState(event) {
+    const key = `${event.platform}:${event.socket}`;
+    const previous = this.feedStates.get(key);
+    // A reconnect attempt in progress is still part of the outage; a first connect is not
+    const outage = FEED_OUTAGE_STATES.includes(event.state) || (event.state === 'connecting' && !!previous?.outage);
+
+    this.feedStates.set(key, {
+      platform: event.platform,
+      socket: event.socket,
+      state: event.state,
+      outage,
+      reason: event.reason || null,
+      attempt: event.attempt || 0,
+      // An outage dates from the first state that broke the feed, not the latest retry
+      since: outage && previous?.outage ? previous.since : event.timestamp
+    });
+
+    if (outage && !previous?.outage) {
+      this.logger.logRiskEvent('DATA_FEED_OUTAGE', event.platform, {
+        socket: event.socket,
+        state: event.state,
+        reason: event.reason
+      });
+    } else if (!outage && previous?.outage) {
+      this.logger.info(`${event.platform} ${event.socket} feed restored after ${Math.round((event.timestamp - previous.since) / 1000)}s`);
+    }
+
+    if (this.onFeedStateChange) {
+      this.onFeedStateChange(this.feedStates.get(key));
+    }
+  }
+
+  getFeedStates() {
+    return [...this.feedStates.values()];
+  }
+
+  // Market data outages block trading; the user-data socket has REST polling behind it
+  getFeedOutage(platform) {
+    return this.getFeedStates().find(feed => feed.platform === platform && feed.socket === 'market' && feed.outage) || null;
+  }
+
   async assessMarketConditions() {
     try {
       // Check VIX levels, market volatility, economic calendar events
@@ -219,10 +377,11 @@ export class RiskManager {
     return { crypto: cryptoHours, stocks: stockHours };
   }
 
-  async checkPortfolioExposure(symbol) {
+  async checkPortfolioExposure(symbol, context = {}) {
     try {
       const config = await this.getConfig();
-      const currentExposure = await this.getCurrentExposure();
+      const currentExposure = context.simulation ?
+        this.toExposure(context.exposure) : await this.getCurrentExposure();
       
       const maxTotalExposure = config.riskSettings.maxTotalExposure;
       const maxSingleAssetExposure = config.riskSettings.maxPositionSize;
@@ -244,7 +403,7 @@ export class RiskManager {
         };
       }
 
-      // Check sector exposure (for stocks)
+      // Check sector exposure
       const sector = await this.getAssetSector(symbol);
       if (sector) {
         const sectorExposure = currentExposure.bySector.get(sector) || 0;
@@ -258,6 +417,20 @@ export class RiskManager {
         }
       }
 
+      // Check asset class exposure (classes without a configured limit are unrestricted)
+      const assetClass = await this.getAssetClass(symbol);
+      const maxAssetClassExposure = config.riskSettings.maxAssetClassExposure?.[assetClass];
+      if (assetClass && maxAssetClassExposure !== undefined) {
+        const assetClassExposure = currentExposure.byAssetClass.get(assetClass) || 0;
+
+        if (assetClassExposure >= maxAssetClassExposure) {
+          return {
+            allowed: false,
+            reason: `Exposure to ${assetClass} (${(assetClassExposure * 100).toFixed(1)}%) exceeds limit (${(maxAssetClassExposure * 100).toFixed(1)}%)`
+          };
+        }
+      }
+
       return {
         allowed: true,
         currentExposure,
@@ -281,6 +454,7 @@ export class RiskManager {
     let totalValue = 0;
     const byAsset = new Map();
     const bySector = new Map();
+    const byAssetClass = new Map();
 
     for (const [platform, data] of Object.entries(portfolio)) {
       if (data.positions) {
@@ -298,6 +472,12 @@ export class RiskManager {
             const currentSectorValue = bySector.get(sector) || 0;
             bySector.set(sector, currentSectorValue + value);
           }
+
+          // Track by asset class
+          const assetClass = await this.getAssetClass(position.symbol);
+          if (assetClass) {
+            byAssetClass.set(assetClass, (byAssetClass.get(assetClass) || 0) + value);
+          }
         }
       }
     }
@@ -305,45 +485,38 @@ export class RiskManager {
     // Get total account value
     const totalAccountValue = await this.getTotalAccountValue(portfolio);
 
+    const share = value => totalAccountValue > 0 ? value / totalAccountValue : 0;
+
     return {
-      total: totalAccountValue > 0 ? totalValue / totalAccountValue : 0,
-      byAsset: new Map([...byAsset].map(([symbol, value]) => [symbol, value / totalAccountValue])),
-      bySector: new Map([...bySector].map(([sector, value]) => [sector, value / totalAccountValue]))
+      total: share(totalValue),
+      byAsset: new Map([...byAsset].map(([symbol, value]) => [symbol, share(value)])),
+      bySector: new Map([...bySector].map(([sector, value]) => [sector, share(value)])),
+      byAssetClass: new Map([...byAssetClass].map(([assetClass, value]) => [assetClass, share(value)]))
     };
   }
 
-  async getTotalAccountValue(portfolio) {
-    let totalValue = 0;
-
-    for (const [platform, data] of Object.entries(portfolio)) {
-      if (data.balances) {
-        for (const balance of data.balances) {
-          if (balance.currency === 'USD' || balance.currency === 'USDT') {
-            totalValue += balance.available + balance.locked;
-          } else {
-            // Convert to USD using current price
-            const usdValue = await this.convertToUSD(balance.currency, balance.available + balance.locked);
-            totalValue += usdValue;
-          }
-        }
-      }
-    }
+  // Exposure fractions given as plain objects ({ total, byAsset: { BTCUSDT: 0.1 }, ... })
+  toExposure(exposure = {}) {
+    const toMap = entries => new Map(Object.entries(entries || {}));
+    return {
+      total: exposure.total || 0,
+      byAsset: toMap(exposure.byAsset),
+      bySector: toMap(exposure.bySector),
+      byAssetClass: toMap(exposure.byAssetClass)
+    };
+  }
 
-    return Math.max(totalValue, 1000); // Minimum $1000 to avoid division by zero
+  // Sizing works in USD; balances in other currencies are priced through the valuation service
+  // An empty or unpriceable account is worth 0, and every caller has to treat it as having no equity
+  async getTotalAccountValue(portfolio) {
+    const valuation = await this.valuationService.valuePortfolio(portfolio, 'USD');
+    return valuation.total;
   }
 
+  // Unpriceable amounts count as zero rather than at a guessed rate
   async convertToUSD(currency, amount) {
-    // This would use real-time price data
-    // For now, return mock conversion
-    const exchangeRates = {
-      'BTC': 45000,
-      'ETH': 3000,
-      'BNB': 300,
-      'EUR': 1.1,
-      'GBP': 1.3
-    };
-
-    return amount * (exchangeRates[currency] || 1);
+    const value = await this.valuationService.convert(amount, currency, 'USD');
+    return value ?? 0;
   }
 
   assessSignalQuality(analysis) {
@@ -379,33 +552,71 @@ export class RiskManager {
     };
   }
 
-  async calculatePositionSize(analysis, symbol) {
+  // Sizing modes: confidence (default), kelly (confidence capped by Kelly), volatility (fixed risk per stop)
+  getSizingMode(riskSettings = {}) {
+    const mode = riskSettings.sizingMode || 'confidence';
+    // useKellyCriterion predates sizingMode and still turns confidence sizing into Kelly sizing
+    return mode === 'confidence' && riskSettings.useKellyCriterion ? 'kelly' : mode;
+  }
+
+  async calculatePositionSize(analysis, symbol, context = {}) {
     try {
       const config = await this.getConfig();
-      const portfolioValue = await this.getTotalPortfolioValue();
-      
-      // Base position size from config
-      let baseSize = config.riskSettings.maxPositionSize;
-
-      // Adjust based on confidence
-      const confidenceAdjustment = analysis.confidence * 0.8 + 0.2; // Scale from 0.2 to 1.0
-      baseSize *= confidenceAdjustment;
-
-      // Adjust based on volatility
-      const volatility = await this.getAssetVolatility(symbol);
-      const volatilityAdjustment = Math.max(0.3, 1 - volatility); // Reduce size for high volatility
-      baseSize *= volatilityAdjustment;
+      // Simulated runs size against their own equity, never the live account
+      const portfolioValue = context.simulation ? context.equity : await this.getTotalPortfolioValue();
+      if (!portfolioValue || portfolioValue <= 0) {
+        return 0;
+      }
+      const mode = this.getSizingMode(config.riskSettings);
+
+      let baseSize = null;
+      let adjustments = {};
+
+      if (mode === 'volatility') {
+        const volatilitySizing = await this.calculateVolatilityTargetSize(analysis, symbol, config.riskSettings, context.marketData);
+        if (volatilitySizing) {
+          baseSize = volatilitySizing.size;
+          adjustments = volatilitySizing;
+        } else {
+          this.logger.warn(`No volatility data for ${symbol}, falling back to confidence sizing`);
+        }
+      }
 
-      // Adjust based on market conditions
-      const marketConditions = await this.assessMarketConditions();
-      const marketAdjustment = marketConditions.level === 'HIGH' ? 0.5 : 
-                              marketConditions.level === 'MEDIUM' ? 0.7 : 1.0;
-      baseSize *= marketAdjustment;
+      if (baseSize === null) {
+        // Base position size from config
+        baseSize = config.riskSettings.maxPositionSize;
+
+        // Adjust based on confidence
+        const confidenceAdjustment = analysis.confidence * 0.8 + 0.2; // Scale from 0.2 to 1.0
+        baseSize *= confidenceAdjustment;
+
+        // Adjust based on volatility
+        const volatility = await this.getAssetVolatility(symbol, context.marketData);
+        const volatilityAdjustment = Math.max(0.3, 1 - volatility); // Reduce size for high volatility
+        baseSize *= volatilityAdjustment;
+
+        // Adjust based on market conditions
+        const marketConditions = await this.assessMarketConditions();
+        const marketAdjustment = marketConditions.level === 'HIGH' ? 0.5 : 
+                                marketConditions.level === 'MEDIUM' ? 0.7 : 1.0;
+        baseSize *= marketAdjustment;
+
+        adjustments = { confidence: confidenceAdjustment, volatility: volatilityAdjustment, market: marketAdjustment };
+
+        // Kelly Criterion adjustment (if selected and the journal has enough history)
+        if (mode === 'kelly') {
+          const kellySize = await this.calculateKellyPosition(analysis, symbol);
+          if (kellySize !== null) {
+            baseSize = Math.min(baseSize, kellySize);
+            adjustments.kelly = kellySize;
+          }
+        }
+      }
 
-      // Kelly Criterion adjustment (if enabled)
-      if (config.riskSettings.useKellyCriterion) {
-        const kellySize = await this.calculateKellyPosition(analysis, symbol);
-        baseSize = Math.min(baseSize, kellySize);
+      // Cut while the latest portfolio assessment asks for smaller positions
+      if (!context.simulation && this.portfolioRisk.sizeReduction < 1) {
+        baseSize *= this.portfolioRisk.sizeReduction;
+        adjustments.portfolioRisk = this.portfolioRisk.sizeReduction;
       }
 
       // Ensure minimum trade size
@@ -421,8 +632,9 @@ export class RiskManager {
       const finalSize = Math.min(baseSize, maxTradeValue / portfolioValue);
 
       this.logger.info(`Position size calculated for ${symbol}:`, {
+        mode,
         baseSize: (baseSize * 100).toFixed(2) + '%',
-        adjustments: { confidence: confidenceAdjustment, volatility: volatilityAdjustment, market: marketAdjustment },
+        adjustments,
         finalSize: (finalSize * 100).toFixed(2) + '%',
         value: (finalSize * portfolioValue).toFixed(2)
       });
@@ -435,42 +647,90 @@ export class RiskManager {
     }
   }
 
+  // Risk-parity sizing: every trade loses riskPerTrade of equity if its stop is hit
+  // size = riskPerTrade / stop distance, so wide-ranging symbols get proportionally smaller positions
+  // maxPositionSize stays a hard cap on notional: stops tighter than riskPerTrade / maxPositionSize
+  // all get the capped size and risk less than riskPerTrade
+  async calculateVolatilityTargetSize(analysis, symbol, riskSettings, marketData = null) {
+    const profile = await this.getVolatilityProfile(symbol, riskSettings, marketData);
+    if (!profile) return null;
+
+    const stopDistance = analysis.stopLoss || this.getAtrStopDistance(profile, riskSettings);
+    if (!stopDistance || stopDistance <= 0) return null;
+
+    const riskPerTrade = riskSettings.riskPerTrade || 0.01;
+    const targetSize = riskPerTrade / stopDistance;
+    const capped = targetSize > riskSettings.maxPositionSize;
+    const size = capped ? riskSettings.maxPositionSize : targetSize;
+
+    if (capped) {
+      this.logger.debug(`Volatility size for ${symbol} capped at maxPositionSize: ` +
+        `${(stopDistance * 100).toFixed(2)}% stop risks ${(size * stopDistance * 100).toFixed(3)}% of equity`);
+    }
+
+    return {
+      size,
+      capped,
+      riskPerTrade,
+      stopDistance,
+      atrPercent: profile.atrPercent,
+      volatility: profile.volatility
+    };
+  }
+
   async calculateKellyPosition(analysis, symbol) {
     // Kelly Criterion: f = (bp - q) / b
     // where f = fraction of capital to bet
     //       b = odds (reward/risk ratio)
     //       p = probability of winning
     //       q = probability of losing (1-p)
+    // Returns null until the journal holds enough comparable trades to trust the estimate
 
     try {
-      const winRate = await this.getHistoricalWinRate(symbol, analysis.signal);
-      const avgWin = await this.getAverageWin(symbol, analysis.signal);
-      const avgLoss = await this.getAverageLoss(symbol, analysis.signal);
+      const config = await this.getConfig();
+      const risk = config.riskSettings || {};
+      const stats = await this.getTradeStatistics(symbol, analysis.signal, {
+        strategy: analysis.strategy || config.aiSettings?.strategy,
+        timeframe: analysis.timeframe
+      });
 
-      if (avgLoss <= 0) return 0;
+      const minTrades = risk.kellyMinTrades ?? 30;
+      if (!stats || stats.trades < minTrades) {
+        this.logger.debug(`Kelly sizing skipped for ${symbol}: ${stats?.trades || 0}/${minTrades} journaled trades`);
+        return null;
+      }
+
+      // Every trade so far was a winner (or loser): the payoff ratio is undefined
+      if (stats.avgLoss <= 0 || stats.avgWin <= 0) return null;
 
-      const b = avgWin / avgLoss; // Reward to risk ratio
-      const p = winRate;
+      const b = stats.avgWin / stats.avgLoss; // Reward to risk ratio
+      const p = stats.winRate;
       const q = 1 - p;
 
       const kellyFraction = (b * p - q) / b;
 
+      // Full Kelly is too volatile in practice, so only a configured fraction of it is used
+      const scaled = kellyFraction * (risk.kellyFraction ?? 0.5);
+
       // Cap Kelly at reasonable limits to avoid excessive risk
-      return Math.max(0, Math.min(kellyFraction, 0.05)); // Max 5% using Kelly
+      return Math.max(0, Math.min(scaled, risk.kellyMaxSize ?? 0.05)); // Max 5% using Kelly
 
     } catch (error) {
       this.logger.error('Error calculating Kelly position:', error);
-      return 0.02; // Default to 2% if Kelly calculation fails
+      return null;
     }
   }
 
   async checkCorrelationRisk(symbol) {
     try {
+      const config = await this.getConfig();
+      const threshold = config.riskSettings?.maxCorrelation ?? 0.7;
       const currentPositions = await this.getCurrentPositions();
       const correlations = [];
 
       for (const position of currentPositions) {
         const correlation = await this.getCorrelation(symbol, position.symbol);
+        // Pairs without enough shared history are reported but not counted
         correlations.push({
           symbol: position.symbol,
           correlation,
@@ -482,11 +742,12 @@ export class RiskManager {
       let totalCorrelatedExposure = 0;
       let maxCorrelation = 0;
 
-      for (const corr of correlations) {
-        if (Math.abs(corr.correlation) > 0.7) { // High correlation threshold
-          totalCorrelatedExposure += corr.exposure;
-          maxCorrelation = Math.max(maxCorrelation, Math.abs(corr.correlation));
-        }
+      const correlatedPositions = correlations.filter(corr =>
+        corr.correlation !== null && Math.abs(corr.correlation) > threshold
+      );
+      for (const corr of correlatedPositions) {
+        totalCorrelatedExposure += corr.exposure;
+        maxCorrelation = Math.max(maxCorrelation, Math.abs(corr.correlation));
       }
 
       const riskLevel = totalCorrelatedExposure > 0.3 ? 'HIGH' : 
@@ -496,7 +757,7 @@ export class RiskManager {
         level: riskLevel,
         totalCorrelatedExposure,
         maxCorrelation,
-        correlatedPositions: correlations.filter(c => Math.abs(c.correlation) > 0.7)
+        correlatedPositions
       };
 
     } catch (error) {
@@ -650,6 +911,14 @@ export class RiskManager {
     }
   }
 
+  // Replaces, rather than compounds, the cut from the previous assessment; 1 lifts it
+  setSizeReduction(factor) {
+    if (factor !== this.portfolioRisk.sizeReduction) {
+      this.logger.info(`Position size reduction ${factor < 1 ? `set to ${factor}` : 'lifted'}`);
+    }
+    this.portfolioRisk.sizeReduction = factor;
+  }
+
   // Helper methods (implementations would be more complex in production)
   async isSymbolAllowed(symbol) {
     const config = await this.getConfig();
@@ -667,59 +936,305 @@ export class RiskManager {
   }
 
   async getTotalPortfolioValue() {
+    const valuation = await this.getPortfolioValuation();
+    return valuation.total;
+  }
+
+  // USD valuation of the synced portfolio, including the holdings no venue could price
+  async getPortfolioValuation() {
     const portfolioData = await chrome.storage.local.get('portfolioData');
-    return await this.getTotalAccountValue(portfolioData.portfolioData || {});
+    return this.valuationService.valuePortfolio(portfolioData.portfolioData || {}, 'USD');
   }
 
-  async getAssetVolatility(symbol) {
-    // Would calculate from historical data
-    return 0.3; // Mock 30% volatility
+  // Annualized realized volatility; the old 30% assumption stands in when there are no candles
+  async getAssetVolatility(symbol, marketData = null) {
+    const config = await this.getConfig();
+    const profile = await this.getVolatilityProfile(symbol, config.riskSettings || {}, marketData);
+    return profile ? profile.volatility : 0.3;
   }
 
-  async getAssetSector(symbol) {
-    // Would look up asset sector from database
-    const sectorMap = {
-      'AAPL': 'Technology',
-      'GOOGL': 'Technology',
-      'MSFT': 'Technology',
-      'BTC': 'Cryptocurrency',
-      'ETH': 'Cryptocurrency'
+  // Realized volatility and ATR from recent candles, cached per symbol
+  // Backtests pass their own window as marketData so sizing never looks at live quotes
+  async getVolatilityProfile(symbol, riskSettings = {}, marketData = null) {
+    const timeframe = marketData?.timeframe || riskSettings.volatilityTimeframe || '1h';
+    if (marketData) {
+      return this.calculateVolatilityProfile(marketData, timeframe, riskSettings);
+    }
+
+    const cacheKey = `${symbol}:${timeframe}`;
+    const cached = this.volatilityCache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < VOLATILITY_CACHE_TTL) {
+      return cached.profile;
+    }
+    if (!this.tradingEngine) return null;
+
+    try {
+      const candles = await this.tradingEngine.getMarketData(symbol, timeframe);
+      const profile = this.calculateVolatilityProfile(candles, timeframe, riskSettings);
+      this.volatilityCache.set(cacheKey, { profile, timestamp: Date.now() });
+      return profile;
+    } catch (error) {
+      this.logger.warn(`Failed to fetch candles for ${symbol} volatility: ${error.message}`);
+      return null;
+    }
+  }
+
+  calculateVolatilityProfile(marketData, timeframe, riskSettings) {
+    const windowSize = riskSettings.volatilityWindow || 100;
+    const atrPeriod = riskSettings.atrPeriod || 14;
+    const candles = (marketData.candles || []).slice(-windowSize - 1);
+    if (candles.length <= atrPeriod) return null;
+
+    const closes = candles.map(candle => candle.close);
+    const highs = candles.map(candle => candle.high);
+    const lows = candles.map(candle => candle.low);
+
+    const realized = this.technicalAnalysis.calculateRealizedVolatility(closes, closes.length - 1);
+    const atrValues = this.technicalAnalysis.calculateATR(highs, lows, closes, atrPeriod);
+    const periodVolatility = realized[realized.length - 1] || 0;
+    const atr = atrValues[atrValues.length - 1] || 0;
+    const price = marketData.currentPrice || closes[closes.length - 1];
+
+    return {
+      timeframe,
+      samples: closes.length,
+      periodVolatility,
+      volatility: periodVolatility * Math.sqrt(getPeriodsPerYear(timeframe)),
+      atr,
+      atrPercent: price > 0 ? atr / price : 0
     };
-    return sectorMap[symbol] || null;
   }
 
-  async getHistoricalWinRate(symbol, signal) {
-    // Would calculate from historical trading data
-    return 0.55; // Mock 55% win rate
+  getAtrStopDistance(profile, riskSettings) {
+    const distance = profile.atrPercent * (riskSettings.atrStopMultiplier || 2);
+    return distance > 0 ? distance : riskSettings.stopLossPercentage;
   }
 
-  async getAverageWin(symbol, signal) {
-    // Would calculate from historical trading data
-    return 0.03; // Mock 3% average win
+  // Stop distance (fraction of entry) volatility sizing assumes when the signal gives none
+  async getVolatilityStop(symbol, riskSettings, marketData = null) {
+    const profile = await this.getVolatilityProfile(symbol, riskSettings, marketData);
+    return profile ? this.getAtrStopDistance(profile, riskSettings) : (riskSettings.stopLossPercentage || null);
+  }
+
+  async getAssetSector(symbol) {
+    await this.symbolRegistry.load();
+    return this.symbolRegistry.getSector(symbol);
   }
 
-  async getAverageLoss(symbol, signal) {
-    // Would calculate from historical trading data
-    return 0.02; // Mock 2% average loss
+  async getAssetClass(symbol) {
+    await this.symbolRegistry.load();
+    return this.symbolRegistry.getAssetClass(symbol);
   }
 
+  async isMarketOpen(symbol) {
+    await this.symbolRegistry.load();
+    return this.symbolRegistry.isMarketOpen(symbol);
+  }
+
+  // Rolling win rate, average win/loss and expectancy from the trade journal
+  async getTradeStatistics(symbol, signal, filters = {}) {
+    if (!this.tradeJournal) return null;
+
+    const config = await this.getConfig();
+    return this.tradeJournal.getStatistics({
+      symbol,
+      side: signal,
+      strategy: filters.strategy,
+      timeframe: filters.timeframe
+    }, config.riskSettings?.kellyLookback || 100);
+  }
+
+  // Open ledger positions with their share of the account
   async getCurrentPositions() {
-    // Would get from portfolio data
-    return [];
+    if (!this.positionLedger) return [];
+
+    const positions = await this.positionLedger.getOpenPositions();
+    const accountValue = await this.getTotalPortfolioValue();
+
+    return positions
+      .filter(position => position.quantity > 0)
+      .map(position => {
+        const value = position.quantity * (position.lastPrice || position.avgEntryPrice);
+        return {
+          id: position.id,
+          symbol: position.symbol,
+          side: position.side,
+          value,
+          exposure: accountValue > 0 ? value / accountValue : 0
+        };
+      });
   }
 
+  // Correlation of returns from the cached matrix; null when the pair has no shared history
   async getCorrelation(symbol1, symbol2) {
-    // Would calculate from historical price data
-    return Math.random() * 2 - 1; // Mock correlation between -1 and 1
+    if (symbol1 === symbol2) return 1;
+
+    await this.loadCorrelationMatrix();
+    const correlation = this.portfolioRisk.correlationMatrix.get(this.getPairKey(symbol1, symbol2));
+    return correlation ?? null;
+  }
+
+  // Correlation matrix
+  async loadCorrelationMatrix() {
+    if (!this.correlationLoading) {
+      this.correlationLoading = chrome.storage.local.get('correlationMatrix').then(result => {
+        const saved = result.correlationMatrix;
+        if (saved && this.portfolioRisk.correlationMatrix.size === 0) {
+          this.portfolioRisk.correlationMatrix = new Map(Object.entries(saved.pairs || {}));
+          this.portfolioRisk.correlationUpdatedAt = saved.updatedAt;
+        }
+      });
+    }
+    return this.correlationLoading;
+  }
+
+  // Rebuilds the matrix for the watchlist and held symbols from stored closes, topping the store up first
+  async refreshCorrelationMatrix() {
+    const config = await this.getConfig();
+    const timeframe = config.riskSettings?.correlationTimeframe || '1h';
+    const windowSize = config.riskSettings?.correlationWindow || 60;
+    const positions = await this.getCurrentPositions();
+    const symbols = Array.from(new Set([...(config.watchlist || []), ...positions.map(position => position.symbol)]));
+
+    const history = await this.updatePriceHistory(symbols, timeframe);
+    const returns = new Map();
+    for (const symbol of symbols) {
+      const candles = history[symbol]?.timeframe === timeframe ? history[symbol].candles || [] : [];
+      returns.set(symbol, this.calculateReturns(candles).slice(-windowSize));
+    }
+
+    const matrix = new Map();
+    for (let i = 0; i < symbols.length; i++) {
+      for (let j = i + 1; j < symbols.length; j++) {
+        const correlation = this.calculateCorrelation(returns.get(symbols[i]), returns.get(symbols[j]));
+        if (correlation !== null) {
+          matrix.set(this.getPairKey(symbols[i], symbols[j]), correlation);
+        }
+      }
+    }
+
+    this.portfolioRisk.correlationMatrix = matrix;
+    this.portfolioRisk.correlationUpdatedAt = Date.now();
+    await chrome.storage.local.set({
+      correlationMatrix: {
+        pairs: Object.fromEntries(matrix),
+        symbols,
+        timeframe,
+        updatedAt: this.portfolioRisk.correlationUpdatedAt
+      }
+    });
+
+    this.logger.info(`Correlation matrix refreshed for ${symbols.length} symbols (${matrix.size} pairs)`);
+    return matrix;
+  }
+
+  // Latest timestamped closes per symbol, kept in storage so a failed fetch falls back to the last good series
+  async updatePriceHistory(symbols, timeframe) {
+    const stored = await chrome.storage.local.get('priceHistory');
+    const history = stored.priceHistory || {};
+
+    if (this.tradingEngine) {
+      for (const symbol of symbols) {
+        try {
+          const marketData = await this.tradingEngine.getMarketData(symbol, timeframe);
+          if (marketData.candles?.length > 1) {
+            const candles = marketData.candles.map(({ time, close }) => ({ time, close }));
+            history[symbol] = { timeframe, candles, updatedAt: Date.now() };
+          }
+        } catch (error) {
+          this.logger.warn(`Could not refresh price history for ${symbol}:`, error.message);
+        }
+      }
+    }
+
+    await chrome.storage.local.set({ priceHistory: history });
+    return history;
+  }
+
+  // Log returns between consecutive candles, tagged with the times of both bars
+  calculateReturns(candles) {
+    const returns = [];
+    for (let i = 1; i < candles.length; i++) {
+      if (candles[i - 1].close > 0 && candles[i].close > 0) {
+        returns.push({
+          from: candles[i - 1].time,
+          time: candles[i].time,
+          value: Math.log(candles[i].close / candles[i - 1].close)
+        });
+      }
+    }
+    return returns;
+  }
+
+  // Pearson correlation over the returns both series have for the same bars; a gap in
+  // either series (missed candle, market closed) drops the bars around it from the pair
+  calculateCorrelation(a, b, minSamples = 20) {
+    const returnsB = new Map(b.map(entry => [entry.time, entry]));
+    const x = [];
+    const y = [];
+    for (const entry of a) {
+      const match = returnsB.get(entry.time);
+      if (match && match.from === entry.from) {
+        x.push(entry.value);
+        y.push(match.value);
+      }
+    }
+
+    const length = x.length;
+    if (length < minSamples) return null;
+
+    const meanX = x.reduce((sum, value) => sum + value, 0) / length;
+    const meanY = y.reduce((sum, value) => sum + value, 0) / length;
+
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (let i = 0; i < length; i++) {
+      const dx = x[i] - meanX;
+      const dy = y[i] - meanY;
+      covariance += dx * dy;
+      varianceX += dx * dx;
+      varianceY += dy * dy;
+    }
+
+    if (varianceX === 0 || varianceY === 0) return null;
+    return covariance / Math.sqrt(varianceX * varianceY);
+  }
+
+  getPairKey(symbol1, symbol2) {
+    return [symbol1, symbol2].sort().join('|');
   }
 
   async platformSupportsSymbol(platform, symbol) {
-    // Would check platform's supported trading pairs
-    return true;
+    // The registry rules out venues for the wrong asset class before any exchange info is fetched
+    await this.symbolRegistry.load();
+    const venues = this.symbolRegistry.getVenues(symbol);
+    if (venues.length > 0 && !venues.includes(platform)) {
+      return false;
+    }
+
+    // Without a live connection there is no exchange info to consult, so the registry's answer stands
+    const connection = this.tradingEngine && this.tradingEngine.getConnection(platform);
+    if (!connection) {
+      return true;
+    }
+
+    try {
+      // Answered from the adapter's exchange-info cache
+      return await connection.supportsSymbol(symbol);
+    } catch (error) {
+      this.logger.warn(`Could not load ${platform} trading rules for ${symbol}:`, error.message);
+      return false;
+    }
   }
 
   async checkPlatformHealth(platform) {
-    // Would check platform API status, latency, etc.
+    const outage = this.getFeedOutage(platform);
+    if (outage) {
+      return { healthy: false, reason: `Market data feed ${outage.state}${outage.reason ? ` (${outage.reason})` : ''}` };
+    }
+
+    // Would also check platform API status, latency, etc.
     return { healthy: true, reason: null };
   }
 
@@ -739,26 +1254,84 @@ export class RiskManager {
   }
 
   async checkDrawdown(portfolioData) {
+    const config = await this.getConfig();
+    const maxDrawdown = config.riskSettings?.maxDrawdown || this.portfolioRisk.drawdownLimit;
+    const breaker = await this.updateCircuitBreaker();
+
+    let riskLevel = 'LOW';
+    const recommendations = [];
+    if (breaker.halted) {
+      riskLevel = 'HIGH';
+    } else if (breaker.drawdown >= maxDrawdown * 0.5) {
+      riskLevel = 'MEDIUM';
+      recommendations.push('REDUCE_POSITION_SIZE');
+    }
+
     return {
-      riskLevel: 'LOW',
-      recommendations: [],
+      riskLevel,
+      recommendations,
       riskyPositions: []
     };
   }
 
+  // Sectors and asset classes held beyond their exposure limits
   async checkConcentration(portfolioData) {
+    const config = await this.getConfig();
+    const risk = config.riskSettings || {};
+    const exposure = await this.getCurrentExposure();
+    const breaches = [];
+
+    for (const [sector, value] of exposure.bySector) {
+      if (value >= (risk.maxSectorExposure || 0.3)) {
+        breaches.push({ type: 'sector', name: sector, exposure: value });
+      }
+    }
+    for (const [assetClass, value] of exposure.byAssetClass) {
+      const limit = risk.maxAssetClassExposure?.[assetClass];
+      if (limit !== undefined && value >= limit) {
+        breaches.push({ type: 'assetClass', name: assetClass, exposure: value });
+      }
+    }
+
+    if (breaches.length > 0) {
+      this.logger.logRiskEvent('CONCENTRATION_LIMIT', 'portfolio', { breaches });
+    }
+
     return {
-      riskLevel: 'LOW',
-      recommendations: [],
-      riskyPositions: []
+      riskLevel: breaches.length > 0 ? 'MEDIUM' : 'LOW',
+      recommendations: breaches.length > 0 ? ['REDUCE_POSITION_SIZE'] : [],
+      riskyPositions: [],
+      breaches
     };
   }
 
+  // Groups held positions whose returns move together beyond maxCorrelation
   async checkCorrelationMatrix(portfolioData) {
+    const config = await this.getConfig();
+    const threshold = config.riskSettings?.maxCorrelation ?? 0.7;
+    const positions = await this.getCurrentPositions();
+    const correlated = new Map();
+
+    for (let i = 0; i < positions.length; i++) {
+      for (let j = i + 1; j < positions.length; j++) {
+        if (positions[i].symbol === positions[j].symbol) continue;
+
+        const correlation = await this.getCorrelation(positions[i].symbol, positions[j].symbol);
+        if (correlation !== null && Math.abs(correlation) > threshold) {
+          correlated.set(positions[i].id, positions[i]);
+          correlated.set(positions[j].id, positions[j]);
+        }
+      }
+    }
+
+    const correlatedExposure = Array.from(correlated.values()).reduce((sum, position) => sum + position.exposure, 0);
+    const riskLevel = correlatedExposure > 0.3 ? 'HIGH' :
+                     correlatedExposure > 0.15 ? 'MEDIUM' : 'LOW';
+
     return {
-      riskLevel: 'LOW',
-      recommendations: [],
-      riskyPositions: []
+      riskLevel,
+      recommendations: riskLevel === 'LOW' ? [] : ['REDUCE_POSITION_SIZE'],
+      riskyPositions: riskLevel === 'HIGH' ? Array.from(correlated.keys()) : []
     };
   }
 
@@ -0,0 +1,200 @@
+// Symbol Registry
+// Asset class, sector, base/quote, venues and trading hours per symbol
+// Bundled metadata comes from src/data/symbols.json; user entries in storage override or extend it
+
+import { Logger } from '../utils/logger.js';
+
+const EMPTY_REGISTRY = { quoteAssets: [], assetClasses: {}, assets: {}, symbols: {} };
+const SECTIONS = ['assetClasses', 'assets', 'symbols'];
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export class SymbolRegistry {
+  constructor(options = {}) {
+    this.logger = new Logger('SymbolRegistry');
+    this.bundlePath = options.bundlePath || 'src/data/symbols.json';
+    this.storageKey = options.storageKey || 'symbolRegistry';
+    this.bundled = EMPTY_REGISTRY;
+    this.userEntries = this.createInitialState();
+    this.data = EMPTY_REGISTRY;
+    this.resolved = new Map();
+    this.loading = null;
+  }
+
+  // Loading
+  async load() {
+    if (!this.loading) {
+      this.loading = Promise.all([this.loadBundle(), chrome.storage.local.get(this.storageKey)])
+        .then(([bundled, result]) => {
+          this.bundled = bundled;
+          this.userEntries = result[this.storageKey] || this.createInitialState();
+          this.rebuild();
+          return this.data;
+        });
+    }
+    return this.loading;
+  }
+
+  async loadBundle() {
+    try {
+      const response = await fetch(chrome.runtime.getURL(this.bundlePath));
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return { ...EMPTY_REGISTRY, ...await response.json() };
+    } catch (error) {
+      // Only user entries resolve without the bundle; its quote assets are what pairs are split on
+      this.logger.error(`Failed to load bundled symbol metadata from ${this.bundlePath}:`, error);
+      return EMPTY_REGISTRY;
+    }
+  }
+
+  createInitialState() {
+    return { assetClasses: {}, assets: {}, symbols: {}, lastUpdated: Date.now() };
+  }
+
+  // User entries are merged field by field over the bundled ones
+  rebuild() {
+    const data = { ...this.bundled };
+    for (const section of SECTIONS) {
+      data[section] = { ...this.bundled[section] };
+      for (const [key, entry] of Object.entries(this.userEntries[section] || {})) {
+        data[section][key] = { ...data[section][key], ...entry };
+      }
+    }
+    this.data = data;
+    this.resolved.clear();
+  }
+
+  // User entries
+  // entries: { assets: { SYMBOL: {...} }, symbols: {...}, assetClasses: {...} }; null removes an entry
+  async addEntries(entries = {}) {
+    await this.load();
+
+    for (const section of SECTIONS) {
+      for (const [key, entry] of Object.entries(entries[section] || {})) {
+        const id = section === 'assetClasses' ? key : this.normalize(key);
+        if (entry === null) {
+          delete this.userEntries[section][id];
+        } else {
+          this.userEntries[section][id] = { ...this.userEntries[section][id], ...entry };
+        }
+      }
+    }
+
+    this.userEntries.lastUpdated = Date.now();
+    await chrome.storage.local.set({ [this.storageKey]: this.userEntries });
+    this.rebuild();
+    return this.userEntries;
+  }
+
+  async getUserEntries() {
+    await this.load();
+    return this.userEntries;
+  }
+
+  // Lookups
+  // Synchronous so routing can use it; before load() only derived metadata is available
+  getSymbol(symbol) {
+    const key = this.normalize(symbol);
+    if (!this.resolved.has(key)) {
+      this.resolved.set(key, this.resolve(key));
+    }
+    return this.resolved.get(key);
+  }
+
+  resolve(key) {
+    const explicit = this.data.symbols[key];
+    const asset = this.data.assets[key];
+
+    let base;
+    let quote;
+    if (explicit?.base) {
+      ({ base, quote } = explicit);
+    } else if (asset && asset.assetClass !== 'crypto') {
+      // Stocks and ETFs trade under their bare ticker
+      base = key;
+      quote = asset.quote || 'USD';
+    } else {
+      ({ base, quote } = this.splitSymbol(key));
+    }
+
+    const baseAsset = this.data.assets[base] || {};
+    const assetClass = explicit?.assetClass || baseAsset.assetClass || this.inferAssetClass(base, quote);
+    const classInfo = this.data.assetClasses[assetClass] || {};
+
+    return {
+      symbol: key,
+      base,
+      quote,
+      name: explicit?.name || baseAsset.name || base,
+      assetClass,
+      sector: explicit?.sector || baseAsset.sector || null,
+      venues: explicit?.venues || baseAsset.venues || classInfo.venues || [],
+      tradingHours: explicit?.tradingHours !== undefined ? explicit.tradingHours :
+        baseAsset.tradingHours !== undefined ? baseAsset.tradingHours : (classInfo.tradingHours || null),
+      known: !!(explicit || this.data.assets[base])
+    };
+  }
+
+  // Unlisted bases quoted in a crypto asset (e.g. PEPEUSDT) are crypto; anything else is unknown
+  inferAssetClass(base, quote) {
+    if (base !== quote && this.data.assets[quote]?.assetClass === 'crypto') {
+      return 'crypto';
+    }
+    return null;
+  }
+
+  splitSymbol(key) {
+    // Longest quotes first so USDT wins over USD
+    const quotes = [...this.data.quoteAssets].sort((a, b) => b.length - a.length);
+    for (const quote of quotes) {
+      if (key.endsWith(quote) && key.length > quote.length) {
+        return { base: key.slice(0, -quote.length), quote };
+      }
+    }
+    return { base: key, quote: null };
+  }
+
+  getAssetClass(symbol) {
+    return this.getSymbol(symbol).assetClass;
+  }
+
+  getSector(symbol) {
+    return this.getSymbol(symbol).sector;
+  }
+
+  // Venues in order of preference; empty when the registry can't say
+  getVenues(symbol) {
+    return this.getSymbol(symbol).venues;
+  }
+
+  // Regular session check in the market's own timezone; symbols without hours trade around the clock
+  // Exchange holidays are not modelled
+  isMarketOpen(symbol, timestamp = Date.now()) {
+    const hours = this.getSymbol(symbol).tradingHours;
+    if (!hours) return true;
+
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+      timeZone: hours.timezone || 'UTC',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(new Date(timestamp)).map(part => [part.type, part.value]));
+
+    const day = WEEKDAYS.indexOf(parts.weekday);
+    if (hours.days && !hours.days.includes(day)) return false;
+
+    const minutes = Number(parts.hour) * 60 + Number(parts.minute);
+    return minutes >= this.toMinutes(hours.open) && minutes < this.toMinutes(hours.close);
+  }
+
+  toMinutes(time = '00:00') {
+    const [hours, minutes] = time.split(':').map(Number);
+    return (hours || 0) * 60 + (minutes || 0);
+  }
+
+  normalize(symbol) {
+    return String(symbol).toUpperCase().replace(/[-_/]/g, '');
+  }
+}
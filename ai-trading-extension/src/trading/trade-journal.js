@@ -0,0 +1,156 @@
+// Trade Journal
+// One entry per closed position, tagged with symbol, side, strategy and timeframe
+// Feeds the win rate / payoff statistics used for Kelly sizing
+
+import { Logger } from '../utils/logger.js';
+
+export class TradeJournal {
+  constructor(options = {}) {
+    this.logger = new Logger('TradeJournal');
+    this.storageKey = options.storageKey || 'tradeJournal';
+    this.maxEntries = options.maxEntries || 2000;
+    this.state = null;
+    this.loading = null;
+  }
+
+  // State persistence
+  async load() {
+    if (!this.loading) {
+      this.loading = chrome.storage.local.get(this.storageKey).then(result => {
+        this.state = result[this.storageKey] || this.createInitialState();
+        return this.state;
+      });
+    }
+    return this.loading;
+  }
+
+  async saveState() {
+    this.state.lastUpdated = Date.now();
+    await chrome.storage.local.set({ [this.storageKey]: this.state });
+  }
+
+  createInitialState() {
+    return {
+      entries: [],
+      createdAt: Date.now(),
+      lastUpdated: Date.now()
+    };
+  }
+
+  // Recording
+  // Journals a closed ledger position; positions already journaled are skipped
+  async recordClosedPosition(position) {
+    await this.load();
+
+    if (position.status !== 'CLOSED' || this.state.entries.some(entry => entry.positionId === position.id)) {
+      return null;
+    }
+
+    const entry = this.createEntry(position);
+    if (!entry) return null;
+
+    this.state.entries.push(entry);
+    if (this.state.entries.length > this.maxEntries) {
+      this.state.entries = this.state.entries.slice(-this.maxEntries);
+    }
+    await this.saveState();
+
+    this.logger.logTrade('JOURNALED', entry.symbol, {
+      positionId: entry.positionId,
+      pnl: entry.pnl,
+      returnPct: entry.returnPct,
+      strategy: entry.strategy,
+      timeframe: entry.timeframe
+    });
+    return entry;
+  }
+
+  // Picks up positions that closed while the journal wasn't listening (e.g. before it existed)
+  async backfill(closedPositions) {
+    let added = 0;
+    for (const position of closedPositions) {
+      if (await this.recordClosedPosition(position)) {
+        added++;
+      }
+    }
+    return added;
+  }
+
+  createEntry(position) {
+    const entryFills = position.fills.filter(fill => fill.role === 'entry');
+    const exitFills = position.fills.filter(fill => fill.role !== 'entry');
+    const quantity = entryFills.reduce((sum, fill) => sum + fill.quantity, 0);
+
+    // Adopted positions have no entry fills, so there is no cost basis to measure a return against
+    if (quantity <= 0 || !position.avgEntryPrice) return null;
+
+    const exitQuantity = exitFills.reduce((sum, fill) => sum + fill.quantity, 0);
+    const exitPrice = exitQuantity > 0 ?
+      exitFills.reduce((sum, fill) => sum + fill.price * fill.quantity, 0) / exitQuantity :
+      position.exitPrice || null;
+
+    // Positions closed by reconciliation (e.g. not_found_on_venue) never saw an exit, so they are neither win nor loss
+    if (!exitPrice || !Number.isFinite(position.realizedPnl)) return null;
+
+    return {
+      positionId: position.id,
+      platform: position.platform,
+      symbol: position.symbol,
+      side: position.side,
+      strategy: position.strategy || null,
+      timeframe: position.timeframe || null,
+      quantity,
+      entryPrice: position.avgEntryPrice,
+      exitPrice,
+      pnl: position.realizedPnl,
+      returnPct: position.realizedPnl / (position.avgEntryPrice * quantity),
+      closeReason: position.closeReason || position.exit?.closeReason || null,
+      openedAt: position.openedAt,
+      closedAt: position.closedAt
+    };
+  }
+
+  // Queries
+  // Filters match on symbol, side, strategy and timeframe; omitted fields match anything
+  async getEntries(filters = {}, limit = null) {
+    await this.load();
+
+    const entries = this.state.entries.filter(entry =>
+      ['symbol', 'side', 'strategy', 'timeframe'].every(field =>
+        filters[field] === undefined || filters[field] === null || entry[field] === filters[field]
+      )
+    );
+    return limit ? entries.slice(-limit) : entries;
+  }
+
+  // Rolling statistics over the most recent `lookback` matching trades; returns are fractions of entry value
+  async getStatistics(filters = {}, lookback = 100) {
+    const entries = await this.getEntries(filters, lookback);
+    const wins = entries.filter(entry => entry.returnPct > 0);
+    const losses = entries.filter(entry => entry.returnPct <= 0);
+
+    const average = list => list.length > 0 ?
+      list.reduce((sum, entry) => sum + entry.returnPct, 0) / list.length : 0;
+
+    const winRate = entries.length > 0 ? wins.length / entries.length : 0;
+    const avgWin = average(wins);
+    const avgLoss = Math.abs(average(losses));
+
+    return {
+      trades: entries.length,
+      wins: wins.length,
+      losses: losses.length,
+      winRate,
+      avgWin,
+      avgLoss,
+      expectancy: winRate * avgWin - (1 - winRate) * avgLoss,
+      totalPnl: entries.reduce((sum, entry) => sum + entry.pnl, 0)
+    };
+  }
+
+  async clear() {
+    this.state = this.createInitialState();
+    this.loading = Promise.resolve(this.state);
+    await this.saveState();
+  }
+}
@@ -9,13 +9,37 @@ import { InteractiveBrokersAdapter } from './adapters/ib-adapter.js';
 import { KrakenAdapter } from './adapters/kraken-adapter.js';
 import { BybitAdapter } from './adapters/bybit-adapter.js';
 import { GateAdapter } from './adapters/gate-adapter.js';
+import { PaperAdapter } from './adapters/paper-adapter.js';
+import { SymbolRegistry } from './symbol-registry.js';
+import { OrderRouter } from './order-router.js';
+import { ExecutionAlgorithms } from './execution-algorithms.js';
+import { MarketDataStream } from './market-data-stream.js';
 import { Logger } from '../utils/logger.js';
 
 export class TradingEngine {
-  constructor() {
+  constructor(options = {}) {
     this.adapters = new Map();
     this.connections = new Map();
     this.logger = new Logger();
+    this.symbolRegistry = options.symbolRegistry || new SymbolRegistry();
+    
+    // Paper trading routes orders to a simulated venue fed by real quotes
+    this.paperAdapter = new PaperAdapter();
+    this.paperTrading = false;
+
+    // Splits or places orders by book depth and fees when advanced.enableOrderRouting is on
+    this.orderRouter = new OrderRouter({ tradingEngine: this });
+    this.orderRouting = false;
+
+    // Streamed candles for watched symbols; REST stays the fallback
+    this.marketDataStream = new MarketDataStream({ tradingEngine: this });
+
+    // TWAP, VWAP and iceberg parents; child orders are handed to onAlgoChildOrder for tracking
+    this.executionAlgorithms = new ExecutionAlgorithms({
+      tradingEngine: this,
+      onChildOrder: options.onAlgoChildOrder,
+      onUpdate: options.onAlgoOrderUpdate
+    });
     
     this.initializeAdapters();
   }
@@ -37,7 +61,7 @@ export class TradingEngine {
   }
 
   async connectToPlatform(platformConfig) {
-    const { name, apiKey, apiSecret, testMode = true } = platformConfig;
+    const { name, apiKey, apiSecret, testMode = true, ...options } = platformConfig;
     const adapter = this.adapters.get(name);
     
     if (!adapter) {
@@ -45,7 +69,9 @@ export class TradingEngine {
     }
 
     try {
+      // Platform-specific settings (passphrase, gateway URL, ...) pass straight through
       const connection = await adapter.connect({
+        ...options,
         apiKey,
         apiSecret,
         testMode
@@ -61,7 +87,51 @@ export class TradingEngine {
     }
   }
 
+  async setPaperTrading(enabled, paperConfig = {}) {
+    if (enabled && !this.paperAdapter.isConnected) {
+      const { quoteSource, recordedData } = paperConfig;
+      await this.paperAdapter.connect({
+        ...paperConfig,
+        // A supplied feed or recorded candles drive the fills; otherwise quotes come from the real venues
+        quoteSource: quoteSource || (recordedData ? null : {
+          getMarketData: (symbol, timeframe) => this.getVenueMarketData(symbol, timeframe)
+        })
+      });
+    }
+
+    this.paperTrading = enabled;
+    this.logger.info(`Paper trading ${enabled ? 'enabled' : 'disabled'}`);
+  }
+
+  isPaperTrading() {
+    return this.paperTrading;
+  }
+
+  setOrderRouting(enabled, settings = {}) {
+    this.orderRouting = enabled;
+    this.orderRouter.updateSettings(settings);
+  }
+
+  setExecutionSettings(settings = {}) {
+    this.executionAlgorithms.updateSettings(settings);
+  }
+
+  getConnection(platform) {
+    if (platform === 'paper') {
+      return this.paperAdapter.isConnected ? this.paperAdapter : null;
+    }
+    return this.connections.get(platform);
+  }
+
   async getMarketData(symbol, timeframe = '1m', platform = 'auto') {
+    // Paper mode reads through the paper venue, which fills resting orders against every quote it hands out
+    if (this.paperTrading && (platform === 'auto' || platform === 'paper')) {
+      return this.paperAdapter.getMarketData(symbol, timeframe);
+    }
+    return this.getVenueMarketData(symbol, timeframe, platform);
+  }
+
+  async getVenueMarketData(symbol, timeframe = '1m', platform = 'auto') {
     if (platform === 'auto') {
       platform = this.selectBestPlatformForSymbol(symbol);
     }
@@ -72,7 +142,10 @@ export class TradingEngine {
     }
 
     try {
-      const marketData = await connection.getMarketData(symbol, timeframe);
+      // The candle store answers while the venue's stream is live; otherwise poll REST
+      const marketData = await this.marketDataStream.getMarketData(symbol, timeframe, platform) ||
+        await connection.getMarketData(symbol, timeframe);
+
       return {
         symbol,
         platform,
@@ -87,19 +160,18 @@ export class TradingEngine {
   }
 
   async executeTrade(tradeParams) {
-    const { symbol, side, quantity, orderType, platforms } = tradeParams;
+    const { symbol, side, orderType } = tradeParams;
     const results = [];
+    const { allocations, routing } = await this.allocateOrder(tradeParams);
 
-    // If no specific platforms specified, use all connected ones that support the symbol
-    const targetPlatforms = platforms || this.getPlatformsForSymbol(symbol);
-
-    for (const platform of targetPlatforms) {
-      const connection = this.connections.get(platform);
+    for (const { platform, quantity } of allocations) {
+      const connection = this.getConnection(platform);
       if (!connection) {
         results.push({
           platform,
           success: false,
-          error: 'No connection to platform'
+          error: 'No connection to platform',
+          routing
         });
         continue;
       }
@@ -118,7 +190,8 @@ export class TradingEngine {
           platform,
           success: true,
           orderId: order.id,
-          orderDetails: order
+          orderDetails: order,
+          routing
         });
 
         this.logger.info(`Order executed on ${platform}:`, order);
@@ -126,7 +199,8 @@ export class TradingEngine {
         results.push({
           platform,
           success: false,
-          error: error.message
+          error: error.message,
+          routing
         });
         this.logger.error(`Failed to execute order on ${platform}:`, error);
       }
@@ -135,9 +209,58 @@ export class TradingEngine {
     return results;
   }
 
+  // Decides which venues get how much of the order; the quantities always add up to the request
+  async allocateOrder(tradeParams) {
+    const { symbol, side, quantity, orderType, platforms } = tradeParams;
+
+    // Paper mode sends every order to the simulated venue instead of a real one
+    if (this.paperTrading) {
+      return { allocations: [{ platform: 'paper', quantity }], routing: null };
+    }
+
+    const candidates = platforms || this.getPlatformsForSymbol(symbol);
+    const preferred = this.getPlatformsForSymbol(symbol).find(platform => candidates.includes(platform)) || candidates[0];
+
+    if (!this.orderRouting || candidates.length < 2) {
+      // The full quantity goes to one venue; repeating it on every venue would multiply the position
+      return { allocations: preferred ? [{ platform: preferred, quantity }] : [], routing: null };
+    }
+
+    const routing = await this.orderRouter.routeOrder({ symbol, side, quantity, orderType, platforms: candidates });
+    if (routing.allocations.length === 0) {
+      routing.strategy = 'fallback';
+      routing.reason += `; sent to preferred venue ${preferred}`;
+      routing.allocations = [{ platform: preferred, quantity }];
+    }
+
+    return { allocations: routing.allocations, routing };
+  }
+
+  // Execution algorithms
+  // params: { type: 'TWAP' | 'VWAP' | 'ICEBERG', symbol, side, quantity, durationMinutes, slices, clipSize, limitPrice }
+  async startAlgoOrder(params) {
+    return this.executionAlgorithms.start(params);
+  }
+
+  async pauseAlgoOrder(id) {
+    return this.executionAlgorithms.pause(id);
+  }
+
+  async resumeAlgoOrder(id) {
+    return this.executionAlgorithms.resume(id);
+  }
+
+  async cancelAlgoOrder(id) {
+    return this.executionAlgorithms.cancel(id);
+  }
+
+  async getAlgoOrders(statuses) {
+    return this.executionAlgorithms.getOrders(statuses);
+  }
+
   async closePosition(position) {
     const { platform, symbol, orderId, side } = position;
-    const connection = this.connections.get(platform);
+    const connection = this.getConnection(platform);
     
     if (!connection) {
       throw new Error(`No connection to platform: ${platform}`);
@@ -161,7 +284,7 @@ export class TradingEngine {
   }
 
   async getAccountBalance(platform) {
-    const connection = this.connections.get(platform);
+    const connection = this.getConnection(platform);
     if (!connection) {
       throw new Error(`No connection to platform: ${platform}`);
     }
@@ -175,7 +298,7 @@ export class TradingEngine {
   }
 
   async getOpenPositions(platform) {
-    const connection = this.connections.get(platform);
+    const connection = this.getConnection(platform);
     if (!connection) {
       throw new Error(`No connection to platform: ${platform}`);
     }
@@ -189,7 +312,7 @@ export class TradingEngine {
   }
 
   async getOrderHistory(platform, symbol, limit = 100) {
-    const connection = this.connections.get(platform);
+    const connection = this.getConnection(platform);
     if (!connection) {
       throw new Error(`No connection to platform: ${platform}`);
     }
@@ -202,41 +325,23 @@ export class TradingEngine {
     }
   }
 
+  // Registry venues are listed in order of preference (liquidity, fees)
   selectBestPlatformForSymbol(symbol) {
-    // Logic to select the best platform based on liquidity, fees, etc.
-    const cryptoSymbols = ['BTC', 'ETH', 'BNB', 'ADA', 'SOL', 'DOT', 'LINK', 'UNI'];
-    const stockSymbols = ['AAPL', 'GOOGL', 'MSFT', 'AMZN', 'TSLA', 'NVDA', 'META'];
-
-    if (cryptoSymbols.some(crypto => symbol.includes(crypto))) {
-      // Prefer Binance for crypto trading due to high liquidity
-      if (this.connections.has('binance')) return 'binance';
-      if (this.connections.has('coinbase')) return 'coinbase';
-      if (this.connections.has('kraken')) return 'kraken';
-    } else if (stockSymbols.some(stock => symbol.includes(stock))) {
-      // Prefer Alpaca for stock trading
-      if (this.connections.has('alpaca')) return 'alpaca';
-      if (this.connections.has('interactive_brokers')) return 'interactive_brokers';
-    }
+    const [preferred] = this.getPlatformsForSymbol(symbol);
+    if (preferred) return preferred;
 
     // Return first available connection
     return Array.from(this.connections.keys())[0];
   }
 
+  // Connected venues that list the symbol; every connection when the registry doesn't know it
   getPlatformsForSymbol(symbol) {
-    const cryptoSymbols = ['BTC', 'ETH', 'BNB', 'ADA', 'SOL', 'DOT', 'LINK', 'UNI'];
-    const stockSymbols = ['AAPL', 'GOOGL', 'MSFT', 'AMZN', 'TSLA', 'NVDA', 'META'];
-
-    if (cryptoSymbols.some(crypto => symbol.includes(crypto))) {
-      return Array.from(this.connections.keys()).filter(platform => 
-        ['binance', 'coinbase', 'kucoin', 'kraken', 'bybit', 'gate'].includes(platform)
-      );
-    } else if (stockSymbols.some(stock => symbol.includes(stock))) {
-      return Array.from(this.connections.keys()).filter(platform => 
-        ['alpaca', 'interactive_brokers'].includes(platform)
-      );
+    const venues = this.symbolRegistry.getVenues(symbol);
+    if (venues.length === 0) {
+      return Array.from(this.connections.keys());
     }
 
-    return Array.from(this.connections.keys());
+    return venues.filter(platform => this.connections.has(platform));
   }
 
   async getMarketStatistics(symbol, period = '24h') {
@@ -257,28 +362,28 @@ export class TradingEngine {
     return statistics;
   }
 
-  async cancelOrder(platform, orderId) {
-    const connection = this.connections.get(platform);
+  async cancelOrder(platform, orderId, symbol) {
+    const connection = this.getConnection(platform);
     if (!connection) {
       throw new Error(`No connection to platform: ${platform}`);
     }
 
     try {
-      return await connection.cancelOrder(orderId);
+      return await connection.cancelOrder(orderId, symbol);
     } catch (error) {
       this.logger.error(`Failed to cancel order ${orderId} on ${platform}:`, error);
       throw error;
     }
   }
 
-  async getOrderStatus(platform, orderId) {
-    const connection = this.connections.get(platform);
+  async getOrderStatus(platform, orderId, symbol) {
+    const connection = this.getConnection(platform);
     if (!connection) {
       throw new Error(`No connection to platform: ${platform}`);
     }
 
     try {
-      return await connection.getOrderStatus(orderId);
+      return await connection.getOrderStatus(orderId, symbol);
     } catch (error) {
       this.logger.error(`Failed to get order status for ${orderId} on ${platform}:`, error);
       throw error;
@@ -299,6 +404,7 @@ export class TradingEngine {
   }
 
   async disconnectAll() {
+    await this.marketDataStream.stop();
     for (const platform of this.connections.keys()) {
       await this.disconnectPlatform(platform);
     }
@@ -0,0 +1,260 @@
+// Valuation Service
+// Prices every synced balance into a single quote currency using tickers from all connected venues
+// Records a snapshot per valuation so equity curves and drawdown can be rebuilt from history
+
+import { Logger } from '../utils/logger.js';
+
+// Brokers keep cash as balances and hold securities as positions; they don't quote currency pairs
+const BROKER_PLATFORMS = ['alpaca', 'interactive_brokers'];
+// Assets tried as the middle leg when there is no direct or inverse pair
+const BRIDGE_ASSETS = ['USDT', 'BTC'];
+// Treated as 1:1 with each other only when no venue quotes the pair
+const USD_PEGGED = ['USD', 'USDT', 'USDC', 'BUSD'];
+
+const RATE_CACHE_TTL = 60 * 1000; // 1 minute
+
+export class ValuationService {
+  constructor(options = {}) {
+    this.logger = new Logger('ValuationService');
+    this.tradingEngine = options.tradingEngine || null;
+    this.storageKey = options.storageKey || 'valuationHistory';
+    this.maxSnapshots = options.maxSnapshots || 4320; // 30 days of 10 minute syncs
+    this.rateCache = new Map();
+    this.state = null;
+    this.loading = null;
+  }
+
+  // State persistence
+  async load() {
+    if (!this.loading) {
+      this.loading = chrome.storage.local.get(this.storageKey).then(result => {
+        this.state = result[this.storageKey] || this.createInitialState();
+        return this.state;
+      });
+    }
+    return this.loading;
+  }
+
+  async saveState() {
+    this.state.lastUpdated = Date.now();
+    await chrome.storage.local.set({ [this.storageKey]: this.state });
+  }
+
+  createInitialState() {
+    return {
+      snapshots: [],
+      latest: null,
+      createdAt: Date.now(),
+      lastUpdated: Date.now()
+    };
+  }
+
+  // Valuation
+  // portfolio is the stored portfolioData: { [platform]: { balances, positions } }
+  async valuePortfolio(portfolio, quoteCurrency = 'USD') {
+    const quote = quoteCurrency.toUpperCase();
+    const valuation = {
+      quoteCurrency: quote,
+      total: 0,
+      byPlatform: {},
+      byAsset: {},
+      unpriced: [],
+      timestamp: Date.now()
+    };
+
+    for (const [platform, data] of Object.entries(portfolio)) {
+      let platformValue = 0;
+
+      for (const holding of this.getHoldings(platform, data)) {
+        const rate = await this.getRate(holding.asset, quote, platform);
+        if (rate === null) {
+          valuation.unpriced.push({ platform, asset: holding.asset, amount: holding.amount });
+          continue;
+        }
+
+        const value = holding.amount * rate;
+        platformValue += value;
+
+        const asset = valuation.byAsset[holding.asset] || { amount: 0, value: 0, rate };
+        asset.amount += holding.amount;
+        asset.value += value;
+        valuation.byAsset[holding.asset] = asset;
+      }
+
+      valuation.byPlatform[platform] = platformValue;
+      valuation.total += platformValue;
+    }
+
+    if (valuation.unpriced.length > 0) {
+      this.logger.warn(`No ${quote} price for ${valuation.unpriced.map(holding => holding.asset).join(', ')}`);
+    }
+
+    return valuation;
+  }
+
+  // Balances count in full; broker positions are added at market value, shorts as a liability
+  getHoldings(platform, data) {
+    const holdings = (data.balances || [])
+      .map(balance => ({
+        asset: balance.currency.toUpperCase(),
+        amount: balance.total ?? (balance.available + balance.locked)
+      }))
+      .filter(holding => holding.amount !== 0);
+
+    if (BROKER_PLATFORMS.includes(platform)) {
+      for (const position of data.positions || []) {
+        const direction = position.side === 'SELL' ? -1 : 1;
+        const value = position.currentValue ?? position.quantity * position.currentPrice;
+        // Equity positions are valued in USD by the broker
+        holdings.push({ asset: 'USD', amount: direction * value });
+      }
+    }
+
+    return holdings;
+  }
+
+  async convert(amount, asset, quoteCurrency) {
+    const rate = await this.getRate(asset, quoteCurrency);
+    return rate === null ? null : amount * rate;
+  }
+
+  // Rates
+  // Price of one unit of asset in quote, or null when no venue can price it
+  async getRate(asset, quote, preferredPlatform = null) {
+    asset = asset.toUpperCase();
+    quote = quote.toUpperCase();
+    if (asset === quote) return 1;
+
+    const cacheKey = `${asset}/${quote}`;
+    const cached = this.rateCache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < RATE_CACHE_TTL) {
+      return cached.rate;
+    }
+
+    let rate = await this.getPairRate(asset, quote, preferredPlatform);
+
+    // Triangulate through a liquid bridge, e.g. SOL -> USDT -> EUR
+    for (const bridge of BRIDGE_ASSETS) {
+      if (rate !== null) break;
+      if (bridge === asset || bridge === quote) continue;
+
+      const first = await this.getPairRate(asset, bridge, preferredPlatform);
+      const second = first !== null ? await this.getPairRate(bridge, quote, preferredPlatform) : null;
+      if (second !== null) {
+        rate = first * second;
+      }
+    }
+
+    this.rateCache.set(cacheKey, { rate, timestamp: Date.now() });
+    return rate;
+  }
+
+  // Direct ticker, then the inverse pair, then the USD peg as a last resort
+  async getPairRate(asset, quote, preferredPlatform) {
+    const direct = await this.getTickerPrice(`${asset}${quote}`, preferredPlatform);
+    if (direct) return direct;
+
+    const inverse = await this.getTickerPrice(`${quote}${asset}`, preferredPlatform);
+    if (inverse) return 1 / inverse;
+
+    if (USD_PEGGED.includes(asset) && USD_PEGGED.includes(quote)) return 1;
+    return null;
+  }
+
+  // Median of every venue that lists the pair, so one stale or thin book can't skew the valuation
+  async getTickerPrice(symbol, preferredPlatform) {
+    const prices = [];
+    for (const [platform, connection] of this.getPriceSources(preferredPlatform)) {
+      try {
+        if (!await connection.supportsSymbol(symbol)) continue;
+
+        const price = await connection.getCurrentPrice(symbol);
+        if (price > 0) prices.push(price);
+      } catch (error) {
+        this.logger.debug(`No ${symbol} ticker on ${platform}: ${error.message}`);
+      }
+    }
+
+    if (prices.length === 0) return null;
+    prices.sort((a, b) => a - b);
+    const middle = Math.floor(prices.length / 2);
+    return prices.length % 2 === 1 ? prices[middle] : (prices[middle - 1] + prices[middle]) / 2;
+  }
+
+  getPriceSources(preferredPlatform) {
+    if (!this.tradingEngine) return [];
+
+    const platforms = [preferredPlatform, ...this.tradingEngine.getConnectedPlatforms()]
+      .filter((platform, index, list) => platform && !BROKER_PLATFORMS.includes(platform) && list.indexOf(platform) === index);
+
+    return platforms
+      .map(platform => [platform, this.tradingEngine.getConnection(platform)])
+      .filter(([, connection]) => connection);
+  }
+
+  clearRateCache() {
+    this.rateCache.clear();
+  }
+
+  // Snapshot history
+  async recordSnapshot(portfolio, quoteCurrency = 'USD') {
+    await this.load();
+    const valuation = await this.valuePortfolio(portfolio, quoteCurrency);
+
+    this.state.latest = valuation;
+    this.state.snapshots.push({
+      timestamp: valuation.timestamp,
+      quoteCurrency: valuation.quoteCurrency,
+      total: valuation.total,
+      byPlatform: valuation.byPlatform,
+      unpriced: valuation.unpriced.length
+    });
+    if (this.state.snapshots.length > this.maxSnapshots) {
+      this.state.snapshots = this.state.snapshots.slice(-this.maxSnapshots);
+    }
+    await this.saveState();
+
+    return valuation;
+  }
+
+  async getLatestValuation() {
+    await this.load();
+    return this.state.latest;
+  }
+
+  // Snapshots in one quote currency, oldest first; switching currency starts a new curve
+  async getSnapshots(quoteCurrency = 'USD', since = 0) {
+    await this.load();
+    const quote = quoteCurrency.toUpperCase();
+    return this.state.snapshots.filter(snapshot =>
+      snapshot.quoteCurrency === quote && snapshot.timestamp >= since
+    );
+  }
+
+  async getEquityCurve(quoteCurrency = 'USD', since = 0) {
+    const snapshots = await this.getSnapshots(quoteCurrency, since);
+    return snapshots.map(snapshot => ({ timestamp: snapshot.timestamp, value: snapshot.total }));
+  }
+
+  // Drawdowns are fractions of the running peak
+  async getDrawdown(quoteCurrency = 'USD', since = 0) {
+    const curve = await this.getEquityCurve(quoteCurrency, since);
+    let peak = 0;
+    let maxDrawdown = 0;
+    let current = 0;
+
+    for (const point of curve) {
+      peak = Math.max(peak, point.value);
+      current = peak > 0 ? (peak - point.value) / peak : 0;
+      maxDrawdown = Math.max(maxDrawdown, current);
+    }
+
+    return {
+      quoteCurrency: quoteCurrency.toUpperCase(),
+      peak,
+      current,
+      maxDrawdown,
+      samples: curve.length
+    };
+  }
+}
@@ -2,6 +2,19 @@
 // Handles all configuration storage and retrieval for the AI trading system
 
 import { Logger } from './logger.js';
+import { CryptoUtils } from './crypto-utils.js';
+import { TIMEFRAME_MINUTES } from './timeframes.js';
+
+const SECRET_PLACEHOLDER = '[ENCRYPTED]';
+const VAULT_VERSION = 2;
+const PBKDF2_ITERATIONS = 600000;
+
+// Confluence timeframes in ascending order; the lowest one needs a trading-check alarm to run on
+const CONFLUENCE_TIMEFRAMES = Object.keys(TIMEFRAME_MINUTES);
+const ANALYSIS_TIMEFRAMES = ['1m', '5m', '15m'];
+
+// aiSettings keys the balanced ensemble weighs its inputs by
+const ENSEMBLE_WEIGHTS = ['technicalWeight', 'sentimentWeight', 'volumeWeight', 'machineLearningWeight'];
 
 export class ConfigManager {
   constructor() {
@@ -9,7 +22,11 @@ export class ConfigManager {
     this.config = null;
     this.isLoaded = false;
     this.watchers = new Map();
+    
+    // Secrets vault: AES-GCM key derived from the user's passphrase, kept for the browser session
     this.encryptionKey = null;
+    this.vaultKdf = null;
+    this.vaultRecord = null;
   }
 
   async loadConfig() {
@@ -17,10 +34,14 @@ export class ConfigManager {
       const result = await chrome.storage.local.get(['tradingConfig', 'encryptedSecrets']);
       
       this.config = result.tradingConfig || this.getDefaultConfig();
+      this.vaultRecord = result.encryptedSecrets || null;
       
       // Load encrypted secrets if available
       if (result.encryptedSecrets) {
-        await this.loadEncryptedSecrets(result.encryptedSecrets);
+        const vault = await this.loadEncryptedSecrets(result.encryptedSecrets);
+        if (vault.locked) {
+          this.logger.warn('Secrets vault is locked - enter the passphrase to use API credentials');
+        }
       }
       
       this.isLoaded = true;
@@ -43,7 +64,12 @@ export class ConfigManager {
 
   async saveConfig(config = null) {
     try {
-      const configToSave = config || this.config;
+      const configToSave = this.deepClone(config || this.config);
+      
+      // Callers that read tradingConfig only see placeholders; keep the secrets we hold
+      if (this.config) {
+        this.restoreSecretPlaceholders(configToSave, this.config);
+      }
       
       // Validate before saving
       const validation = this.validateConfig(configToSave);
@@ -51,17 +77,7 @@ export class ConfigManager {
         throw new Error('Configuration validation failed: ' + validation.errors.join(', '));
       }
       
-      // Separate sensitive data for encryption
-      const { sensitiveData, publicConfig } = this.separateSensitiveData(configToSave);
-      
-      // Save public config
-      await chrome.storage.local.set({ tradingConfig: publicConfig });
-      
-      // Save encrypted sensitive data
-      if (Object.keys(sensitiveData).length > 0) {
-        const encrypted = await this.encryptSensitiveData(sensitiveData);
-        await chrome.storage.local.set({ encryptedSecrets: encrypted });
-      }
+      await this.persistConfig(configToSave);
       
       this.config = configToSave;
       this.logger.info('Configuration saved successfully');
@@ -99,6 +115,23 @@ export class ConfigManager {
     }
   }
 
+  async persistConfig(config) {
+    // Separate sensitive data for encryption
+    const { sensitiveData, publicConfig } = this.separateSensitiveData(config);
+    const encrypted = await this.encryptSensitiveData(sensitiveData);
+    
+    // Write both together so config and secrets never go out of step
+    const update = { tradingConfig: publicConfig };
+    if (encrypted) {
+      update.encryptedSecrets = encrypted;
+    }
+    await chrome.storage.local.set(update);
+    
+    if (encrypted) {
+      this.vaultRecord = encrypted;
+    }
+  }
+
   getConfig() {
     if (!this.isLoaded) {
       this.logger.warn('Configuration not loaded, returning default config');
@@ -107,6 +140,12 @@ export class ConfigManager {
     return this.config;
   }
 
+  isPaperTrading(config = this.getConfig()) {
+    // Older popup builds stored the flag at the top level
+    const flag = config.tradingSettings?.paperTrading ?? config.paperTrading;
+    return flag !== false;
+  }
+
   getConfigValue(path, defaultValue = null) {
     const config = this.getConfig();
     return this.getNestedValue(config, path, defaultValue);
@@ -123,6 +162,11 @@ export class ConfigManager {
       tradingSettings: {
         enabled: false,
         paperTrading: true,
+        paperAccount: {
+          initialBalances: { USDT: 10000, USD: 10000 },
+          feeRate: 0.001 // 0.1% simulated commission
+        },
+        quoteCurrency: 'USD', // Portfolio valuations and equity history: USD, USDT or EUR
         activeTimeframes: ['1m', '5m', '15m'],
         maxConcurrentTrades: 3,
         tradingHours: {
@@ -140,26 +184,80 @@ export class ConfigManager {
         stopLossPercentage: 0.02, // 2% stop loss
         takeProfitPercentage: 0.04, // 4% take profit
         maxDrawdown: 0.1, // 10% max drawdown
-        useKellyCriterion: false,
+        sizingMode: 'confidence', // confidence, kelly or volatility
+        kellyFraction: 0.5, // Half Kelly
+        kellyMinTrades: 30, // Journaled trades needed before Kelly affects size
+        kellyLookback: 100, // Most recent trades used for the statistics
+        kellyMaxSize: 0.05, // Never more than 5% of the portfolio from Kelly
         minTradeValue: 10, // Minimum $10 trade
         maxTradeValue: 1000, // Maximum $1000 trade
         riskPerTrade: 0.01, // 1% risk per trade
+        volatilityTimeframe: '1h', // Candles used for realized volatility and ATR
+        volatilityWindow: 100, // Most recent candles in the volatility estimate
+        atrPeriod: 14,
+        atrStopMultiplier: 2, // Stop distance assumed by volatility sizing when the signal has none
         maxCorrelation: 0.7, // Max correlation between positions
-        maxSectorExposure: 0.3 // 30% max sector exposure
+        correlationTimeframe: '1h', // Candles used for the correlation matrix
+        correlationWindow: 60, // Most recent returns per pair
+        maxSectorExposure: 0.3, // 30% max sector exposure
+        maxAssetClassExposure: { crypto: 0.6, equity: 0.8, etf: 0.8 }, // Per asset class from the symbol registry
+        circuitBreaker: {
+          enabled: true,
+          dailyResetTime: '00:00', // Daily loss is measured from this time...
+          timezone: 'UTC', // ...in this timezone
+          flattenOnTrip: false // Close all positions when a limit is breached
+        }
+      },
+
+      // Exit Management
+      exitSettings: {
+        trailingStop: {
+          enabled: false,
+          mode: 'percent', // percent, atr
+          percent: 0.015, // Trail 1.5% behind the best price
+          atrMultiplier: 2.5, // Trail 2.5 ATRs behind the best price
+          atrPeriod: 14,
+          atrTimeframe: '15m',
+          activationGain: 0 // Start trailing once the position is this far in profit
+        },
+        breakEven: {
+          enabled: false,
+          triggerGain: 0.01, // Move the stop to entry after a 1% gain
+          offset: 0.001 // Lock in 0.1% past entry to cover fees
+        },
+        timeExit: {
+          enabled: false,
+          maxHoldingMinutes: 1440 // Close positions held longer than a day
+        },
+        minStopMove: 0.001 // Skip stop moves under 0.1% of price
       },
 
       // AI Settings
       aiSettings: {
         confidenceThreshold: 0.7,
         strategy: 'balanced', // conservative, balanced, aggressive
-        technicalWeight: 0.4,
+        // Balanced ensemble weights, summing to 1
+        technicalWeight: 0.5,
         sentimentWeight: 0.3,
-        fundamentalWeight: 0.2,
-        volumeWeight: 0.1,
+        volumeWeight: 0,
+        machineLearningWeight: 0.2,
         enableMachineLearning: true,
         enableSentimentAnalysis: true,
         enablePatternRecognition: true,
-        rebalanceFrequency: 'daily' // never, daily, weekly, monthly
+        rebalanceFrequency: 'daily', // never, daily, weekly, monthly
+        // Strategy plugins run side by side; symbols [] means every watchlist symbol
+        // params override the plugin defaults (the ensemble takes its weights and profile from above)
+        strategies: [
+          { id: 'balanced_ensemble', strategy: 'balanced_ensemble', enabled: true, symbols: [], params: {} },
+          { id: 'trend_following', strategy: 'trend_following', enabled: false, symbols: [], params: {} }
+        ],
+        // One decision per symbol across these timeframes: the lowest triggers entries, the others filter by trend
+        // An empty list analyzes the 1m, 5m and 15m alarms independently
+        confluence: {
+          timeframes: ['5m', '15m', '1h'],
+          minScore: 0.6, // Share of timeframes agreeing with the trade
+          cooldownMinutes: 15 // Per symbol, after a trade
+        }
       },
 
       // Platform Settings
@@ -205,7 +303,25 @@ export class ConfigManager {
         maxRetries: 3,
         rateLimitBuffer: 0.8, // Use 80% of rate limit
         enableWebsockets: true,
-        enableOrderRouting: false
+        marketDataStream: {
+          timeframes: ['1m', '5m', '15m', '1h'], // 1m is built from the stream, the rest rolled up from it
+          maxCandles: 500, // Per symbol and timeframe, in memory and in IndexedDB
+          staleAfter: 120, // Seconds without stream data before reads fall back to REST
+          minCandles: 50 // History needed before a timeframe is read from the store
+        },
+        enableOrderRouting: false,
+        orderRouting: {
+          allowSplit: true, // Split across venues when no single book is deep enough
+          minSplitFraction: 0.1, // Smallest slice sent to a venue, as a fraction of the order
+          feeSchedules: {} // Per-venue overrides, e.g. { binance: { taker: 0.00075, maker: 0.00075 } }
+        },
+        executionAlgorithms: {
+          defaultSlices: 10, // TWAP/VWAP child orders when the request doesn't say
+          minSliceInterval: 30, // Seconds between slices; Chrome alarms fire at most every 30s
+          pollInterval: 30, // Seconds between child order status checks
+          icebergClipFraction: 0.1, // Default visible clip as a fraction of the order
+          vwapTimeframe: '1h' // Candles behind the VWAP time-of-day volume profile
+        }
       },
 
       // Version and metadata
@@ -240,11 +356,72 @@ export class ConfigManager {
           errors.push('Stop loss percentage must be between 0.1% and 10%');
         }
         
+        if (risk.sizingMode && !['confidence', 'kelly', 'volatility'].includes(risk.sizingMode)) {
+          errors.push('Sizing mode must be confidence, kelly or volatility');
+        }
+
+        if (risk.riskPerTrade !== undefined && (risk.riskPerTrade <= 0 || risk.riskPerTrade > 0.05)) {
+          errors.push('Risk per trade must be between 0.1% and 5%');
+        }
+
+        // Volatility sizing is capped at maxPositionSize, so stops tighter than this all get the same size
+        if (risk.sizingMode === 'volatility' && risk.maxPositionSize > 0) {
+          const parityStop = (risk.riskPerTrade ?? 0.01) / risk.maxPositionSize;
+          if (parityStop > 0.1) {
+            warnings.push(`Volatility sizing gives every stop tighter than ${(parityStop * 100).toFixed(0)}% ` +
+              'the maxPositionSize cap; lower riskPerTrade or raise maxPositionSize');
+          }
+        }
+
         if (!risk.paperTrading && config.tradingSettings?.enabled) {
           warnings.push('Live trading is enabled - ensure you understand the risks');
         }
       }
 
+      if (config.tradingSettings?.quoteCurrency &&
+          !['USD', 'USDT', 'EUR'].includes(config.tradingSettings.quoteCurrency)) {
+        errors.push('Quote currency must be USD, USDT or EUR');
+      }
+
+      // Validate exit settings
+      if (config.exitSettings) {
+        const { trailingStop, breakEven, timeExit } = config.exitSettings;
+
+        if (trailingStop?.enabled && !['percent', 'atr'].includes(trailingStop.mode)) {
+          errors.push('Trailing stop mode must be percent or atr');
+        }
+
+        if (trailingStop?.enabled && trailingStop.mode === 'percent' &&
+            (trailingStop.percent <= 0 || trailingStop.percent > 0.2)) {
+          errors.push('Trailing stop distance must be between 0.1% and 20%');
+        }
+
+        if (trailingStop?.enabled && trailingStop.mode === 'atr' && trailingStop.atrMultiplier <= 0) {
+          errors.push('Trailing stop ATR multiplier must be positive');
+        }
+
+        if (breakEven?.enabled && breakEven.triggerGain <= (breakEven.offset || 0)) {
+          errors.push('Break-even trigger must be larger than the break-even offset');
+        }
+
+        if (timeExit?.enabled && !(timeExit.maxHoldingMinutes > 0)) {
+          errors.push('Maximum holding time must be positive');
+        }
+      }
+
+      // Validate execution algorithm settings
+      const execution = config.advanced?.executionAlgorithms;
+      if (execution) {
+        if (execution.minSliceInterval !== undefined && execution.minSliceInterval < 30) {
+          errors.push('Minimum slice interval must be at least 30 seconds');
+        }
+
+        if (execution.icebergClipFraction !== undefined &&
+            (execution.icebergClipFraction <= 0 || execution.icebergClipFraction > 1)) {
+          errors.push('Iceberg clip fraction must be between 0% and 100%');
+        }
+      }
+
       // Validate AI settings
       if (config.aiSettings) {
         const ai = config.aiSettings;
@@ -253,11 +430,46 @@ export class ConfigManager {
           warnings.push('Confidence threshold outside recommended range (50%-95%)');
         }
         
-        const totalWeight = ai.technicalWeight + ai.sentimentWeight + 
-                           ai.fundamentalWeight + ai.volumeWeight;
-        if (Math.abs(totalWeight - 1.0) > 0.01) {
+        // The ensemble falls back to the default for any weight that isn't set
+        const defaultWeights = this.getDefaultConfig().aiSettings;
+        const weights = ENSEMBLE_WEIGHTS.map(key => ai[key] ?? defaultWeights[key]);
+        if (weights.some(weight => typeof weight !== 'number' || weight < 0 || weight > 1)) {
+          errors.push('AI weights must be between 0% and 100%');
+        } else if (Math.abs(weights.reduce((sum, weight) => sum + weight, 0) - 1.0) > 0.01) {
           warnings.push('AI weights do not sum to 100%');
         }
+
+        if (ai.strategies) {
+          const ids = ai.strategies.map(entry => entry.id);
+          if (ids.some(id => !id) || new Set(ids).size !== ids.length) {
+            errors.push('Every strategy needs a unique id');
+          }
+          if (ai.strategies.some(entry => !entry.strategy)) {
+            errors.push('Every strategy entry must name a strategy plugin');
+          }
+          if (!ai.strategies.some(entry => entry.enabled !== false)) {
+            warnings.push('No strategies are enabled - automated trading will only hold');
+          }
+        }
+
+        if (ai.confluence) {
+          const timeframes = ai.confluence.timeframes || [];
+          const unknown = timeframes.filter(timeframe => !CONFLUENCE_TIMEFRAMES.includes(timeframe));
+          if (unknown.length > 0) {
+            errors.push(`Unsupported confluence timeframes: ${unknown.join(', ')}`);
+          } else if (timeframes.length > 0) {
+            const entryTimeframe = CONFLUENCE_TIMEFRAMES.find(timeframe => timeframes.includes(timeframe));
+            if (!ANALYSIS_TIMEFRAMES.includes(entryTimeframe)) {
+              errors.push(`The lowest confluence timeframe must be one of ${ANALYSIS_TIMEFRAMES.join(', ')}`);
+            }
+          }
+          if (ai.confluence.minScore < 0 || ai.confluence.minScore > 1) {
+            errors.push('Confluence minimum score must be between 0 and 1');
+          }
+          if (ai.confluence.cooldownMinutes < 0) {
+            errors.push('Trade cooldown cannot be negative');
+          }
+        }
       }
 
       // Validate platforms
@@ -286,7 +498,7 @@ export class ConfigManager {
   }
 
   separateSensitiveData(config) {
-    const sensitiveKeys = ['apiKey', 'apiSecret', 'password', 'token', 'privateKey'];
+    const sensitiveKeys = ['apiKey', 'apiSecret', 'passphrase', 'password', 'token', 'privateKey'];
     const sensitiveData = {};
     const publicConfig = this.deepClone(config);
 
@@ -297,31 +509,73 @@ export class ConfigManager {
   }
 
   extractSensitiveData(obj, sensitiveContainer, sensitiveKeys, path = '') {
+    // Arrays are walked too so platform credentials (platforms.0.apiKey) are captured
     for (const [key, value] of Object.entries(obj)) {
       const currentPath = path ? `${path}.${key}` : key;
       
       if (sensitiveKeys.some(sensitiveKey => 
           key.toLowerCase().includes(sensitiveKey.toLowerCase()))) {
         sensitiveContainer[currentPath] = value;
-        obj[key] = '[ENCRYPTED]';
-      } else if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+        obj[key] = SECRET_PLACEHOLDER;
+      } else if (typeof value === 'object' && value !== null) {
         this.extractSensitiveData(value, sensitiveContainer, sensitiveKeys, currentPath);
       }
     }
   }
 
+  restoreSecretPlaceholders(target, source) {
+    if (!target || typeof target !== 'object' || !source || typeof source !== 'object') {
+      return;
+    }
+
+    for (const [key, value] of Object.entries(target)) {
+      if (value === SECRET_PLACEHOLDER && source[key] !== undefined) {
+        target[key] = source[key];
+      } else if (Array.isArray(value) && Array.isArray(source[key])) {
+        // Match named entries (platforms) by name so removals don't shift credentials
+        value.forEach((item, index) => {
+          const match = item?.name !== undefined ?
+            source[key].find(candidate => candidate?.name === item.name) :
+            source[key][index];
+          this.restoreSecretPlaceholders(item, match);
+        });
+      } else if (typeof value === 'object' && value !== null) {
+        this.restoreSecretPlaceholders(value, source[key]);
+      }
+    }
+  }
+
   async encryptSensitiveData(data) {
+    const paths = Object.keys(data).sort();
+
+    if (!this.encryptionKey) {
+      if (paths.length === 0) {
+        return null;
+      }
+
+      // While locked, only an unchanged set of placeholders can be saved - the stored secrets stay valid
+      const unchanged = paths.every(path => data[path] === SECRET_PLACEHOLDER) &&
+        paths.join(',') === (this.vaultRecord?.paths || []).join(',');
+      if (this.getVaultStatus().locked && unchanged) {
+        return null;
+      }
+
+      throw new Error(this.getVaultStatus().initialized ?
+        'Secrets vault is locked - unlock it before changing API credentials' :
+        'Set a vault passphrase before saving API credentials');
+    }
+
     try {
-      // In a real implementation, this would use proper encryption
-      // For browser extensions, you might use the Web Crypto API
-      const dataString = JSON.stringify(data);
-      const encoded = btoa(dataString); // Base64 encoding (not secure!)
-      
-      // This is just a placeholder - use proper encryption in production
+      const { iv, data: ciphertext } = await CryptoUtils.encryptAesGcm(this.encryptionKey, JSON.stringify(data));
+
       return {
-        encrypted: encoded,
-        timestamp: Date.now(),
-        version: 1
+        version: VAULT_VERSION,
+        cipher: 'AES-GCM',
+        kdf: this.vaultKdf,
+        iv,
+        data: ciphertext,
+        paths,
+        timestamp: Date.now()
       };
     } catch (error) {
       this.logger.error('Failed to encrypt sensitive data:', error);
@@ -330,21 +584,185 @@ export class ConfigManager {
   }
 
   async loadEncryptedSecrets(encryptedData) {
+    // Version 1 records were only base64-encoded; read them so they can be re-encrypted
+    if (this.isLegacyRecord(encryptedData)) {
+      try {
+        const sensitiveData = JSON.parse(atob(encryptedData.encrypted));
+        this.mergeSensitiveData(this.config, sensitiveData);
+        this.logger.warn('Secrets are stored unencrypted - set a vault passphrase to encrypt them');
+        return { locked: false, migrationPending: true };
+      } catch (error) {
+        this.logger.error('Failed to read legacy secrets:', error);
+        return { locked: false, error: error.message };
+      }
+    }
+
+    if (!this.encryptionKey) {
+      await this.restoreSessionKey(encryptedData);
+    }
+
+    if (!this.encryptionKey) {
+      return { locked: true };
+    }
+
     try {
-      // Decrypt the sensitive data
-      const decrypted = atob(encryptedData.encrypted);
-      const sensitiveData = JSON.parse(decrypted);
+      const decrypted = await CryptoUtils.decryptAesGcm(this.encryptionKey, encryptedData.iv, encryptedData.data);
       
       // Merge back into config
-      this.mergeSensitiveData(this.config, sensitiveData);
+      this.mergeSensitiveData(this.config, JSON.parse(decrypted));
       
       this.logger.debug('Encrypted secrets loaded');
+      return { locked: false };
+    } catch (error) {
+      // A stale session key or a tampered record - treat the vault as locked
+      this.logger.error('Failed to decrypt secrets vault:', error);
+      await this.clearSessionKey();
+      return { locked: true, error: 'Secrets could not be decrypted' };
+    }
+  }
+
+  isLegacyRecord(record) {
+    return !record.version || record.version < VAULT_VERSION;
+  }
+
+  // Secrets vault
+  getVaultStatus() {
+    const initialized = !!this.vaultRecord && !this.isLegacyRecord(this.vaultRecord);
+    const hasSecrets = this.config ? Object.values(this.separateSensitiveData(this.config).sensitiveData)
+      .some(value => value && value !== SECRET_PLACEHOLDER) : false;
+
+    return {
+      initialized,
+      locked: initialized && !this.encryptionKey,
+      migrationPending: !initialized && hasSecrets
+    };
+  }
+
+  async unlockVault(passphrase) {
+    if (!passphrase) {
+      throw new Error('Vault passphrase is required');
+    }
+
+    if (!this.isLoaded) {
+      await this.loadConfig();
+    }
+
+    const { encryptedSecrets } = await chrome.storage.local.get('encryptedSecrets');
+
+    if (encryptedSecrets && !this.isLegacyRecord(encryptedSecrets)) {
+      const key = await this.deriveVaultKey(passphrase, encryptedSecrets.kdf);
+      const sensitiveData = await this.decryptVaultRecord(key, encryptedSecrets);
+
+      this.encryptionKey = key;
+      this.vaultKdf = encryptedSecrets.kdf;
+      this.vaultRecord = encryptedSecrets;
+      this.mergeSensitiveData(this.config, sensitiveData);
+      await this.storeSessionKey();
+
+      this.logger.info('Secrets vault unlocked');
+    } else {
+      // First passphrase: create the vault and encrypt any legacy or plaintext secrets under it
+      const { migrationPending } = this.getVaultStatus();
+      await this.createVaultKey(passphrase);
+      await this.persistConfig(this.config);
+
+      this.logger.info(migrationPending ? 'Existing secrets migrated to encrypted vault' : 'Secrets vault created');
+    }
+
+    const status = this.getVaultStatus();
+    this.notifyWatchers('vaultUnlocked', status);
+    return status;
+  }
+
+  async lockVault() {
+    this.encryptionKey = null;
+    await this.clearSessionKey();
+
+    // Drop decrypted secrets from memory
+    if (this.config && this.getVaultStatus().initialized) {
+      this.config = this.separateSensitiveData(this.config).publicConfig;
+    }
+
+    this.logger.info('Secrets vault locked');
+    const status = this.getVaultStatus();
+    this.notifyWatchers('vaultLocked', status);
+    return status;
+  }
+
+  async changeVaultPassphrase(currentPassphrase, newPassphrase) {
+    if (!newPassphrase) {
+      throw new Error('New vault passphrase is required');
+    }
+
+    const { encryptedSecrets } = await chrome.storage.local.get('encryptedSecrets');
+    if (!encryptedSecrets || this.isLegacyRecord(encryptedSecrets)) {
+      throw new Error('No vault passphrase has been set yet');
+    }
+
+    // Verify the current passphrase before replacing the key
+    const currentKey = await this.deriveVaultKey(currentPassphrase, encryptedSecrets.kdf);
+    const sensitiveData = await this.decryptVaultRecord(currentKey, encryptedSecrets);
+    this.mergeSensitiveData(this.config, sensitiveData);
+
+    // Fresh salt and key, then re-encrypt everything under it
+    await this.createVaultKey(newPassphrase);
+    await this.persistConfig(this.config);
+
+    this.logger.info('Vault passphrase changed');
+    return this.getVaultStatus();
+  }
+
+  async createVaultKey(passphrase) {
+    this.vaultKdf = {
+      name: 'PBKDF2',
+      hash: 'SHA-256',
+      iterations: PBKDF2_ITERATIONS,
+      salt: CryptoUtils.bytesToBase64(CryptoUtils.randomBytes(16))
+    };
+    this.encryptionKey = await this.deriveVaultKey(passphrase, this.vaultKdf);
+    await this.storeSessionKey();
+  }
+
+  async deriveVaultKey(passphrase, kdf) {
+    return CryptoUtils.deriveAesKey(passphrase, CryptoUtils.base64ToBytes(kdf.salt), kdf.iterations);
+  }
+
+  async decryptVaultRecord(key, record) {
+    try {
+      return JSON.parse(await CryptoUtils.decryptAesGcm(key, record.iv, record.data));
+    } catch (error) {
+      throw new Error('Incorrect vault passphrase');
+    }
+  }
+
+  // The derived key lives in session storage so it survives service worker restarts
+  // but is gone when the browser closes
+  async storeSessionKey() {
+    await chrome.storage.session.set({
+      vaultSession: {
+        key: await CryptoUtils.exportAesKey(this.encryptionKey),
+        salt: this.vaultKdf.salt
+      }
+    });
+  }
+
+  async restoreSessionKey(record) {
+    try {
+      const { vaultSession } = await chrome.storage.session.get('vaultSession');
+      if (vaultSession && vaultSession.salt === record.kdf?.salt) {
+        this.encryptionKey = await CryptoUtils.importAesKey(vaultSession.key);
+        this.vaultKdf = record.kdf;
+      }
     } catch (error) {
-      this.logger.error('Failed to load encrypted secrets:', error);
-      // Continue without secrets rather than failing
+      this.logger.warn('Could not restore vault session key:', error);
     }
   }
 
+  async clearSessionKey() {
+    this.encryptionKey = null;
+    await chrome.storage.session.remove('vaultSession');
+  }
+
   mergeSensitiveData(config, sensitiveData) {
     for (const [path, value] of Object.entries(sensitiveData)) {
       this.setNestedValue(config, path, value);
@@ -514,14 +932,14 @@ export class ConfigManager {
 
   removeSensitiveData(config) {
     const clean = this.deepClone(config);
-    const sensitiveKeys = ['apiKey', 'apiSecret', 'password', 'token', 'privateKey'];
+    const sensitiveKeys = ['apiKey', 'apiSecret', 'passphrase', 'password', 'token', 'privateKey'];
     
     const removeSensitive = (obj) => {
       for (const [key, value] of Object.entries(obj)) {
         if (sensitiveKeys.some(sensitive => 
             key.toLowerCase().includes(sensitive.toLowerCase()))) {
           obj[key] = '[REMOVED]';
-        } else if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+        } else if (typeof value === 'object' && value !== null) {
           removeSensitive(value);
         }
       }
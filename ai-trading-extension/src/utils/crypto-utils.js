@@ -0,0 +1,146 @@
+// Crypto Utilities
+// Async HMAC, hashing and AES-GCM helpers on top of the Web Crypto API
+// Used for exchange request signing and the encrypted secrets vault
+
+const textEncoder = new TextEncoder();
+
+export class CryptoUtils {
+  // HMAC over a message; algorithm is 'SHA-256' or 'SHA-512', output is 'hex', 'base64' or 'bytes'
+  static async hmac(algorithm, secret, message, outputEncoding = 'hex') {
+    const keyBytes = CryptoUtils.toBytes(secret);
+    const key = await crypto.subtle.importKey(
+      'raw',
+      keyBytes,
+      { name: 'HMAC', hash: { name: algorithm } },
+      false,
+      ['sign']
+    );
+
+    const signature = await crypto.subtle.sign('HMAC', key, CryptoUtils.toBytes(message));
+    return CryptoUtils.encode(new Uint8Array(signature), outputEncoding);
+  }
+
+  static async hmacSha256(secret, message, outputEncoding = 'hex') {
+    return CryptoUtils.hmac('SHA-256', secret, message, outputEncoding);
+  }
+
+  static async hmacSha512(secret, message, outputEncoding = 'hex') {
+    return CryptoUtils.hmac('SHA-512', secret, message, outputEncoding);
+  }
+
+  static async hash(algorithm, message, outputEncoding = 'hex') {
+    const digest = await crypto.subtle.digest(algorithm, CryptoUtils.toBytes(message));
+    return CryptoUtils.encode(new Uint8Array(digest), outputEncoding);
+  }
+
+  static randomBytes(length) {
+    return crypto.getRandomValues(new Uint8Array(length));
+  }
+
+  // AES-GCM key derived from a passphrase; extractable so it can be parked in session storage
+  static async deriveAesKey(passphrase, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey(
+      'raw',
+      CryptoUtils.toBytes(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash: 'SHA-256', salt: CryptoUtils.toBytes(salt), iterations },
+      baseKey,
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  static async exportAesKey(key) {
+    const raw = await crypto.subtle.exportKey('raw', key);
+    return CryptoUtils.bytesToBase64(new Uint8Array(raw));
+  }
+
+  static async importAesKey(base64Key) {
+    return crypto.subtle.importKey(
+      'raw',
+      CryptoUtils.base64ToBytes(base64Key),
+      { name: 'AES-GCM' },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  static async encryptAesGcm(key, plaintext) {
+    const iv = CryptoUtils.randomBytes(12);
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, CryptoUtils.toBytes(plaintext));
+
+    return {
+      iv: CryptoUtils.bytesToBase64(iv),
+      data: CryptoUtils.bytesToBase64(new Uint8Array(ciphertext))
+    };
+  }
+
+  // Throws if the key is wrong or the ciphertext was tampered with
+  static async decryptAesGcm(key, iv, data) {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: CryptoUtils.base64ToBytes(iv) },
+      key,
+      CryptoUtils.base64ToBytes(data)
+    );
+    return new TextDecoder().decode(plaintext);
+  }
+
+  // Encoding helpers
+  static toBytes(value) {
+    if (value instanceof Uint8Array) return value;
+    if (value instanceof ArrayBuffer) return new Uint8Array(value);
+    return textEncoder.encode(String(value));
+  }
+
+  static concatBytes(...parts) {
+    const arrays = parts.map(part => CryptoUtils.toBytes(part));
+    const result = new Uint8Array(arrays.reduce((sum, arr) => sum + arr.length, 0));
+
+    let offset = 0;
+    for (const arr of arrays) {
+      result.set(arr, offset);
+      offset += arr.length;
+    }
+    return result;
+  }
+
+  static encode(bytes, outputEncoding) {
+    switch (outputEncoding) {
+      case 'hex':
+        return CryptoUtils.bytesToHex(bytes);
+      case 'base64':
+        return CryptoUtils.bytesToBase64(bytes);
+      case 'bytes':
+        return bytes;
+      default:
+        throw new Error(`Unsupported output encoding: ${outputEncoding}`);
+    }
+  }
+
+  static bytesToHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  static bytesToBase64(bytes) {
+    let binary = '';
+    for (const byte of bytes) {
+      binary += String.fromCharCode(byte);
+    }
+    return btoa(binary);
+  }
+
+  static base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+}
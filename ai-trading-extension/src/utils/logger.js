@@ -4,7 +4,6 @@
 export class Logger {
   constructor(context = 'AITrading') {
     this.context = context;
-    this.logLevel = this.getLogLevel();
     this.logs = [];
     this.maxLogs = 1000; // Keep last 1000 logs in memory
     
@@ -15,6 +14,7 @@ export class Logger {
       DEBUG: 3,
       TRACE: 4
     };
+    this.logLevel = this.getLogLevel();
   }
 
   getLogLevel() {
@@ -122,7 +122,7 @@ export class Logger {
     }
 
     const sensitiveKeys = [
-      'apikey', 'api_key', 'apiSecret', 'api_secret', 'password', 
+      'apikey', 'api_key', 'apiSecret', 'api_secret', 'passphrase', 'password', 
       'token', 'secret', 'private_key', 'privateKey', 'signature'
     ];
 
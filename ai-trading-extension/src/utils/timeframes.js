@@ -0,0 +1,14 @@
+// Timeframes
+// Candle lengths shared by the analysis, backtest, risk, streaming and execution code
+
+// Minutes per candle for every timeframe the extension works with
+export const TIMEFRAME_MINUTES = {
+  '1m': 1, '3m': 3, '5m': 5, '15m': 15, '30m': 30,
+  '1h': 60, '2h': 120, '4h': 240, '6h': 360, '8h': 480, '12h': 720,
+  '1d': 1440, '3d': 4320, '1w': 10080
+};
+
+// Candles in a calendar year of round-the-clock trading; unknown timeframes count as hourly
+export function getPeriodsPerYear(timeframe) {
+  return (365 * 24 * 60) / (TIMEFRAME_MINUTES[timeframe] || 60);
+}
@@ -0,0 +1,92 @@
+import '../helpers/chrome.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { AlpacaAdapter } from '../../src/trading/adapters/alpaca-adapter.js';
+import { loadFixture, replayFetch } from '../helpers/replay-fetch.js';
+
+const fixture = loadFixture('adapters/alpaca');
+let replay;
+
+afterEach(() => replay?.restore());
+
+async function connectedAdapter(...scenarios) {
+  replay = replayFetch(fixture.connect, ...scenarios.map(name => fixture[name]));
+  const adapter = new AlpacaAdapter();
+  await adapter.connect(fixture.config);
+  return adapter;
+}
+
+test('connects to the paper account with key headers', async () => {
+  const adapter = await connectedAdapter();
+  replay.assertDone();
+  assert.equal(adapter.isConnected, true);
+});
+
+test('reports cash beyond buying power as locked', async () => {
+  const adapter = await connectedAdapter('balance');
+
+  assert.deepEqual(await adapter.getAccountBalance(), [
+    { currency: 'USD', available: 18500, locked: 6500, total: 25000, equity: 31250.75 }
+  ]);
+  replay.assertDone();
+});
+
+test('builds market data from the snapshot and oldest-first bars', async () => {
+  const adapter = await connectedAdapter('marketData');
+  const marketData = await adapter.getMarketData('aapl', '5m');
+
+  assert.equal(marketData.currentPrice, 193.2);
+  assert.equal(marketData.previousPrice, 196.89);
+  assert.deepEqual(marketData.prices, [193, 193.2]);
+  assert.equal(marketData.candles[0].time, Date.parse('2024-06-10T15:20:00Z'));
+  assert.deepEqual(marketData.orderBook, {
+    bids: [{ price: 193.18, quantity: 2 }],
+    asks: [{ price: 193.22, quantity: 3 }]
+  });
+
+  const start = Date.parse(replay.requests.at(-1).url.searchParams.get('start'));
+  assert.ok(Date.now() - start >= 7 * 24 * 60 * 60 * 1000);
+  replay.assertDone();
+});
+
+test('places, reads and cancels a limit order', async () => {
+  const adapter = await connectedAdapter('createOrder', 'orderStatus', 'cancelOrder');
+
+  const order = await adapter.createOrder({ symbol: 'AAPL', side: 'BUY', quantity: 10, type: 'LIMIT', price: 190 });
+  assert.equal(order.status, 'open');
+  assert.equal(order.timestamp, Date.parse('2024-06-10T15:31:00.000Z'));
+
+  const status = await adapter.getOrderStatus(order.id);
+  assert.equal(status.status, 'partially_filled');
+  assert.equal(status.filled, 4);
+  assert.equal(status.avgPrice, 189.98);
+
+  // Cancels answer 204 No Content
+  assert.equal((await adapter.cancelOrder(order.id)).status, 'CANCELLED');
+  replay.assertDone();
+});
+
+test('attaches stop loss and take profit as a bracket', async () => {
+  const adapter = await connectedAdapter('bracketOrder');
+
+  const order = await adapter.createOrder({
+    symbol: 'AAPL', side: 'BUY', quantity: 10, type: 'LIMIT', price: 200, stopLoss: 0.02, takeProfit: 0.05
+  });
+  assert.deepEqual(order.legs.map(leg => [leg.type, leg.price, leg.status]), [
+    ['LIMIT', 210, 'open'],
+    ['STOP', 196, 'open']
+  ]);
+  replay.assertDone();
+});
+
+test('surfaces error messages', async () => {
+  const adapter = await connectedAdapter('insufficientBuyingPower');
+  await assert.rejects(
+    adapter.createOrder({ symbol: 'AAPL', side: 'BUY', quantity: 100000, type: 'MARKET' }),
+    /Alpaca API error: insufficient buying power/
+  );
+
+  replay.restore();
+  replay = replayFetch(fixture.unauthorized);
+  await assert.rejects(new AlpacaAdapter().connect(fixture.config), /Alpaca connection test failed: Alpaca API error: request is not authorized/);
+});
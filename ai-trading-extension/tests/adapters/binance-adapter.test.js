@@ -0,0 +1,62 @@
+import '../helpers/chrome.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { BinanceAdapter } from '../../src/trading/adapters/binance-adapter.js';
+import { replayFetch } from '../helpers/replay-fetch.js';
+
+// Example from the Binance Spot API docs, "SIGNED Endpoint Examples for POST /api/v3/order"
+const DOCS_EXAMPLE = {
+  apiKey: 'vmPUZE6mv9SD5VNHk4HlWFsOr6aKE2zvsw0MuIgwCIPy6utIco14y7Ju91duEh8A',
+  apiSecret: 'NhqPtmdSJYdKjVHjA7PZj4Mge3R5YNiP1e3UZjInClVN65XAbvqqM6A7H5fATj0j',
+  query: 'symbol=LTCBTC&side=BUY&type=LIMIT&timeInForce=GTC&quantity=1&price=0.1&recvWindow=5000&timestamp=1499827319559',
+  signature: 'c8db56825ae71d6d79447849e617115f4a920fa2acdcab2b053c4b2838bd6b71'
+};
+
+let replay;
+
+afterEach(() => replay?.restore());
+
+function adapterWithDocsKey() {
+  const adapter = new BinanceAdapter();
+  adapter.config = {
+    apiKey: DOCS_EXAMPLE.apiKey,
+    apiSecret: DOCS_EXAMPLE.apiSecret,
+    testMode: true,
+    baseUrl: adapter.testUrl
+  };
+  // Skip the server time sync before signed requests
+  adapter.lastTimeSync = Date.now();
+  return adapter;
+}
+
+test('signs the documented example query', async () => {
+  assert.equal(await adapterWithDocsKey().createSignature(DOCS_EXAMPLE.query), DOCS_EXAMPLE.signature);
+});
+
+test('appends the signature over the exact query it sends', async () => {
+  replay = replayFetch([{
+    request: {
+      method: 'GET',
+      url: 'https://testnet.binance.vision/api/v3/account?timestamp=*&recvWindow=5000&signature=*',
+      headers: { 'X-MBX-APIKEY': DOCS_EXAMPLE.apiKey }
+    },
+    response: { body: { balances: [] } }
+  }]);
+
+  await adapterWithDocsKey().makeRequest('GET', '/api/v3/account');
+  replay.assertDone();
+
+  const [query, signature] = replay.requests[0].url.search.slice(1).split('&signature=');
+  assert.equal(signature, createHmac('sha256', DOCS_EXAMPLE.apiSecret).update(query).digest('hex'));
+});
+
+test('leaves public endpoints unsigned', async () => {
+  replay = replayFetch([{
+    request: { method: 'GET', url: 'https://testnet.binance.vision/api/v3/ticker/price?symbol=LTCBTC' },
+    response: { body: { symbol: 'LTCBTC', price: '0.1' } }
+  }]);
+
+  await adapterWithDocsKey().makeRequest('GET', '/api/v3/ticker/price', { symbol: 'LTCBTC' });
+  replay.assertDone();
+});
@@ -0,0 +1,102 @@
+import '../helpers/chrome.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { BybitAdapter } from '../../src/trading/adapters/bybit-adapter.js';
+import { loadFixture, replayFetch } from '../helpers/replay-fetch.js';
+
+const fixture = loadFixture('adapters/bybit');
+let replay;
+
+afterEach(() => replay?.restore());
+
+async function connectedAdapter(...scenarios) {
+  replay = replayFetch(fixture.connect, ...scenarios.map(name => fixture[name]));
+  const adapter = new BybitAdapter();
+  await adapter.connect(fixture.config);
+  return adapter;
+}
+
+test('connects to testnet with signed query strings', async () => {
+  await connectedAdapter();
+  replay.assertDone();
+
+  const [{ url, headers }] = replay.requests;
+  const expected = createHmac('sha256', fixture.config.apiSecret)
+    .update(headers['X-BAPI-TIMESTAMP'] + fixture.config.apiKey + '5000' + url.search.slice(1))
+    .digest('hex');
+  assert.equal(headers['X-BAPI-SIGN'], expected);
+});
+
+test('signs JSON bodies on POST requests', async () => {
+  const adapter = await connectedAdapter('createOrder');
+  await adapter.createOrder({ symbol: 'BTCUSDT', side: 'BUY', quantity: 0.1, type: 'LIMIT', price: 15600 });
+
+  const { headers, rawBody } = replay.requests.at(-1);
+  const expected = createHmac('sha256', fixture.config.apiSecret)
+    .update(headers['X-BAPI-TIMESTAMP'] + fixture.config.apiKey + '5000' + rawBody)
+    .digest('hex');
+  assert.equal(headers['X-BAPI-SIGN'], expected);
+  replay.assertDone();
+});
+
+test('reports unified account balances', async () => {
+  const adapter = await connectedAdapter('balance');
+
+  assert.deepEqual(await adapter.getAccountBalance(), [
+    { currency: 'USDT', available: 3000, locked: 500.5, total: 3500.5 },
+    { currency: 'BTC', available: 0.0005, locked: 0, total: 0.0005 }
+  ]);
+  replay.assertDone();
+});
+
+test('normalizes market data with candles oldest first', async () => {
+  const adapter = await connectedAdapter('marketData');
+  const marketData = await adapter.getMarketData('BTC-USDT', '1h');
+
+  assert.equal(marketData.currentPrice, 20533.13);
+  assert.equal(marketData.previousPrice, 20393.48);
+  assert.equal(marketData.volume24h, 11801.27771);
+  assert.deepEqual(marketData.candles.map(candle => candle.time), [1670601600000, 1670605200000, 1670608800000]);
+  assert.deepEqual(marketData.candles[2], {
+    time: 1670608800000, open: 17071, high: 17073, low: 17027, close: 17055.5, volume: 268611
+  });
+  assert.deepEqual(marketData.orderBook.asks[0], { price: 20527.77, quantity: 1.862172 });
+  replay.assertDone();
+});
+
+test('places stop orders as spot stop-order filters', async () => {
+  const adapter = await connectedAdapter('createStopOrder');
+
+  const order = await adapter.createOrder({ symbol: 'BTCUSDT', side: 'SELL', quantity: 0.1, type: 'STOP_MARKET', stopPrice: 15000 });
+  assert.equal(order.id, '1321003749386327553');
+  replay.assertDone();
+});
+
+test('cancels orders and falls back to history for closed ones', async () => {
+  const adapter = await connectedAdapter('createOrder', 'cancelOrder', 'orderStatus');
+
+  const order = await adapter.createOrder({ symbol: 'BTCUSDT', side: 'BUY', quantity: 0.1, type: 'LIMIT', price: 15600 });
+  // The symbol is remembered from placement
+  assert.equal((await adapter.cancelOrder(order.id)).status, 'CANCELLED');
+
+  const status = await adapter.getOrderStatus(order.id);
+  assert.equal(status.status, 'filled');
+  assert.equal(status.filled, 0.1);
+  assert.equal(status.avgPrice, 15599.5);
+  assert.equal(status.type, 'LIMIT');
+  replay.assertDone();
+});
+
+test('surfaces retCode and HTTP errors', async () => {
+  const adapter = await connectedAdapter('insufficientBalance');
+  await assert.rejects(
+    adapter.createOrder({ symbol: 'BTCUSDT', side: 'BUY', quantity: 100, type: 'MARKET' }),
+    /Bybit API error: Insufficient balance. \(170131\)/
+  );
+  await assert.rejects(adapter.cancelOrder('999'), /Symbol is required to look up Bybit order 999/);
+
+  replay.restore();
+  replay = replayFetch(fixture.invalidKey);
+  await assert.rejects(new BybitAdapter().connect(fixture.config), /Bybit connection test failed: Bybit API error: Unauthorized/);
+});
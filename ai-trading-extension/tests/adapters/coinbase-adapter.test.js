@@ -0,0 +1,90 @@
+import '../helpers/chrome.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CoinbaseAdapter } from '../../src/trading/adapters/coinbase-adapter.js';
+import { replayFetch } from '../helpers/replay-fetch.js';
+
+// Request from the Coinbase Exchange docs' signing example, with a fixed timestamp and a sample
+// base64 secret; expected values are the output of the docs' reference Node snippet
+const SANDBOX_EXAMPLE = {
+  apiKey: 'sandbox-key',
+  apiSecret: 'Y29pbmJhc2Utc2FuZGJveC1leGFtcGxlLXNlY3JldC0wMTIzNDU2Nzg5YWJjZGVm',
+  passphrase: 'sandbox-passphrase',
+  timestamp: 1718000000,
+  body: { price: '1.0', size: '1.0', side: 'buy', product_id: 'BTC-USD' },
+  postSignature: '9QLjYLUCCDuZegl/B+LLArhna1CDVi6fakHkTfuxdbE=',
+  getSignature: 'SY0irxu+xUWPUMsQOtyEqUiIldSx/hpfIGHF7v9kHJo='
+};
+
+// Advanced Trade legacy API key signing: hex HMAC of timestamp + method + path + body,
+// with the query string left out of the signed path
+const ADVANCED_TRADE_EXAMPLE = {
+  apiKey: 'advanced-trade-key',
+  apiSecret: 'advanced-trade-example-secret',
+  timestamp: 1718000000,
+  signature: '8d80b6bcf128d8e4d7f111192387b135f24a7f419d89ca70bd3303cc654e1a87'
+};
+
+let replay;
+
+afterEach(() => replay?.restore());
+
+function adapterWith(example, testMode) {
+  const adapter = new CoinbaseAdapter();
+  adapter.config = {
+    apiKey: example.apiKey,
+    apiSecret: example.apiSecret,
+    passphrase: example.passphrase,
+    testMode,
+    baseUrl: testMode ? adapter.sandboxUrl : adapter.baseUrl
+  };
+  return adapter;
+}
+
+test('signs sandbox requests with the decoded secret in base64', async () => {
+  const adapter = adapterWith(SANDBOX_EXAMPLE, true);
+
+  assert.equal(
+    await adapter.createSignature(SANDBOX_EXAMPLE.timestamp, 'POST', new URL(adapter.sandboxUrl + '/orders'), JSON.stringify(SANDBOX_EXAMPLE.body)),
+    SANDBOX_EXAMPLE.postSignature
+  );
+  // The sandbox signs the query string with the path
+  assert.equal(
+    await adapter.createSignature(SANDBOX_EXAMPLE.timestamp, 'GET', new URL(adapter.sandboxUrl + '/orders?status=open'), ''),
+    SANDBOX_EXAMPLE.getSignature
+  );
+});
+
+test('signs Advanced Trade requests in hex without the query string', async () => {
+  const adapter = adapterWith(ADVANCED_TRADE_EXAMPLE, false);
+  const path = '/api/v3/brokerage/orders/historical/batch';
+
+  for (const query of ['', '?order_status=OPEN']) {
+    assert.equal(
+      await adapter.createSignature(ADVANCED_TRADE_EXAMPLE.timestamp, 'GET', new URL('https://api.coinbase.com' + path + query), ''),
+      ADVANCED_TRADE_EXAMPLE.signature
+    );
+  }
+});
+
+test('sends the sandbox passphrase with the signed headers', async () => {
+  replay = replayFetch([{
+    request: {
+      method: 'POST',
+      url: 'https://api-public.sandbox.exchange.coinbase.com/orders',
+      headers: { 'CB-ACCESS-KEY': 'sandbox-key', 'CB-ACCESS-PASSPHRASE': 'sandbox-passphrase' },
+      body: SANDBOX_EXAMPLE.body
+    },
+    response: { body: { id: 'd0c5340b-6d6c-49d9-b567-48c4bfca13d2', status: 'pending' } }
+  }]);
+
+  const adapter = adapterWith(SANDBOX_EXAMPLE, true);
+  await adapter.makeRequest('POST', '/orders', SANDBOX_EXAMPLE.body);
+  replay.assertDone();
+
+  const { headers, rawBody } = replay.requests[0];
+  assert.equal(
+    headers['CB-ACCESS-SIGN'],
+    await adapter.createSignature(headers['CB-ACCESS-TIMESTAMP'], 'POST', new URL(adapter.sandboxUrl + '/orders'), rawBody)
+  );
+});
@@ -0,0 +1,109 @@
+import '../helpers/chrome.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash, createHmac } from 'node:crypto';
+import { GateAdapter } from '../../src/trading/adapters/gate-adapter.js';
+import { loadFixture, replayFetch } from '../helpers/replay-fetch.js';
+
+const fixture = loadFixture('adapters/gate');
+let replay;
+
+afterEach(() => replay?.restore());
+
+async function connectedAdapter(...scenarios) {
+  replay = replayFetch(fixture.connect, ...scenarios.map(name => fixture[name]));
+  const adapter = new GateAdapter();
+  await adapter.connect(fixture.config);
+  return adapter;
+}
+
+function expectedSignature({ method, url, headers, rawBody }) {
+  const bodyHash = createHash('sha512').update(rawBody || '').digest('hex');
+  return createHmac('sha512', fixture.config.apiSecret)
+    .update([method, url.pathname, url.search.slice(1), bodyHash, headers.Timestamp].join('\n'))
+    .digest('hex');
+}
+
+test('connects to testnet with APIv4 signatures', async () => {
+  await connectedAdapter();
+  replay.assertDone();
+
+  const [request] = replay.requests;
+  assert.equal(request.headers.SIGN, expectedSignature(request));
+});
+
+test('reports balances including fully locked currencies', async () => {
+  const adapter = await connectedAdapter('balance');
+
+  assert.deepEqual(await adapter.getAccountBalance(), [
+    { currency: 'USDT', available: 1200.5, locked: 300, total: 1500.5 },
+    { currency: 'ETH', available: 0, locked: 0.5, total: 0.5 }
+  ]);
+  replay.assertDone();
+});
+
+test('normalizes market data from unsigned public endpoints', async () => {
+  const adapter = await connectedAdapter('marketData');
+  const marketData = await adapter.getMarketData('ETHUSDT', '5m');
+
+  assert.equal(marketData.symbol, 'ETH_USDT');
+  assert.equal(marketData.currentPrice, 2100);
+  assert.equal(marketData.previousPrice, 2000);
+  assert.deepEqual(marketData.candles[0], {
+    time: 1718000000000, open: 2092, high: 2097, low: 2090, close: 2095.5, volume: 50.125
+  });
+  assert.deepEqual(marketData.orderBook.bids[0], { price: 2099.9, quantity: 0.8 });
+  assert.ok(replay.requests.slice(1).every(request => !request.headers.SIGN));
+  replay.assertDone();
+});
+
+test('places limit orders, signs their body, and reads fill progress', async () => {
+  const adapter = await connectedAdapter('createOrder', 'orderStatus', 'cancelOrder');
+
+  const order = await adapter.createOrder({ symbol: 'ETHUSDT', side: 'BUY', quantity: 0.5, type: 'LIMIT', price: 2000 });
+  assert.equal(order.id, '12332324');
+  assert.equal(order.status, 'open');
+  assert.equal(order.timestamp, 1548000000123);
+  assert.match(replay.requests.at(-1).body.text, /^t-[0-9a-f]{24}$/);
+  assert.equal(replay.requests.at(-1).headers.SIGN, expectedSignature(replay.requests.at(-1)));
+
+  const status = await adapter.getOrderStatus(order.id);
+  assert.equal(status.status, 'partially_filled');
+  assert.equal(status.filled, 0.3);
+
+  // The pair is remembered from placement
+  assert.equal((await adapter.cancelOrder(order.id)).status, 'CANCELLED');
+  replay.assertDone();
+});
+
+test('places trigger orders on the price order endpoint', async () => {
+  const adapter = await connectedAdapter('createTriggerOrder');
+
+  const order = await adapter.createOrder({ symbol: 'ETHUSDT', side: 'SELL', quantity: 0.5, type: 'STOP_MARKET', stopPrice: 1800 });
+  assert.equal(order.id, '1432329');
+  replay.assertDone();
+});
+
+test('finds trigger orders placed before a restart', async () => {
+  const adapter = await connectedAdapter('triggerOrderAfterRestart');
+
+  const status = await adapter.getOrderStatus('1432329', 'ETHUSDT');
+  assert.equal(status.status, 'open');
+  assert.equal(status.side, 'SELL');
+  assert.equal(status.timestamp, 1616397800000);
+
+  await adapter.cancelOrder('1432329', 'ETHUSDT');
+  replay.assertDone();
+});
+
+test('surfaces error labels', async () => {
+  const adapter = await connectedAdapter('balanceNotEnough');
+  await assert.rejects(
+    adapter.createOrder({ symbol: 'ETHUSDT', side: 'BUY', quantity: 100, type: 'LIMIT', price: 2000 }),
+    /Gate.io API error: Not enough balance/
+  );
+
+  replay.restore();
+  replay = replayFetch(fixture.invalidKey);
+  await assert.rejects(new GateAdapter().connect(fixture.config), /Gate.io connection test failed: Gate.io API error: Invalid key provided/);
+});
@@ -0,0 +1,91 @@
+import '../helpers/chrome.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { InteractiveBrokersAdapter } from '../../src/trading/adapters/ib-adapter.js';
+import { loadFixture, replayFetch } from '../helpers/replay-fetch.js';
+
+const fixture = loadFixture('adapters/ib');
+let replay;
+let adapter;
+
+afterEach(async () => {
+  replay?.restore();
+  // Stops the gateway keep-alive timer
+  await adapter?.disconnect();
+});
+
+async function connectedAdapter(...scenarios) {
+  replay = replayFetch(fixture.connect, ...scenarios.map(name => fixture[name]));
+  adapter = new InteractiveBrokersAdapter();
+  await adapter.connect(fixture.config);
+  return adapter;
+}
+
+test('connects through the gateway session and selects the account', async () => {
+  await connectedAdapter();
+  replay.assertDone();
+  assert.equal(adapter.accountId, 'DU1234567');
+  assert.equal(adapter.isConnected, true);
+});
+
+test('reports per-currency ledger balances without the BASE aggregate', async () => {
+  await connectedAdapter('balance');
+
+  assert.deepEqual(await adapter.getAccountBalance(), [
+    { currency: 'USD', available: 48000.5, locked: 2000, total: 50000.5, equity: 61234.25 }
+  ]);
+  replay.assertDone();
+});
+
+test('resolves the primary listing and parses snapshot fields', async () => {
+  await connectedAdapter('contract', 'marketData');
+  const marketData = await adapter.getMarketData('AAPL', '5m');
+
+  assert.equal(marketData.currentPrice, 193.2);
+  assert.equal(marketData.previousPrice, 196.89);
+  assert.equal(marketData.volume24h, 1250000);
+  assert.deepEqual(marketData.candles[0], {
+    time: 1718032800000, open: 192.8, high: 193.05, low: 192.7, close: 193, volume: 20110
+  });
+  assert.deepEqual(marketData.orderBook, {
+    bids: [{ price: 193.18, quantity: 200 }],
+    asks: [{ price: 193.22, quantity: 300 }]
+  });
+  replay.assertDone();
+});
+
+test('confirms order prompts, then reads and cancels the order', async () => {
+  await connectedAdapter('contract', 'createOrder', 'orderStatus', 'cancelOrder');
+
+  const order = await adapter.createOrder({ symbol: 'AAPL', side: 'BUY', quantity: 10, type: 'LIMIT', price: 190 });
+  assert.equal(order.id, '1876913592');
+  assert.equal(order.status, 'open');
+
+  const [placed] = replay.requests.find(request => request.url.pathname.endsWith('/orders')).body.orders;
+  assert.equal(placed.conid, 265598);
+  assert.equal(placed.orderType, 'LMT');
+  assert.equal(placed.price, 190);
+
+  const status = await adapter.getOrderStatus(order.id);
+  assert.equal(status.side, 'BUY');
+  assert.equal(status.filled, 4);
+  assert.equal(status.timestamp, Date.UTC(2024, 5, 10, 15, 31, 0));
+
+  assert.equal((await adapter.cancelOrder(order.id)).status, 'CANCELLED');
+  replay.assertDone();
+});
+
+test('surfaces gateway errors and unauthenticated sessions', async () => {
+  await connectedAdapter('contract', 'orderRejected');
+  await assert.rejects(
+    adapter.createOrder({ symbol: 'AAPL', side: 'BUY', quantity: 100000, type: 'MARKET' }),
+    /Interactive Brokers API error: Order rejected: insufficient funds/
+  );
+
+  replay.restore();
+  replay = replayFetch(fixture.unauthenticated);
+  await assert.rejects(
+    new InteractiveBrokersAdapter().connect(fixture.config),
+    /Interactive Brokers connection test failed: Gateway session is not authenticated/
+  );
+});
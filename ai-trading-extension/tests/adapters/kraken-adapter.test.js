@@ -0,0 +1,96 @@
+import '../helpers/chrome.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash, createHmac } from 'node:crypto';
+import { KrakenAdapter } from '../../src/trading/adapters/kraken-adapter.js';
+import { loadFixture, replayFetch } from '../helpers/replay-fetch.js';
+
+const fixture = loadFixture('adapters/kraken');
+let replay;
+
+afterEach(() => replay?.restore());
+
+async function connectedAdapter(scenarios = [], config = {}) {
+  replay = replayFetch(fixture.connect, ...scenarios.map(name => fixture[name]));
+  const adapter = new KrakenAdapter();
+  await adapter.connect({ ...fixture.config, ...config });
+  return adapter;
+}
+
+test('connects with nonce-based SHA-512 signatures', async () => {
+  await connectedAdapter();
+  replay.assertDone();
+
+  const [{ url, headers, rawBody, body }] = replay.requests;
+  const digest = createHash('sha256').update(body.nonce + rawBody).digest();
+  const expected = createHmac('sha512', Buffer.from(fixture.config.apiSecret, 'base64'))
+    .update(Buffer.concat([Buffer.from(url.pathname), digest]))
+    .digest('base64');
+  assert.equal(headers['API-Sign'], expected);
+});
+
+test('reports balances with holds worked out from open orders', async () => {
+  const adapter = await connectedAdapter(['balance']);
+
+  assert.deepEqual(await adapter.getAccountBalance(), [
+    { currency: 'USD', available: 1470.5, locked: 1500, total: 2970.5 },
+    { currency: 'BTC', available: 0.012, locked: 0, total: 0.012 }
+  ]);
+  replay.assertDone();
+});
+
+test('normalizes market data from pair-keyed results', async () => {
+  const adapter = await connectedAdapter(['marketData']);
+  const marketData = await adapter.getMarketData('BTC/USD', '1m');
+
+  assert.equal(marketData.symbol, 'XBTUSD');
+  assert.equal(marketData.currentPrice, 30303.2);
+  assert.equal(marketData.previousPrice, 30502.8);
+  assert.equal(marketData.volume24h, 4412.73601799);
+  assert.deepEqual(marketData.candles[1], {
+    time: 1688671260000, open: 30304.5, high: 30304.5, low: 30300, close: 30300, volume: 4.42996871
+  });
+  assert.equal(marketData.candles.length, 3);
+  assert.deepEqual(marketData.orderBook.bids[0], { price: 30297, quantity: 1.115 });
+  replay.assertDone();
+});
+
+test('only validates orders in test mode', async () => {
+  const adapter = await connectedAdapter(['validateOrder']);
+
+  const order = await adapter.createOrder({ symbol: 'BTCUSD', side: 'BUY', quantity: 1.25, type: 'LIMIT', price: 27500 });
+  assert.equal(order.status, 'validated');
+  assert.equal(order.id, null);
+  replay.assertDone();
+});
+
+test('places, cancels and reads live orders', async () => {
+  const adapter = await connectedAdapter(['createOrder', 'cancelOrder', 'orderStatus'], { testMode: false });
+
+  const order = await adapter.createOrder({ symbol: 'BTCUSD', side: 'SELL', quantity: 0.5, type: 'STOP_MARKET', stopPrice: 26000 });
+  assert.equal(order.id, 'OUF4EM-FRGI2-MQMWZD');
+  assert.equal(order.status, 'open');
+  assert.equal(replay.requests.at(-1).body.validate, undefined);
+
+  assert.equal((await adapter.cancelOrder(order.id)).status, 'CANCELLED');
+
+  const status = await adapter.getOrderStatus('OBCMZD-JIEE7-77TH3F');
+  assert.equal(status.status, 'filled');
+  assert.equal(status.filled, 1.25);
+  assert.equal(status.avgPrice, 27500);
+  assert.equal(status.timestamp, 1688665496781);
+  replay.assertDone();
+});
+
+test('surfaces error arrays and unknown orders', async () => {
+  const adapter = await connectedAdapter(['insufficientFunds', 'unknownOrder'], { testMode: false });
+  await assert.rejects(
+    adapter.createOrder({ symbol: 'BTCUSD', side: 'BUY', quantity: 10, type: 'MARKET' }),
+    /Kraken API error: EOrder:Insufficient funds/
+  );
+  await assert.rejects(adapter.getOrderStatus('OXXXXX-XXXXX-XXXXXX'), /Order not found: OXXXXX-XXXXX-XXXXXX/);
+
+  replay.restore();
+  replay = replayFetch(fixture.invalidKey);
+  await assert.rejects(new KrakenAdapter().connect(fixture.config), /Kraken connection test failed: Kraken API error: EAPI:Invalid key/);
+});
@@ -0,0 +1,112 @@
+import '../helpers/chrome.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { KuCoinAdapter } from '../../src/trading/adapters/kucoin-adapter.js';
+import { loadFixture, replayFetch } from '../helpers/replay-fetch.js';
+
+const fixture = loadFixture('adapters/kucoin');
+let replay;
+
+afterEach(() => replay?.restore());
+
+async function connectedAdapter(...scenarios) {
+  replay = replayFetch(fixture.connect, ...scenarios.map(name => fixture[name]));
+  const adapter = new KuCoinAdapter();
+  await adapter.connect(fixture.config);
+  return adapter;
+}
+
+test('connects to the sandbox with key version 2 signatures', async () => {
+  await connectedAdapter();
+  replay.assertDone();
+
+  const [{ method, url, headers }] = replay.requests;
+  const sign = message => createHmac('sha256', fixture.config.apiSecret).update(message).digest('base64');
+  assert.equal(headers['KC-API-SIGN'], sign(headers['KC-API-TIMESTAMP'] + method + url.pathname));
+  assert.equal(headers['KC-API-PASSPHRASE'], sign(fixture.config.passphrase));
+});
+
+test('reports non-empty trade account balances', async () => {
+  const adapter = await connectedAdapter('balance');
+
+  assert.deepEqual(await adapter.getAccountBalance(), [
+    { currency: 'USDT', available: 900.5, locked: 100, total: 1000.5 },
+    { currency: 'BTC', available: 0.01, locked: 0, total: 0.01 }
+  ]);
+  replay.assertDone();
+});
+
+test('normalizes market data with candles oldest first', async () => {
+  const adapter = await connectedAdapter('marketData');
+  const marketData = await adapter.getMarketData('BTCUSDT', '1m');
+
+  assert.equal(marketData.symbol, 'BTC-USDT');
+  assert.equal(marketData.currentPrice, 65800.5);
+  assert.equal(marketData.previousPrice, 65000);
+  assert.equal(marketData.priceChangePercent24h, 1.23);
+  assert.deepEqual(marketData.candles[0], {
+    time: 1718000040000, open: 65700, high: 65760, low: 65690, close: 65750, volume: 2.1
+  });
+  assert.deepEqual(marketData.prices, [65750, 65790, 65800.5]);
+  assert.deepEqual(marketData.orderBook.bids[0], { price: 65800.4, quantity: 0.5 });
+  assert.deepEqual(marketData.orderBook.asks[0], { price: 65800.5, quantity: 0.3 });
+  replay.assertDone();
+});
+
+test('places limit orders and reads their fill progress', async () => {
+  const adapter = await connectedAdapter('createOrder', 'orderStatus');
+
+  const order = await adapter.createOrder({ symbol: 'BTC/USDT', side: 'BUY', quantity: 0.01, type: 'LIMIT', price: 65000 });
+  assert.equal(order.id, '5bd6e9286d99522a52e458de');
+  assert.equal(order.symbol, 'BTC-USDT');
+
+  const status = await adapter.getOrderStatus(order.id);
+  assert.equal(status.status, 'partially_filled');
+  assert.equal(status.filled, 0.005);
+  assert.equal(status.avgPrice, 65000);
+  replay.assertDone();
+});
+
+test('cancels regular orders on the order endpoint', async () => {
+  const adapter = await connectedAdapter('cancelOrder');
+
+  const result = await adapter.cancelOrder('5bd6e9286d99522a52e458de');
+  assert.equal(result.status, 'CANCELLED');
+  replay.assertDone();
+});
+
+test('places and cancels stop orders on the stop order endpoint', async () => {
+  const adapter = await connectedAdapter('createStopOrder', 'cancelStopOrder');
+
+  const order = await adapter.createOrder({ symbol: 'BTCUSDT', side: 'SELL', quantity: 0.01, type: 'STOP_MARKET', stopPrice: 60000 });
+  await adapter.cancelOrder(order.id);
+  replay.assertDone();
+});
+
+test('finds stop orders placed before a restart', async () => {
+  const adapter = await connectedAdapter('stopOrderStatusAfterRestart', 'cancelStopOrder');
+
+  const status = await adapter.getOrderStatus('vs8hoo8q2ceshiue003b67c0');
+  assert.equal(status.status, 'open');
+  assert.equal(status.type, 'STOP_MARKET');
+
+  // Now known as a stop order, the cancel goes straight to the stop endpoint
+  await adapter.cancelOrder('vs8hoo8q2ceshiue003b67c0');
+  replay.assertDone();
+});
+
+test('surfaces error payloads', async () => {
+  const adapter = await connectedAdapter('insufficientBalance');
+  await assert.rejects(
+    adapter.createOrder({ symbol: 'BTCUSDT', side: 'BUY', quantity: 1, type: 'MARKET' }),
+    /KuCoin API error: Balance insufficient!/
+  );
+
+  replay.restore();
+  replay = replayFetch(fixture.invalidKey);
+  await assert.rejects(
+    new KuCoinAdapter().connect(fixture.config),
+    /KuCoin connection test failed: KuCoin API error: KC-API-KEY not exists/
+  );
+});
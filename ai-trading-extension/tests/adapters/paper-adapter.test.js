@@ -0,0 +1,187 @@
+import '../helpers/chrome.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { PaperAdapter } from '../../src/trading/adapters/paper-adapter.js';
+import { TradingEngine } from '../../src/trading/trading-engine.js';
+
+// Hands out whatever price the test last set, counting the reads
+function quotes(prices) {
+  return {
+    reads: 0,
+    async getMarketData(symbol) {
+      this.reads++;
+      return { symbol, currentPrice: prices[symbol] };
+    }
+  };
+}
+
+async function paperAccount(prices, config = {}) {
+  const adapter = new PaperAdapter();
+  await adapter.connect({ initialBalances: { USDT: 10000 }, feeRate: 0.001, quoteSource: quotes(prices), ...config });
+  return adapter;
+}
+
+beforeEach(() => chrome.storage.local.clear());
+
+test('market orders fill at the quoted price less the fee', async () => {
+  const adapter = await paperAccount({ BTCUSDT: 50000 });
+
+  const order = await adapter.createOrder({ symbol: 'BTCUSDT', side: 'buy', quantity: 0.1, type: 'market' });
+  assert.equal(order.status, 'FILLED');
+  assert.equal(order.avgPrice, 50000);
+  assert.equal(order.fills[0].commission, 5);
+  assert.deepEqual(adapter.state.balances, { USDT: 10000 - 5000 - 5, BTC: 0.1 });
+
+  await assert.rejects(
+    () => adapter.createOrder({ symbol: 'BTCUSDT', side: 'BUY', quantity: 1, type: 'MARKET' }),
+    /Insufficient paper USDT balance/
+  );
+  await assert.rejects(
+    () => adapter.createOrder({ symbol: 'BTCUSDT', side: 'BUY', quantity: 1, type: 'TRAILING_STOP' }),
+    /Unsupported paper order type/
+  );
+});
+
+test('resting limit orders lock funds and never fill worse than their limit', async () => {
+  const prices = { BTCUSDT: 50000 };
+  const adapter = await paperAccount(prices);
+  await adapter.getMarketData('BTCUSDT');
+
+  const limit = await adapter.createOrder({ symbol: 'BTCUSDT', side: 'BUY', quantity: 0.1, type: 'LIMIT', price: 49000 });
+  assert.equal(limit.status, 'NEW');
+  const [usdt] = await adapter.getAccountBalance();
+  assert.equal(usdt.locked, 0.1 * 49000 * 1.001);
+
+  await adapter.processMarketData('BTCUSDT', { currentPrice: 49500 });
+  assert.equal((await adapter.getOrderStatus(limit.id)).status, 'NEW');
+
+  // A gap through the limit fills at the better market price
+  await adapter.processMarketData('BTCUSDT', { currentPrice: 48000 });
+  const filled = await adapter.getOrderStatus(limit.id);
+  assert.equal(filled.status, 'FILLED');
+  assert.equal(filled.avgPrice, 48000);
+  assert.equal(adapter.state.openOrders.length, 0);
+});
+
+test('stop orders trigger at the stop and a stop limit then waits for its limit', async () => {
+  const adapter = await paperAccount({ BTCUSDT: 50000 }, { initialBalances: { USDT: 0, BTC: 2 } });
+  await adapter.getMarketData('BTCUSDT');
+
+  const stop = await adapter.createOrder({ symbol: 'BTCUSDT', side: 'SELL', quantity: 1, type: 'STOP', stopPrice: 49000 });
+  const stopLimit = await adapter.createOrder({
+    symbol: 'BTCUSDT', side: 'SELL', quantity: 1, type: 'STOP_LIMIT', stopPrice: 49000, price: 48800
+  });
+
+  await adapter.processMarketData('BTCUSDT', { currentPrice: 48500 });
+  assert.equal((await adapter.getOrderStatus(stop.id)).avgPrice, 48500);
+  assert.equal((await adapter.getOrderStatus(stopLimit.id)).status, 'NEW');
+  assert.equal(adapter.state.openOrders[0].triggered, true);
+
+  await adapter.processMarketData('BTCUSDT', { currentPrice: 48900 });
+  assert.equal((await adapter.getOrderStatus(stopLimit.id)).avgPrice, 48900);
+});
+
+test('cancelling a resting order releases its funds', async () => {
+  const adapter = await paperAccount({ BTCUSDT: 50000 });
+  const updates = [];
+  adapter.on('orderUpdate', update => updates.push(update.status));
+
+  const order = await adapter.createOrder({ symbol: 'BTCUSDT', side: 'BUY', quantity: 0.1, type: 'LIMIT', price: 40000 });
+  assert.equal((await adapter.cancelOrder(order.id)).status, 'CANCELLED');
+  assert.equal((await adapter.getAccountBalance())[0].locked, 0);
+  assert.deepEqual(updates, ['CANCELED']);
+  await assert.rejects(() => adapter.cancelOrder(order.id), /not found or already closed/);
+});
+
+test('open positions report the side of the holding', async () => {
+  const prices = { BTCUSDT: 100, ETHUSDT: 50 };
+  const adapter = await paperAccount(prices, { initialBalances: { USDT: 10000, ETH: 10 }, feeRate: 0 });
+
+  await adapter.createOrder({ symbol: 'BTCUSDT', side: 'BUY', quantity: 2, type: 'MARKET' });
+  await adapter.createOrder({ symbol: 'ETHUSDT', side: 'SELL', quantity: 4, type: 'MARKET' });
+  await adapter.processMarketData('BTCUSDT', { currentPrice: 110 });
+  await adapter.processMarketData('ETHUSDT', { currentPrice: 45 });
+
+  const [btc, eth] = await adapter.getOpenPositions();
+  assert.equal(btc.side, 'BUY');
+  assert.equal(btc.unrealizedPnl, 20);
+  assert.equal(eth.side, 'SELL');
+  assert.equal(eth.quantity, 4);
+  assert.equal(eth.unrealizedPnl, 20);
+
+  // Buying back more than the short closes it and goes long with the rest
+  await adapter.createOrder({ symbol: 'ETHUSDT', side: 'BUY', quantity: 6, type: 'MARKET' });
+  const flipped = (await adapter.getOpenPositions()).find(position => position.symbol === 'ETHUSDT');
+  assert.equal(flipped.side, 'BUY');
+  assert.equal(flipped.quantity, 2);
+  assert.equal(flipped.entryPrice, 45);
+  assert.equal(adapter.state.positions.ETHUSDT.realizedPnl, 20);
+});
+
+test('recorded candles replay one bar per read', async () => {
+  const candles = [100, 102, 98].map((close, i) => ({ time: i * 60000, open: close, high: close + 1, low: close - 1, close, volume: 10 }));
+  const adapter = new PaperAdapter();
+  await adapter.connect({ recordedData: { BTCUSDT: candles } });
+
+  const closes = [];
+  for (let i = 0; i < 4; i++) {
+    closes.push((await adapter.getMarketData('BTCUSDT')).currentPrice);
+  }
+  // The replay holds on the last bar once it runs out
+  assert.deepEqual(closes, [100, 102, 98, 98]);
+  await assert.rejects(() => adapter.getMarketData('ETHUSDT'), /No recorded data for ETHUSDT/);
+});
+
+function engineWithVenue(venue) {
+  const engine = new TradingEngine({
+    symbolRegistry: { getVenues: () => [], normalize: symbol => symbol }
+  });
+  engine.connections.set('binance', venue);
+  return engine;
+}
+
+test('paper trading replays recorded data instead of the live venues when given it', async () => {
+  const venue = quotes({ BTCUSDT: 50000 });
+  const engine = engineWithVenue(venue);
+
+  await engine.setPaperTrading(true, { recordedData: { BTCUSDT: [{ time: 0, open: 1, high: 1, low: 1, close: 1, volume: 1 }] } });
+  assert.equal((await engine.getMarketData('BTCUSDT')).currentPrice, 1);
+  assert.equal(venue.reads, 0);
+
+  // A live read of a named venue still goes to that venue
+  assert.equal((await engine.getMarketData('BTCUSDT', '1m', 'binance')).currentPrice, 50000);
+});
+
+test('paper trading takes a supplied quote source', async () => {
+  const venue = quotes({ BTCUSDT: 50000 });
+  const feed = quotes({ BTCUSDT: 123 });
+  const engine = engineWithVenue(venue);
+
+  await engine.setPaperTrading(true, { quoteSource: feed });
+  assert.equal((await engine.getMarketData('BTCUSDT')).currentPrice, 123);
+  assert.equal(venue.reads, 0);
+});
+
+test('paper trading falls back to the live venues and matches each quote once', async () => {
+  const venue = quotes({ BTCUSDT: 50000 });
+  const engine = engineWithVenue(venue);
+  await engine.setPaperTrading(true, { initialBalances: { USDT: 10000 } });
+
+  const matched = [];
+  const match = engine.paperAdapter.matchOpenOrders.bind(engine.paperAdapter);
+  engine.paperAdapter.matchOpenOrders = (symbol, price) => {
+    matched.push(price);
+    return match(symbol, price);
+  };
+
+  const marketData = await engine.getMarketData('BTCUSDT');
+  assert.equal(marketData.currentPrice, 50000);
+  assert.equal(marketData.platform, 'binance');
+  assert.equal(venue.reads, 1);
+  assert.deepEqual(matched, [50000]);
+
+  // The paper venue pricing an order reads the same way
+  await engine.paperAdapter.getMarketData('BTCUSDT');
+  assert.equal(venue.reads, 2);
+  assert.deepEqual(matched, [50000, 50000]);
+});
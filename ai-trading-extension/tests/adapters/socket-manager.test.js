@@ -0,0 +1,168 @@
+import '../helpers/chrome.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { SocketManager } from '../../src/trading/adapters/socket-manager.js';
+
+// Sockets do nothing until the test opens, drops or feeds them
+class FakeWebSocket {
+  static OPEN = 1;
+  static CLOSED = 3;
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    FakeWebSocket.instances.push(this);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close(code, reason) {
+    this.readyState = FakeWebSocket.CLOSED;
+    this.closedWith = { code, reason };
+  }
+
+  open() {
+    this.readyState = FakeWebSocket.OPEN;
+    this.onopen();
+  }
+
+  drop(code = 1006) {
+    this.readyState = FakeWebSocket.CLOSED;
+    this.onclose({ code, reason: '' });
+  }
+
+  receive(message) {
+    this.onmessage({ data: JSON.stringify(message) });
+  }
+}
+
+const originalRandom = Math.random;
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+const latestSocket = () => FakeWebSocket.instances.at(-1);
+let manager;
+let states;
+
+function createManager(options = {}) {
+  manager = new SocketManager({
+    name: 'test',
+    url: 'wss://example.test/ws',
+    onMessage: () => {},
+    onStateChange: change => states.push(change),
+    subscribeMessages: keys => [{ op: 'subscribe', args: keys }],
+    backoff: { initialDelay: 4 },
+    ...options
+  });
+  return manager;
+}
+
+beforeEach(() => {
+  globalThis.WebSocket = FakeWebSocket;
+  FakeWebSocket.instances = [];
+  states = [];
+  // No jitter: every delay is the full backoff
+  Math.random = () => 1;
+});
+
+afterEach(() => {
+  manager?.close();
+  Math.random = originalRandom;
+});
+
+test('close() while connecting rejects the pending connect', async () => {
+  createManager();
+  const pending = manager.connect();
+  const socket = latestSocket();
+
+  manager.close();
+
+  const settled = await Promise.race([pending.then(() => 'resolved', error => error.message), wait(50).then(() => 'pending')]);
+  assert.equal(settled, 'test socket closed before it connected');
+  assert.deepEqual(socket.closedWith, { code: 1000, reason: 'client shutdown' });
+  assert.equal(manager.state, 'closed');
+
+  // A later connect starts over
+  const reopened = manager.connect();
+  latestSocket().open();
+  await reopened;
+  assert.ok(manager.isOpen());
+});
+
+test('the backoff doubles across failed attempts and resets once a socket opens', async () => {
+  createManager();
+  const first = manager.connect();
+  latestSocket().drop();
+  await assert.rejects(first, /failed to connect/);
+
+  await wait(10);
+  latestSocket().drop();
+  await wait(20);
+  latestSocket().open();
+
+  // The opened socket sends nothing before it drops again
+  latestSocket().drop();
+
+  const delays = states.filter(change => change.state === 'reconnecting').map(change => change.delay);
+  assert.deepEqual(delays, [4, 8, 4]);
+  assert.equal(states.find(change => change.state === 'connected').attempt, 2);
+});
+
+test('subscriptions are sent again on every new socket', async () => {
+  createManager();
+  manager.subscribe(['btcusdt@trade']);
+  latestSocket().open();
+  manager.subscribe(['btcusdt@trade', 'ethusdt@trade']);
+
+  assert.deepEqual(latestSocket().sent, [
+    { op: 'subscribe', args: ['btcusdt@trade'] },
+    { op: 'subscribe', args: ['ethusdt@trade'] }
+  ]);
+
+  latestSocket().drop();
+  await wait(10);
+  latestSocket().open();
+  assert.deepEqual(latestSocket().sent, [{ op: 'subscribe', args: ['btcusdt@trade', 'ethusdt@trade'] }]);
+});
+
+test('a missed pong or a silent feed forces a reconnect', async () => {
+  const received = [];
+  createManager({
+    onMessage: message => received.push(message),
+    heartbeat: { isPong: message => message.op === 'pong', message: () => ({ op: 'ping' }), interval: 40, timeout: 40 }
+  });
+  manager.connect();
+  const socket = latestSocket();
+  socket.open();
+
+  await wait(60);
+  assert.deepEqual(socket.sent, [{ op: 'ping' }]);
+  socket.receive({ op: 'pong' });
+  assert.deepEqual(received, []);
+
+  await wait(150);
+  assert.equal(socket.readyState, FakeWebSocket.CLOSED);
+  assert.ok(states.some(change => change.state === 'reconnecting' && change.reason === 'heartbeat timeout'));
+  manager.close();
+
+  states = [];
+  createManager({ staleAfter: 1 });
+  manager.subscribe(['btcusdt@trade']);
+  latestSocket().open();
+  await wait(1100);
+  assert.match(states.find(change => change.state === 'stale')?.reason, /^no data for \d+s$/);
+});
+
+test('close() stops a scheduled reconnect', async () => {
+  createManager({ backoff: { initialDelay: 10 } });
+  manager.connect();
+  latestSocket().open();
+  latestSocket().drop();
+
+  manager.close();
+  await wait(30);
+  assert.equal(FakeWebSocket.instances.length, 1);
+  assert.equal(manager.state, 'closed');
+});
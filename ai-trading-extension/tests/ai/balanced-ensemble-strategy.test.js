@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BalancedEnsembleStrategy } from '../../src/ai/strategies/balanced-ensemble-strategy.js';
+
+// The decision logic of AIDecisionEngine.combineSignals before strategies became plugins.
+// It read technical.overall.strength, which the technical overall never set, so the reference is
+// given the overall confidence as its strength, as the ensemble uses it
+function combineSignals(technical, sentiment, ml) {
+  const signals = [
+    { ...technical.overall, strength: technical.overall.confidence, weight: 0.5 },
+    { ...sentiment.overall.signal, weight: 0.3 },
+    { ...ml.signal, weight: 0.2 }
+  ];
+  const score = signal => signals
+    .filter(s => s.signal === signal)
+    .reduce((sum, s) => sum + (s.strength * s.weight), 0);
+
+  const buyScore = score('BUY');
+  const sellScore = score('SELL');
+  const holdScore = score('HOLD') + (1 - signals.reduce((sum, s) => sum + s.weight, 0)) * 0.5;
+
+  let signal = 'HOLD';
+  let confidence = 0.5;
+  let orderType = 'MARKET';
+  let stopLoss = null;
+  let takeProfit = null;
+
+  if (buyScore > sellScore && buyScore > holdScore && buyScore > 0.6) {
+    signal = 'BUY';
+    confidence = Math.min(buyScore, 0.95);
+    orderType = confidence > 0.8 ? 'MARKET' : 'LIMIT';
+  } else if (sellScore > buyScore && sellScore > holdScore && sellScore > 0.6) {
+    signal = 'SELL';
+    confidence = Math.min(sellScore, 0.95);
+    orderType = confidence > 0.8 ? 'MARKET' : 'LIMIT';
+  } else {
+    confidence = Math.max(holdScore, 0.3);
+  }
+
+  if (signal !== 'HOLD' && ml.volatility) {
+    const volatilityMultiplier = ml.volatility === 'HIGH' ? 1.5 : ml.volatility === 'LOW' ? 0.7 : 1.0;
+    stopLoss = confidence > 0.8 ? 0.02 * volatilityMultiplier : 0.015 * volatilityMultiplier;
+    takeProfit = confidence > 0.8 ? 0.04 * volatilityMultiplier : 0.03 * volatilityMultiplier;
+  }
+
+  return { signal, confidence, orderType, stopLoss, takeProfit };
+}
+
+function inputs(technicalSignal, technicalConfidence, sentimentSignal, sentimentStrength, mlSignal, mlStrength, volatility) {
+  return {
+    technical: {
+      signals: { volumeSignal: { signal: 'STRONG_SIGNAL', strength: 0.9 } },
+      overall: { signal: technicalSignal, confidence: technicalConfidence }
+    },
+    sentiment: { overall: { signal: { signal: sentimentSignal, strength: sentimentStrength }, confidence: 0.6 } },
+    machineLearning: { signal: { signal: mlSignal, strength: mlStrength }, confidence: mlStrength, volatility }
+  };
+}
+
+function ensemble(aiSettings = {}) {
+  const strategy = new BalancedEnsembleStrategy();
+  strategy.configure(strategy.getSettingsParams(aiSettings));
+  return strategy;
+}
+
+test('the default weights reproduce the decisions of the original ensemble', () => {
+  const strategy = ensemble();
+  const sides = ['BUY', 'SELL', 'HOLD'];
+  let trades = 0;
+
+  for (const technicalSignal of sides) {
+    for (const technicalConfidence of [0.4, 0.7, 0.95]) {
+      for (const sentimentSignal of sides) {
+        for (const sentimentStrength of [0.2, 0.6]) {
+          for (const mlSignal of sides) {
+            for (const mlStrength of [0.5, 0.9]) {
+              for (const volatility of ['HIGH', 'MEDIUM', 'LOW']) {
+                const context = inputs(technicalSignal, technicalConfidence, sentimentSignal, sentimentStrength, mlSignal, mlStrength, volatility);
+                const { signal, confidence, orderType, stopLoss, takeProfit } = strategy.onSignal(context);
+                const expected = combineSignals(context.technical, context.sentiment, context.machineLearning);
+
+                assert.deepEqual({ signal, confidence, orderType, stopLoss, takeProfit }, expected, JSON.stringify(context));
+                if (signal !== 'HOLD') trades++;
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+
+  // The grid exercises both sides, not just holds
+  assert.ok(trades > 0);
+});
+
+test('weights come from the machine learning and volume settings and ignore fundamentalWeight', () => {
+  assert.deepEqual(ensemble().params.weights, { technical: 0.5, sentiment: 0.3, volume: 0, machineLearning: 0.2 });
+
+  const strategy = ensemble({ technicalWeight: 0.4, volumeWeight: 0.1, machineLearningWeight: 0.5, fundamentalWeight: 0.2, strategy: 'aggressive' });
+  assert.deepEqual(strategy.params, {
+    profile: 'aggressive',
+    weights: { technical: 0.4, sentiment: 0.3, volume: 0.1, machineLearning: 0.5 }
+  });
+
+  // ML alone at full strength outweighs technical and sentiment holding
+  const decision = ensemble({ technicalWeight: 0.1, sentimentWeight: 0.1, machineLearningWeight: 0.8 })
+    .onSignal(inputs('HOLD', 0.5, 'HOLD', 0.2, 'BUY', 0.95, 'MEDIUM'));
+  assert.equal(decision.signal, 'BUY');
+});
+
+test('disabled analyses drop out and share their weight', () => {
+  const { technical, sentiment } = inputs('BUY', 0.9, 'BUY', 0.6, 'HOLD', 0.5);
+
+  // 0.5 * 0.9 + 0.3 * 0.6 = 0.63 out of 0.8 once machine learning is off
+  const decision = ensemble().onSignal({ technical, sentiment, machineLearning: null });
+  assert.equal(decision.signal, 'BUY');
+  assert.ok(Math.abs(decision.confidence - 0.63 / 0.8) < 1e-12);
+  assert.equal(decision.stopLoss, null);
+  assert.equal(decision.reasoning.mlScore, null);
+});
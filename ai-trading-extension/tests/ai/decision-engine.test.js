@@ -0,0 +1,128 @@
+import '../helpers/chrome.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AIDecisionEngine } from '../../src/ai/decision-engine.js';
+
+test('resetState drops bar history, cooldowns and strategy state but keeps the configuration', () => {
+  const engine = new AIDecisionEngine();
+  engine.configureStrategies({ strategies: [{ id: 'trend', strategy: 'trend_following', params: { minTrendBars: 5 } }] });
+
+  const [{ strategy: before }] = engine.strategies;
+  before.trendBars.set('BTCUSDT:1h', { direction: 'UP', bars: 12 });
+  engine.lastBars.set('trend:BTCUSDT:1h', Date.UTC(2024, 0, 1));
+  engine.recordTrade('BTCUSDT', Date.UTC(2024, 0, 1));
+
+  engine.resetState();
+
+  const [{ id, strategy: after }] = engine.strategies;
+  assert.equal(id, 'trend');
+  assert.notEqual(after, before);
+  assert.equal(after.trendBars.size, 0);
+  assert.equal(after.params.minTrendBars, 5);
+  assert.equal(engine.lastBars.size, 0);
+  assert.equal(engine.lastTrades.size, 0);
+});
+
+test('cooldowns survive a restart and run on bar time', async () => {
+  chrome.storage.local.clear();
+  const barTime = Date.UTC(2024, 0, 1, 12);
+  await new AIDecisionEngine().recordTrade('btcusdt', barTime);
+
+  // A new engine stands in for the restarted service worker
+  const restarted = new AIDecisionEngine();
+  restarted.configureStrategies({ confluence: { cooldownMinutes: 15 } });
+
+  assert.deepEqual(await restarted.getCooldown('BTCUSDT', barTime + 14 * 60000), {
+    lastTrade: barTime,
+    until: barTime + 15 * 60000
+  });
+  assert.equal(await restarted.getCooldown('BTCUSDT', barTime + 15 * 60000), null);
+});
+
+test('engines without a cooldown storage key keep cooldowns in memory', async () => {
+  chrome.storage.local.clear();
+  const replay = new AIDecisionEngine({ cooldownStorageKey: null });
+  await replay.recordTrade('BTCUSDT', Date.UTC(2024, 0, 1));
+
+  assert.ok(await replay.getCooldown('BTCUSDT', Date.UTC(2024, 0, 1, 0, 5)));
+  assert.deepEqual(await chrome.storage.local.get('tradeCooldowns'), {});
+});
+
+test('rule strategies share the decision engine indicators', () => {
+  const engine = new AIDecisionEngine();
+  engine.configureStrategies({
+    strategies: [{ id: 'rules', strategy: 'rule_based', params: { rules: ['RSI(14) < 30 -> BUY'] } }]
+  });
+
+  const [{ strategy }] = engine.strategies;
+  assert.equal(strategy.compiled.length, 1);
+  assert.equal(strategy.ruleEngine.technicalAnalysis, engine.technicalAnalysis);
+  assert.equal(engine.ruleEngine.technicalAnalysis, engine.technicalAnalysis);
+});
+
+test('only enabled strategies with a known plugin are built', () => {
+  const engine = new AIDecisionEngine();
+  engine.configureStrategies({
+    strategies: [
+      { id: 'ensemble', strategy: 'balanced_ensemble' },
+      { id: 'trend', strategy: 'trend_following', enabled: true },
+      { id: 'off', strategy: 'trend_following', enabled: false },
+      { id: 'ghost', strategy: 'no_such_plugin' }
+    ]
+  });
+  assert.deepEqual(engine.getStrategies().map(({ id }) => id), ['ensemble', 'trend']);
+
+  // Re-enabling adds the instance; unchanged ones keep their state
+  const [, { strategy: trend }] = engine.strategies;
+  engine.configureStrategies({
+    strategies: [
+      { id: 'ensemble', strategy: 'balanced_ensemble' },
+      { id: 'trend', strategy: 'trend_following' },
+      { id: 'off', strategy: 'trend_following', enabled: true }
+    ]
+  });
+  assert.deepEqual(engine.getStrategies().map(({ id }) => id), ['ensemble', 'trend', 'off']);
+  assert.equal(engine.strategies[1].strategy, trend);
+
+  // Without a list the ensemble runs alone
+  engine.configureStrategies({});
+  assert.deepEqual(engine.getStrategies().map(({ id }) => id), ['balanced_ensemble']);
+});
+
+test('strategies run on the symbols and timeframes they are configured for', () => {
+  const engine = new AIDecisionEngine();
+  engine.configureStrategies({
+    strategies: [
+      { id: 'everything', strategy: 'balanced_ensemble', symbols: [] },
+      { id: 'btc_trend', strategy: 'trend_following', symbols: ['btcusdt'] },
+      { id: 'eth_ensemble', strategy: 'balanced_ensemble', symbols: ['ETHUSDT', 'SOLUSDT'] }
+    ]
+  });
+  const ids = (symbol, timeframe) => engine.getStrategiesFor(symbol, timeframe).map(({ id }) => id);
+
+  assert.deepEqual(ids('BTCUSDT', '1h'), ['everything', 'btc_trend']);
+  assert.deepEqual(ids('btcusdt', '1h'), ['everything', 'btc_trend']);
+  assert.deepEqual(ids('SOLUSDT', '1h'), ['everything', 'eth_ensemble']);
+  assert.deepEqual(ids('ADAUSDT', '1h'), ['everything']);
+  // Trend following only runs on 15m and up
+  assert.deepEqual(ids('BTCUSDT', '5m'), ['everything']);
+});
+
+test('ML features take the hour and weekday from the analyzed bar', () => {
+  const engine = new AIDecisionEngine({ cooldownStorageKey: null });
+  // A Saturday afternoon, in whatever time zone the tests run
+  const barTime = new Date(2024, 0, 6, 15, 30).getTime();
+  const candles = Array.from({ length: 30 }, (_, i) => {
+    const close = 100 + i;
+    return { time: barTime - (29 - i) * 3600000, open: close - 1, high: close + 1, low: close - 2, close, volume: 10 };
+  });
+
+  const features = engine.extractFeatures({ candles }, '1h');
+  assert.equal(features.hourOfDay, 15);
+  assert.equal(features.dayOfWeek, 6);
+
+  // Close-only data falls back to the market data timestamp
+  const fromTimestamp = engine.extractFeatures({ prices: candles.map(candle => candle.close), timestamp: new Date(2024, 0, 3, 9).getTime() }, '1h');
+  assert.equal(fromTimestamp.hourOfDay, 9);
+  assert.equal(fromTimestamp.dayOfWeek, 3);
+});
@@ -0,0 +1,166 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RuleEngine } from '../../src/ai/strategies/rule-engine.js';
+import { TechnicalAnalysis } from '../../src/ai/technical-analysis.js';
+
+const ta = new TechnicalAnalysis();
+const engine = new RuleEngine(ta);
+
+function candles(closes) {
+  return closes.map((close, i) => ({
+    time: i * 3600000, open: close, high: close + 1, low: close - 1, close, volume: 100
+  }));
+}
+
+// Evaluates against the same candles on every timeframe, recording which timeframes were read
+async function run(rule, closes, timeframe = '15m') {
+  const requested = [];
+  const result = await engine.evaluate(engine.compile(rule), {
+    timeframe,
+    getCandles: async used => {
+      requested.push(used);
+      return candles(closes);
+    }
+  });
+  return { result, requested };
+}
+
+test('arithmetic binds tighter than comparisons, which bind tighter than NOT, AND and OR', async () => {
+  const { condition } = engine.compile('NOT 1 > 2 AND 1 < 2 OR 1 > 5 -> BUY');
+  assert.equal(condition.type, 'or');
+  assert.deepEqual(condition.items.map(item => item.type), ['and', 'compare']);
+  assert.deepEqual(condition.items[0].items.map(item => item.type), ['not', 'compare']);
+
+  for (const rule of ['1 + 2 * 3 == 7', '(1 + 2) * 3 == 9', '-2 * 3 == -6', '8 / 2 / 2 == 2', '10 - 4 - 3 == 3']) {
+    assert.ok((await run(`${rule} -> BUY`, [100])).result, rule);
+  }
+  assert.equal((await run('1 / 0 > 0 -> BUY', [100])).result, null);
+});
+
+test('CROSSES ABOVE and BELOW compare the last two bars', async () => {
+  assert.ok((await run('close CROSSES ABOVE 11 -> BUY', [10, 10, 12])).result);
+  assert.equal((await run('close CROSSES ABOVE 11 -> BUY', [10, 12, 13])).result, null);
+  assert.ok((await run('close crosses below 11 -> SELL', [12, 12, 10])).result);
+  assert.equal((await run('close CROSSES BELOW 11 -> SELL', [12, 10, 9])).result, null);
+
+  // Touching the line counts as the bar before a cross
+  assert.ok((await run('close CROSSES ABOVE 11 -> BUY', [10, 11, 12])).result);
+  // Not enough history for the previous bar
+  assert.equal((await run('close CROSSES ABOVE 11 -> BUY', [12])).result, null);
+});
+
+test('series read other timeframes with @ and earlier bars with an offset', async () => {
+  const rule = engine.compile('close@4h > close[2] ON 1h -> BUY');
+  assert.equal(rule.timeframe, '1h');
+  assert.deepEqual(rule.timeframes, ['4h', '1h']);
+
+  const series = { '1h': [5, 1, 2, 3], '4h': [10] };
+  const requested = [];
+  const result = await engine.evaluate(rule, {
+    timeframe: '15m',
+    getCandles: async timeframe => {
+      requested.push(timeframe);
+      return candles(series[timeframe]);
+    }
+  });
+  assert.ok(result);
+  assert.deepEqual(requested.sort(), ['1h', '4h']);
+
+  // close[1] is the bar before the last; close[3] is the oldest of four
+  assert.ok((await run('close[1] == 2 AND close[3] == 5 -> BUY', [5, 1, 2, 3])).result);
+  assert.equal((await run('close[4] > 0 -> BUY', [5, 1, 2, 3])).result, null);
+
+  // A timeframe with no candles skips the rule
+  const missing = await engine.evaluate(engine.compile('close@1d > 0 -> BUY'), {
+    timeframe: '1h',
+    getCandles: async timeframe => (timeframe === '1d' ? null : candles([1]))
+  });
+  assert.equal(missing, null);
+
+  assert.throws(() => engine.compile('close[1.5] > 0 -> BUY'), /whole numbers up to 100/);
+  assert.throws(() => engine.compile('close[101] > 0 -> BUY'), /whole numbers up to 100/);
+});
+
+test('AND joins conditions before the arrow and separates the action clauses after it', () => {
+  const rule = engine.compile('close > 1 AND close < 100 -> BUY stop ATR(14) * 2 AND target ATR(14) * 3 AND confidence 0.9');
+  assert.equal(rule.condition.type, 'and');
+  assert.equal(rule.condition.items.length, 2);
+  assert.equal(rule.stop.type, 'arithmetic');
+  assert.equal(rule.target.right.value, 3);
+  assert.equal(rule.confidence, 0.9);
+
+  const trailing = engine.compile('close > 1 THEN SELL with ATR(14) * 2 stop, confidence 0.5');
+  assert.equal(trailing.condition.type, 'compare');
+  assert.equal(trailing.stop.right.value, 2);
+  assert.equal(trailing.confidence, 0.5);
+
+  // Without an action part every AND belongs to the condition
+  const object = engine.compile({ when: 'close > 1 AND close < 100 AND volume > 0', action: 'sell', stop: 'ATR(14)' });
+  assert.equal(object.condition.items.length, 3);
+  assert.equal(object.action, 'SELL');
+  assert.equal(object.stop.name, 'ATR');
+});
+
+test('rules beyond the length, nesting and period limits are refused', () => {
+  const padded = `close > 1 -> BUY${' '.repeat(500 - 16)}`;
+  assert.equal(padded.length, 500);
+  assert.ok(engine.compile(padded));
+  assert.throws(() => engine.compile(`${padded} `), /limited to 500 characters/);
+
+  const nested = depth => `${'('.repeat(depth)}close${')'.repeat(depth)} > 1 -> BUY`;
+  assert.ok(engine.compile(nested(30)));
+  assert.throws(() => engine.compile(nested(32)), /nested too deeply/);
+  assert.throws(() => engine.compile(`${'NOT '.repeat(40)}close > 1 -> BUY`), /nested too deeply/);
+
+  assert.ok(engine.compile('close > SMA(1000) -> BUY'));
+  assert.throws(() => engine.compile('close > SMA(1001) -> BUY'), /between 0 and 1000/);
+  assert.throws(() => engine.compile('close > SMA(0) -> BUY'), /between 0 and 1000/);
+  assert.throws(() => engine.compile('close > SMA(20, 2) -> BUY'), /at most 1 argument/);
+});
+
+test('validate reports each rule without throwing, as the popup editor shows them', () => {
+  assert.deepEqual(engine.validate([
+    'RSI(14) < 30 AND close > SMA(200) on 1h -> BUY',
+    'MACD.histogram@4h > 0 -> SELL',
+    'FOO(3) > 1 -> BUY',
+    'close > 1',
+    'close + 1 -> BUY',
+    'close > 1 -> HOLD',
+    'BB.width > 0.1 -> BUY confidence 1.5',
+    'close > 1; alert(1) -> BUY',
+    { action: 'BUY' }
+  ]), [
+    { index: 0, valid: true, timeframes: ['1h'] },
+    { index: 1, valid: true, timeframes: ['4h'] },
+    { index: 2, valid: false, error: 'Unknown series FOO at 1' },
+    { index: 3, valid: false, error: 'Expected -> or THEN before the action at end of rule' },
+    { index: 4, valid: false, error: 'Rule condition must be a comparison, crossover or boolean combination of them' },
+    { index: 5, valid: false, error: 'Expected BUY or SELL at 14 ("HOLD")' },
+    { index: 6, valid: false, error: 'Rule confidence must be between 0 and 1' },
+    { index: 7, valid: false, error: 'Unexpected character ";" at 10' },
+    { index: 8, valid: false, error: 'Rule objects need a "when" condition' }
+  ]);
+});
+
+test('the example rule buys an oversold dip in an uptrend with an ATR stop', async () => {
+  const rule = 'RSI(14) < 30 AND close > SMA(200) on 1h → BUY with ATR(14)*2 stop';
+  // A long climb, then a sharp pullback that stays above the 200 bar average
+  const closes = [...Array.from({ length: 230 }, (_, i) => 100 + i), ...Array.from({ length: 15 }, (_, i) => 326 - i * 3)];
+  const bars = candles(closes);
+  const highs = bars.map(bar => bar.high);
+  const lows = bars.map(bar => bar.low);
+
+  assert.ok(ta.calculateRSI(closes, 14).at(-1) < 30);
+  assert.ok(closes.at(-1) > ta.calculateSMA(closes, 200).at(-1));
+
+  const { result, requested } = await run(rule, closes);
+  assert.deepEqual(requested, ['1h']);
+  assert.equal(result.action, 'BUY');
+  assert.equal(result.confidence, 0.7);
+  assert.equal(result.price, closes.at(-1));
+  assert.equal(result.stopLoss, ta.calculateATR(highs, lows, closes, 14).at(-1) * 2 / closes.at(-1));
+  assert.equal(result.takeProfit, null);
+
+  // Still climbing, so RSI is high and the rule stays out
+  assert.equal((await run(rule, closes.slice(0, 230))).result, null);
+});
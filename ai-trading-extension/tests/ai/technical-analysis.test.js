@@ -0,0 +1,164 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TechnicalAnalysis } from '../../src/ai/technical-analysis.js';
+import { loadFixture } from '../helpers/replay-fetch.js';
+
+// Reference values are quoted from the sources named in each fixture, at the precision they publish
+const daily = loadFixture('indicators/ta-lib-daily');
+const wilder = loadFixture('indicators/wilder-psar');
+const stockcharts = loadFixture('indicators/stockcharts');
+const ta = new TechnicalAnalysis();
+
+function assertSeries(actual, expected, tolerance) {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((value, i) => {
+    assert.ok(Math.abs(value - expected[i]) <= tolerance, `index ${i}: ${value} is not within ${tolerance} of ${expected[i]}`);
+  });
+}
+
+test('ADX follows the StockCharts worksheet', () => {
+  const { high, low, close } = stockcharts.adx;
+  const adx = ta.calculateADX(high, low, close, 14);
+
+  // The worksheet rounds its smoothed TR and DM columns to two decimals, which moves ADX by up to 0.13
+  assertSeries(adx.map(point => point.adx), [
+    33.58, 32.15, 29.93, 28.36, 26.90, 25.78, 23.95, 22.78, 22.07, 21.53,
+    20.80, 19.59, 18.72, 18.75, 18.84, 18.55, 17.73, 17.95, 18.23, 17.35
+  ], 0.15);
+});
+
+test('ADX and DMI match the TA-Lib reference history once the seed has decayed', () => {
+  const adx = ta.calculateADX(daily.high, daily.low, daily.close, 14);
+
+  // Both start at bar 27; TA-Lib seeds its DM sums from period - 1 bars, so the early values differ from Wilder's
+  assert.equal(adx.length, 252 - 27);
+  assertSeries([adx[223].adx, adx[224].adx], [16.6840, 15.5260], 0.001);
+  assertSeries([adx.at(-1).plusDI, adx.at(-1).minusDI], [21.0000, 21.1988], 0.001);
+});
+
+test('Ichimoku lines are the Donchian midpoints, with the cloud displaced forward', () => {
+  const ichimoku = ta.calculateIchimoku(daily.high, daily.low, daily.close);
+  const middles = period => ta.calculateDonchianChannels(daily.high, daily.low, period).map(channel => channel.middle);
+  const conversion = middles(9);
+  const base = middles(26);
+  const spanB = middles(52);
+
+  // The first full reading needs the 52 bar span plus the 26 bar displacement
+  assert.equal(ichimoku.length, 252 - 77);
+  ichimoku.forEach((point, j) => {
+    const i = j + 77;
+    assert.equal(point.conversion, conversion[i - 8]);
+    assert.equal(point.base, base[i - 25]);
+    assert.equal(point.leadingSpanA, (conversion[i - 8] + base[i - 25]) / 2);
+    assert.equal(point.leadingSpanB, spanB[i - 51]);
+    assert.equal(point.spanA, (conversion[i - 34] + base[i - 51]) / 2);
+    assert.equal(point.spanB, spanB[i - 77]);
+    assert.equal(point.laggingSpan, daily.close[i]);
+    assert.equal(point.laggingReference, daily.close[i - 26]);
+  });
+});
+
+test('VWAP matches the StockCharts intraday worksheet', () => {
+  const { high, low, close, volume } = stockcharts.vwap;
+  const expected = [
+    127.21, 127.20, 127.20, 127.17, 127.15, 127.14, 127.13, 127.12,
+    127.12, 127.12, 127.12, 127.13, 127.13, 127.14, 127.15
+  ];
+
+  assertSeries(ta.calculateVWAP(high, low, close, volume), expected, 0.005);
+  assertSeries(ta.calculateVWAP(high, low, close, volume, 10), ta.calculateVWAP(
+    high.slice(10), low.slice(10), close.slice(10), volume.slice(10)
+  ), 1e-9);
+});
+
+test('session VWAP restarts the worksheet at each UTC day', () => {
+  const { high, low, close, volume } = stockcharts.vwap;
+  const fiveMinutes = 5 * 60 * 1000;
+  const times = [Date.UTC(2024, 0, 2, 14, 30), Date.UTC(2024, 0, 3, 14, 30)]
+    .flatMap(open => high.map((_, i) => open + i * fiveMinutes));
+  const twice = series => [...series, ...series];
+
+  const session = ta.calculateSessionVWAP(times, twice(high), twice(low), twice(close), twice(volume));
+  const worksheet = ta.calculateVWAP(high, low, close, volume);
+  assertSeries(session, twice(worksheet), 1e-9);
+  assertSeries(session.slice(0, 15), [
+    127.21, 127.20, 127.20, 127.17, 127.15, 127.14, 127.13, 127.12,
+    127.12, 127.12, 127.12, 127.13, 127.13, 127.14, 127.15
+  ], 0.005);
+});
+
+test('OBV matches the StockCharts worksheet', () => {
+  const { close, volume } = stockcharts.obv;
+
+  // The worksheet starts from the second bar; the first bar is the zero baseline
+  assert.deepEqual(ta.calculateOBV(close, volume), [
+    0, 8200, 16300, 24600, 33500, 24300, 37600, 27300, 17400, 27500, 16200, 3600, -7100, 4400, 28200, 13600
+  ]);
+});
+
+test('MFI matches the TA-Lib reference history', () => {
+  const mfi14 = ta.calculateMFI(daily.high, daily.low, daily.close, daily.volume, 14);
+  const mfi49 = ta.calculateMFI(daily.high, daily.low, daily.close, daily.volume, 49);
+
+  assert.equal(mfi14.length, 252 - 14);
+  assertSeries([mfi14[0], mfi14[1], mfi14.at(-1)], [42.8923, 45.6072, 53.1997], 0.0001);
+  assert.equal(mfi49.length, 252 - 49);
+  assertSeries([mfi49[0], mfi49[1], mfi49.at(-1)], [44.7902, 43.1963, 57.4806], 0.0001);
+});
+
+test('Keltner Channels sit on the TA-Lib EMA and ATR', () => {
+  const keltner = ta.calculateKeltnerChannels(daily.high, daily.low, daily.close, 10, 14, 2);
+  const atrPercent = (channel, bar) => (channel.upper - channel.middle) / 2 / daily.close[bar] * 100;
+
+  // One channel per bar from bar 14, where the 14 bar ATR starts; TA-Lib truncates its EMA values to cents
+  assert.equal(keltner.length, 252 - 14);
+  assertSeries([keltner[29 - 14].middle, keltner.at(-1).middle], [86.46, 108.97], 0.01);
+  // TA-Lib publishes the ATR as NATR, a percentage of the close
+  assertSeries([atrPercent(keltner[0], 14), atrPercent(keltner[1], 15), atrPercent(keltner.at(-1), 251)], [3.9321, 3.7576, 3.0229], 0.0001);
+  keltner.forEach(channel => assert.ok(Math.abs(channel.upper + channel.lower - 2 * channel.middle) < 1e-9));
+
+  // The default 20 bar EMA is seeded with its SMA, so the first channel is on bar 19
+  const defaults = ta.calculateKeltnerChannels(daily.high, daily.low, daily.close);
+  assert.equal(defaults.length, 252 - 19);
+  assert.equal(defaults[0].middle, daily.close.slice(0, 20).reduce((sum, close) => sum + close, 0) / 20);
+});
+
+test('Donchian Channels match the TA-Lib MAX and MIN reference', () => {
+  // TA-Lib runs MAX and MIN over the opens
+  const donchian = ta.calculateDonchianChannels(daily.open, daily.open, 14);
+
+  assert.equal(donchian.length, 252 - 13);
+  assert.deepEqual(donchian.slice(0, 5).map(channel => channel.upper), [98.815, 98.815, 98.815, 98.815, 98.815]);
+  assert.deepEqual(donchian.slice(0, 5).map(channel => channel.lower), [91.125, 91.125, 91.125, 91.125, 89.75]);
+  assert.deepEqual(donchian.at(-1), { upper: 110.69, lower: 107.75, middle: (110.69 + 107.75) / 2 });
+});
+
+test('Parabolic SAR reproduces the worked example in New Concepts', () => {
+  const sar = ta.calculateParabolicSAR(wilder.high, wilder.low);
+
+  // One stop per bar from the second; the first bar's low is the starting stop
+  assert.equal(sar.length, wilder.high.length - 1);
+  assertSeries([0, 1, 4, 35, 36].map(i => sar[i].sar), [50.00, 50.047, 50.182, 52.93, 50.00], 0.005);
+  assert.equal(sar[21].trend, 1);
+  assert.equal(sar[22].trend, -1);
+  assert.equal(sar[22].sar, 58);
+  assert.equal(sar[36].trend, 1);
+});
+
+test('SuperTrend bands use the TA-Lib ATR and ratchet until price closes through them', () => {
+  const [first] = ta.calculateSuperTrend(daily.high, daily.low, daily.close, 14, 3);
+  const atr = 3.9321 * daily.close[14] / 100;
+  const median = (daily.high[14] + daily.low[14]) / 2;
+  assertSeries([first.upper, first.lower], [median + 3 * atr, median - 3 * atr], 0.001);
+
+  // ATR(1) is the bar's true range, so the bands can be worked by hand
+  const highs = [10, 11, 11.5, 11, 9.5, 11.5];
+  const lows = [9, 10, 10.5, 9, 8.5, 10];
+  const closes = [9.5, 10.5, 11, 9.2, 9, 11.2];
+  const points = ta.calculateSuperTrend(highs, lows, closes, 1, 1);
+
+  assert.deepEqual(points.map(point => point.trend), [1, 1, -1, -1, 1]);
+  assertSeries(points.map(point => point.upper), [12, 12, 12, 10, 10], 1e-9);
+  assertSeries(points.map(point => point.lower), [9, 10, 10, 8, 8.25], 1e-9);
+  assertSeries(points.map(point => point.value), [9, 10, 12, 10, 8.25], 1e-9);
+});
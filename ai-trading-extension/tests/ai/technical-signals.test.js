@@ -0,0 +1,130 @@
+import '../helpers/chrome.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AIDecisionEngine } from '../../src/ai/decision-engine.js';
+import { TechnicalAnalysis } from '../../src/ai/technical-analysis.js';
+import { BinanceAdapter } from '../../src/trading/adapters/binance-adapter.js';
+import { CoinbaseAdapter } from '../../src/trading/adapters/coinbase-adapter.js';
+import { loadFixture } from '../helpers/replay-fetch.js';
+
+const daily = loadFixture('indicators/ta-lib-daily');
+const ta = new TechnicalAnalysis();
+const engine = new AIDecisionEngine({ cooldownStorageKey: null });
+const DAY = 24 * 60 * 60 * 1000;
+
+const dailyCandles = daily.close.map((close, i) => ({
+  time: Date.UTC(2024, 0, 1) + i * DAY,
+  open: daily.open[i],
+  high: daily.high[i],
+  low: daily.low[i],
+  close,
+  volume: daily.volume[i]
+}));
+
+// Answers each endpoint with the payload shape from the venue's API docs
+function stubRequests(adapter, responses) {
+  adapter.makeRequest = async (method, endpoint) => {
+    const key = Object.keys(responses).find(path => endpoint.endsWith(path));
+    if (!key) throw new Error(`Unexpected request ${endpoint}`);
+    return responses[key];
+  };
+  return adapter;
+}
+
+function assertCandleShape(candles) {
+  for (const candle of candles) {
+    assert.deepEqual(Object.keys(candle).sort(), ['close', 'high', 'low', 'open', 'time', 'volume']);
+    Object.values(candle).forEach(value => assert.equal(typeof value, 'number'));
+    assert.ok(candle.low <= Math.min(candle.open, candle.close) && candle.high >= Math.max(candle.open, candle.close));
+  }
+  candles.slice(1).forEach((candle, i) => assert.ok(candle.time > candles[i].time, 'candles are oldest first'));
+}
+
+test('Binance klines become normalized candles', async () => {
+  const adapter = stubRequests(new BinanceAdapter(), {
+    '/ticker/24hr': { lastPrice: '0.0158', prevClosePrice: '0.0157', volume: '1', highPrice: '0.8', lowPrice: '0.015', priceChange: '0', priceChangePercent: '0' },
+    '/klines': [
+      [1499040000000, '0.01634790', '0.80000000', '0.01575800', '0.01577100', '148976.11427815', 1499644799999, '2434.19055334', 308, '1756.87402397', '28.46694368', '0'],
+      [1499644800000, '0.01577100', '0.01600000', '0.01570000', '0.01590000', '1000.5', 1500249599999, '15.9', 12, '500', '7.9', '0']
+    ],
+    '/depth': { bids: [], asks: [] }
+  });
+
+  const marketData = await adapter.getMarketData('LTCBTC', '1w');
+  assertCandleShape(marketData.candles);
+  assert.deepEqual(marketData.candles[0], {
+    time: 1499040000000, open: 0.0163479, high: 0.8, low: 0.015758, close: 0.015771, volume: 148976.11427815
+  });
+  assert.deepEqual(marketData.prices, [0.015771, 0.0159]);
+  assert.deepEqual(marketData.volumes, [148976.11427815, 1000.5]);
+});
+
+test('Coinbase candles arrive newest first and are normalized oldest first', async () => {
+  const adapter = stubRequests(new CoinbaseAdapter(), {
+    '/ticker': { price: '140.9' },
+    '/stats': { open: '140', volume: '10', high: '141', low: '139' },
+    '/candles': {
+      candles: [
+        { start: '1639508100', low: '140.21', high: '141.0', open: '140.5', close: '140.9', volume: '56437345' },
+        { start: '1639508040', low: '140.0', high: '140.6', open: '140.1', close: '140.5', volume: '1000' }
+      ]
+    },
+    '/book': { pricebook: { bids: [], asks: [] } }
+  });
+  adapter.normalizeSymbol = symbol => symbol;
+
+  const marketData = await adapter.getMarketData('SOL-USD', '1m');
+  assertCandleShape(marketData.candles);
+  assert.deepEqual(marketData.candles.map(candle => candle.time), [1639508040000, 1639508100000]);
+  assert.deepEqual(marketData.prices, [140.5, 140.9]);
+});
+
+test('technical analysis runs the range indicators on full candles', async () => {
+  const { indicators, signals } = await engine.performTechnicalAnalysis({ symbol: 'TEST', candles: dailyCandles });
+
+  assert.deepEqual(indicators.stochastic, ta.calculateStochastic(daily.high, daily.low, daily.close, 14, 3).at(-1));
+  assert.equal(indicators.atr, ta.calculateATR(daily.high, daily.low, daily.close, 14).at(-1));
+  assert.equal(indicators.williamsR, ta.calculateWilliamsR(daily.high, daily.low, daily.close, 14).at(-1));
+  assert.equal(indicators.cci, ta.calculateCCI(daily.high, daily.low, daily.close, 20).at(-1));
+
+  for (const key of ['stochasticSignal', 'williamsRSignal', 'cciSignal', 'atrSignal']) {
+    assert.ok(['BUY', 'SELL', 'HOLD', 'WEAK_BUY', 'WEAK_SELL'].includes(signals[key].signal), key);
+    assert.ok(signals[key].strength > 0, key);
+  }
+
+  // Close-only market data still analyzes, with every range collapsed onto the close
+  const closesOnly = await engine.performTechnicalAnalysis({ symbol: 'TEST', prices: daily.close, volumes: daily.volume });
+  assert.equal(closesOnly.indicators.atr, ta.calculateATR(daily.close, daily.close, daily.close, 14).at(-1));
+});
+
+test('stochastic signals buy oversold crosses and sell overbought ones', () => {
+  const point = (k, d) => ({ '%k': k, '%d': d });
+  assert.deepEqual(engine.getStochasticSignal([point(10, 12), point(15, 12)]), { signal: 'BUY', strength: 0.75 });
+  assert.deepEqual(engine.getStochasticSignal([point(90, 88), point(85, 88)]), { signal: 'SELL', strength: 0.75 });
+  assert.deepEqual(engine.getStochasticSignal([point(15, 12), point(10, 12)]), { signal: 'WEAK_BUY', strength: 0.5 });
+  assert.deepEqual(engine.getStochasticSignal([point(85, 88), point(90, 88)]), { signal: 'WEAK_SELL', strength: 0.5 });
+  assert.deepEqual(engine.getStochasticSignal([point(40, 50), point(60, 50)]), { signal: 'HOLD', strength: 0.3 });
+  // %D needs a few bars of %K before it exists
+  assert.deepEqual(engine.getStochasticSignal([point(10, null), point(15, 12)]), { signal: 'HOLD', strength: 0.3 });
+  assert.deepEqual(engine.getStochasticSignal([]), { signal: 'HOLD', strength: 0.3 });
+});
+
+test('Williams %R and CCI signal at their overbought and oversold levels', () => {
+  assert.equal(engine.getWilliamsRSignal([-50, -85]).signal, 'BUY');
+  assert.equal(engine.getWilliamsRSignal([-50, -10]).signal, 'SELL');
+  assert.equal(engine.getWilliamsRSignal([-80]).signal, 'HOLD');
+  assert.equal(engine.getWilliamsRSignal([]).signal, 'HOLD');
+
+  assert.equal(engine.getCCISignal([0, -150]).signal, 'BUY');
+  assert.equal(engine.getCCISignal([0, 150]).signal, 'SELL');
+  assert.equal(engine.getCCISignal([100]).signal, 'HOLD');
+  assert.equal(engine.getCCISignal([]).signal, 'HOLD');
+});
+
+test('an ATR breakout needs a close more than 1.5 ATR past the previous one', () => {
+  const bars = (...closes) => closes.map(close => ({ close }));
+  assert.equal(engine.getATRSignal(bars(100, 104), [2, 2.5]).signal, 'BUY');
+  assert.equal(engine.getATRSignal(bars(100, 96), [2, 2.5]).signal, 'SELL');
+  assert.equal(engine.getATRSignal(bars(100, 103), [2, 2.5]).signal, 'HOLD');
+  assert.equal(engine.getATRSignal(bars(100), [2]).signal, 'HOLD');
+});
@@ -0,0 +1,87 @@
+import '../helpers/chrome.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RiskManager } from '../../src/trading/risk-manager.js';
+
+const serviceWorker = await import('../../src/background/service-worker.js');
+
+test('registers message and alarm listeners before initialization settles', async () => {
+  // Importing finishes at init's first await, long before platforms, ledger and orders are restored
+  assert.equal(chrome.runtime.onMessage.callbacks.length, 1);
+  assert.equal(chrome.alarms.onAlarm.callbacks.length, 1);
+});
+
+test('answers messages once initialization has finished', async () => {
+  const [onMessage] = chrome.runtime.onMessage.callbacks;
+
+  let keepOpen;
+  const response = await new Promise(resolve => {
+    keepOpen = onMessage({ type: 'GET_STATUS' }, {}, resolve);
+  });
+
+  assert.equal(keepOpen, true);
+  assert.equal(response.success, true);
+  assert.equal(response.data.isActive, false);
+});
+
+function tradingService(portfolioData) {
+  const { AITradingService } = serviceWorker;
+  const service = Object.create(AITradingService.prototype);
+  const orders = [];
+
+  service.logger = { warn() {}, info() {}, error() {} };
+  service.configManager = { getConfig: async () => ({ aiSettings: {} }) };
+  service.riskManager = new RiskManager({
+    tradingEngine: { getConnectedPlatforms: () => [], getConnection: () => null },
+    symbolRegistry: { load: async () => {}, getVenues: () => [] }
+  });
+  service.tradingEngine = {
+    executeTrade: async params => {
+      orders.push(params);
+      return [];
+    }
+  };
+  service.trackOrders = async () => {};
+  return chrome.storage.local.set({ portfolioData }).then(() => ({ service, orders }));
+}
+
+const approval = { approved: true, recommendedSize: 0.05, approvedPlatforms: ['binance'] };
+
+test('sizes live orders from the account valuation', async () => {
+  const { service, orders } = await tradingService({ binance: { balances: [{ currency: 'USD', total: 10000 }] } });
+
+  await service.executeTrade({ signal: 'BUY' }, 'BTCUSDT', approval, 50000);
+  assert.equal(orders.length, 1);
+  assert.equal(orders[0].quantity, 0.01);
+});
+
+test('sends no order when the account has no priced equity', async () => {
+  for (const portfolio of [{}, { binance: { balances: [{ currency: 'XYZ', total: 5 }] } }]) {
+    const { service, orders } = await tradingService(portfolio);
+
+    await service.executeTrade({ signal: 'BUY' }, 'BTCUSDT', approval, 50000);
+    assert.deepEqual(orders, []);
+  }
+});
+
+test('high-risk assessments cut new positions for as long as they last without compounding', async () => {
+  const { service } = await tradingService({ binance: { balances: [{ currency: 'USD', total: 10000 }] } });
+  await chrome.storage.local.set({ tradingConfig: { riskSettings: { maxPositionSize: 0.1, maxTradeValue: 100000 } } });
+  const sizes = [];
+  const assess = async riskLevel => {
+    service.riskManager.refreshCorrelationMatrix = async () => {};
+    service.riskManager.assessPortfolio = async () => ({ riskLevel, recommendations: ['REDUCE_POSITION_SIZE'], riskyPositions: [] });
+    await service.performRiskAssessment();
+    sizes.push(await service.riskManager.calculatePositionSize({ confidence: 1 }, 'BTCUSDT'));
+  };
+
+  await assess('HIGH');
+  await assess('HIGH');
+  await assess('MEDIUM');
+
+  const [reduced, reducedAgain, restored] = sizes;
+  assert.ok(restored > 0);
+  assert.ok(Math.abs(reduced - restored / 2) < 1e-12);
+  assert.equal(reducedAgain, reduced);
+  assert.equal((await chrome.storage.local.get('tradingConfig')).tradingConfig.riskSettings.maxPositionSize, 0.1);
+});
@@ -0,0 +1,79 @@
+// Chrome API stub
+// In-memory storage and recorded listeners for the chrome.* calls made by the modules under test
+
+function createStorageArea() {
+  const items = {};
+
+  return {
+    items,
+    async get(keys) {
+      if (keys === null || keys === undefined) return structuredClone(items);
+      const names = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+      const result = {};
+      for (const name of names) {
+        if (name in items) result[name] = structuredClone(items[name]);
+      }
+      return result;
+    },
+    async set(values) {
+      for (const [name, value] of Object.entries(values)) {
+        items[name] = structuredClone(value);
+      }
+    },
+    async remove(keys) {
+      for (const name of [].concat(keys)) {
+        delete items[name];
+      }
+    },
+    clear() {
+      for (const name of Object.keys(items)) {
+        delete items[name];
+      }
+    }
+  };
+}
+
+function createEvent() {
+  const callbacks = [];
+
+  return {
+    callbacks,
+    addListener(callback) {
+      callbacks.push(callback);
+    },
+    removeListener(callback) {
+      const index = callbacks.indexOf(callback);
+      if (index !== -1) callbacks.splice(index, 1);
+    }
+  };
+}
+
+globalThis.chrome = {
+  storage: {
+    local: createStorageArea(),
+    session: createStorageArea()
+  },
+  alarms: {
+    create() {},
+    clear: async () => true,
+    get: async () => null,
+    onAlarm: createEvent()
+  },
+  runtime: {
+    getURL: path => path,
+    sendMessage: async () => {},
+    onMessage: createEvent(),
+    onStartup: createEvent(),
+    onInstalled: createEvent()
+  },
+  tabs: {
+    query: async () => [],
+    sendMessage: async () => {},
+    onUpdated: createEvent()
+  }
+};
+
+// Logger echoes every entry to the console; keep the runner's report readable
+for (const method of ['error', 'warn', 'info', 'debug', 'trace']) {
+  console[method] = () => {};
+}
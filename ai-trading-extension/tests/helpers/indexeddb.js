@@ -0,0 +1,115 @@
+// IndexedDB stub
+// In-memory databases covering the object store calls the candle store makes: keyPath stores,
+// put/getAll/delete/clear over bound key ranges, and transactions that complete asynchronously
+
+const databases = new Map();
+
+function compareKeys(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const order = compareKeys(a[i], b[i]);
+      if (order !== 0) return order;
+    }
+    return a.length - b.length;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+class KeyRange {
+  constructor(lower, upper, lowerOpen, upperOpen) {
+    Object.assign(this, { lower, upper, lowerOpen, upperOpen });
+  }
+
+  static bound(lower, upper, lowerOpen = false, upperOpen = false) {
+    return new KeyRange(lower, upper, lowerOpen, upperOpen);
+  }
+
+  includes(key) {
+    const low = compareKeys(key, this.lower);
+    const high = compareKeys(key, this.upper);
+    return (this.lowerOpen ? low > 0 : low >= 0) && (this.upperOpen ? high < 0 : high <= 0);
+  }
+}
+
+class ObjectStore {
+  constructor({ keyPath }) {
+    this.keyPath = keyPath;
+    this.records = new Map();
+  }
+
+  keyOf(value) {
+    return [].concat(this.keyPath).map(path => value[path]);
+  }
+
+  matching(range) {
+    return [...this.records.values()]
+      .filter(record => !range || range.includes(record.key))
+      .sort((a, b) => compareKeys(a.key, b.key));
+  }
+
+  put(value) {
+    const key = this.keyOf(value);
+    this.records.set(JSON.stringify(key), { key, value: structuredClone(value) });
+    return { result: key };
+  }
+
+  getAll(range) {
+    return { result: this.matching(range).map(record => structuredClone(record.value)) };
+  }
+
+  delete(range) {
+    for (const record of this.matching(range)) {
+      this.records.delete(JSON.stringify(record.key));
+    }
+    return { result: undefined };
+  }
+
+  clear() {
+    this.records.clear();
+    return { result: undefined };
+  }
+}
+
+class Database {
+  constructor(name) {
+    this.name = name;
+    this.stores = new Map();
+    this.objectStoreNames = { contains: storeName => this.stores.has(storeName) };
+  }
+
+  createObjectStore(storeName, options) {
+    const store = new ObjectStore(options);
+    this.stores.set(storeName, store);
+    return store;
+  }
+
+  // Requests run as they are made; the transaction reports completion on a later turn
+  transaction(storeName) {
+    const store = this.stores.get(storeName);
+    const transaction = { objectStore: () => store, error: null };
+    setTimeout(() => transaction.oncomplete?.());
+    return transaction;
+  }
+}
+
+globalThis.IDBKeyRange = KeyRange;
+globalThis.indexedDB = {
+  open(name) {
+    const request = {};
+    setTimeout(() => {
+      const existing = databases.get(name);
+      request.result = existing || new Database(name);
+      if (!existing) {
+        databases.set(name, request.result);
+        request.onupgradeneeded?.();
+      }
+      request.onsuccess?.();
+    });
+    return request;
+  }
+};
+
+// Drops every database, as a fresh browser profile would
+export function resetIndexedDB() {
+  databases.clear();
+}
@@ -0,0 +1,78 @@
+// Recorded HTTP replay
+// Stands in for fetch and answers requests from the exchanges recorded in tests/fixtures
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+export function loadFixture(name) {
+  return JSON.parse(readFileSync(new URL(`../fixtures/${name}.json`, import.meta.url), 'utf8'));
+}
+
+// A request matches an exchange on method, origin, path and query; query values recorded as '*'
+// (timestamps, nonces) match anything. Recorded headers and body fields must be present as recorded
+export function replayFetch(...exchangeLists) {
+  const pending = exchangeLists.flat();
+  const requests = [];
+  const originalFetch = globalThis.fetch;
+
+  globalThis.fetch = async (input, options = {}) => {
+    const url = new URL(String(input));
+    const method = options.method || 'GET';
+    const index = pending.findIndex(exchange => matchesRequest(exchange.request, method, url));
+
+    if (index === -1) {
+      throw new Error(`Unrecorded request: ${method} ${url}`);
+    }
+
+    const [exchange] = pending.splice(index, 1);
+    const request = { method, url, headers: options.headers || {}, rawBody: options.body, body: parseBody(options.body) };
+    requests.push(request);
+
+    for (const [name, value] of Object.entries(exchange.request.headers || {})) {
+      assert.equal(request.headers[name], value, `${method} ${url.pathname} header ${name}`);
+    }
+    for (const [name, value] of Object.entries(exchange.request.body || {})) {
+      assert.deepEqual(request.body?.[name], value, `${method} ${url.pathname} body field ${name}`);
+    }
+
+    const { status = 200, statusText = '', body } = exchange.response;
+    return new Response(body === undefined ? null : JSON.stringify(body), {
+      status,
+      statusText,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  };
+
+  return {
+    requests,
+    // Every recorded exchange was requested
+    assertDone() {
+      assert.deepEqual(pending.map(exchange => `${exchange.request.method || 'GET'} ${exchange.request.url}`), []);
+    },
+    restore() {
+      globalThis.fetch = originalFetch;
+    }
+  };
+}
+
+function matchesRequest(recorded, method, url) {
+  const expected = new URL(recorded.url);
+  if ((recorded.method || 'GET') !== method || expected.origin + expected.pathname !== url.origin + url.pathname) {
+    return false;
+  }
+
+  const expectedQuery = [...expected.searchParams];
+  if (expectedQuery.length !== [...url.searchParams].length) {
+    return false;
+  }
+  return expectedQuery.every(([name, value]) => url.searchParams.has(name) && (value === '*' || url.searchParams.get(name) === value));
+}
+
+function parseBody(body) {
+  if (typeof body !== 'string' || body === '') return null;
+  try {
+    return JSON.parse(body);
+  } catch {
+    return Object.fromEntries(new URLSearchParams(body));
+  }
+}
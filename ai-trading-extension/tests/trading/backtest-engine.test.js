@@ -0,0 +1,54 @@
+import '../helpers/chrome.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BacktestEngine } from '../../src/trading/backtest-engine.js';
+
+function hourlyCandles(count) {
+  const start = Date.UTC(2024, 0, 1);
+  return Array.from({ length: count }, (_, i) => {
+    const close = 100 + i * 0.5;
+    return { time: start + i * 3600000, open: close - 0.3, high: close + 1, low: close - 1, close, volume: 1000 };
+  });
+}
+
+test('each run resets the decision engine before replaying its first bar', async () => {
+  const calls = [];
+  const aiEngine = {
+    resetState: () => calls.push('reset'),
+    analyzeMarket: async marketData => {
+      calls.push(marketData.candles.at(-1).time);
+      return { signal: 'HOLD', confidence: 0, analysis: {} };
+    }
+  };
+  const engine = new BacktestEngine({ aiEngine });
+  const candles = hourlyCandles(105);
+
+  await engine.run(candles, { symbol: 'BTCUSDT' });
+  await engine.run(candles, { symbol: 'BTCUSDT' });
+
+  const firstBar = candles[99].time;
+  assert.deepEqual(calls.filter(call => call === 'reset' || call === firstBar), ['reset', firstBar, 'reset', firstBar]);
+  assert.equal(calls.indexOf(firstBar), 1);
+});
+
+test('profit factor is left undefined rather than infinite when no trade lost', () => {
+  const engine = new BacktestEngine({ aiEngine: {} });
+  const curve = [10000, 10100, 10050, 10200].map((equity, i) => ({ time: i * 86400000, equity, drawdown: 0 }));
+  const state = { feesPaid: 4, barsInMarket: 2 };
+  const settings = { initialCapital: 10000, timeframe: '1d' };
+
+  const winners = engine.calculateStatistics([{ pnl: 100 }, { pnl: 100 }], curve, state, settings);
+  assert.equal(winners.profitFactor, null);
+  assert.equal(winners.profitFactorUndefined, true);
+  assert.deepEqual(JSON.parse(JSON.stringify(winners)), winners);
+
+  const mixed = engine.calculateStatistics([{ pnl: 300 }, { pnl: -100 }], curve, state, settings);
+  assert.equal(mixed.profitFactor, 3);
+  assert.equal(mixed.profitFactorUndefined, false);
+
+  // Daily bars annualise over 365 periods
+  const returns = [0.01, 10050 / 10100 - 1, 10200 / 10050 - 1];
+  const mean = returns.reduce((sum, r) => sum + r, 0) / 3;
+  const stdDev = Math.sqrt(returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / 2);
+  assert.ok(Math.abs(mixed.sharpeRatio - mean / stdDev * Math.sqrt(365)) < 1e-9);
+});
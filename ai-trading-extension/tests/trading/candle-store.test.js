@@ -0,0 +1,88 @@
+import '../helpers/chrome.js';
+import { resetIndexedDB } from '../helpers/indexeddb.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CandleStore } from '../../src/trading/candle-store.js';
+
+const MINUTE = 60 * 1000;
+const KEY = 'binance:BTCUSDT:1m';
+const candle = (minute, close = 100 + minute) => ({
+  time: minute * MINUTE, open: close, high: close, low: close, close, volume: 1
+});
+const times = candles => candles.map(({ time }) => time / MINUTE);
+
+beforeEach(() => resetIndexedDB());
+
+test('upsert replaces the open candle, appends newer ones and keeps the window bounded', () => {
+  const store = new CandleStore({ maxCandles: 3 });
+
+  assert.equal(store.upsert(KEY, candle(1)), true);
+  assert.equal(store.upsert(KEY, candle(1, 150)), true);
+  assert.equal(store.getLastCandle(KEY).close, 150);
+
+  for (const minute of [2, 3, 4]) store.upsert(KEY, candle(minute));
+  assert.deepEqual(times(store.series.get(KEY)), [2, 3, 4]);
+
+  // An older candle still in the window is replaced; one before it is ignored
+  assert.equal(store.upsert(KEY, candle(3, 99)), true);
+  assert.equal(store.series.get(KEY)[1].close, 99);
+  assert.equal(store.upsert(KEY, candle(1)), false);
+  assert.deepEqual(times(store.series.get(KEY)), [2, 3, 4]);
+});
+
+test('merge sorts and bounds history and only overwrites when asked to', () => {
+  const store = new CandleStore({ maxCandles: 4 });
+  store.upsert(KEY, candle(5, 1));
+
+  store.merge(KEY, [candle(3), candle(5), candle(1), candle(4), candle(2)]);
+  assert.deepEqual(times(store.series.get(KEY)), [2, 3, 4, 5]);
+  assert.equal(store.getLastCandle(KEY).close, 1);
+
+  store.merge(KEY, [candle(5)], true);
+  assert.equal(store.getLastCandle(KEY).close, 105);
+});
+
+test('persisted candles hydrate a new store, and the window trims the database', async () => {
+  const store = new CandleStore({ maxCandles: 3 });
+  const candles = [1, 2, 3, 4].map(minute => candle(minute));
+  store.merge(KEY, candles);
+  await store.persist(KEY, candles);
+
+  // Only what the in-memory window holds survives
+  const restarted = new CandleStore({ maxCandles: 3 });
+  assert.deepEqual(times(await restarted.getCandles(KEY)), [2, 3, 4]);
+  assert.deepEqual(times(await restarted.getCandles(KEY, 2)), [3, 4]);
+  assert.deepEqual(await restarted.getCandles('binance:ETHUSDT:1m'), []);
+
+  await restarted.clear();
+  assert.deepEqual(await new CandleStore().getCandles(KEY), []);
+});
+
+test('candles streamed before hydration win over the stored copies', async () => {
+  const store = new CandleStore();
+  await store.persist(KEY, [candle(1), candle(2)]);
+
+  const restarted = new CandleStore();
+  restarted.upsert(KEY, candle(2, 250));
+
+  const candles = await restarted.getCandles(KEY);
+  assert.deepEqual(times(candles), [1, 2]);
+  assert.equal(candles[1].close, 250);
+});
+
+test('keeps working in memory without IndexedDB', async () => {
+  const { indexedDB } = globalThis;
+  delete globalThis.indexedDB;
+
+  try {
+    const store = new CandleStore();
+    store.upsert(KEY, candle(1));
+    await store.persist(KEY, [candle(1)]);
+
+    assert.equal(await store.openDatabase(), null);
+    assert.deepEqual(times(await store.getCandles(KEY)), [1]);
+    assert.deepEqual(await new CandleStore().getCandles(KEY), []);
+  } finally {
+    globalThis.indexedDB = indexedDB;
+  }
+});
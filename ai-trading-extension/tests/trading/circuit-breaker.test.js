@@ -0,0 +1,144 @@
+import '../helpers/chrome.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitBreaker } from '../../src/trading/circuit-breaker.js';
+
+const realNow = Date.now;
+const limits = { maxDailyLoss: 0.05, maxDrawdown: 0.2, dailyResetTime: '00:00', timezone: 'UTC' };
+
+function at(iso) {
+  Date.now = () => Date.parse(iso);
+}
+
+beforeEach(() => chrome.storage.local.clear());
+afterEach(() => {
+  Date.now = realNow;
+});
+
+test('a new trading day starts from the fresh account value or carries the last equity over', async () => {
+  const breaker = new CircuitBreaker();
+
+  at('2024-05-01T10:00:00Z');
+  await breaker.evaluate({ totalPnl: 0, accountValue: 1000, limits });
+  let status = await breaker.evaluate({ totalPnl: -10, accountValue: 1000, limits });
+  assert.equal(status.tradingDay, '2024-05-01');
+  assert.equal(status.dailyPnl, -10);
+  assert.equal(status.equity, 990);
+
+  // No account value at the rollover, so the day opens on yesterday's closing equity
+  at('2024-05-02T00:00:01Z');
+  status = await breaker.evaluate({ totalPnl: -10, accountValue: 0, limits });
+  assert.equal(status.tradingDay, '2024-05-02');
+  assert.equal(status.startingEquity, 990);
+  assert.equal(status.dayStartPnl, -10);
+  assert.equal(status.dailyPnl, 0);
+  assert.equal(status.highWaterMark, 1000);
+
+  at('2024-05-03T09:00:00Z');
+  status = await breaker.evaluate({ totalPnl: -10, accountValue: 1200, limits });
+  assert.equal(status.startingEquity, 1200);
+  assert.equal(status.highWaterMark, 1200);
+
+  // The day survives a restart
+  const restarted = new CircuitBreaker();
+  assert.equal((await restarted.getState()).tradingDay, '2024-05-03');
+});
+
+test('drawdown trips ahead of the daily loss when both are breached', async () => {
+  at('2024-05-01T10:00:00Z');
+  const breaker = new CircuitBreaker();
+  await breaker.evaluate({ totalPnl: 0, accountValue: 1000, limits });
+
+  const status = await breaker.evaluate({ totalPnl: -300, accountValue: 1000, limits });
+  assert.equal(status.tripped, true);
+  assert.equal(status.haltReason, 'max_drawdown');
+  assert.equal(status.haltedUntil, null);
+  assert.equal(status.lastTrip.reason, 'max_drawdown');
+
+  // A halted breaker records no further trips
+  const again = await breaker.evaluate({ totalPnl: -400, accountValue: 1000, limits });
+  assert.equal(again.tripped, false);
+  assert.equal(again.halted, true);
+});
+
+test('a daily loss halts until the next trading day', async () => {
+  at('2024-05-01T10:00:00Z');
+  const breaker = new CircuitBreaker();
+  await breaker.evaluate({ totalPnl: 0, accountValue: 1000, limits });
+
+  const status = await breaker.evaluate({ totalPnl: -60, accountValue: 1000, limits });
+  assert.equal(status.haltReason, 'daily_loss');
+  assert.equal(status.dailyLoss, 0.06);
+  assert.ok(status.haltedUntil > Date.parse('2024-05-02T00:00:00Z'));
+  assert.ok(status.haltedUntil <= Date.parse('2024-05-02T00:00:01Z'));
+});
+
+test('re-arming a daily halt early needs force and resets the day base', async () => {
+  at('2024-05-01T10:00:00Z');
+  const breaker = new CircuitBreaker();
+  await breaker.evaluate({ totalPnl: 0, accountValue: 1000, limits });
+  await breaker.evaluate({ totalPnl: -60, accountValue: 1000, limits });
+
+  await assert.rejects(() => breaker.rearm(), /cannot be re-armed before 2024-05-02T00:00/);
+  assert.equal(await breaker.isHalted(), true);
+
+  const status = await breaker.rearm({ force: true });
+  assert.equal(status.halted, false);
+  assert.equal(status.startingEquity, 940);
+  assert.equal(status.dailyLoss, 0);
+
+  // The same P&L no longer counts against the re-armed day
+  const next = await breaker.evaluate({ totalPnl: -60, accountValue: 1000, limits });
+  assert.equal(next.tripped, false);
+  assert.equal(next.dailyPnl, 0);
+});
+
+test('a daily halt re-arms without force once the next day has started', async () => {
+  at('2024-05-01T10:00:00Z');
+  const breaker = new CircuitBreaker();
+  await breaker.evaluate({ totalPnl: 0, accountValue: 1000, limits });
+  await breaker.evaluate({ totalPnl: -60, accountValue: 1000, limits });
+
+  at('2024-05-02T08:00:00Z');
+  const status = await breaker.rearm();
+  assert.equal(status.halted, false);
+  assert.equal(status.haltedUntil, null);
+  // The day base is left for the rollover to reset
+  assert.equal(status.startingEquity, 1000);
+});
+
+test('re-arming a drawdown halt restarts the high-water mark from the current equity', async () => {
+  at('2024-05-01T10:00:00Z');
+  const breaker = new CircuitBreaker();
+  await breaker.evaluate({ totalPnl: 0, accountValue: 1000, limits });
+  await breaker.evaluate({ totalPnl: -300, accountValue: 1000, limits });
+
+  const status = await breaker.rearm();
+  assert.equal(status.highWaterMark, 700);
+  assert.equal(status.drawdown, 0);
+
+  const next = await breaker.evaluate({ totalPnl: -300, accountValue: 1000, limits: { ...limits, maxDailyLoss: 0 } });
+  assert.equal(next.tripped, false);
+  assert.equal(next.drawdown, 0);
+});
+
+test('trading days follow the reset time in the configured time zone across DST', () => {
+  const breaker = new CircuitBreaker();
+  const boundary = (iso, resetTime) => breaker.getNextBoundary(Date.parse(iso), resetTime, 'America/New_York');
+  const near = (actual, iso) => {
+    const expected = Date.parse(iso);
+    assert.ok(actual >= expected && actual - expected <= 1000, `${new Date(actual).toISOString()} is not at ${iso}`);
+  };
+
+  assert.equal(breaker.getTradingDay(Date.parse('2024-03-10T04:59:00Z'), '00:00', 'America/New_York'), '2024-03-09');
+  assert.equal(breaker.getTradingDay(Date.parse('2024-03-10T05:00:00Z'), '00:00', 'America/New_York'), '2024-03-10');
+
+  // Midnight EST, then a 23 hour day to midnight EDT
+  near(boundary('2024-03-09T17:00:00Z', '00:00'), '2024-03-10T05:00:00Z');
+  near(boundary('2024-03-10T16:00:00Z', '00:00'), '2024-03-11T04:00:00Z');
+  // The 25 hour day when the clocks fall back
+  near(boundary('2024-11-03T04:30:00Z', '00:00'), '2024-11-04T05:00:00Z');
+  // A 17:00 reset is 21:00 UTC in summer and 22:00 UTC in winter
+  near(boundary('2024-07-01T12:00:00Z', '17:00'), '2024-07-01T21:00:00Z');
+  near(boundary('2024-12-02T12:00:00Z', '17:00'), '2024-12-02T22:00:00Z');
+});
@@ -0,0 +1,27 @@
+import '../helpers/chrome.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ExecutionAlgorithms } from '../../src/trading/execution-algorithms.js';
+
+const HOUR = 3600000;
+
+test('VWAP weights bin each candle by its own time of day', async () => {
+  // Two days of hourly candles that end well before now and skip a few hours;
+  // 14:00 UTC trades nine times the volume of every other hour
+  const start = Date.UTC(2024, 5, 8);
+  const candles = Array.from({ length: 48 }, (_, i) => ({
+    time: start + i * HOUR,
+    open: 100, high: 101, low: 99, close: 100,
+    volume: new Date(start + i * HOUR).getUTCHours() === 14 ? 900 : 100
+  })).filter((_, i) => ![3, 4, 30].includes(i));
+
+  const algorithms = new ExecutionAlgorithms({
+    tradingEngine: { getMarketData: async () => ({ candles, volumes: candles.map(candle => candle.volume) }) },
+    settings: { vwapTimeframe: '1h' }
+  });
+
+  const sliceStart = Date.UTC(2024, 6, 1, 14);
+  const weights = await algorithms.getVolumeWeights('BTCUSDT', [sliceStart, sliceStart + HOUR], HOUR);
+
+  assert.deepEqual(weights.map(weight => Number(weight.toFixed(6))), [0.9, 0.1]);
+});
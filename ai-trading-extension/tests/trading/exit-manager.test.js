@@ -0,0 +1,223 @@
+import '../helpers/chrome.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ExitManager } from '../../src/trading/exit-manager.js';
+
+// One position on a fake venue; stop moves are amended in place and recorded
+function setup({ settings, side = 'BUY', stopPrice = side === 'BUY' ? 98 : 102, candles = [] } = {}) {
+  const position = {
+    id: 'fake:1',
+    platform: 'fake',
+    symbol: 'BTCUSDT',
+    side,
+    status: 'OPEN',
+    quantity: 1,
+    avgEntryPrice: 100,
+    openedAt: Date.now()
+  };
+  const legs = stopPrice ? [{ role: 'stop_loss', price: stopPrice }] : [];
+  const connection = {
+    price: 100,
+    marketDataRequests: 0,
+    async getCurrentPrice() {
+      return this.price;
+    },
+    async getMarketData() {
+      this.marketDataRequests++;
+      return { candles };
+    }
+  };
+  const stops = [];
+  const closed = [];
+
+  const exitManager = new ExitManager({
+    settings,
+    tradingEngine: { getConnection: () => connection },
+    positionLedger: {
+      getOpenPositions: async () => [position],
+      updateExitState: async (positionId, exit) => {
+        position.exit = exit;
+      }
+    },
+    orderManager: {
+      openOrders: [],
+      async getOpenOrders() {
+        return this.openOrders;
+      },
+      getProtectiveLegs: () => legs,
+      async replaceStopLoss(target, { stopPrice }) {
+        stops.push(stopPrice);
+        legs.splice(0, legs.length, { role: 'stop_loss', price: stopPrice });
+        return { method: 'amended', orderIds: [String(stops.length)] };
+      }
+    },
+    closePosition: async (target, reason) => {
+      closed.push(reason);
+    }
+  });
+
+  const tick = async price => {
+    connection.price = price;
+    await exitManager.evaluatePositions();
+  };
+
+  return { exitManager, position, connection, legs, stops, closed, tick };
+}
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+test('does nothing while every exit rule is off', async () => {
+  const { stops, closed, tick } = setup();
+
+  await tick(150);
+  assert.deepEqual(stops, []);
+  assert.deepEqual(closed, []);
+});
+
+test('a percent trailing stop follows a long up and never back down', async () => {
+  const { position, stops, tick } = setup({ settings: { trailingStop: { enabled: true, percent: 0.015 } } });
+
+  await tick(110);
+  close(stops[0], 110 * 0.985);
+
+  // A pullback lowers the trailing level, which must not loosen the stop
+  await tick(106);
+  assert.equal(stops.length, 1);
+  assert.equal(position.exit.bestPrice, 110);
+
+  await tick(112);
+  close(stops[1], 112 * 0.985);
+  assert.deepEqual(position.exit.adjustments.map(adjustment => adjustment.reason), ['trailing_percent', 'trailing_percent']);
+});
+
+test('a short trails above the price and only ratchets down', async () => {
+  const { stops, tick } = setup({ side: 'SELL', settings: { trailingStop: { enabled: true, percent: 0.02 } } });
+
+  await tick(90);
+  close(stops[0], 91.8);
+
+  await tick(95);
+  assert.equal(stops.length, 1);
+
+  await tick(85);
+  close(stops[1], 86.7);
+});
+
+test('stop moves smaller than minStopMove are skipped', async () => {
+  const { stops, tick } = setup({ settings: { trailingStop: { enabled: true, percent: 0.01 }, minStopMove: 0.005 } });
+
+  await tick(110);
+  assert.equal(stops.length, 1);
+
+  // 0.1 higher is under half a percent of the price
+  await tick(110.1);
+  assert.equal(stops.length, 1);
+
+  await tick(111);
+  assert.equal(stops.length, 2);
+});
+
+test('the trail waits for its activation gain', async () => {
+  const { stops, tick } = setup({ settings: { trailingStop: { enabled: true, percent: 0.01, activationGain: 0.05 } } });
+
+  await tick(104);
+  assert.deepEqual(stops, []);
+
+  await tick(105);
+  close(stops[0], 105 * 0.99);
+});
+
+test('break-even moves the stop past the entry once the trigger gain is reached', async () => {
+  const { position, stops, tick } = setup({ settings: { breakEven: { enabled: true, triggerGain: 0.01, offset: 0.001 } } });
+
+  await tick(100.5);
+  assert.deepEqual(stops, []);
+
+  await tick(101);
+  close(stops[0], 100.1);
+  assert.equal(position.exit.breakEvenApplied, true);
+
+  // Applied once; further gains leave it where it is
+  await tick(120);
+  assert.equal(stops.length, 1);
+});
+
+test('the more protective of break-even and the trail wins', async () => {
+  const { position, stops, tick } = setup({
+    settings: {
+      trailingStop: { enabled: true, percent: 0.05 },
+      breakEven: { enabled: true, triggerGain: 0.01, offset: 0.002 }
+    }
+  });
+
+  // Trail at 97.85 sits below break-even at 100.2
+  await tick(103);
+  close(stops[0], 100.2);
+  assert.equal(position.exit.adjustments[0].reason, 'break_even');
+
+  // Trail at 104.5 overtakes it
+  await tick(110);
+  close(stops[1], 104.5);
+  assert.equal(position.exit.adjustments[1].reason, 'trailing_percent');
+});
+
+test('an ATR trail sits a multiple of the latest ATR behind the best price', async () => {
+  // Every bar has a true range of 2, so ATR(14) is 2
+  const candles = Array.from({ length: 30 }, () => ({ high: 101, low: 99, close: 100 }));
+  const { connection, stops, tick } = setup({
+    candles,
+    settings: { trailingStop: { enabled: true, mode: 'atr', atrMultiplier: 2.5, atrPeriod: 14 } }
+  });
+
+  await tick(110);
+  close(stops[0], 105);
+
+  // The ATR is cached between ticks
+  await tick(112);
+  close(stops[1], 107);
+  assert.equal(connection.marketDataRequests, 1);
+});
+
+test('a stop target the price has already crossed closes at market', async () => {
+  const { position, stops, closed, tick } = setup({ settings: { breakEven: { enabled: true, triggerGain: 0.01, offset: 0.001 } } });
+  // The peak was seen on an earlier tick, but the price is back under the entry
+  position.exit = { bestPrice: 102, stopPrice: 98, takeProfitPrice: null, breakEvenApplied: false, adjustments: [], closeReason: null };
+
+  await tick(100);
+
+  assert.deepEqual(stops, []);
+  assert.deepEqual(closed, ['break_even_crossed']);
+  assert.equal(position.exit.closeReason, 'break_even_crossed');
+});
+
+test('positions held past the limit are closed with a time exit', async () => {
+  const { position, closed, tick } = setup({ settings: { timeExit: { enabled: true, maxHoldingMinutes: 60 } } });
+
+  position.openedAt = Date.now() - 59 * 60 * 1000;
+  await tick(100);
+  assert.deepEqual(closed, []);
+
+  position.openedAt = Date.now() - 61 * 60 * 1000;
+  await tick(100);
+  assert.deepEqual(closed, ['time_exit']);
+  assert.equal(position.exit.adjustments.at(-1).action, 'POSITION_EXIT');
+});
+
+test('entries still filling and missing stop legs are handled', async () => {
+  const { exitManager, position, legs, stops, tick } = setup({ settings: { trailingStop: { enabled: true, percent: 0.01 } } });
+
+  exitManager.orderManager.openOrders = [{ role: 'entry', positionId: position.id }];
+  await tick(110);
+  assert.deepEqual(stops, []);
+
+  exitManager.orderManager.openOrders = [];
+  await tick(110);
+  close(stops[0], 108.9);
+
+  // A failed replacement left no stop on the venue; the last level is put back
+  legs.length = 0;
+  await tick(109);
+  assert.equal(stops.length, 2);
+  close(stops[1], 108.9);
+  assert.equal(position.exit.adjustments.at(-1).reason, 'restore');
+});
@@ -0,0 +1,179 @@
+import '../helpers/chrome.js';
+import { resetIndexedDB } from '../helpers/indexeddb.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MarketDataStream } from '../../src/trading/market-data-stream.js';
+import { CandleStore } from '../../src/trading/candle-store.js';
+import { SymbolRegistry } from '../../src/trading/symbol-registry.js';
+import { BaseAdapter } from '../../src/trading/adapters/base-adapter.js';
+
+const MINUTE = 60 * 1000;
+// A 5m boundary an hour back, so every candle falls inside the last day
+const START = Math.floor(Date.now() / (5 * MINUTE)) * 5 * MINUTE - 60 * MINUTE;
+const at = (minute, seconds = 0) => START + minute * MINUTE + seconds * 1000;
+
+// Market stream venue; REST history is whatever the test puts in `history`
+class FakeVenue extends BaseAdapter {
+  constructor() {
+    super('binance');
+    this.history = {};
+    this.subscribed = [];
+    this.candleRequests = [];
+  }
+
+  async subscribeMarketData(symbols) {
+    this.subscribed.push(...symbols);
+    return true;
+  }
+
+  async unsubscribeMarketData(symbols) {
+    this.subscribed = this.subscribed.filter(symbol => !symbols.includes(symbol));
+    return true;
+  }
+
+  async getCandles(symbol, timeframe) {
+    this.candleRequests.push(timeframe);
+    return this.history[timeframe] || [];
+  }
+}
+
+let venue;
+let stream;
+
+beforeEach(() => {
+  resetIndexedDB();
+  venue = new FakeVenue();
+  stream = new MarketDataStream({
+    settings: { timeframes: ['1m', '5m'], minCandles: 3 },
+    tradingEngine: {
+      symbolRegistry: new SymbolRegistry(),
+      selectBestPlatformForSymbol: () => 'binance',
+      getConnection: () => venue
+    }
+  });
+});
+
+const trade = (minute, seconds, price, quantity = 1) =>
+  venue.emit('trade', { symbol: 'BTCUSDT', price, quantity, timestamp: at(minute, seconds) });
+const series = timeframe => stream.candleStore.series.get(`binance:BTCUSDT:${timeframe}`) || [];
+// Database writes and backfills take a few timer turns in the IndexedDB stub
+async function settle() {
+  for (let turn = 0; turn < 20; turn++) {
+    await new Promise(resolve => setTimeout(resolve));
+  }
+}
+
+test('trades build 1m candles and roll them up to the higher timeframes', async () => {
+  await stream.setSymbols(['BTC-USDT']);
+  assert.deepEqual(venue.subscribed, ['BTC-USDT']);
+
+  trade(0, 5, 100, 1);
+  trade(0, 30, 104, 2);
+  trade(0, 50, 99, 1);
+  trade(1, 10, 101, 3);
+  // A late print for the finished minute is dropped
+  trade(0, 55, 90, 5);
+  trade(5, 0, 102, 1);
+
+  assert.deepEqual(series('1m').map(({ time, ...ohlcv }) => [(time - START) / MINUTE, ohlcv]), [
+    [0, { open: 100, high: 104, low: 99, close: 99, volume: 4 }],
+    [1, { open: 101, high: 101, low: 101, close: 101, volume: 3 }],
+    [5, { open: 102, high: 102, low: 102, close: 102, volume: 1 }]
+  ]);
+  assert.deepEqual(series('5m').map(({ time, ...ohlcv }) => [(time - START) / MINUTE, ohlcv]), [
+    [0, { open: 100, high: 104, low: 99, close: 101, volume: 7 }],
+    [5, { open: 102, high: 102, low: 102, close: 102, volume: 1 }]
+  ]);
+});
+
+test('closed minutes and their rolled-up candles are written to the candle database', async () => {
+  await stream.setSymbols(['BTCUSDT']);
+  trade(0, 5, 100);
+  trade(1, 5, 101);
+  trade(2, 5, 102);
+  await settle();
+
+  // The open minute stays in memory until the next one starts; the 5m candle is written as it stands
+  const restarted = new CandleStore();
+  assert.deepEqual((await restarted.getCandles('binance:BTCUSDT:1m')).map(candle => candle.close), [100, 101]);
+  assert.deepEqual((await restarted.getCandles('binance:BTCUSDT:5m')).map(candle => [candle.open, candle.close]), [[100, 102]]);
+});
+
+test('streamed klines replace the trade-built minute and stop trades adding volume', async () => {
+  await stream.setSymbols(['BTCUSDT']);
+  trade(0, 5, 100, 2);
+
+  const kline = { time: at(0), open: 100, high: 103, low: 98, close: 101, volume: 10 };
+  venue.emit('kline', { symbol: 'BTCUSDT', timeframe: '1m', candle: kline, closed: false });
+  venue.emit('kline', { symbol: 'BTCUSDT', timeframe: '5m', candle: { ...kline, volume: 99 }, closed: false });
+  trade(0, 40, 105, 7);
+
+  assert.deepEqual(series('1m'), [kline]);
+  assert.equal(series('5m')[0].volume, 10);
+  assert.equal(stream.getFeed('binance', 'BTCUSDT').lastPrice, 105);
+});
+
+test('reads come from the store only while the feed is live and holds enough history', async () => {
+  venue.history['1m'] = [0, 1, 2].map(minute => ({ time: at(minute), open: 100, high: 110, low: 90, close: 100 + minute, volume: 2 }));
+  await stream.setSymbols(['BTCUSDT']);
+
+  // Backfilled history alone is not a live feed
+  assert.equal(await stream.getMarketData('BTCUSDT', '1m'), null);
+
+  venue.emit('orderBook', { symbol: 'BTCUSDT', bids: [{ price: 101, quantity: 1 }], asks: [{ price: 102, quantity: 1 }] });
+  trade(2, 30, 103);
+
+  const data = await stream.getMarketData('BTC/USDT', '1m');
+  assert.equal(data.source, 'stream');
+  assert.equal(data.currentPrice, 103);
+  assert.deepEqual(data.prices, [100, 101, 103]);
+  assert.equal(data.previousPrice, 100);
+  assert.equal(data.high24h, 110);
+  assert.equal(data.volume24h, 7);
+  assert.deepEqual(data.orderBook.asks, [{ price: 102, quantity: 1 }]);
+
+  // Too little history, an unstreamed timeframe or another venue go to REST
+  assert.equal(await stream.getMarketData('BTCUSDT', '5m'), null);
+  assert.equal(await stream.getMarketData('BTCUSDT', '1h'), null);
+  assert.equal(await stream.getMarketData('BTCUSDT', '1m', 'kraken'), null);
+  assert.equal(await stream.getMarketData('ETHUSDT', '1m'), null);
+
+  stream.getFeed('binance', 'BTCUSDT').lastUpdate = Date.now() - 121 * 1000;
+  assert.equal(await stream.getMarketData('BTCUSDT', '1m'), null);
+});
+
+test('a dropped market socket sends reads to REST and backfills once it reconnects', async () => {
+  venue.history['1m'] = [0, 1, 2].map(minute => ({ time: at(minute), open: 100, high: 100, low: 100, close: 100, volume: 1 }));
+  await stream.setSymbols(['BTCUSDT']);
+  trade(2, 30, 100);
+  assert.notEqual(await stream.getMarketData('BTCUSDT', '1m'), null);
+  assert.deepEqual(venue.candleRequests, ['1m', '5m']);
+
+  // Only the market socket counts
+  venue.emit('connectionStateChanged', { socket: 'user', state: 'reconnecting' });
+  assert.notEqual(await stream.getMarketData('BTCUSDT', '1m'), null);
+
+  venue.emit('connectionStateChanged', { socket: 'market', state: 'reconnecting' });
+  assert.equal(await stream.getMarketData('BTCUSDT', '1m'), null);
+
+  venue.history['1m'].push({ time: at(3), open: 100, high: 100, low: 100, close: 107, volume: 1 });
+  venue.emit('connectionStateChanged', { socket: 'market', state: 'connected' });
+  await settle();
+
+  assert.deepEqual(venue.candleRequests, ['1m', '5m', '1m', '5m']);
+  assert.equal(series('1m').at(-1).close, 107);
+});
+
+test('dropping a symbol unsubscribes it and detaches from an unused venue', async () => {
+  await stream.setSymbols(['BTCUSDT', 'ETHUSDT']);
+  assert.equal(stream.getStatus().length, 2);
+
+  await stream.setSymbols(['ethusdt']);
+  assert.deepEqual(venue.subscribed, ['ETHUSDT']);
+  assert.deepEqual(stream.getStatus().map(status => status.symbol), ['ETHUSDT']);
+
+  await stream.stop();
+  assert.deepEqual(venue.subscribed, []);
+  assert.equal(stream.listeners.size, 0);
+  assert.ok([...venue.eventListeners.values()].every(listeners => listeners.length === 0));
+});
@@ -0,0 +1,266 @@
+import '../helpers/chrome.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { OrderManager } from '../../src/trading/order-manager.js';
+import { PositionLedger } from '../../src/trading/position-ledger.js';
+import { BaseAdapter } from '../../src/trading/adapters/base-adapter.js';
+
+// Venue double: orders rest until the test reports on them; brackets use the base emulation
+class FakeAdapter extends BaseAdapter {
+  constructor() {
+    super('fake');
+    this.nextId = 0;
+    this.created = [];
+    this.cancelled = [];
+    this.statuses = new Map();
+    this.price = 100;
+  }
+
+  async createOrder(params) {
+    const order = { id: String(++this.nextId), status: 'NEW', filled: 0, ...params };
+    this.created.push(order);
+    return order;
+  }
+
+  async cancelOrder(orderId) {
+    this.cancelled.push(orderId);
+    return { id: orderId, status: 'CANCELED' };
+  }
+
+  async getOrderStatus(orderId) {
+    return this.statuses.get(orderId);
+  }
+
+  async getCurrentPrice() {
+    return this.price;
+  }
+}
+
+let adapter;
+let ledger;
+let orderManager;
+
+beforeEach(async () => {
+  await chrome.storage.local.clear();
+  adapter = new FakeAdapter();
+  ledger = new PositionLedger();
+  orderManager = new OrderManager({
+    positionLedger: ledger,
+    tradingEngine: {
+      getConnection: () => adapter,
+      cancelOrder: (platform, orderId, symbol) => adapter.cancelOrder(orderId, symbol)
+    }
+  });
+  orderManager.attachAdapter('fake', adapter);
+});
+
+async function submitEntry(trade = {}) {
+  const order = await adapter.createOrder({ symbol: 'BTCUSDT', side: 'BUY', quantity: 2, type: 'LIMIT', price: 100 });
+  const record = await orderManager.trackOrder({
+    platform: 'fake',
+    order,
+    trade: { symbol: 'BTCUSDT', side: 'BUY', quantity: 2, ...trade }
+  });
+  return { order, record };
+}
+
+// Adapter listeners run async; let the queued handlers settle
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('a resting entry opens no position until a fill event arrives', async () => {
+  const { order, record } = await submitEntry();
+
+  assert.equal(record.status, 'open');
+  assert.deepEqual(await ledger.getOpenPositions(), []);
+
+  adapter.emit('orderUpdate', { orderId: order.id, status: 'PARTIALLY_FILLED', filled: 0.5, avgPrice: 99 });
+  await settle();
+
+  const [position] = await ledger.getOpenPositions();
+  assert.equal(position.status, 'OPEN');
+  assert.equal(position.quantity, 0.5);
+  assert.equal(position.avgEntryPrice, 99);
+  assert.equal(record.positionId, position.id);
+
+  adapter.emit('orderUpdate', { orderId: order.id, status: 'FILLED', filled: 2, avgPrice: 99.5 });
+  await settle();
+
+  // The second fill is booked at its own price: (99.5 * 2 - 99 * 0.5) / 1.5
+  const filled = await ledger.getPosition(position.id);
+  assert.equal(filled.quantity, 2);
+  assert.equal(filled.avgEntryPrice, 99.5);
+  assert.deepEqual(record.transitions.map(transition => transition.status), ['new', 'open', 'partially_filled', 'filled']);
+  assert.equal((await orderManager.getOpenOrders()).length, 0);
+});
+
+test('stale poll results do not move an order backwards', async () => {
+  const { order, record } = await submitEntry();
+  await orderManager.handleOrderEvent('fake', { orderId: order.id, status: 'PARTIALLY_FILLED', filled: 1, avgPrice: 100 });
+
+  adapter.statuses.set(order.id, { id: order.id, status: 'NEW', filled: 0 });
+  await orderManager.pollOpenOrders();
+
+  assert.equal(record.status, 'partially_filled');
+  assert.equal(record.filled, 1);
+  assert.equal((await ledger.getPosition(record.positionId)).quantity, 1);
+});
+
+test('polling books fills for venues without an order stream', async () => {
+  orderManager.detachAdapter('fake');
+  const { order, record } = await submitEntry();
+
+  adapter.emit('orderUpdate', { orderId: order.id, status: 'FILLED', filled: 2, avgPrice: 100 });
+  await settle();
+  assert.deepEqual(await ledger.getOpenPositions(), []);
+
+  adapter.statuses.set(order.id, { id: order.id, status: 'FILLED', filled: 2, avgPrice: 100 });
+  await orderManager.pollOpenOrders();
+
+  assert.equal(record.status, 'filled');
+  assert.equal((await ledger.getOpenPositions())[0].quantity, 2);
+});
+
+test('an entry cancelled before any fill never becomes a position', async () => {
+  await submitEntry();
+  await orderManager.cancelPendingEntries();
+
+  assert.deepEqual(adapter.cancelled, ['1']);
+  assert.deepEqual(await ledger.getOpenPositions(), []);
+  assert.equal((await orderManager.getOpenOrders()).length, 0);
+});
+
+test('each fill gets exit legs priced off the average fill, once', async () => {
+  const { order, record } = await submitEntry({ stopLoss: 0.02, takeProfit: 0.05 });
+
+  // Nothing to protect yet
+  assert.equal(adapter.created.length, 1);
+
+  await orderManager.handleOrderEvent('fake', { orderId: order.id, status: 'PARTIALLY_FILLED', filled: 0.5, avgPrice: 100 });
+  const [firstStop] = adapter.created.slice(1);
+  assert.equal(firstStop.type, 'STOP_MARKET');
+  assert.equal(firstStop.side, 'SELL');
+  assert.equal(firstStop.quantity, 0.5);
+  assert.equal(firstStop.stopPrice, 98);
+
+  // A repeated event with no new fill places nothing
+  await orderManager.handleOrderEvent('fake', { orderId: order.id, status: 'PARTIALLY_FILLED', filled: 0.5, avgPrice: 100 });
+  assert.equal(adapter.created.length, 2);
+
+  // The rest of the entry is topped up for just the uncovered units
+  await orderManager.handleOrderEvent('fake', { orderId: order.id, status: 'FILLED', filled: 2, avgPrice: 110 });
+  const secondStop = adapter.created[2];
+  assert.equal(secondStop.quantity, 1.5);
+  assert.equal(secondStop.stopPrice, 110 * 0.98);
+  assert.equal(record.bracketedQuantity, 2);
+
+  const legs = orderManager.getProtectiveLegs(record.positionId);
+  assert.deepEqual(legs.map(leg => leg.role).sort(), ['stop_loss', 'stop_loss', 'take_profit', 'take_profit']);
+  assert.ok(legs.every(leg => leg.side === 'SELL'));
+});
+
+async function bracketedPosition() {
+  const { order, record } = await submitEntry({ stopLoss: 0.02, takeProfit: 0.05 });
+  await orderManager.handleOrderEvent('fake', { orderId: order.id, status: 'FILLED', filled: 2, avgPrice: 100 });
+
+  const legs = orderManager.getProtectiveLegs(record.positionId);
+  return {
+    positionId: record.positionId,
+    stop: legs.find(leg => leg.role === 'stop_loss'),
+    takeProfit: legs.find(leg => leg.role === 'take_profit')
+  };
+}
+
+test('a filled stop cancels its take profit sibling and closes the position', async () => {
+  const { positionId, stop, takeProfit } = await bracketedPosition();
+  assert.equal(stop.ocoGroupId, takeProfit.ocoGroupId);
+  assert.ok(takeProfit.virtual);
+
+  await orderManager.handleOrderEvent('fake', { orderId: stop.orderId, status: 'FILLED', filled: 2, avgPrice: 98 });
+
+  assert.deepEqual(orderManager.getProtectiveLegs(positionId), []);
+  assert.equal(takeProfit.status, 'cancelled');
+  // The virtual leg only lives in the order manager, so the venue sees no cancel
+  assert.deepEqual(adapter.cancelled, []);
+
+  const [closed] = await ledger.getClosedPositions();
+  assert.equal(closed.id, positionId);
+  assert.equal(closed.realizedPnl, -4);
+
+  // Nothing fires for the retired take profit however far the price runs
+  adapter.price = 200;
+  await orderManager.checkVirtualLegs();
+  assert.equal(adapter.created.length, 2);
+});
+
+test('a partly filled stop shrinks the take profit to what is left', async () => {
+  const { positionId, stop, takeProfit } = await bracketedPosition();
+
+  await orderManager.handleOrderEvent('fake', { orderId: stop.orderId, status: 'PARTIALLY_FILLED', filled: 0.5, avgPrice: 98 });
+
+  assert.equal(takeProfit.quantity, 1.5);
+  assert.equal(takeProfit.status, 'new');
+  assert.equal((await ledger.getPosition(positionId)).quantity, 1.5);
+});
+
+test('a virtual take profit pulls the stop and exits at market once the price reaches it', async () => {
+  const { positionId, stop, takeProfit } = await bracketedPosition();
+  assert.equal(takeProfit.price, 105);
+
+  adapter.price = 104.9;
+  await orderManager.pollOpenOrders();
+  assert.equal(adapter.created.length, 2);
+
+  adapter.price = 105.2;
+  await orderManager.checkVirtualLegs();
+
+  assert.deepEqual(adapter.cancelled, [stop.orderId]);
+  const exit = adapter.created[2];
+  assert.deepEqual({ side: exit.side, quantity: exit.quantity, type: exit.type }, { side: 'SELL', quantity: 2, type: 'MARKET' });
+
+  const [exitRecord] = orderManager.getProtectiveLegs(positionId);
+  assert.equal(exitRecord.role, 'take_profit');
+  assert.equal(exitRecord.orderId, exit.id);
+
+  await orderManager.handleOrderEvent('fake', { orderId: exit.id, status: 'FILLED', filled: 2, avgPrice: 105.2 });
+  const [closed] = await ledger.getClosedPositions();
+  assert.ok(Math.abs(closed.realizedPnl - 10.4) < 1e-9);
+});
+
+test('a virtual take profit holds off when the stop cannot be cancelled', async () => {
+  const { positionId, takeProfit } = await bracketedPosition();
+  adapter.cancelOrder = async () => {
+    throw new Error('Unknown order');
+  };
+
+  adapter.price = 106;
+  await orderManager.checkVirtualLegs();
+
+  // The stop most likely filled; the next poll books it instead of selling twice
+  assert.equal(adapter.created.length, 2);
+  assert.ok(orderManager.getProtectiveLegs(positionId).includes(takeProfit));
+});
+
+test('cancelling one leg of a native OCO retires the whole group', async () => {
+  const order = await adapter.createOrder({ symbol: 'BTCUSDT', side: 'BUY', quantity: 1, type: 'MARKET' });
+  const record = await orderManager.trackOrder({
+    platform: 'fake',
+    order: {
+      ...order,
+      status: 'FILLED',
+      filled: 1,
+      avgPrice: 100,
+      conditionalOrders: [
+        { type: 'STOP_LOSS', orderId: 'sl', orderType: 'STOP_LOSS_LIMIT', price: 98, quantity: 1, ocoGroupId: 'list1', native: true },
+        { type: 'TAKE_PROFIT', orderId: 'tp', orderType: 'LIMIT_MAKER', price: 105, quantity: 1, ocoGroupId: 'list1', native: true }
+      ]
+    },
+    trade: { symbol: 'BTCUSDT', side: 'BUY', quantity: 1, stopLoss: 0.02, takeProfit: 0.05 }
+  });
+
+  // The venue's legs already cover the fill, so nothing is placed on top
+  assert.equal(adapter.created.length, 1);
+
+  await orderManager.cancelProtectiveOrders(record.positionId);
+  assert.deepEqual(adapter.cancelled, ['sl']);
+  assert.deepEqual(orderManager.getProtectiveLegs(record.positionId), []);
+});
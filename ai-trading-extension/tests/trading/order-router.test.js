@@ -0,0 +1,127 @@
+import '../helpers/chrome.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OrderRouter } from '../../src/trading/order-router.js';
+
+// Each venue serves a fixed book; a venue given as a number only reports its last price
+function routerWith(books, settings) {
+  const connections = Object.fromEntries(Object.entries(books).map(([platform, book]) => [platform, {
+    async getMarketData() {
+      if (book instanceof Error) throw book;
+      return typeof book === 'number' ?
+        { currentPrice: book } :
+        { currentPrice: book.asks?.[0]?.price, orderBook: book };
+    }
+  }]));
+
+  return new OrderRouter({
+    settings,
+    tradingEngine: {
+      getPlatformsForSymbol: () => Object.keys(books),
+      getConnection: platform => connections[platform] || null
+    }
+  });
+}
+
+const asks = (...levels) => ({ bids: [], asks: levels.map(([price, quantity]) => ({ price, quantity })) });
+const bids = (...levels) => ({ asks: [], bids: levels.map(([price, quantity]) => ({ price, quantity })) });
+
+test('sends the whole order to the venue with the best all-in price', async () => {
+  // Coinbase quotes lower but its 0.6% taker fee costs more than the gap
+  const router = routerWith({
+    binance: asks([100, 5]),
+    coinbase: asks([99.8, 5])
+  });
+
+  const report = await router.routeOrder({ symbol: 'BTCUSDT', side: 'BUY', quantity: 2 });
+
+  assert.equal(report.strategy, 'single');
+  assert.deepEqual(report.allocations, [{ platform: 'binance', quantity: 2, expectedPrice: 100, feeRate: 0.001 }]);
+  assert.equal(report.reason, 'binance has the best all-in price 100.1 (avg 100 + 0.10% fee, 2 of 2 visible in the book); ' +
+    'next best coinbase at 100.3988');
+});
+
+test('sells go to the highest bid net of fees', async () => {
+  const router = routerWith({
+    binance: bids([100, 1], [99, 5]),
+    kraken: bids([100.5, 5])
+  });
+
+  const report = await router.routeOrder({ symbol: 'BTCUSDT', side: 'SELL', quantity: 1 });
+
+  // Kraken nets 100.5 * 0.996 = 100.098 against Binance's 100 * 0.999 = 99.9
+  assert.equal(report.allocations[0].platform, 'kraken');
+  assert.ok(report.reason.startsWith('kraken has the best all-in price'));
+});
+
+test('with splitting off, a deeper venue that fills the order is not called the best price', async () => {
+  const router = routerWith({
+    binance: asks([100, 1]),
+    kraken: asks([100.5, 5])
+  }, { allowSplit: false });
+
+  const report = await router.routeOrder({ symbol: 'BTCUSDT', side: 'BUY', quantity: 3 });
+
+  assert.equal(report.strategy, 'single');
+  assert.deepEqual(report.allocations.map(({ platform, quantity }) => ({ platform, quantity })), [{ platform: 'kraken', quantity: 3 }]);
+  assert.equal(report.reason, 'kraken takes the whole order at an all-in price of 100.902 ' +
+    '(avg 100.5 + 0.40% fee, 3 of 3 visible in the book); binance prices better at 100.1 but shows only 1 of 3');
+});
+
+test('splits across books when no single venue holds the order at the best price', async () => {
+  const router = routerWith({
+    binance: asks([100, 1]),
+    kraken: asks([100.2, 5])
+  });
+
+  const report = await router.routeOrder({ symbol: 'BTCUSDT', side: 'BUY', quantity: 3 });
+
+  // Binance's level (100.1 all-in) is taken before Kraken's (100.6008), which fills the rest
+  assert.equal(report.strategy, 'split');
+  assert.deepEqual(report.allocations.map(({ platform, quantity }) => ({ platform, quantity })), [
+    { platform: 'kraken', quantity: 2 },
+    { platform: 'binance', quantity: 1 }
+  ]);
+  assert.equal(report.reason, 'No single book holds 3 BTCUSDT at the best price; split across kraken, binance');
+});
+
+test('slices under minSplitFraction fold into the largest one', async () => {
+  const books = {
+    binance: asks([100, 0.2]),
+    kraken: asks([100.2, 5])
+  };
+
+  // 0.2 of 3 is under the default 10%, so Kraken takes everything
+  const folded = await routerWith(books).routeOrder({ symbol: 'BTCUSDT', side: 'BUY', quantity: 3 });
+  assert.equal(folded.strategy, 'single');
+  assert.deepEqual(folded.allocations.map(({ platform, quantity }) => ({ platform, quantity })), [{ platform: 'kraken', quantity: 3 }]);
+  assert.ok(folded.reason.startsWith('kraken takes the whole order'));
+  assert.ok(folded.reason.endsWith('binance prices better at 100.1 but shows only 0.2 of 3'));
+
+  const kept = await routerWith(books, { minSplitFraction: 0.05 }).routeOrder({ symbol: 'BTCUSDT', side: 'BUY', quantity: 3 });
+  assert.equal(kept.strategy, 'split');
+  assert.deepEqual(kept.allocations.map(({ platform, quantity }) => ({ platform, quantity })), [
+    { platform: 'kraken', quantity: 2.8 },
+    { platform: 'binance', quantity: 0.2 }
+  ]);
+});
+
+test('venues without a book count as deep and failed quotes are left out', async () => {
+  const router = routerWith({
+    binance: asks([100, 0.5]),
+    alpaca: 100.05,
+    kraken: new Error('timeout')
+  });
+
+  const report = await router.routeOrder({ symbol: 'BTCUSDT', side: 'BUY', quantity: 2 });
+
+  // Alpaca charges no fee, so its last price is the best and unknown depth counts as fillable
+  assert.equal(report.strategy, 'single');
+  assert.equal(report.allocations[0].platform, 'alpaca');
+  assert.ok(report.reason.includes('no depth reported'));
+  assert.equal(report.venues.find(venue => venue.platform === 'kraken').error, 'timeout');
+
+  const none = await routerWith({ kraken: new Error('timeout') }).routeOrder({ symbol: 'BTCUSDT', side: 'BUY', quantity: 1 });
+  assert.equal(none.strategy, 'none');
+  assert.deepEqual(none.allocations, []);
+});
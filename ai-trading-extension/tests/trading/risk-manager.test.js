@@ -0,0 +1,104 @@
+import '../helpers/chrome.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RiskManager } from '../../src/trading/risk-manager.js';
+
+function registryWithVenues(venues) {
+  return { load: async () => {}, getVenues: () => venues };
+}
+
+function engineWithConnections(connections) {
+  return { symbolRegistry: null, getConnection: platform => connections[platform] || null };
+}
+
+test('platformSupportsSymbol rules out venues the registry does not list', async () => {
+  const riskManager = new RiskManager({ symbolRegistry: registryWithVenues(['alpaca']) });
+  assert.equal(await riskManager.platformSupportsSymbol('binance', 'AAPL'), false);
+});
+
+test('platformSupportsSymbol keeps the registry answer for platforms that are not connected', async () => {
+  const riskManager = new RiskManager({
+    tradingEngine: engineWithConnections({}),
+    symbolRegistry: registryWithVenues(['binance', 'kraken'])
+  });
+
+  assert.equal(await riskManager.platformSupportsSymbol('kraken', 'BTCUSDT'), true);
+});
+
+test('platformSupportsSymbol asks connected adapters for their exchange info', async () => {
+  const riskManager = new RiskManager({
+    tradingEngine: engineWithConnections({
+      binance: { supportsSymbol: async symbol => symbol === 'BTCUSDT' }
+    }),
+    symbolRegistry: registryWithVenues([])
+  });
+
+  assert.equal(await riskManager.platformSupportsSymbol('binance', 'BTCUSDT'), true);
+  assert.equal(await riskManager.platformSupportsSymbol('binance', 'XYZUSDT'), false);
+});
+
+function hourlyCandles(closes, start = Date.UTC(2024, 5, 10)) {
+  return closes.map((close, i) => ({ time: start + i * 3600000, close }));
+}
+
+test('calculateCorrelation pairs returns on candle time', () => {
+  const riskManager = new RiskManager({ symbolRegistry: registryWithVenues([]) });
+  const closes = Array.from({ length: 40 }, (_, i) => 100 + 5 * Math.sin(i) + i * 0.1);
+
+  // The second series misses one bar and has one bar more at the end; aligning by array
+  // tail would pair every return before the gap with the wrong hour
+  const btc = hourlyCandles(closes);
+  const eth = hourlyCandles([...closes.map(close => close * 2), 250]).filter((_, i) => i !== 20);
+
+  const correlation = riskManager.calculateCorrelation(
+    riskManager.calculateReturns(btc),
+    riskManager.calculateReturns(eth)
+  );
+  assert.ok(Math.abs(correlation - 1) < 1e-9);
+});
+
+test('calculateCorrelation needs enough shared bars', () => {
+  const riskManager = new RiskManager({ symbolRegistry: registryWithVenues([]) });
+  const closes = Array.from({ length: 30 }, (_, i) => 100 + i + (i % 3));
+
+  const earlier = riskManager.calculateReturns(hourlyCandles(closes));
+  const later = riskManager.calculateReturns(hourlyCandles(closes, Date.UTC(2024, 5, 11)));
+  assert.equal(riskManager.calculateCorrelation(earlier, later), null);
+});
+
+test('calculateVolatilityTargetSize sizes by stop distance below the maxPositionSize cap', async () => {
+  const riskManager = new RiskManager({ symbolRegistry: registryWithVenues([]) });
+  riskManager.getVolatilityProfile = async () => ({ atrPercent: 0.01, volatility: 0.5 });
+  const riskSettings = { riskPerTrade: 0.002, maxPositionSize: 0.1 };
+
+  const wide = await riskManager.calculateVolatilityTargetSize({ stopLoss: 0.04 }, 'BTCUSDT', riskSettings);
+  assert.equal(wide.size, 0.05);
+  assert.equal(wide.capped, false);
+
+  const tight = await riskManager.calculateVolatilityTargetSize({ stopLoss: 0.01 }, 'BTCUSDT', riskSettings);
+  assert.equal(tight.size, 0.1);
+  assert.equal(tight.capped, true);
+});
+
+test('the circuit breaker measures losses against the real account value', async () => {
+  chrome.storage.local.clear();
+  await chrome.storage.local.set({
+    portfolioData: { binance: { balances: [{ currency: 'USD', total: 500 }] } },
+    tradingConfig: { riskSettings: { maxDailyLoss: 0.03, maxDrawdown: 0.2 } }
+  });
+  const pnl = { realizedPnl: 0, unrealizedPnl: 0 };
+  const riskManager = new RiskManager({
+    tradingEngine: { getConnectedPlatforms: () => [], getConnection: () => null },
+    positionLedger: { getSummary: async () => pnl },
+    symbolRegistry: registryWithVenues([])
+  });
+
+  assert.equal((await riskManager.updateCircuitBreaker()).startingEquity, 500);
+
+  // $20 is 4% of the $500 account, past the 3% daily limit
+  pnl.unrealizedPnl = -20;
+  const status = await riskManager.updateCircuitBreaker();
+  assert.equal(status.dailyLoss, 0.04);
+  assert.equal(status.tripped, true);
+  assert.equal(status.haltReason, 'daily_loss');
+});
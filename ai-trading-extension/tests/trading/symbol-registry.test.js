@@ -0,0 +1,121 @@
+import '../helpers/chrome.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { SymbolRegistry } from '../../src/trading/symbol-registry.js';
+
+// The bundled metadata is served from disk in place of the extension URL
+const bundle = readFileSync(new URL('../../src/data/symbols.json', import.meta.url), 'utf8');
+const originalFetch = globalThis.fetch;
+let bundleStatus;
+
+beforeEach(() => {
+  chrome.storage.local.clear();
+  bundleStatus = 200;
+  globalThis.fetch = async path => {
+    assert.equal(path, 'src/data/symbols.json');
+    return new Response(bundleStatus === 200 ? bundle : null, { status: bundleStatus });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+async function loadedRegistry() {
+  const registry = new SymbolRegistry();
+  await registry.load();
+  return registry;
+}
+
+const CRYPTO_VENUES = ['binance', 'coinbase', 'kraken', 'kucoin', 'bybit', 'gate'];
+const STOCK_VENUES = ['alpaca', 'interactive_brokers'];
+
+test('pairs split on the longest quote asset and take their metadata from the base', async () => {
+  const registry = await loadedRegistry();
+
+  assert.deepEqual(registry.getSymbol('btc-usdt'), {
+    symbol: 'BTCUSDT',
+    base: 'BTC',
+    quote: 'USDT',
+    name: 'Bitcoin',
+    assetClass: 'crypto',
+    sector: 'Store of Value',
+    venues: CRYPTO_VENUES,
+    tradingHours: null,
+    known: true
+  });
+  assert.equal(registry.getSymbol('ETH/USD').quote, 'USD');
+  assert.equal(registry.getSymbol('ETHBTC').base, 'ETH');
+
+  // Unlisted coins quoted in crypto are still crypto; anything else is unknown
+  const pepe = registry.getSymbol('PEPEUSDT');
+  assert.deepEqual([pepe.assetClass, pepe.known, pepe.venues], ['crypto', false, CRYPTO_VENUES]);
+  assert.deepEqual([registry.getAssetClass('XYZ'), registry.getSector('XYZ'), registry.getVenues('XYZ')], [null, null, []]);
+});
+
+test('stocks and ETFs trade under their bare ticker with the class venues and hours', async () => {
+  const registry = await loadedRegistry();
+  const apple = registry.getSymbol('AAPL');
+
+  assert.deepEqual([apple.base, apple.quote, apple.assetClass, apple.sector], ['AAPL', 'USD', 'equity', 'Technology']);
+  assert.deepEqual(apple.venues, STOCK_VENUES);
+  assert.equal(apple.tradingHours.timezone, 'America/New_York');
+  assert.equal(registry.getAssetClass('SPY'), 'etf');
+});
+
+test('market hours are checked in the exchange timezone across daylight saving', async () => {
+  const registry = await loadedRegistry();
+
+  // July is EDT (UTC-4)
+  assert.equal(registry.isMarketOpen('AAPL', Date.UTC(2024, 6, 15, 13, 29)), false);
+  assert.equal(registry.isMarketOpen('AAPL', Date.UTC(2024, 6, 15, 13, 30)), true);
+  assert.equal(registry.isMarketOpen('AAPL', Date.UTC(2024, 6, 15, 19, 59)), true);
+  assert.equal(registry.isMarketOpen('AAPL', Date.UTC(2024, 6, 15, 20, 0)), false);
+  // January is EST (UTC-5)
+  assert.equal(registry.isMarketOpen('AAPL', Date.UTC(2024, 0, 15, 14, 29)), false);
+  assert.equal(registry.isMarketOpen('AAPL', Date.UTC(2024, 0, 15, 14, 30)), true);
+  // Saturday, and crypto around the clock
+  assert.equal(registry.isMarketOpen('AAPL', Date.UTC(2024, 6, 13, 15, 0)), false);
+  assert.equal(registry.isMarketOpen('BTCUSDT', Date.UTC(2024, 6, 13, 3, 0)), true);
+});
+
+test('user entries override bundled fields, persist and can be removed', async () => {
+  const registry = await loadedRegistry();
+  assert.equal(registry.getSector('BTCUSDT'), 'Store of Value');
+
+  await registry.addEntries({
+    assets: { btc: { sector: 'Currency' } },
+    symbols: { 'MYCOIN-USD': { base: 'MYCOIN', quote: 'USD', assetClass: 'crypto', venues: ['kraken'] } },
+    assetClasses: { equity: { venues: ['alpaca'] } }
+  });
+
+  // Resolved lookups are rebuilt, and untouched fields keep their bundled values
+  assert.equal(registry.getSector('BTCUSDT'), 'Currency');
+  assert.equal(registry.getSymbol('BTCUSDT').name, 'Bitcoin');
+  assert.deepEqual(registry.getVenues('MYCOINUSD'), ['kraken']);
+  assert.deepEqual(registry.getVenues('AAPL'), ['alpaca']);
+  assert.equal(registry.getSymbol('AAPL').tradingHours.open, '09:30');
+
+  const restarted = await loadedRegistry();
+  assert.equal(restarted.getSector('BTCUSDT'), 'Currency');
+
+  await restarted.addEntries({ assets: { BTC: null } });
+  assert.equal(restarted.getSector('BTCUSDT'), 'Store of Value');
+  assert.deepEqual((await restarted.getUserEntries()).assets, {});
+});
+
+test('lookups before load are derived only, and a missing bundle leaves the user entries', async () => {
+  await chrome.storage.local.set({
+    symbolRegistry: { assetClasses: {}, assets: {}, symbols: { BTCUSDT: { base: 'BTC', quote: 'USDT', venues: ['binance'] } } }
+  });
+  bundleStatus = 404;
+  const registry = new SymbolRegistry();
+
+  assert.deepEqual(registry.getVenues('BTCUSDT'), []);
+
+  await registry.load();
+  assert.deepEqual(registry.getVenues('BTCUSDT'), ['binance']);
+  assert.equal(registry.getSymbol('ETHUSDT').known, false);
+  assert.equal(registry.isMarketOpen('ETHUSDT'), true);
+});
@@ -0,0 +1,46 @@
+import '../helpers/chrome.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { TradeJournal } from '../../src/trading/trade-journal.js';
+
+function closedPosition(id, fills, extra = {}) {
+  return {
+    id,
+    platform: 'paper',
+    symbol: 'AAPL',
+    side: 'BUY',
+    status: 'CLOSED',
+    avgEntryPrice: 100,
+    realizedPnl: 0,
+    fills,
+    openedAt: 1718000000000,
+    closedAt: 1718003600000,
+    ...extra
+  };
+}
+
+let journal;
+
+beforeEach(() => {
+  chrome.storage.local.clear();
+  journal = new TradeJournal();
+});
+
+test('journals closed positions with their exit fills', async () => {
+  const entry = await journal.recordClosedPosition(closedPosition('p1', [
+    { role: 'entry', quantity: 10, price: 100 },
+    { role: 'exit', quantity: 10, price: 110 }
+  ], { realizedPnl: 100 }));
+
+  assert.equal(entry.exitPrice, 110);
+  assert.equal(entry.returnPct, 0.1);
+});
+
+test('skips positions closed by reconciliation without an exit', async () => {
+  const entry = await journal.recordClosedPosition(closedPosition('p2', [
+    { role: 'entry', quantity: 10, price: 100 }
+  ], { closeReason: 'not_found_on_venue' }));
+
+  assert.equal(entry, null);
+  assert.equal((await journal.getStatistics()).losses, 0);
+});
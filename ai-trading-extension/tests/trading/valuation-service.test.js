@@ -0,0 +1,154 @@
+import '../helpers/chrome.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ValuationService } from '../../src/trading/valuation-service.js';
+import { RiskManager } from '../../src/trading/risk-manager.js';
+
+// Venues quote a fixed price list; requests for unlisted pairs are answered by supportsSymbol
+function venue(prices) {
+  return {
+    requests: [],
+    async supportsSymbol(symbol) {
+      return symbol in prices;
+    },
+    async getCurrentPrice(symbol) {
+      this.requests.push(symbol);
+      return prices[symbol];
+    }
+  };
+}
+
+function engineWith(connections) {
+  return {
+    getConnectedPlatforms: () => Object.keys(connections),
+    getConnection: platform => connections[platform] || null
+  };
+}
+
+beforeEach(() => chrome.storage.local.clear());
+
+test('prices balances from the direct pair, the inverse pair and the stablecoin peg', async () => {
+  const service = new ValuationService({
+    tradingEngine: engineWith({ binance: venue({ BTCUSD: 60000, USDEUR: 0.9 }) })
+  });
+
+  const valuation = await service.valuePortfolio({
+    binance: {
+      balances: [
+        { currency: 'btc', available: 0.5, locked: 0 },
+        { currency: 'EUR', total: 90 },
+        { currency: 'USDC', total: 25 },
+        { currency: 'DUST', total: 0 }
+      ]
+    }
+  }, 'usd');
+
+  assert.equal(valuation.quoteCurrency, 'USD');
+  assert.equal(valuation.byAsset.BTC.value, 30000);
+  assert.equal(valuation.byAsset.EUR.value, 100);
+  assert.equal(valuation.byAsset.USDC.value, 25);
+  assert.equal(valuation.total, 30125);
+  assert.deepEqual(valuation.unpriced, []);
+});
+
+test('uses the median ticker across the venues that list the pair', async () => {
+  const stale = venue({ ETHUSDT: 2000 });
+  const connections = {
+    binance: venue({ ETHUSDT: 3000 }),
+    kraken: stale,
+    bybit: venue({ ETHUSDT: 3010 }),
+    gate: venue({})
+  };
+  const service = new ValuationService({ tradingEngine: engineWith(connections) });
+
+  assert.equal(await service.getRate('ETH', 'USDT'), 3000);
+  assert.deepEqual(stale.requests, ['ETHUSDT']);
+  assert.deepEqual(connections.gate.requests, []);
+
+  // Two quotes meet in the middle
+  delete connections.bybit;
+  service.clearRateCache();
+  assert.equal(await service.getRate('ETH', 'USDT'), 2500);
+});
+
+test('triangulates through USDT and then BTC when no venue quotes the pair', async () => {
+  const service = new ValuationService({
+    tradingEngine: engineWith({
+      kraken: venue({ SOLBTC: 0.0025, BTCEUR: 50000, ADAUSDT: 0.5, EURUSDT: 1.1 })
+    })
+  });
+
+  // No SOL/USDT leg, so the USDT bridge fails and BTC carries it: 0.0025 * 50000
+  assert.equal(await service.getRate('SOL', 'EUR'), 125);
+  // ADA -> USDT -> EUR through the inverse EUR/USDT pair
+  assert.ok(Math.abs(await service.getRate('ADA', 'EUR') - 0.5 / 1.1) < 1e-12);
+  assert.equal(await service.getRate('XYZ', 'EUR'), null);
+});
+
+test('lists unpriced holdings and leaves them out of the total', async () => {
+  const service = new ValuationService({ tradingEngine: engineWith({ binance: venue({}) }) });
+
+  const valuation = await service.valuePortfolio({
+    binance: { balances: [{ currency: 'XYZ', total: 10 }, { currency: 'USD', total: 5 }] }
+  });
+
+  assert.equal(valuation.total, 5);
+  assert.deepEqual(valuation.unpriced, [{ platform: 'binance', asset: 'XYZ', amount: 10 }]);
+});
+
+test('values broker positions at market with shorts as a liability', async () => {
+  const service = new ValuationService({ tradingEngine: engineWith({}) });
+
+  const valuation = await service.valuePortfolio({
+    alpaca: {
+      balances: [{ currency: 'USD', total: 1000 }],
+      positions: [
+        { symbol: 'AAPL', side: 'BUY', quantity: 10, currentPrice: 150 },
+        { symbol: 'TSLA', side: 'SELL', quantity: 2, currentValue: 400 }
+      ]
+    }
+  });
+
+  assert.equal(valuation.byPlatform.alpaca, 2100);
+  assert.equal(valuation.total, 2100);
+});
+
+test('records snapshots per quote currency and computes drawdown from them', async () => {
+  const prices = { BTCUSD: 100 };
+  const service = new ValuationService({ tradingEngine: engineWith({ binance: venue(prices) }), maxSnapshots: 3 });
+  const portfolio = { binance: { balances: [{ currency: 'BTC', total: 10 }] } };
+
+  for (const price of [100, 120, 90, 108]) {
+    prices.BTCUSD = price;
+    service.clearRateCache();
+    await service.recordSnapshot(portfolio);
+  }
+  await service.recordSnapshot({ binance: { balances: [{ currency: 'EUR', total: 1 }] } }, 'EUR');
+
+  // Oldest snapshots fall off; the EUR snapshot starts a separate curve
+  assert.deepEqual((await service.getEquityCurve('USD')).map(point => point.value), [900, 1080]);
+  assert.deepEqual((await service.getEquityCurve('EUR')).map(point => point.value), [1]);
+  assert.equal((await service.getLatestValuation()).quoteCurrency, 'EUR');
+
+  const drawdown = await service.getDrawdown('USD');
+  assert.equal(drawdown.peak, 1080);
+  assert.equal(drawdown.current, 0);
+  assert.equal(drawdown.maxDrawdown, 0);
+
+  // History survives a restart
+  const restarted = new ValuationService();
+  assert.equal((await restarted.getSnapshots('usd')).length, 2);
+});
+
+test('the risk manager sizes an empty or unpriceable account as worth nothing', async () => {
+  const riskManager = new RiskManager({
+    tradingEngine: engineWith({ binance: venue({}) }),
+    symbolRegistry: { load: async () => {}, getVenues: () => [] }
+  });
+
+  assert.equal(await riskManager.getTotalAccountValue({}), 0);
+  assert.equal(await riskManager.getTotalAccountValue({ binance: { balances: [{ currency: 'XYZ', total: 3 }] } }), 0);
+
+  await chrome.storage.local.set({ tradingConfig: { riskSettings: { maxPositionSize: 0.1 } } });
+  assert.equal(await riskManager.calculatePositionSize({ confidence: 0.9 }, 'BTCUSDT'), 0);
+});
@@ -0,0 +1,147 @@
+import '../helpers/chrome.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConfigManager } from '../../src/utils/config-manager.js';
+
+const binance = { name: 'binance', enabled: true, apiKey: 'key-123', apiSecret: 'secret-456' };
+
+beforeEach(() => {
+  chrome.storage.local.clear();
+  chrome.storage.session.clear();
+});
+
+// A service worker restart keeps session storage; a browser restart clears it
+async function restart({ browser = false } = {}) {
+  if (browser) chrome.storage.session.clear();
+  const configManager = new ConfigManager();
+  await configManager.loadConfig();
+  return configManager;
+}
+
+async function vaultWithCredentials(passphrase = 'correct horse') {
+  const configManager = new ConfigManager();
+  await configManager.loadConfig();
+  await configManager.unlockVault(passphrase);
+  await configManager.addPlatform({ ...binance });
+  return configManager;
+}
+
+function aiWarnings(configManager, aiSettings) {
+  const config = configManager.getDefaultConfig();
+  config.aiSettings = { ...config.aiSettings, ...aiSettings };
+  return configManager.validateConfig(config);
+}
+
+test('ensemble weights default to a whole and are validated on the keys the ensemble reads', () => {
+  const configManager = new ConfigManager();
+  const { aiSettings } = configManager.getDefaultConfig();
+  assert.equal(aiSettings.technicalWeight + aiSettings.sentimentWeight + aiSettings.volumeWeight + aiSettings.machineLearningWeight, 1);
+  assert.equal('fundamentalWeight' in aiSettings, false);
+
+  const weightWarning = 'AI weights do not sum to 100%';
+  assert.ok(!aiWarnings(configManager, {}).warnings.includes(weightWarning));
+  assert.ok(aiWarnings(configManager, { machineLearningWeight: 0.5 }).warnings.includes(weightWarning));
+
+  // Configs saved with the old keys: machine learning takes its default and fundamentalWeight doesn't count
+  const legacy = aiWarnings(configManager, {
+    technicalWeight: 0.4, sentimentWeight: 0.3, fundamentalWeight: 0.2, volumeWeight: 0.1, machineLearningWeight: undefined
+  });
+  assert.ok(!legacy.warnings.includes(weightWarning));
+
+  const invalid = aiWarnings(configManager, { technicalWeight: 1.5, sentimentWeight: -0.5 });
+  assert.equal(invalid.valid, false);
+  assert.ok(invalid.errors.includes('AI weights must be between 0% and 100%'));
+});
+
+test('credentials are only saved once a vault passphrase is set, and never in the clear', async () => {
+  const configManager = new ConfigManager();
+  await configManager.loadConfig();
+  await assert.rejects(configManager.addPlatform({ ...binance }), /Set a vault passphrase/);
+
+  assert.deepEqual(await configManager.unlockVault('correct horse'), { initialized: true, locked: false, migrationPending: false });
+  await configManager.addPlatform({ ...binance });
+
+  const { tradingConfig, encryptedSecrets } = await chrome.storage.local.get(['tradingConfig', 'encryptedSecrets']);
+  assert.equal(tradingConfig.platforms[0].apiKey, '[ENCRYPTED]');
+  assert.equal(tradingConfig.platforms[0].apiSecret, '[ENCRYPTED]');
+  assert.equal(encryptedSecrets.version, 2);
+  assert.equal(encryptedSecrets.cipher, 'AES-GCM');
+  assert.deepEqual(encryptedSecrets.paths, ['platforms.0.apiKey', 'platforms.0.apiSecret']);
+  assert.ok(!JSON.stringify(encryptedSecrets).includes('secret-456'));
+  assert.equal(configManager.getConfig().platforms[0].apiSecret, 'secret-456');
+});
+
+test('the vault reopens from the session key and stays locked after a browser restart', async () => {
+  await vaultWithCredentials();
+
+  const resumed = await restart();
+  assert.equal(resumed.getVaultStatus().locked, false);
+  assert.equal(resumed.getConfig().platforms[0].apiKey, 'key-123');
+
+  const locked = await restart({ browser: true });
+  assert.equal(locked.getVaultStatus().locked, true);
+  assert.equal(locked.getConfig().platforms[0].apiKey, '[ENCRYPTED]');
+
+  // Settings can still be saved while locked, as long as the credentials are left alone
+  await locked.updateConfig({ tradingSettings: { maxConcurrentTrades: 5 } });
+  await assert.rejects(locked.addPlatform({ ...binance, apiKey: 'other' }), /vault is locked/);
+
+  await assert.rejects(locked.unlockVault('wrong'), /Incorrect vault passphrase/);
+  assert.equal(locked.getVaultStatus().locked, true);
+
+  await locked.unlockVault('correct horse');
+  assert.equal(locked.getConfig().platforms[0].apiSecret, 'secret-456');
+  assert.equal(locked.getConfig().tradingSettings.maxConcurrentTrades, 5);
+});
+
+test('locking drops the secrets from memory and the session', async () => {
+  const configManager = await vaultWithCredentials();
+
+  assert.deepEqual(await configManager.lockVault(), { initialized: true, locked: true, migrationPending: false });
+  assert.equal(configManager.getConfig().platforms[0].apiKey, '[ENCRYPTED]');
+  assert.deepEqual(await chrome.storage.session.get('vaultSession'), {});
+  assert.equal((await restart()).getVaultStatus().locked, true);
+});
+
+test('changing the passphrase re-encrypts the secrets under a fresh salt', async () => {
+  const configManager = await vaultWithCredentials('old passphrase');
+  const { encryptedSecrets: before } = await chrome.storage.local.get('encryptedSecrets');
+
+  await assert.rejects(configManager.changeVaultPassphrase('wrong', 'new passphrase'), /Incorrect vault passphrase/);
+  await configManager.changeVaultPassphrase('old passphrase', 'new passphrase');
+
+  const { encryptedSecrets: after } = await chrome.storage.local.get('encryptedSecrets');
+  assert.notEqual(after.kdf.salt, before.kdf.salt);
+  assert.notEqual(after.data, before.data);
+
+  const reopened = await restart({ browser: true });
+  await assert.rejects(reopened.unlockVault('old passphrase'), /Incorrect vault passphrase/);
+  await reopened.unlockVault('new passphrase');
+  assert.equal(reopened.getConfig().platforms[0].apiSecret, 'secret-456');
+});
+
+test('base64 secrets from before the vault are read, then encrypted by the first passphrase', async () => {
+  const config = new ConfigManager().getDefaultConfig();
+  config.platforms = [{ ...binance, apiKey: '[ENCRYPTED]', apiSecret: '[ENCRYPTED]' }];
+  await chrome.storage.local.set({
+    tradingConfig: config,
+    encryptedSecrets: {
+      encrypted: btoa(JSON.stringify({ 'platforms.0.apiKey': 'key-123', 'platforms.0.apiSecret': 'secret-456' })),
+      timestamp: Date.now()
+    }
+  });
+
+  const configManager = await restart();
+  assert.deepEqual(configManager.getVaultStatus(), { initialized: false, locked: false, migrationPending: true });
+  assert.equal(configManager.getConfig().platforms[0].apiSecret, 'secret-456');
+
+  await configManager.unlockVault('correct horse');
+  const { encryptedSecrets } = await chrome.storage.local.get('encryptedSecrets');
+  assert.equal(encryptedSecrets.version, 2);
+  assert.equal(encryptedSecrets.encrypted, undefined);
+  assert.ok(!JSON.stringify(encryptedSecrets).includes('secret-456'));
+
+  const reopened = await restart({ browser: true });
+  await reopened.unlockVault('correct horse');
+  assert.equal(reopened.getConfig().platforms[0].apiKey, 'key-123');
+});
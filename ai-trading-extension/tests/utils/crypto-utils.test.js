@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CryptoUtils } from '../../src/utils/crypto-utils.js';
+
+// RFC 4231 test case 2
+const RFC_KEY = 'Jefe';
+const RFC_DATA = 'what do ya want for nothing?';
+
+test('HMAC-SHA256 matches RFC 4231', async () => {
+  assert.equal(
+    await CryptoUtils.hmacSha256(RFC_KEY, RFC_DATA),
+    '5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843'
+  );
+});
+
+test('HMAC-SHA512 matches RFC 4231', async () => {
+  assert.equal(
+    await CryptoUtils.hmacSha512(RFC_KEY, RFC_DATA),
+    '164b7a7bfcf819e2e395fbe73b56e0a387bd64222e831fd610270cd7ea250554' +
+    '9758bf75c05a994a6d034f65f8f0e6fdcaeab1a34d4a6b4b636e070a38bce737'
+  );
+});
+
+test('encodes HMAC output as base64 and raw bytes', async () => {
+  const hex = await CryptoUtils.hmacSha256(RFC_KEY, RFC_DATA);
+  const bytes = await CryptoUtils.hmacSha256(RFC_KEY, RFC_DATA, 'bytes');
+
+  assert.equal(CryptoUtils.bytesToHex(bytes), hex);
+  assert.equal(await CryptoUtils.hmacSha256(RFC_KEY, RFC_DATA, 'base64'), Buffer.from(hex, 'hex').toString('base64'));
+});
+
+test('hashes match the FIPS 180-2 "abc" vectors', async () => {
+  assert.equal(
+    await CryptoUtils.hash('SHA-256', 'abc'),
+    'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+  );
+  assert.equal(
+    await CryptoUtils.hash('SHA-512', 'abc'),
+    'ddaf35a193617abacc417349ae20413112e6fa4e89a97ea20a9eeee64b55d39a' +
+    '2192992a274fc1a836ba3c23a3feebbd454d4423643ce80e2a9ac94fa54ca49f'
+  );
+});
+
+test('round-trips base64 and concatenates byte parts', () => {
+  const bytes = CryptoUtils.concatBytes('ab', new Uint8Array([0, 255]));
+
+  assert.deepEqual([...bytes], [97, 98, 0, 255]);
+  assert.deepEqual(CryptoUtils.base64ToBytes(CryptoUtils.bytesToBase64(bytes)), bytes);
+});
+
+test('AES-GCM decrypts what it encrypted and rejects a wrong passphrase or a tampered payload', async () => {
+  const salt = CryptoUtils.randomBytes(16);
+  const key = await CryptoUtils.deriveAesKey('passphrase', salt, 1000);
+  const sealed = await CryptoUtils.encryptAesGcm(key, 'api secret');
+
+  const imported = await CryptoUtils.importAesKey(await CryptoUtils.exportAesKey(key));
+  assert.equal(await CryptoUtils.decryptAesGcm(imported, sealed.iv, sealed.data), 'api secret');
+
+  const wrongKey = await CryptoUtils.deriveAesKey('wrong passphrase', salt, 1000);
+  await assert.rejects(CryptoUtils.decryptAesGcm(wrongKey, sealed.iv, sealed.data));
+
+  const tampered = CryptoUtils.base64ToBytes(sealed.data);
+  tampered[0] ^= 1;
+  await assert.rejects(CryptoUtils.decryptAesGcm(key, sealed.iv, CryptoUtils.bytesToBase64(tampered)));
+});
@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TIMEFRAME_MINUTES, getPeriodsPerYear } from '../../src/utils/timeframes.js';
+
+test('every timeframe is a whole number of minutes, in ascending order', () => {
+  const minutes = Object.values(TIMEFRAME_MINUTES);
+  assert.deepEqual(minutes, [...minutes].sort((a, b) => a - b));
+  assert.equal(TIMEFRAME_MINUTES['4h'], 240);
+  assert.equal(TIMEFRAME_MINUTES['1d'], 24 * 60);
+  assert.equal(TIMEFRAME_MINUTES['1w'], 7 * 24 * 60);
+});
+
+test('periods per year count round-the-clock candles, treating unknown timeframes as hourly', () => {
+  assert.equal(getPeriodsPerYear('1d'), 365);
+  assert.equal(getPeriodsPerYear('1h'), 8760);
+  assert.equal(getPeriodsPerYear('1w'), 365 / 7);
+  assert.equal(getPeriodsPerYear('7m'), 8760);
+});